@@ -0,0 +1,61 @@
+/**
+ * react-native-tcp-socket Mock
+ *
+ * The TCP module is native, so tests use this in-memory stand-in. Servers
+ * are kept by the port they listen on, and tests open connections to them
+ * with connect(); what the server writes to a connection is kept in `written`.
+ */
+const EventEmitter = require('events');
+
+// Servers that are listening, by port
+const servers = new Map();
+
+class MockSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.written = [];
+    this.ended = false;
+  }
+
+  write(data) {
+    this.written.push(data);
+  }
+
+  end(data) {
+    if (data !== undefined) this.written.push(data);
+    this.ended = true;
+  }
+}
+
+class MockServer extends EventEmitter {
+  constructor(connectionListener) {
+    super();
+    if (connectionListener) this.on('connection', connectionListener);
+  }
+
+  listen(options, callback) {
+    servers.set(options.port, this);
+    setTimeout(callback, 0);
+    return this;
+  }
+
+  close() {
+    servers.forEach((server, port) => server === this && servers.delete(port));
+    return this;
+  }
+
+  connect() {
+    const socket = new MockSocket();
+    this.emit('connection', socket);
+    return socket;
+  }
+}
+
+module.exports = {
+  __esModule: true,
+  default: {
+    createServer: (options, connectionListener) =>
+      new MockServer(typeof options === 'function' ? options : connectionListener),
+  },
+  getServer: (port) => servers.get(port),
+};
\ No newline at end of file
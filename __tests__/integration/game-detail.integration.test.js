@@ -0,0 +1,119 @@
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import GameDetailPage from '../../app/game-detail.js';
+
+// Mock expo-router with the ID of the completed test game
+jest.mock('expo-router', () => ({
+  useLocalSearchParams: () => ({
+    gameId: 'game-done-1',
+  }),
+  useNavigation: () => ({
+    setOptions: jest.fn(),
+  }),
+}));
+
+// Mock AsyncStorage
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(),
+  setItem: jest.fn(),
+}));
+
+// A short game on the 20 and 19: Alice hits a triple 20, Bob misses, Alice scores a single 20
+const completedGame = {
+  id: 'game-done-1',
+  schemaVersion: 3,
+  gameName: 'Replay Game',
+  players: ['Alice', 'Bob'],
+  playerIds: [null, null],
+  rows: ['20', '19'],
+  grid: [[{ taps: 3 }, { taps: 0 }], [{ taps: 0 }, { taps: 0 }]],
+  history: [
+    { rowIndex: 0, colIndex: 0, marks: 3, time: '2024-05-01T20:00:00.000Z' },
+    { rowIndex: null, colIndex: 1, time: '2024-05-01T20:00:10.000Z' },
+    { rowIndex: 0, colIndex: 0, marks: 1, time: '2024-05-01T20:00:20.000Z' },
+  ],
+  points: [20, 0],
+  gameMode: 'standard',
+  currentPlayer: 0,
+  dartsThrown: 0,
+  winner: 'Alice',
+  winnerIndex: 0,
+  date: '5/1/2024',
+};
+
+describe('GameDetailPage', () => {
+  beforeEach(() => {
+    AsyncStorage.getItem.mockImplementation((key) =>
+      Promise.resolve(key === 'completedGames' ? JSON.stringify([completedGame]) : null)
+    );
+  });
+
+  it('starts at the final board and steps back and forward through the darts', async () => {
+    const { findByTestId, getByTestId, getByText, queryByText } = render(<GameDetailPage />);
+
+    // The final board: Alice closed the 20 and scored 20 points
+    expect((await findByTestId('replay-step')).props.children).toEqual(['Dart ', 3, ' of ', 3]);
+    expect(getByTestId('replay-move').props.children).toMatch(/^Alice: Single 20 at /);
+    expect(getByTestId('points-0').props.children).toBe(20);
+    expect(getByText('Ⓧ')).toBeTruthy();
+    expect(getByText('Duration: 20s')).toBeTruthy();
+    expect(getByTestId('replay-turn').props.children).toBe('Turn 3 · 0s');
+
+    // Back to Bob's miss, before Alice scored
+    fireEvent.press(getByText('Back'));
+    expect(getByTestId('replay-move').props.children).toMatch(/^Bob: Miss at /);
+    expect(getByTestId('replay-turn').props.children).toBe('Turn 2 · 0s');
+    expect(getByTestId('points-0').props.children).toBe(0);
+
+    // Back to the start: an empty board
+    fireEvent.press(getByText('Start'));
+    expect(getByTestId('replay-move').props.children).toBe('Start of the game');
+    expect(queryByText('Ⓧ')).toBeNull();
+
+    // Forward to the first dart: Alice's triple closes the 20
+    fireEvent.press(getByText('Forward'));
+    expect(getByTestId('replay-move').props.children).toMatch(/^Alice: Triple 20 at /);
+    expect(getByText('Ⓧ')).toBeTruthy();
+  });
+
+  it('lists the handicaps and replays from the handicapped board', async () => {
+    // Bob started with a mark on the 19 and needed two marks to close
+    const handicappedGame = { ...completedGame, handicaps: [null, { marks: ['19'], points: 0, marksToClose: 2 }] };
+    AsyncStorage.getItem.mockImplementation((key) =>
+      Promise.resolve(key === 'completedGames' ? JSON.stringify([handicappedGame]) : null)
+    );
+
+    const { findByTestId, getByTestId, getByText } = render(<GameDetailPage />);
+
+    expect((await findByTestId('handicaps')).props.children).toEqual(['Handicaps: ', 'Bob (1 mark on 19, closes in 2)']);
+    fireEvent.press(getByText('Start'));
+    expect(getByTestId('cell-1-1').props.accessibilityLabel).toBe('Bob, 19, one mark, open');
+  });
+
+  it('says how a game with a round limit was decided', async () => {
+    const limitedGame = {
+      ...completedGame,
+      roundLimit: { maxRounds: 20, tiebreak: 'bulloff' },
+      outcome: { decidedBy: 'points', rounds: 20 },
+    };
+    AsyncStorage.getItem.mockImplementation((key) =>
+      Promise.resolve(key === 'completedGames' ? JSON.stringify([limitedGame]) : null)
+    );
+
+    const { findByTestId } = render(<GameDetailPage />);
+
+    expect((await findByTestId('outcome')).props.children).toBe('Won on points after 20 rounds');
+  });
+
+  it('shows the final board of games saved without a throw log', async () => {
+    AsyncStorage.getItem.mockImplementation((key) =>
+      Promise.resolve(key === 'completedGames' ? JSON.stringify([{ ...completedGame, history: [] }]) : null)
+    );
+
+    const { findByText, getByText } = render(<GameDetailPage />);
+
+    expect(await findByText('No throw log was saved for this game')).toBeTruthy();
+    expect(getByText('Ⓧ')).toBeTruthy();
+  });
+});
\ No newline at end of file
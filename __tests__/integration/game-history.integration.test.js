@@ -1,7 +1,12 @@
 import React from 'react';
-import { render, fireEvent } from '@testing-library/react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import { Alert } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
 import GameHistoryPage from '../../app/game-history';
+import { createBackup } from '../../utils/backup';
 
 // Mock AsyncStorage
 jest.mock('@react-native-async-storage/async-storage', () => ({
@@ -20,6 +25,20 @@ jest.mock('expo-router', () => ({
   }),
 }));
 
+// Mock the file system, share sheet and document picker used for export and import
+jest.mock('expo-file-system', () => ({
+  cacheDirectory: 'file:///cache/',
+  writeAsStringAsync: jest.fn(() => Promise.resolve()),
+  readAsStringAsync: jest.fn(),
+}));
+jest.mock('expo-sharing', () => ({
+  isAvailableAsync: jest.fn(() => Promise.resolve(true)),
+  shareAsync: jest.fn(() => Promise.resolve()),
+}));
+jest.mock('expo-document-picker', () => ({
+  getDocumentAsync: jest.fn(),
+}));
+
 describe('GameHistoryPage', () => {
   // Clear all mocks before each test
   beforeEach(() => {
@@ -30,6 +49,7 @@ describe('GameHistoryPage', () => {
     // Mock data for an in-progress game
     const mockInProgressGames = [
       {
+        id: 'game-test-1',
         gameName: 'Test Game',
         players: ['Player 1', 'Player 2'],
         date: '2023-05-20',
@@ -58,17 +78,259 @@ describe('GameHistoryPage', () => {
     // Check if the router.push was called with the correct parameters
     expect(mockPush).toHaveBeenCalledWith({
       pathname: '/game-screen',
-      params: {
-        gameName: 'Test Game',
-        players: JSON.stringify(['Player 1', 'Player 2']),
-        grid: JSON.stringify([/* mock grid data */]),
-        history: JSON.stringify([/* mock history data */]),
-      },
+      params: { gameId: 'game-test-1' },
     });
 
     // Verify that the game details are displayed correctly
     expect(getByText('Test Game')).toBeTruthy();
     expect(getByText('Players: Player 1, Player 2')).toBeTruthy();
-    expect(getByText('2023-05-20 14:30')).toBeTruthy();
+    // The saved date text is converted to a start time and shown in the device's locale
+    const startedAt = new Date(2023, 4, 20, 14, 30);
+    expect(
+      getByText(`${startedAt.toLocaleDateString()} ${startedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`)
+    ).toBeTruthy();
+  });
+  it('shows which team member throws next in an in-progress team game', async () => {
+    // Each team has thrown one turn, so Bob throws the first team's second turn
+    const mockInProgressGames = [
+      {
+        id: 'game-teams-1',
+        gameName: 'Doubles',
+        players: ['Alice & Bob', 'Cara & Dan'],
+        teams: [
+          { members: ['Alice', 'Bob'], memberIds: [null, null] },
+          { members: ['Cara', 'Dan'], memberIds: [null, null] },
+        ],
+        history: [
+          { colIndex: 0, previousDarts: 0 },
+          { colIndex: 1, previousDarts: 0 },
+        ],
+        currentPlayer: 0,
+        dartsThrown: 0,
+      },
+    ];
+    AsyncStorage.getItem.mockImplementation((key) => {
+      if (key === 'inProgressGames') {
+        return Promise.resolve(JSON.stringify(mockInProgressGames));
+      }
+      return Promise.resolve(null);
+    });
+
+    const { findByText } = render(<GameHistoryPage />);
+
+    expect(await findByText('Up next: Bob')).toBeTruthy();
+  });
+
+  it('gives games saved without an ID one and saves them back', async () => {
+    // An in-progress game saved before games had IDs
+    const mockInProgressGames = [
+      { gameName: 'Old Game', players: ['Player 1', 'Player 2'], date: '2023-05-20', time: '14:30' },
+    ];
+    AsyncStorage.getItem.mockImplementation((key) => {
+      if (key === 'inProgressGames') {
+        return Promise.resolve(JSON.stringify(mockInProgressGames));
+      }
+      return Promise.resolve(null);
+    });
+
+    const { findByText } = render(<GameHistoryPage />);
+    fireEvent.press(await findByText('Resume'));
+
+    // The backfilled ID is saved and used to resume the game
+    const [key, value] = AsyncStorage.setItem.mock.calls[0];
+    const [savedGame] = JSON.parse(value);
+    expect(key).toBe('inProgressGames');
+    expect(savedGame.id).toEqual(expect.any(String));
+    expect(mockPush).toHaveBeenCalledWith({
+      pathname: '/game-screen',
+      params: { gameId: savedGame.id },
+    });
+  });
+
+  it('opens the replay of a completed game when the view button is pressed', async () => {
+    const mockCompletedGames = [
+      { id: 'game-done-1', gameName: 'Finished Game', players: ['Player 1', 'Player 2'], winner: 'Player 2' },
+    ];
+    AsyncStorage.getItem.mockImplementation((key) => {
+      if (key === 'completedGames') {
+        return Promise.resolve(JSON.stringify(mockCompletedGames));
+      }
+      return Promise.resolve(null);
+    });
+
+    const { findByText } = render(<GameHistoryPage />);
+    fireEvent.press(await findByText('View'));
+
+    expect(mockPush).toHaveBeenCalledWith({
+      pathname: '/game-detail',
+      params: { gameId: 'game-done-1' },
+    });
+  });
+
+  describe('export and import', () => {
+    const finishedGame = {
+      id: 'game-done-1',
+      gameName: 'Finished Game',
+      players: ['Player 1', 'Player 2'],
+      rows: ['20', 'Bull'],
+      points: [0, 0],
+      history: [{ rowIndex: 0, colIndex: 0, marks: 3, previousTaps: 0, previousDarts: 0, previousPoints: [0, 0] }],
+      winner: 'Player 1',
+    };
+    let mockStore;
+
+    beforeEach(() => {
+      // Keep saved games in memory so imported games show up when the lists are reloaded
+      mockStore = { completedGames: JSON.stringify([finishedGame]) };
+      AsyncStorage.getItem.mockImplementation((key) => Promise.resolve(mockStore[key] ?? null));
+      AsyncStorage.setItem.mockImplementation((key, value) => {
+        mockStore[key] = value;
+        return Promise.resolve();
+      });
+      jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    });
+
+    it('exports the history as a JSON backup through the share sheet', async () => {
+      const { findByText, getByText } = render(<GameHistoryPage />);
+      await findByText('Finished Game');
+
+      fireEvent.press(getByText('Export JSON'));
+
+      await waitFor(() => expect(Sharing.shareAsync).toHaveBeenCalled());
+      const [uri, contents] = FileSystem.writeAsStringAsync.mock.calls[0];
+      expect(uri).toMatch(/^file:\/\/\/cache\/dart-cricket-backup-.*\.json$/);
+      expect(JSON.parse(contents).completedGames).toEqual([expect.objectContaining({ id: 'game-done-1' })]);
+      expect(Sharing.shareAsync).toHaveBeenCalledWith(uri, expect.objectContaining({ mimeType: 'application/json' }));
+    });
+
+    it('exports every dart as a CSV through the share sheet', async () => {
+      const { findByText, getByText } = render(<GameHistoryPage />);
+      await findByText('Finished Game');
+
+      fireEvent.press(getByText('Export CSV'));
+
+      await waitFor(() => expect(Sharing.shareAsync).toHaveBeenCalled());
+      const [uri, contents] = FileSystem.writeAsStringAsync.mock.calls[0];
+      expect(uri).toMatch(/\.csv$/);
+      expect(contents.split('\r\n')[1]).toMatch(/^game-done-1,Finished Game,completed,standard,.*,Player 1,1,Player 1,,20,3,no,0,$/);
+      expect(Sharing.shareAsync).toHaveBeenCalledWith(uri, expect.objectContaining({ mimeType: 'text/csv' }));
+    });
+
+    it('imports new games from a backup and skips games that are already saved', async () => {
+      DocumentPicker.getDocumentAsync.mockResolvedValue({ canceled: false, assets: [{ uri: 'file:///cache/backup.json' }] });
+      FileSystem.readAsStringAsync.mockResolvedValue(
+        createBackup({
+          inProgressGames: [{ id: 'game-new-1', gameName: 'Imported Game', players: ['Ann', 'Ben'] }],
+          completedGames: [{ ...finishedGame, winner: 'Player 2' }],
+        })
+      );
+
+      const { findByText, getByText } = render(<GameHistoryPage />);
+      await findByText('Finished Game');
+
+      fireEvent.press(getByText('Import'));
+
+      expect(await findByText('Imported Game')).toBeTruthy();
+      expect(FileSystem.readAsStringAsync).toHaveBeenCalledWith('file:///cache/backup.json');
+      expect(Alert.alert).toHaveBeenCalledWith(
+        'Import Complete',
+        'Imported 1 game(s). Skipped 1 game(s) that were already saved.'
+      );
+      // The saved copy of the finished game is kept
+      expect(getByText('Winner: Player 1')).toBeTruthy();
+    });
+
+    it('reports files that are not valid backups without importing anything', async () => {
+      DocumentPicker.getDocumentAsync.mockResolvedValue({ canceled: false, assets: [{ uri: 'file:///cache/notes.json' }] });
+      FileSystem.readAsStringAsync.mockResolvedValue('{"notes": []}');
+
+      const { findByText, getByText } = render(<GameHistoryPage />);
+      await findByText('Finished Game');
+
+      fireEvent.press(getByText('Import'));
+
+      await waitFor(() =>
+        expect(Alert.alert).toHaveBeenCalledWith('Import Failed', 'The file is not a Dart Cricket backup.')
+      );
+      expect(AsyncStorage.setItem).not.toHaveBeenCalledWith('inProgressGames', expect.anything());
+    });
+  });
+
+  describe('search, filters and sorting', () => {
+    // Completed games played on different days, with a dart at the start and end of each
+    const playedGame = (id, gameName, players, start, minutes, fields = {}) => ({
+      id,
+      gameName,
+      players,
+      history: [
+        { rowIndex: 0, colIndex: 0, time: start },
+        { rowIndex: 0, colIndex: 1, time: new Date(Date.parse(start) + minutes * 60000).toISOString() },
+      ],
+      ...fields,
+    });
+    const mockCompletedGames = [
+      playedGame('game-1', 'Monday League', ['Ann', 'Ben'], '2024-03-04T19:00:00', 40, { winner: 'Ann' }),
+      playedGame('game-2', 'Quick Game', ['Cat', 'Dan', 'Eve'], '2024-03-06T19:00:00', 5, {
+        winner: 'Eve',
+        gameMode: 'cutthroat',
+      }),
+      playedGame('game-3', 'Friday League', ['Ann', 'Cat'], '2024-03-08T19:00:00', 20, { winner: 'Cat' }),
+    ];
+
+    beforeEach(() => {
+      AsyncStorage.getItem.mockImplementation((key) => {
+        if (key === 'completedGames') {
+          return Promise.resolve(JSON.stringify(mockCompletedGames));
+        }
+        return Promise.resolve(null);
+      });
+    });
+
+    const shownGames = (queryAllByText) => queryAllByText(/League|Quick Game/).map((text) => text.props.children);
+
+    it('lists games newest first and can sort by date or duration', async () => {
+      const { findByText, getByTestId, queryAllByText } = render(<GameHistoryPage />);
+      await findByText('Quick Game');
+
+      expect(shownGames(queryAllByText)).toEqual(['Friday League', 'Quick Game', 'Monday League']);
+
+      fireEvent.press(getByTestId('sort-oldest'));
+      expect(shownGames(queryAllByText)).toEqual(['Monday League', 'Quick Game', 'Friday League']);
+
+      fireEvent.press(getByTestId('sort-shortest'));
+      expect(shownGames(queryAllByText)).toEqual(['Quick Game', 'Friday League', 'Monday League']);
+    });
+
+    it('searches by game or player name', async () => {
+      const { findByText, getByPlaceholderText, queryAllByText } = render(<GameHistoryPage />);
+      await findByText('Quick Game');
+
+      fireEvent.changeText(getByPlaceholderText('Search by game or player'), 'league');
+      expect(shownGames(queryAllByText)).toEqual(['Friday League', 'Monday League']);
+
+      fireEvent.changeText(getByPlaceholderText('Search by game or player'), 'cat');
+      expect(shownGames(queryAllByText)).toEqual(['Friday League', 'Quick Game']);
+    });
+
+    it('filters by date range, winner, player count and game mode', async () => {
+      const { findByText, getByText, getByTestId, getByPlaceholderText, queryAllByText } = render(<GameHistoryPage />);
+      await findByText('Quick Game');
+      fireEvent.press(getByText('Filters'));
+
+      fireEvent.changeText(getByPlaceholderText('From (YYYY-MM-DD)'), '2024-03-05');
+      fireEvent.changeText(getByPlaceholderText('To (YYYY-MM-DD)'), '2024-03-08');
+      expect(shownGames(queryAllByText)).toEqual(['Friday League', 'Quick Game']);
+
+      fireEvent.press(getByTestId('players-2'));
+      expect(shownGames(queryAllByText)).toEqual(['Friday League']);
+
+      fireEvent.press(getByText('Clear Filters'));
+      fireEvent.changeText(getByPlaceholderText('Winner'), 'ann');
+      expect(shownGames(queryAllByText)).toEqual(['Monday League']);
+
+      fireEvent.press(getByText('Clear Filters'));
+      fireEvent.press(getByTestId('mode-cutthroat'));
+      expect(shownGames(queryAllByText)).toEqual(['Quick Game']);
+    });
   });
-});
\ No newline at end of file
+});
@@ -1,11 +1,19 @@
 import React from 'react';
-import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import { render, fireEvent, waitFor, within, act } from '@testing-library/react-native';
 import { NavigationContainer } from '@react-navigation/native';
-import GameScreenPage from '../../app/game-screen.js';
+import GameScreenPage, { CPU_DART_DELAY } from '../../app/game-screen.js';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Alert, AccessibilityInfo } from 'react-native';
+import { activateKeepAwakeAsync, deactivateKeepAwake } from 'expo-keep-awake';
+import { playFeedback } from '../../utils/feedback';
+import { connectViewer } from '../../utils/broadcast';
 
 // Mock the push function for navigation
 const mockPush = jest.fn();
+// Per-test overrides for the saved game (e.g. the game mode)
+let savedGameOverrides = {};
+// Per-test saved settings, or null for the defaults
+let savedSettings = null;
 
 // Mock the expo-router module
 jest.mock('expo-router', () => ({
@@ -13,28 +21,19 @@ jest.mock('expo-router', () => ({
   useRouter: () => ({
     push: mockPush,
   }),
-  // Mock useLocalSearchParams hook with test data
+  // Mock useLocalSearchParams hook with the ID of the saved test game
   useLocalSearchParams: () => ({
-    gameName: 'Test Game',
-    players: JSON.stringify(['Player 1', 'Player 2']),
-    // Create a 7x3 grid with all cells initialized to 0 taps
-    grid: JSON.stringify([
-      [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
-      [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
-      [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
-      [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
-      [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
-      [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
-      [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
-    ]),
-    history: JSON.stringify([]),
+    gameId: 'game-test-1',
   }),
   // Mock useNavigation hook
   useNavigation: () => ({
     setOptions: jest.fn(),
   }),
-  // Mock useFocusEffect hook
-  useFocusEffect: jest.fn((callback) => callback()),
+  // Mock useFocusEffect hook, running the callback once like a screen focus
+  useFocusEffect: jest.fn((callback) => {
+    const { useEffect } = require('react');
+    useEffect(() => callback(), [callback]);
+  }),
 }));
 
 // Mock AsyncStorage
@@ -43,21 +42,100 @@ jest.mock('@react-native-async-storage/async-storage', () => ({
   setItem: jest.fn(),
 }));
 
+// Mock the vibration and sound feedback, which needs a device
+jest.mock('../../utils/feedback', () => ({
+  playFeedback: jest.fn(),
+}));
+
+// Mock keeping the screen awake
+// Share the scoreboard on an in-process server, at the address of a device on Wi-Fi
+jest.mock('../../utils/websocket-server', () => ({
+  createWebSocketServer: jest.fn(() => Promise.resolve(jest.requireActual('../../utils/broadcast').createLocalServer())),
+  getHostAddress: jest.fn(() => Promise.resolve('192.168.1.20')),
+}));
+
+jest.mock('expo-keep-awake', () => ({
+  activateKeepAwakeAsync: jest.fn(() => Promise.resolve()),
+  deactivateKeepAwake: jest.fn(),
+}));
+
+// Mock the window size, which can be set per test to lay the grid out for a phone
+let mockWindow = null;
+jest.mock('react-native/Libraries/Utilities/useWindowDimensions', () => {
+  const actual = jest.requireActual('react-native/Libraries/Utilities/useWindowDimensions');
+  return {
+    __esModule: true,
+    default: () => mockWindow || actual.default(),
+  };
+});
+
+// Builds the saved in-progress game the screen loads by ID
+const createSavedGame = () => ({
+  id: 'game-test-1',
+  gameName: 'Test Game',
+  players: ['Player 1', 'Player 2'],
+  // Create a 7x3 grid with all cells initialized to 0 taps
+  grid: [
+    [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
+    [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
+    [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
+    [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
+    [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
+    [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
+    [{ taps: 0 }, { taps: 0 }, { taps: 0 }],
+  ],
+  history: [],
+  startedAt: '2024-05-01T19:00:00.000Z',
+  ...savedGameOverrides,
+});
+
+// Renders the Game Screen and waits for the saved game to load
+const renderGameScreen = async () => {
+  const screen = render(
+    <NavigationContainer>
+      <GameScreenPage />
+    </NavigationContainer>
+  );
+  await screen.findByTestId('turn-indicator');
+  return screen;
+};
+
+// Taps a grid cell for a player, pressing "End Turn" until it is their throw
+const tapCell = ({ getByTestId, getByText }, rowIndex, colIndex) => {
+  const players = ['Player 1', 'Player 2'];
+  while (getByTestId('turn-indicator').props.children[0] !== players[colIndex]) {
+    fireEvent.press(getByText('End Turn'));
+  }
+  fireEvent.press(getByTestId(`cell-${rowIndex}-${colIndex}`));
+};
+
 describe('GameScreenPage Integration Tests', () => {
+  // Clear navigation calls and store the test game before each test
+  beforeEach(() => {
+    mockPush.mockClear();
+    savedGameOverrides = {};
+    savedSettings = null;
+    mockWindow = null;
+    AsyncStorage.setItem.mockClear();
+    playFeedback.mockClear();
+    activateKeepAwakeAsync.mockClear();
+    deactivateKeepAwake.mockClear();
+    AsyncStorage.getItem.mockImplementation((key) => {
+      if (key === 'inProgressGames') return Promise.resolve(JSON.stringify([createSavedGame()]));
+      if (key === 'settings') return Promise.resolve(savedSettings && JSON.stringify(savedSettings));
+      return Promise.resolve(null);
+    });
+  });
+
   test('declares winner and navigates to winner popup page when player completes all cells', async () => {
-    // Render the GameScreenPage component within a NavigationContainer
-    const { getByTestId } = render(
-      <NavigationContainer>
-        <GameScreenPage />
-      </NavigationContainer>
-    );
+    // Render the GameScreenPage component and wait for the game to load
+    const screen = await renderGameScreen();
 
     // Simulate tapping each cell in the first column three times
     for (let i = 0; i < 7; i++) {
-      const cell = getByTestId(`cell-${i}-0`);
-      fireEvent.press(cell);
-      fireEvent.press(cell);
-      fireEvent.press(cell);
+      tapCell(screen, i, 0);
+      tapCell(screen, i, 0);
+      tapCell(screen, i, 0);
     }
 
     // Wait for and assert the navigation to the winner popup
@@ -66,9 +144,577 @@ describe('GameScreenPage Integration Tests', () => {
         pathname: '/winner-popup',
         params: {
           playerName: 'Player 1',
-          date: expect.any(String),
+          gameId: 'game-test-1',
         }
       });
     });
+
+    // The completed game keeps the winner's index and the darts that were thrown
+    await waitFor(() => {
+      expect(AsyncStorage.setItem).toHaveBeenCalledWith('completedGames', expect.any(String));
+    });
+    const [completedCall] = AsyncStorage.setItem.mock.calls.filter(([key]) => key === 'completedGames');
+    const [completedGame] = JSON.parse(completedCall[1]);
+    expect(completedGame).toEqual(expect.objectContaining({ id: 'game-test-1', winner: 'Player 1', winnerIndex: 0 }));
+    // It keeps the time the game started and stores when it ended
+    expect(completedGame.startedAt).toBe('2024-05-01T19:00:00.000Z');
+    expect(Date.parse(completedGame.endedAt)).not.toBeNaN();
+    expect(completedGame.date).toBeUndefined();
+    expect(completedGame.history.filter((move) => move.colIndex === 0 && move.rowIndex !== null)).toHaveLength(21);
+  });
+
+  test('shows the match score and adds the leg win to the completed match', async () => {
+    savedGameOverrides = {
+      match: { id: 'match-1', bestOfLegs: 3, bestOfSets: 1, legWins: [0, 1], setWins: [0, 0], legsPlayed: 1, winnerIndex: null },
+    };
+    const screen = await renderGameScreen();
+
+    expect(screen.getByTestId('match-score').props.children).toEqual(['Leg ', 2, ' · ', 'Best of 3 legs', ' · ', 'Legs 0–1']);
+
+    for (let i = 0; i < 7; i++) {
+      tapCell(screen, i, 0);
+      tapCell(screen, i, 0);
+      tapCell(screen, i, 0);
+    }
+
+    await waitFor(() => {
+      expect(AsyncStorage.setItem).toHaveBeenCalledWith('completedGames', expect.any(String));
+    });
+    const [completedCall] = AsyncStorage.setItem.mock.calls.filter(([key]) => key === 'completedGames');
+    const [completedGame] = JSON.parse(completedCall[1]);
+    expect(completedGame.match).toEqual(expect.objectContaining({ legWins: [1, 1], legsPlayed: 2, winnerIndex: null }));
+  });
+
+  test('ends the game at its round limit and decides a tie with a bull-off', async () => {
+    savedGameOverrides = { roundLimit: { maxRounds: 1, tiebreak: 'bulloff' } };
+    const screen = await renderGameScreen();
+    expect(screen.getByTestId('round-counter').props.children).toBe('Round 1 of 1');
+
+    // Both players hit a single 20 in the only round
+    tapCell(screen, 0, 0);
+    fireEvent.press(screen.getByText('End Turn'));
+    tapCell(screen, 0, 1);
+    fireEvent.press(screen.getByText('End Turn'));
+
+    expect(screen.getByTestId('bulloff-players').props.children[0]).toBe('Player 1 and Player 2');
+    fireEvent.press(screen.getByTestId('bulloff-1'));
+
+    await waitFor(() => {
+      expect(mockPush).toHaveBeenCalledWith({
+        pathname: '/winner-popup',
+        params: { playerName: 'Player 2', gameId: 'game-test-1' },
+      });
+    });
+    const [completedCall] = AsyncStorage.setItem.mock.calls.filter(([key]) => key === 'completedGames');
+    const [completedGame] = JSON.parse(completedCall[1]);
+    expect(completedGame).toEqual(expect.objectContaining({
+      winnerIndex: 1,
+      roundLimit: { maxRounds: 1, tiebreak: 'bulloff' },
+      outcome: { decidedBy: 'bulloff', rounds: 1 },
+    }));
+  });
+
+  test('undoing the winning dart reopens the game, and redoing it wins again', async () => {
+    // Keep saved games in memory so the game can move between the lists
+    const store = { inProgressGames: JSON.stringify([createSavedGame()]) };
+    AsyncStorage.getItem.mockImplementation((key) => Promise.resolve(store[key] ?? null));
+    AsyncStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value;
+      return Promise.resolve();
+    });
+    const readStored = (key) => JSON.parse(store[key] || '[]');
+
+    const screen = await renderGameScreen();
+    const { getByTestId, getByText } = screen;
+    for (let i = 0; i < 7; i++) {
+      tapCell(screen, i, 0);
+      tapCell(screen, i, 0);
+      tapCell(screen, i, 0);
+    }
+    await waitFor(() => {
+      expect(readStored('completedGames')).toHaveLength(1);
+      expect(readStored('inProgressGames')).toHaveLength(0);
+    });
+
+    // Undo takes back the last mark on the bull and puts the game back in progress
+    fireEvent.press(getByText('Undo'));
+    expect(within(getByTestId('cell-6-0')).getByText('X')).toBeTruthy();
+    await waitFor(() => {
+      expect(readStored('completedGames')).toHaveLength(0);
+      expect(readStored('inProgressGames')).toEqual([expect.objectContaining({ id: 'game-test-1' })]);
+    });
+
+    // Redo throws the winning dart again
+    mockPush.mockClear();
+    fireEvent.press(getByText('Redo'));
+    expect(within(getByTestId('cell-6-0')).getByText('Ⓧ')).toBeTruthy();
+    await waitFor(() => {
+      expect(mockPush).toHaveBeenCalledWith(expect.objectContaining({ pathname: '/winner-popup' }));
+      expect(readStored('completedGames')).toEqual([expect.objectContaining({ winnerIndex: 0 })]);
+      expect(readStored('inProgressGames')).toHaveLength(0);
+    });
+  });
+
+  test('scores points for extra marks on a closed number while an opponent has it open', async () => {
+    const screen = await renderGameScreen();
+    const { getByTestId } = screen;
+
+    // Three taps close the 20 for Player 1, the fourth scores 20 points
+    for (let i = 0; i < 4; i++) {
+      tapCell(screen, 0, 0);
+    }
+
+    expect(getByTestId('points-0').props.children).toBe(20);
+    expect(getByTestId('points-1').props.children).toBe(0);
+  });
+
+  test('only declares a winner once the closed-out player is level or ahead on points', async () => {
+    const screen = await renderGameScreen();
+    const { getByTestId } = screen;
+
+    // Player 2 closes the 20 and scores 20 points on it
+    for (let i = 0; i < 4; i++) {
+      tapCell(screen, 0, 1);
+    }
+
+    // Player 1 closes every number but is still behind on points
+    for (let i = 0; i < 7; i++) {
+      tapCell(screen, i, 0);
+      tapCell(screen, i, 0);
+      tapCell(screen, i, 0);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(mockPush).not.toHaveBeenCalled();
+
+    // Scoring twice on the 19 (still open for Player 2) puts Player 1 ahead
+    tapCell(screen, 1, 0);
+    tapCell(screen, 1, 0);
+
+    expect(getByTestId('points-0').props.children).toBe(38);
+    await waitFor(() => {
+      expect(mockPush).toHaveBeenCalledWith({
+        pathname: '/winner-popup',
+        params: {
+          playerName: 'Player 1',
+          gameId: 'game-test-1',
+        }
+      });
+    });
+  });
+
+  test('gives cut-throat points to opponents and lets the lowest score win', async () => {
+    savedGameOverrides = { gameMode: 'cutthroat' };
+    const screen = await renderGameScreen();
+    const { getByTestId } = screen;
+
+    // Player 2 closes the 20 and lands one extra mark, which Player 1 has to take
+    for (let i = 0; i < 4; i++) {
+      tapCell(screen, 0, 1);
+    }
+    expect(getByTestId('points-0').props.children).toBe(20);
+    expect(getByTestId('points-1').props.children).toBe(0);
+
+    // Player 1 closes every number but still has the higher score
+    for (let i = 0; i < 7; i++) {
+      tapCell(screen, i, 0);
+      tapCell(screen, i, 0);
+      tapCell(screen, i, 0);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(mockPush).not.toHaveBeenCalled();
+
+    // Pushing 19 points onto Player 2 does not yet balance it; a second 19 does
+    tapCell(screen, 1, 0);
+    expect(mockPush).not.toHaveBeenCalled();
+    tapCell(screen, 1, 0);
+
+    expect(getByTestId('points-1').props.children).toBe(38);
+    await waitFor(() => {
+      expect(mockPush).toHaveBeenCalledWith({
+        pathname: '/winner-popup',
+        params: {
+          playerName: 'Player 1',
+          gameId: 'game-test-1',
+        }
+      });
+    });
+  });
+
+  test('only accepts darts from the current thrower and rotates after three darts', async () => {
+    const { getByTestId, getByText } = await renderGameScreen();
+
+    expect(getByTestId('turn-indicator').props.children[0]).toBe('Player 1');
+
+    // Player 2's column is ignored while it is Player 1's turn
+    fireEvent.press(getByTestId('cell-0-1'));
+    expect(getByTestId('dart-counter').props.children).toEqual(['Darts: ', 0, '/', 3]);
+
+    // Two hits and a miss use up Player 1's three darts
+    fireEvent.press(getByTestId('cell-0-0'));
+    fireEvent.press(getByTestId('cell-1-0'));
+    expect(getByTestId('dart-counter').props.children).toEqual(['Darts: ', 2, '/', 3]);
+    fireEvent.press(getByText('Miss'));
+
+    expect(getByTestId('turn-indicator').props.children[0]).toBe('Player 2');
+    expect(getByTestId('dart-counter').props.children).toEqual(['Darts: ', 0, '/', 3]);
+  });
+
+  test('ends a turn early and gives it back on undo', async () => {
+    const { getByTestId, getByText } = await renderGameScreen();
+
+    fireEvent.press(getByTestId('cell-0-0'));
+    fireEvent.press(getByText('End Turn'));
+    expect(getByTestId('turn-indicator').props.children[0]).toBe('Player 2');
+
+    fireEvent.press(getByText('Undo'));
+    expect(getByTestId('turn-indicator').props.children[0]).toBe('Player 1');
+    expect(getByTestId('dart-counter').props.children).toEqual(['Darts: ', 1, '/', 3]);
+
+    // Undo saves the reverted game, including whose turn it is
+    await waitFor(() => {
+      expect(AsyncStorage.setItem).toHaveBeenCalledWith('inProgressGames', expect.stringContaining('"currentPlayer":0'));
+    });
+  });
+
+  test('alternates team members on a shared column and saves who threw each dart', async () => {
+    savedGameOverrides = {
+      players: ['Alice & Bob', 'Cara & Dan'],
+      teams: [
+        { members: ['Alice', 'Bob'], memberIds: [null, null] },
+        { members: ['Cara', 'Dan'], memberIds: [null, null] },
+      ],
+    };
+    const { getByTestId, getByText } = await renderGameScreen();
+
+    expect(getByTestId('turn-indicator').props.children[0]).toBe('Alice');
+    expect(getByTestId('team-indicator').props.children).toEqual(['Throwing for ', 'Alice & Bob']);
+
+    fireEvent.press(getByText('End Turn'));
+    expect(getByTestId('turn-indicator').props.children[0]).toBe('Cara');
+    fireEvent.press(getByText('End Turn'));
+
+    // Bob throws the team's second turn into the same column
+    expect(getByTestId('turn-indicator').props.children[0]).toBe('Bob');
+    fireEvent.press(getByTestId('cell-0-0'));
+
+    await waitFor(() => {
+      expect(AsyncStorage.setItem).toHaveBeenCalledWith('inProgressGames', expect.stringContaining('"member":1'));
+    });
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls.at(-1)[1]);
+    expect(savedGame.teams).toEqual(savedGameOverrides.teams);
+    expect(savedGame.history.at(-1)).toEqual(expect.objectContaining({ colIndex: 0, member: 1, rowIndex: 0 }));
+  });
+
+  test('scrolls the grid of an eight-player game sideways with the numbers pinned', async () => {
+    const players = ['Ann', 'Ben', 'Cat', 'Dev', 'Eve', 'Fay', 'Gus', 'Hal'];
+    savedGameOverrides = {
+      players,
+      grid: Array.from({ length: 7 }, () => players.map(() => ({ taps: 0 }))),
+      points: players.map(() => 0),
+    };
+    mockWindow = { width: 390, height: 844, scale: 3, fontScale: 1 };
+    const { getByTestId, getByText } = await renderGameScreen();
+
+    // The numbers are shown once, outside the scrolling columns
+    expect(within(getByTestId('number-column')).getByText('Bull')).toBeTruthy();
+    expect(within(getByTestId('player-columns')).queryByText('Bull')).toBeNull();
+    expect(within(getByTestId('player-columns')).getByText('Hal')).toBeTruthy();
+
+    // Every player's cells can still be scored once it is their turn
+    for (let turn = 0; turn < 7; turn++) fireEvent.press(getByText('End Turn'));
+    expect(getByTestId('turn-indicator').props.children[0]).toBe('Hal');
+    fireEvent.press(getByTestId('cell-0-7'));
+    expect(getByTestId('cell-0-7').props.accessibilityLabel).toBe('Hal, 20, one mark, open');
+  });
+
+  test('saves every dart to the game with the same ID', async () => {
+    const { getByTestId } = await renderGameScreen();
+
+    fireEvent.press(getByTestId('cell-0-0'));
+
+    await waitFor(() => {
+      expect(AsyncStorage.setItem).toHaveBeenCalledWith('inProgressGames', expect.any(String));
+    });
+    const savedGames = JSON.parse(AsyncStorage.setItem.mock.calls.at(-1)[1]);
+    expect(savedGames).toHaveLength(1);
+    expect(savedGames[0]).toEqual(expect.objectContaining({
+      id: 'game-test-1',
+      gameName: 'Test Game',
+      dartsThrown: 1,
+    }));
+    expect(savedGames[0].grid[0][0].taps).toBe(1);
+  });
+
+  test('shows and saves the numbers the game was started with', async () => {
+    savedGameOverrides = {
+      rows: ['12', '3', 'Bull'],
+      grid: [
+        [{ taps: 0 }, { taps: 0 }],
+        [{ taps: 2 }, { taps: 0 }],
+        [{ taps: 0 }, { taps: 0 }],
+      ],
+    };
+    const { getByTestId, getByText, queryByText } = await renderGameScreen();
+
+    expect(getByText('12')).toBeTruthy();
+    expect(getByText('3')).toBeTruthy();
+    expect(queryByText('20')).toBeNull();
+    expect(within(getByTestId('cell-1-0')).getByText('X')).toBeTruthy();
+
+    fireEvent.press(getByTestId('cell-1-0'));
+
+    await waitFor(() => {
+      expect(AsyncStorage.setItem).toHaveBeenCalledWith('inProgressGames', expect.any(String));
+    });
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls.at(-1)[1]);
+    expect(savedGame.rows).toEqual(['12', '3', 'Bull']);
+    expect(savedGame.grid[1][0].taps).toBe(3);
+  });
+
+  test('plays a computer player\'s turn automatically and ignores input meanwhile', async () => {
+    savedGameOverrides = { cpuLevels: [null, 'hard'] };
+    const { getByTestId, getByText, queryByText } = await renderGameScreen();
+    // Every roll hits the triple the computer aims at
+    const randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.useFakeTimers();
+
+    expect(queryByText('Computer is throwing...')).toBeNull();
+    fireEvent.press(getByText('End Turn'));
+    expect(getByTestId('turn-indicator').props.children[0]).toBe('Player 2');
+    expect(getByText('Computer is throwing...')).toBeTruthy();
+
+    // Taps during the computer's turn are ignored
+    fireEvent.press(getByText('Miss'));
+    fireEvent.press(getByTestId('cell-0-1'));
+    expect(getByTestId('dart-counter').props.children).toEqual(['Darts: ', 0, '/', 3]);
+
+    // The computer closes the 20, 19 and 18 with a triple each, one dart at a time
+    act(() => jest.advanceTimersByTime(CPU_DART_DELAY));
+    expect(within(getByTestId('cell-0-1')).getByText('Ⓧ')).toBeTruthy();
+    expect(getByTestId('dart-counter').props.children).toEqual(['Darts: ', 1, '/', 3]);
+    act(() => jest.advanceTimersByTime(CPU_DART_DELAY));
+    act(() => jest.advanceTimersByTime(CPU_DART_DELAY));
+
+    expect(within(getByTestId('cell-1-1')).getByText('Ⓧ')).toBeTruthy();
+    expect(within(getByTestId('cell-2-1')).getByText('Ⓧ')).toBeTruthy();
+    expect(getByTestId('turn-indicator').props.children[0]).toBe('Player 1');
+
+    // The computer's darts are saved in the history like a human's
+    await waitFor(() => {
+      const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls.at(-1)[1]);
+      expect(savedGame.cpuLevels).toEqual([null, 'hard']);
+      expect(savedGame.history.filter((move) => move.colIndex === 1)).toEqual([
+        expect.objectContaining({ rowIndex: 0, marks: 3, time: expect.any(String) }),
+        expect.objectContaining({ rowIndex: 1, marks: 3, time: expect.any(String) }),
+        expect.objectContaining({ rowIndex: 2, marks: 3, time: expect.any(String) }),
+      ]);
+    });
+
+    jest.useRealTimers();
+    randomSpy.mockRestore();
+  });
+
+  test('undoes a computer turn back to the human dart before it without throwing again', async () => {
+    savedGameOverrides = { cpuLevels: [null, 'hard'] };
+    const screen = await renderGameScreen();
+    const { getByTestId, getByText, queryByText } = screen;
+    const randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.useFakeTimers();
+
+    // Player 1 hits a 20 and ends the turn, then the computer throws three triples
+    tapCell(screen, 0, 0);
+    fireEvent.press(getByText('End Turn'));
+    for (let dart = 0; dart < 3; dart++) act(() => jest.advanceTimersByTime(CPU_DART_DELAY));
+    expect(within(getByTestId('cell-2-1')).getByText('Ⓧ')).toBeTruthy();
+
+    // Undo takes back the computer's turn and the end of Player 1's, keeping the 20 to undo next
+    fireEvent.press(getByText('Undo'));
+    expect(getByTestId('turn-indicator').props.children[0]).toBe('Player 1');
+    expect(getByTestId('dart-counter').props.children).toEqual(['Darts: ', 1, '/', 3]);
+    expect(within(getByTestId('cell-0-1')).queryByText('Ⓧ')).toBeNull();
+    fireEvent.press(getByText('Undo'));
+    expect(getByTestId('dart-counter').props.children).toEqual(['Darts: ', 0, '/', 3]);
+
+    // Redoing Player 1's dart and turn leaves the computer paused, so its darts are redone rather than thrown again
+    randomSpy.mockReturnValue(0.99); // A new dart would now miss
+    fireEvent.press(getByText('Redo'));
+    fireEvent.press(getByText('Redo'));
+    expect(getByTestId('turn-indicator').props.children[0]).toBe('Player 2');
+    for (let dart = 0; dart < 3; dart++) act(() => jest.advanceTimersByTime(CPU_DART_DELAY));
+    expect(getByTestId('dart-counter').props.children).toEqual(['Darts: ', 0, '/', 3]);
+    expect(getByText('Computer paused · Resume')).toBeTruthy();
+    expect(queryByText('Computer is throwing...')).toBeNull();
+
+    fireEvent.press(getByText('Redo'));
+    expect(within(getByTestId('cell-0-1')).getByText('Ⓧ')).toBeTruthy();
+
+    // Resuming lets the computer throw the rest of its turn
+    fireEvent.press(getByTestId('cpu-resume'));
+    act(() => jest.advanceTimersByTime(CPU_DART_DELAY));
+    expect(getByTestId('dart-counter').props.children).toEqual(['Darts: ', 2, '/', 3]);
+
+    jest.useRealTimers();
+    randomSpy.mockRestore();
+  });
+
+  test('shows a message when the game cannot be found', async () => {
+    AsyncStorage.getItem.mockImplementation(() => Promise.resolve(null));
+    const { findByText } = render(
+      <NavigationContainer>
+        <GameScreenPage />
+      </NavigationContainer>
+    );
+
+    expect(await findByText('Game not found')).toBeTruthy();
+  });
+
+  test('records doubles and triples entered on the dartboard panel', async () => {
+    const { getByTestId, getByText } = await renderGameScreen();
+
+    fireEvent.press(getByText('Dartboard'));
+
+    // The board is 400px wide in tests: a tap just above the centre in the triple ring is a triple 20
+    fireEvent.press(getByTestId('dartboard'), { nativeEvent: { locationX: 200, locationY: 126 } });
+    expect(getByTestId('last-dart').props.children).toBe('Triple 20');
+
+    // A tap in the middle of the board is the inner bull, worth two marks
+    fireEvent.press(getByTestId('dartboard'), { nativeEvent: { locationX: 200, locationY: 200 } });
+    expect(getByTestId('last-dart').props.children).toBe("Bull's-eye");
+
+    // A single 7 is not in play, so it only uses up the last dart of the turn
+    fireEvent.press(getByTestId('dartboard'), { nativeEvent: { locationX: 165, locationY: 249 } });
+    expect(getByTestId('last-dart').props.children).toBe('Single 7');
+
+    fireEvent.press(getByText('Done'));
+    expect(getByTestId('turn-indicator').props.children[0]).toBe('Player 2');
+    expect(getByText('Ⓧ')).toBeTruthy();
+    expect(getByText('X')).toBeTruthy();
+  });
+
+  test('plays feedback for each dart with the saved settings', async () => {
+    savedSettings = { haptics: false, sound: true };
+    const screen = await renderGameScreen();
+
+    tapCell(screen, 0, 0);
+
+    await waitFor(() => {
+      expect(playFeedback).toHaveBeenCalledWith(expect.objectContaining({ haptics: false, sound: true }), 'dart');
+    });
+  });
+
+  test('asks before resetting the board unless confirmation is turned off', async () => {
+    const alertSpy = jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+
+    // Confirmation is on by default
+    const confirmed = await renderGameScreen();
+    fireEvent.press(confirmed.getByText('Reset Board'));
+    expect(alertSpy).toHaveBeenCalledWith('Reset Board', expect.any(String), expect.any(Array));
+    confirmed.unmount();
+
+    // With it turned off the board is reset straight away
+    alertSpy.mockClear();
+    savedSettings = { confirmReset: false };
+    const screen = await renderGameScreen();
+    tapCell(screen, 0, 0);
+    AsyncStorage.setItem.mockClear();
+    fireEvent.press(screen.getByText('Reset Board'));
+    expect(alertSpy).not.toHaveBeenCalled();
+
+    // The cleared board is saved
+    await waitFor(() => expect(AsyncStorage.setItem).toHaveBeenCalledWith('inProgressGames', expect.any(String)));
+    const [resetGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(resetGame.history).toEqual([]);
+
+    alertSpy.mockRestore();
+  });
+
+  test('keeps the screen awake while the game is open when the setting is on', async () => {
+    savedSettings = { keepAwake: true };
+    const screen = await renderGameScreen();
+
+    await waitFor(() => expect(activateKeepAwakeAsync).toHaveBeenCalledWith('game-screen'));
+    screen.unmount();
+    expect(deactivateKeepAwake).toHaveBeenCalledWith('game-screen');
+  });
+
+  test('labels every grid cell and player for screen readers', async () => {
+    const screen = await renderGameScreen();
+
+    expect(screen.getByTestId('cell-2-1').props.accessibilityLabel).toBe('Player 2, 18, no marks, open');
+    expect(screen.getByTestId('player-0').props.accessibilityLabel).toBe('Player 1, 0 points, throwing');
+
+    tapCell(screen, 0, 0);
+    tapCell(screen, 0, 0);
+    expect(screen.getByTestId('cell-0-0').props.accessibilityLabel).toBe('Player 1, 20, two marks, open');
+
+    tapCell(screen, 0, 0);
+    expect(screen.getByTestId('cell-0-0').props.accessibilityLabel).toBe('Player 1, 20, three marks, closed');
+  });
+
+  test('announces closed numbers, turn changes and the winner', async () => {
+    const announceSpy = jest.spyOn(AccessibilityInfo, 'announceForAccessibility').mockImplementation(() => {});
+    const screen = await renderGameScreen();
+    announceSpy.mockClear();
+
+    // The third dart closes the 20 and passes the turn
+    tapCell(screen, 0, 0);
+    tapCell(screen, 0, 0);
+    expect(announceSpy).not.toHaveBeenCalled();
+    tapCell(screen, 0, 0);
+    expect(announceSpy).toHaveBeenLastCalledWith("Player 1 closed 20. Player 2's turn");
+
+    fireEvent.press(screen.getByText('End Turn'));
+    expect(announceSpy).toHaveBeenLastCalledWith("Player 1's turn");
+
+    // Closing the last number wins the game
+    for (let i = 1; i < 7; i++) {
+      tapCell(screen, i, 0);
+      tapCell(screen, i, 0);
+      tapCell(screen, i, 0);
+    }
+    expect(announceSpy).toHaveBeenLastCalledWith('Player 1 closed Bull. Player 1 wins');
+
+    announceSpy.mockRestore();
+  });
+
+  test('shares the scoreboard with viewers, who follow each dart', async () => {
+    const screen = await renderGameScreen();
+    fireEvent.press(screen.getByTestId('broadcast-toggle'));
+
+    // The header shows the address viewers join at
+    await waitFor(() => expect(screen.getByTestId('broadcast-address').props.children).toEqual(['Join at ', '192.168.1.20:8765']));
+
+    // A viewer joins the shared scoreboard
+    const states = [];
+    const statuses = [];
+    connectViewer('localhost', { onState: (state) => states.push(state), onStatusChange: (status) => statuses.push(status) });
+    await waitFor(() => expect(states).toHaveLength(1));
+    expect(states[0].gameName).toBe('Test Game');
+    await waitFor(() => expect(screen.getByText('Sharing · 1 viewer · Stop')).toBeTruthy());
+
+    tapCell(screen, 0, 0);
+    await waitFor(() => expect(states).toHaveLength(2));
+    expect(states[1].game.grid[0][0].taps).toBe(1);
+    expect(states[1].game.dartsThrown).toBe(1);
+
+    // Stopping sharing disconnects the viewer
+    fireEvent.press(screen.getByTestId('broadcast-toggle'));
+    await waitFor(() => expect(statuses).toContain('disconnected'));
+    expect(screen.getByText('Share Scoreboard')).toBeTruthy();
+    expect(screen.queryByTestId('broadcast-address')).toBeNull();
+  });
+
+  test('asks for Wi-Fi before sharing the scoreboard without a network', async () => {
+    require('../../utils/websocket-server').getHostAddress.mockResolvedValueOnce(null);
+    const alertSpy = jest.spyOn(Alert, 'alert');
+    const screen = await renderGameScreen();
+
+    fireEvent.press(screen.getByTestId('broadcast-toggle'));
+    await waitFor(() => expect(alertSpy).toHaveBeenCalledWith('No Network', expect.any(String)));
+    expect(screen.getByText('Share Scoreboard')).toBeTruthy();
+
+    alertSpy.mockRestore();
   });
-});
\ No newline at end of file
+});
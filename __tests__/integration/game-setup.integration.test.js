@@ -1,6 +1,8 @@
 import React from 'react';
 import { act, waitFor } from '@testing-library/react-native';
 import { render, fireEvent } from '@testing-library/react-native';
+import { Alert } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import GameSetupPage from '../../app/game-setup.js';
 
 // Mock navigation functions
@@ -16,6 +18,11 @@ jest.mock('expo-router', () => ({
     reset: mockReset,
     setOptions: jest.fn(),
   }),
+  // Mock useFocusEffect hook, running the callback once like a screen focus
+  useFocusEffect: (callback) => {
+    const { useEffect } = require('react');
+    useEffect(() => callback(), [callback]);
+  },
   Link: ({ children }) => children,
 }));
 
@@ -44,6 +51,7 @@ describe('GameSetup Component', () => {
   // Clear all mocks before each test
   beforeEach(() => {
     jest.clearAllMocks();
+    AsyncStorage.getItem.mockImplementation(() => Promise.resolve(null));
   });
 
   test('navigates to GameScreen with correct data when "Start Game" is pressed', async () => {
@@ -72,15 +80,53 @@ describe('GameSetup Component', () => {
       fireEvent.press(getByText('Start Game'));
     });
     
-    // Assert that navigation occurred with correct parameters
+    // Assert that the new game was saved with an ID and opened by that ID
+    const [key, value] = AsyncStorage.setItem.mock.calls[0];
+    const [savedGame] = JSON.parse(value);
+    expect(key).toBe('inProgressGames');
+    expect(savedGame).toEqual(expect.objectContaining({
+      id: expect.any(String),
+      gameName: 'Epic Dart Game',
+      players: ['Alice', 'Bob'],
+      history: [],
+      gameMode: 'standard',
+      startedAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/), // ISO 8601, formatted only when shown
+      endedAt: null,
+    }));
     expect(mockPush).toHaveBeenCalledWith({
       pathname: '/game-screen',
-      params: expect.objectContaining({
-        gameName: 'Epic Dart Game',
-        players: JSON.stringify(['Alice', 'Bob']),
-        grid: expect.any(String),
-        history: JSON.stringify([]),
-      }),
+      params: { gameId: savedGame.id },
+    });
+  });
+
+  test('passes the cut-throat game mode to GameScreen when selected', async () => {
+    // Render the GameSetupPage component
+    const { getByTestId, getByText, queryByText } = render(<GameSetupPage />);
+
+    // Wait for the loading state to disappear
+    await waitFor(() => {
+      const loadingText = queryByText('Loading...');
+      if (loadingText) {
+        throw new Error('Still loading');
+      }
+    }, { timeout: 5000 }).catch(() => {
+      console.warn('Loading state did not disappear within 5 seconds');
+    });
+
+    // Select the cut-throat mode and start the game
+    await act(async () => {
+      fireEvent.press(getByTestId('mode-cutthroat'));
+    });
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    // Assert that the selected mode was saved with the game
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.gameMode).toBe('cutthroat');
+    expect(mockPush).toHaveBeenCalledWith({
+      pathname: '/game-screen',
+      params: { gameId: savedGame.id },
     });
   });
 
@@ -109,4 +155,355 @@ describe('GameSetup Component', () => {
       routes: [{ name: 'index' }],
     });
   });
-});
\ No newline at end of file
+
+  test('adds saved players from the roster and links them to the game', async () => {
+    // Two saved player profiles
+    AsyncStorage.getItem.mockImplementation((key) => Promise.resolve(key === 'players'
+      ? JSON.stringify([
+        { id: 'player-a', name: 'Alice Smith', nickname: 'Ace', color: '#FF6347' },
+        { id: 'player-b', name: 'Bob', nickname: '', color: '#6495ED' },
+      ])
+      : null));
+    const { findByTestId, getByDisplayValue, getByText } = render(<GameSetupPage />);
+
+    // Picking Alice fills in the first default player; typing Bob's name matches his profile
+    fireEvent.press(await findByTestId('roster-player-a', {}, { timeout: 5000 }));
+    expect(getByDisplayValue('Ace')).toBeTruthy();
+    fireEvent.changeText(getByDisplayValue('Player 2'), 'bob');
+
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.players).toEqual(['Ace', 'bob']);
+    expect(savedGame.playerIds).toEqual(['player-a', 'player-b']);
+  });
+
+  test('keeps players without a saved profile as guests', async () => {
+    const { findByText } = render(<GameSetupPage />);
+    const startButton = await findByText('Start Game', {}, { timeout: 5000 });
+
+    await act(async () => {
+      fireEvent.press(startButton);
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.playerIds).toEqual([null, null]);
+  });
+
+  test('starts the first leg of a best-of match played in sets', async () => {
+    const { findByTestId, getByTestId, getByText, queryByTestId } = render(<GameSetupPage />);
+
+    // Sets are only offered once the game is a match
+    expect(queryByTestId('sets-3')).toBeNull();
+    fireEvent.press(await findByTestId('legs-5', {}, { timeout: 5000 }));
+    fireEvent.press(getByTestId('sets-3'));
+
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.firstPlayer).toBe(0);
+    expect(savedGame.match).toEqual({
+      id: expect.any(String),
+      bestOfLegs: 5,
+      bestOfSets: 3,
+      legWins: [0, 0],
+      setWins: [0, 0],
+      legsPlayed: 0,
+      winnerIndex: null,
+    });
+  });
+
+  test('saves single games without a match', async () => {
+    const { findByText } = render(<GameSetupPage />);
+    const startButton = await findByText('Start Game', {}, { timeout: 5000 });
+
+    await act(async () => {
+      fireEvent.press(startButton);
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.match).toBeNull();
+  });
+
+  test('saves the chosen numbers with the game', async () => {
+    const { findByTestId, getByTestId, getByText } = render(<GameSetupPage />);
+
+    fireEvent.press(await findByTestId('numbers-extended', {}, { timeout: 5000 }));
+    fireEvent.press(getByTestId('include-bull'));
+
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.rows).toEqual(['20', '19', '18', '17', '16', '15', '14', '13', '12', '11', '10']);
+    expect(savedGame.grid).toHaveLength(11);
+  });
+
+  test('plays a custom list of numbers and rejects invalid lists', async () => {
+    const alertSpy = jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    const { findByTestId, getByPlaceholderText, getByText } = render(<GameSetupPage />);
+
+    fireEvent.press(await findByTestId('numbers-custom', {}, { timeout: 5000 }));
+    fireEvent.changeText(getByPlaceholderText('e.g. 20, 19, 18, 17, Bull'), '20, 30');
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    expect(alertSpy).toHaveBeenCalledWith('Invalid Numbers', expect.any(String));
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+
+    fireEvent.changeText(getByPlaceholderText('e.g. 20, 19, 18, 17, Bull'), 'bull, 3, 12');
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.rows).toEqual(['12', '3', 'Bull']);
+    alertSpy.mockRestore();
+  });
+
+  test('adds a computer player with a chosen skill level', async () => {
+    const { findByText, getByDisplayValue, getByTestId, getByText } = render(<GameSetupPage />);
+
+    // The computer takes the place of the default second player
+    fireEvent.press(await findByText('Add Computer', {}, { timeout: 5000 }));
+    expect(getByDisplayValue('Computer 1')).toBeTruthy();
+    fireEvent.press(getByTestId('cpu-level-1-hard'));
+
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.players).toEqual(['Player 1', 'Computer 1']);
+    expect(savedGame.cpuLevels).toEqual([null, 'hard']);
+    expect(savedGame.playerIds).toEqual([null, null]);
+  });
+
+  test('adds up to eight players', async () => {
+    const alertSpy = jest.spyOn(Alert, 'alert');
+    const { findByText, getByDisplayValue, getByText } = render(<GameSetupPage />);
+
+    fireEvent.press(await findByText('Add Player', {}, { timeout: 5000 }));
+    for (let count = 3; count < 8; count++) fireEvent.press(getByText('Add Player'));
+    expect(getByDisplayValue('Player 8')).toBeTruthy();
+
+    fireEvent.press(getByText('Add Player'));
+    expect(alertSpy).toHaveBeenCalledWith('Player Limit Reached', 'You can only add up to 8 players.');
+
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.players).toHaveLength(8);
+    expect(savedGame.grid[0]).toHaveLength(8);
+    alertSpy.mockRestore();
+  });
+
+  test('starts a team game with each team sharing a column', async () => {
+    const { findByText, getByDisplayValue, getByTestId, getByText } = render(<GameSetupPage />);
+
+    fireEvent.press(await findByText('Add Player', {}, { timeout: 5000 }));
+    fireEvent.press(getByText('Add Player'));
+    ['Alice', 'Bob', 'Cara', 'Dan'].forEach((name, index) => {
+      fireEvent.changeText(getByDisplayValue(`Player ${index + 1}`), name);
+    });
+    fireEvent.press(getByTestId('format-teams'));
+    // Players alternate between the teams; Bob and Cara swap to make Alice & Bob against Cara & Dan
+    fireEvent.press(getByTestId('team-1-0'));
+    fireEvent.press(getByTestId('team-2-1'));
+
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.players).toEqual(['Alice & Bob', 'Cara & Dan']);
+    expect(savedGame.teams).toEqual([
+      { members: ['Alice', 'Bob'], memberIds: [null, null] },
+      { members: ['Cara', 'Dan'], memberIds: [null, null] },
+    ]);
+    expect(savedGame.grid[0]).toHaveLength(2);
+    expect(savedGame.playerIds).toEqual([null, null]);
+  });
+
+  test('moves players into the remaining teams when players are removed', async () => {
+    const { findByText, getAllByText, getByTestId, getByText } = render(<GameSetupPage />);
+
+    // Six players make three teams; Player 5 and Player 6 make the third
+    fireEvent.press(await findByText('Add Player', {}, { timeout: 5000 }));
+    [3, 4, 5].forEach(() => fireEvent.press(getByText('Add Player')));
+    fireEvent.press(getByTestId('format-teams'));
+    fireEvent.press(getByTestId('team-4-2'));
+    fireEvent.press(getByTestId('team-5-2'));
+
+    // Five players make two teams, so the third team's players join the smaller ones
+    fireEvent.press(getAllByText('Remove')[0]);
+    expect(() => getByTestId('team-0-2')).toThrow();
+
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.teams.map((team) => team.members)).toEqual([
+      ['Player 3', 'Player 5', 'Player 6'],
+      ['Player 2', 'Player 4'],
+    ]);
+  });
+
+  test('needs two teams and keeps computer players out of team games', async () => {
+    const alertSpy = jest.spyOn(Alert, 'alert');
+    const { findByText, getAllByText, getByTestId, getByText } = render(<GameSetupPage />);
+
+    // The computer takes the place of a third player
+    fireEvent.press(await findByText('Add Player', {}, { timeout: 5000 }));
+    fireEvent.press(getByText('Add Computer'));
+    fireEvent.press(getByTestId('format-teams'));
+    expect(alertSpy).toHaveBeenCalledWith('Teams', 'Computer players can only play in singles games.');
+    expect(() => getByTestId('team-0-0')).toThrow();
+
+    fireEvent.press(getAllByText('Remove')[2]);
+    fireEvent.press(getByTestId('format-teams'));
+    fireEvent.press(getByTestId('team-1-0'));
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    expect(alertSpy).toHaveBeenCalledWith('Invalid Teams', 'Put the players in at least two different teams.');
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    alertSpy.mockRestore();
+  });
+
+  test('saves the handicaps given to players with the game', async () => {
+    const { findByTestId, getByTestId, getByText } = render(<GameSetupPage />);
+
+    fireEvent.press(await findByTestId('handicaps-toggle', {}, { timeout: 5000 }));
+    // Player 1 gets a head start on the 20 and the Bull, Player 2 starts on 40 points
+    fireEvent.press(getByTestId('handicap-0-marks'));
+    fireEvent.press(getByTestId('handicap-0-row-20'));
+    fireEvent.press(getByTestId('handicap-0-row-Bull'));
+    fireEvent.press(getByTestId('handicap-1-points'));
+    fireEvent.press(getByTestId('handicap-1-points-40'));
+
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.handicaps).toEqual([
+      { marks: ['20', 'Bull'], points: 0, marksToClose: 3 },
+      { marks: [], points: 40, marksToClose: 3 },
+    ]);
+    expect(savedGame.grid[0]).toEqual([{ taps: 1 }, { taps: 0 }]);
+    expect(savedGame.points).toEqual([0, 40]);
+  });
+
+  test('offers head starts only on the Hidden/Random numbers that will be played', async () => {
+    // The draw takes the lowest number left each time: 1 to 6
+    const randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0);
+    const { findByTestId, getByTestId, queryByTestId, getByText } = render(<GameSetupPage />);
+
+    fireEvent.press(await findByTestId('handicaps-toggle', {}, { timeout: 5000 }));
+    fireEvent.press(getByTestId('numbers-random'));
+    fireEvent.press(getByTestId('handicap-0-marks'));
+    expect(queryByTestId('handicap-0-row-20')).toBeNull();
+    fireEvent.press(getByTestId('handicap-0-row-6'));
+
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+    randomSpy.mockRestore();
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.rows).toEqual(['6', '5', '4', '3', '2', '1', 'Bull']);
+    expect(savedGame.handicaps[0]).toEqual({ marks: ['6'], points: 0, marksToClose: 3 });
+  });
+
+  test('saves games without handicaps when none are chosen', async () => {
+    const { findByTestId, getByTestId, getByText } = render(<GameSetupPage />);
+
+    fireEvent.press(await findByTestId('handicaps-toggle', {}, { timeout: 5000 }));
+    fireEvent.press(getByTestId('handicap-0-close'));
+    // Turning handicaps back off drops the choice
+    fireEvent.press(getByTestId('handicaps-toggle'));
+
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.handicaps).toBeNull();
+  });
+
+  test('saves a round limit and its tiebreak with the game', async () => {
+    const { findByTestId, getByTestId, queryByTestId, getByText } = render(<GameSetupPage />);
+
+    // The tiebreak is only offered once the game has a round limit
+    expect(await findByTestId('rounds-none', {}, { timeout: 5000 })).toBeTruthy();
+    expect(queryByTestId('tiebreak-bulloff')).toBeNull();
+    fireEvent.press(getByTestId('rounds-20'));
+    fireEvent.press(getByTestId('tiebreak-extra-rounds'));
+
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.roundLimit).toEqual({ maxRounds: 20, tiebreak: 'extra-rounds' });
+  });
+
+  test('saves games without a round limit by default', async () => {
+    const { findByText, getByText } = render(<GameSetupPage />);
+    await findByText('Start Game', {}, { timeout: 5000 });
+
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.roundLimit).toBeNull();
+  });
+
+  test('starts with the default game mode and number of players from the settings', async () => {
+    // Saved settings for cut-throat games with three players
+    AsyncStorage.getItem.mockImplementation((key) =>
+      Promise.resolve(key === 'settings' ? JSON.stringify({ defaultGameMode: 'cutthroat', defaultPlayerCount: 3 }) : null)
+    );
+    const { findByDisplayValue, getByText } = render(<GameSetupPage />);
+    expect(await findByDisplayValue('Player 3', {}, { timeout: 5000 })).toBeTruthy();
+
+    await act(async () => {
+      fireEvent.press(getByText('Start Game'));
+    });
+
+    // The game is saved with the defaults
+    const [savedGame] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+    expect(savedGame.gameMode).toBe('cutthroat');
+    expect(savedGame.players).toEqual(['Player 1', 'Player 2', 'Player 3']);
+  });
+
+  test('keeps the form hidden until the default settings have loaded', async () => {
+    let resolveSettings;
+    AsyncStorage.getItem.mockImplementation((key) =>
+      key === 'settings' ? new Promise((resolve) => { resolveSettings = resolve; }) : Promise.resolve(null)
+    );
+    const { queryByText, queryByDisplayValue, findByDisplayValue } = render(<GameSetupPage />);
+
+    // The assets are ready, but the settings are still loading
+    await act(() => new Promise((resolve) => setTimeout(resolve, 1100)));
+    expect(queryByText('Loading...')).toBeTruthy();
+    expect(queryByDisplayValue('Player 1')).toBeNull();
+
+    await act(async () => {
+      resolveSettings(JSON.stringify({ defaultPlayerCount: 3 }));
+    });
+    expect(await findByDisplayValue('Player 3')).toBeTruthy();
+  });
+});
@@ -24,10 +24,6 @@ jest.mock('expo-router', () => {
         <MockText>{children}</MockText>
       </MockTouchableOpacity>
     ),
-    // Mock useNavigation hook
-    useNavigation: () => ({
-      setOptions: jest.fn(),
-    }),
     __esModule: true,
     default: {
       mockNavigate,
@@ -35,6 +31,12 @@ jest.mock('expo-router', () => {
   };
 });
 
+// Mock AsyncStorage, which the theme is loaded from
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve(null)),
+  setItem: jest.fn(),
+}));
+
 // Mock react-native Image component
 jest.mock('react-native/Libraries/Image/Image', () => 'Image');
 
@@ -79,5 +81,17 @@ describe('Home Component', () => {
     // Test navigation to About page
     fireEvent.press(getByText('About'));
     expect(mockNavigate).toHaveBeenCalledWith('/about');
+
+    // Test navigation to Players page
+    fireEvent.press(getByText('Players'));
+    expect(mockNavigate).toHaveBeenCalledWith('/players');
+
+    // Test navigation to Statistics page
+    fireEvent.press(getByText('Statistics'));
+    expect(mockNavigate).toHaveBeenCalledWith('/statistics');
+
+    // Test navigation to Settings page
+    fireEvent.press(getByText('Settings'));
+    expect(mockNavigate).toHaveBeenCalledWith('/settings');
   });
 });
\ No newline at end of file
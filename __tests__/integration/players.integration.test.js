@@ -0,0 +1,85 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import PlayersPage from '../../app/players.js';
+
+// Mock the navigation used for styling the header
+jest.mock('expo-router', () => ({
+  useNavigation: () => ({
+    setOptions: jest.fn(),
+  }),
+}));
+
+// Mock AsyncStorage with an in-memory store
+let mockStore = {};
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStore[key] ?? null)),
+  setItem: jest.fn((key, value) => {
+    mockStore[key] = value;
+    return Promise.resolve();
+  }),
+}));
+
+const savedPlayers = () => JSON.parse(mockStore.players);
+
+describe('PlayersPage', () => {
+  beforeEach(() => {
+    mockStore = {};
+    jest.clearAllMocks();
+  });
+
+  it('adds a player with a nickname and color', async () => {
+    const { getByPlaceholderText, getByText, getByTestId, findByText } = render(<PlayersPage />);
+
+    fireEvent.changeText(getByPlaceholderText('Name'), 'Alice Smith');
+    fireEvent.changeText(getByPlaceholderText('Nickname (optional)'), 'Ace');
+    fireEvent.press(getByTestId('color-#32CD32'));
+    fireEvent.press(getByText('Add Player'));
+
+    expect(await findByText('Alice Smith')).toBeTruthy();
+    expect(getByText('"Ace"')).toBeTruthy();
+    expect(savedPlayers()).toEqual([
+      { id: expect.any(String), name: 'Alice Smith', nickname: 'Ace', color: '#32CD32' },
+    ]);
+  });
+
+  it('edits a saved player and rejects names that are already taken', async () => {
+    mockStore.players = JSON.stringify([
+      { id: 'player-a', name: 'Alice', nickname: '', color: '#FF6347' },
+      { id: 'player-b', name: 'Bob', nickname: '', color: '#6495ED' },
+    ]);
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    const { findAllByText, getByDisplayValue, getByText } = render(<PlayersPage />);
+
+    // Edit Bob and try to rename him to an existing player
+    const editButtons = await findAllByText('Edit');
+    fireEvent.press(editButtons[1]);
+    fireEvent.changeText(getByDisplayValue('Bob'), 'alice');
+    fireEvent.press(getByText('Save Changes'));
+    expect(Alert.alert).toHaveBeenCalledWith('Player Exists', 'alice is already saved.');
+
+    fireEvent.changeText(getByDisplayValue('alice'), 'Robert');
+    fireEvent.press(getByText('Save Changes'));
+
+    await waitFor(() => {
+      expect(savedPlayers().map((player) => player.name)).toEqual(['Alice', 'Robert']);
+    });
+    expect(savedPlayers()[1].id).toBe('player-b');
+    Alert.alert.mockRestore();
+  });
+
+  it('deletes a player after confirmation', async () => {
+    mockStore.players = JSON.stringify([{ id: 'player-a', name: 'Alice', nickname: '', color: '#FF6347' }]);
+    jest.spyOn(Alert, 'alert').mockImplementation((title, message, buttons) => {
+      buttons.find((button) => button.text === 'Delete').onPress();
+    });
+    const { findByText } = render(<PlayersPage />);
+
+    fireEvent.press(await findByText('Delete'));
+
+    expect(await findByText('No saved players yet.')).toBeTruthy();
+    expect(savedPlayers()).toEqual([]);
+    Alert.alert.mockRestore();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+import React from 'react';
+import { render, fireEvent, waitFor, act } from '@testing-library/react-native';
+import ScoreboardViewerPage from '../../app/scoreboard-viewer.js';
+import { createBroadcastHost, createLocalServer, getBroadcastState } from '../../utils/broadcast';
+import { createGame, applyThrow, endTurn } from '../../utils/cricket-engine';
+
+// Mock AsyncStorage, which the theme is loaded from
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve(null)),
+  setItem: jest.fn(),
+}));
+
+// Joins the scoreboard hosted on this device from the viewer page
+const joinScoreboard = async (screen) => {
+  fireEvent.changeText(screen.getByTestId('host-address'), 'localhost');
+  fireEvent.press(screen.getByText('Join'));
+  await screen.findByTestId('viewer-turn-indicator');
+  return screen;
+};
+
+describe('ScoreboardViewerPage Integration Tests', () => {
+  let host;
+  let game;
+
+  // Host a game on an in-process server, standing in for the Game Screen's WebSocket server
+  beforeEach(() => {
+    host = createBroadcastHost(createLocalServer());
+    game = createGame({ players: ['Alice', 'Bob'] });
+    host.publish(getBroadcastState(game, { gameName: 'Friday Night', match: null }));
+  });
+
+  // Stop hosting, letting the viewer see the connection close
+  afterEach(async () => {
+    await act(async () => {
+      host.close();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    });
+  });
+
+  test('mirrors the hosted scoreboard and follows each move', async () => {
+    const screen = await joinScoreboard(render(<ScoreboardViewerPage />));
+
+    expect(screen.getByText('Friday Night')).toBeTruthy();
+    expect(screen.getByTestId('viewer-turn-indicator').props.children).toBe("Alice's turn");
+
+    // The host throws a dart and ends the turn
+    game = endTurn(applyThrow(game, { rowIndex: 0, time: 't1' }), 't2');
+    act(() => host.publish(getBroadcastState(game, { gameName: 'Friday Night', match: null })));
+
+    await waitFor(() => expect(screen.getByTestId('viewer-turn-indicator').props.children).toBe("Bob's turn"));
+    expect(screen.getByText('/')).toBeTruthy();
+  });
+
+  test('does not let viewers change the game', async () => {
+    const screen = await joinScoreboard(render(<ScoreboardViewerPage />));
+
+    const cell = screen.getByTestId('cell-0-0');
+    expect(cell.props.accessibilityRole).toBe('text');
+    fireEvent.press(cell);
+    expect(screen.queryByText('/')).toBeNull();
+    expect(screen.queryByText('Undo')).toBeNull();
+  });
+
+  test('names the winner once the host has won the game', async () => {
+    game = createGame({ players: ['Alice', 'Bob'] });
+    // Alice closes a number each turn while Bob passes
+    game.rows.forEach((row, rowIndex) => {
+      if (rowIndex > 0) game = endTurn(game, 't');
+      for (let dart = 0; dart < 3; dart++) game = applyThrow(game, { rowIndex, time: 't' });
+    });
+    host.publish(getBroadcastState(game, { gameName: 'Friday Night', match: null }));
+
+    const screen = await joinScoreboard(render(<ScoreboardViewerPage />));
+    expect(screen.getByTestId('viewer-turn-indicator').props.children).toBe('Alice wins!');
+  });
+
+  test('shows when the host stops sharing, and leaves the scoreboard', async () => {
+    const screen = await joinScoreboard(render(<ScoreboardViewerPage />));
+
+    act(() => host.close());
+    await waitFor(() => expect(screen.getByTestId('viewer-status').props.children).toBe('Disconnected from the scoreboard'));
+
+    fireEvent.press(screen.getByText('Leave'));
+    expect(screen.getByTestId('host-address')).toBeTruthy();
+  });
+});
\ No newline at end of file
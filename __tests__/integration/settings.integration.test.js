@@ -0,0 +1,48 @@
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import SettingsPage from '../../app/settings.js';
+
+// Mock AsyncStorage with an in-memory store
+let mockStore = {};
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStore[key] ?? null)),
+  setItem: jest.fn((key, value) => {
+    mockStore[key] = value;
+    return Promise.resolve();
+  }),
+}));
+
+const savedSettings = () => JSON.parse(mockStore.settings);
+
+describe('SettingsPage', () => {
+  beforeEach(() => {
+    mockStore = {};
+  });
+
+  it('shows the saved settings', async () => {
+    mockStore.settings = JSON.stringify({ sound: false, keepAwake: true, defaultPlayerCount: 3 });
+
+    const { getByTestId, findByTestId } = render(<SettingsPage />);
+
+    expect((await findByTestId('toggle-sound')).props.value).toBe(false);
+    expect(getByTestId('toggle-keepAwake').props.value).toBe(true);
+    expect(getByTestId('toggle-haptics').props.value).toBe(true);
+  });
+
+  it('saves each change straight away', async () => {
+    const { getByTestId, findByTestId } = render(<SettingsPage />);
+
+    fireEvent.press(await findByTestId('defaultGameMode-cutthroat'));
+    await waitFor(() => expect(savedSettings().defaultGameMode).toBe('cutthroat'));
+
+    fireEvent.press(getByTestId('defaultPlayerCount-4'));
+    fireEvent(getByTestId('toggle-confirmReset'), 'valueChange', false);
+    fireEvent.press(getByTestId('theme-dark'));
+
+    await waitFor(() =>
+      expect(savedSettings()).toEqual(
+        expect.objectContaining({ defaultGameMode: 'cutthroat', defaultPlayerCount: 4, confirmReset: false, theme: 'dark' })
+      )
+    );
+  });
+});
\ No newline at end of file
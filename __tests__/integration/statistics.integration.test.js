@@ -0,0 +1,78 @@
+import React from 'react';
+import { render, within } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import StatisticsPage from '../../app/statistics.js';
+
+// Mock the navigation used for styling the header
+jest.mock('expo-router', () => ({
+  useNavigation: () => ({
+    setOptions: jest.fn(),
+  }),
+}));
+
+// Mock AsyncStorage
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(),
+  setItem: jest.fn(),
+}));
+
+// A completed game where Alice closed the 20 with a triple and won
+const completedGame = {
+  id: 'game-1',
+  schemaVersion: 3,
+  gameName: 'Friday Night',
+  players: ['Alice', 'Bob'],
+  playerIds: ['player-a', null],
+  grid: [[{ taps: 3 }, { taps: 0 }]],
+  rows: ['20'],
+  history: [
+    { rowIndex: 0, colIndex: 0, marks: 3 },
+    { rowIndex: null, colIndex: 0 },
+    { rowIndex: null, colIndex: 0 },
+  ],
+  points: [0, 0],
+  gameMode: 'standard',
+  currentPlayer: 0,
+  dartsThrown: 0,
+  winner: 'Alice',
+  winnerIndex: 0,
+};
+
+describe('StatisticsPage', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('shows statistics for each player from the completed games', async () => {
+    AsyncStorage.getItem.mockImplementation((key) => {
+      if (key === 'completedGames') return Promise.resolve(JSON.stringify([completedGame]));
+      if (key === 'players') {
+        return Promise.resolve(JSON.stringify([{ id: 'player-a', name: 'Alice', nickname: '', color: '#FF6347' }]));
+      }
+      return Promise.resolve(null);
+    });
+
+    const { findByTestId, getByTestId } = render(<StatisticsPage />);
+
+    // Alice won in one round with three marks from three darts
+    const alice = within(await findByTestId('stats-player-a'));
+    expect(alice.getByText('Alice')).toBeTruthy();
+    expect(alice.getAllByText('100%')).toHaveLength(2); // Win rate and the 20 closed in every game
+    expect(alice.getByText('3.00')).toBeTruthy();
+    expect(alice.getByText('1 rds')).toBeTruthy();
+
+    // Bob is a guest who lost without throwing a dart
+    const bob = within(getByTestId('stats-guest:bob'));
+    expect(bob.getByText('Bob')).toBeTruthy();
+    expect(bob.getAllByText('0%')).toHaveLength(8); // Win rate and all seven numbers
+    expect(bob.getAllByText('–')).toHaveLength(2); // No MPR and no wins
+  });
+
+  it('shows a message when no games have been completed', async () => {
+    AsyncStorage.getItem.mockImplementation(() => Promise.resolve(null));
+
+    const { findByText } = render(<StatisticsPage />);
+
+    expect(await findByText('Finish a game to see statistics.')).toBeTruthy();
+  });
+});
\ No newline at end of file
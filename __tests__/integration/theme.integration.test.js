@@ -0,0 +1,78 @@
+import React from 'react';
+import { Text, ScrollView } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import ThemeProvider, { useTheme } from '../../components/theme-provider.js';
+import SettingsPage from '../../app/settings.js';
+import { PALETTES } from '../../utils/theme.js';
+
+// Mock the device appearance, which can be changed per test
+let mockColorScheme = 'light';
+jest.mock('react-native/Libraries/Utilities/useColorScheme', () => ({
+  __esModule: true,
+  default: () => mockColorScheme,
+}));
+
+// Mock AsyncStorage with an in-memory store
+let mockStore = {};
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStore[key] ?? null)),
+  setItem: jest.fn((key, value) => {
+    mockStore[key] = value;
+    return Promise.resolve();
+  }),
+}));
+
+// Shows the name of the active theme
+function ThemeName() {
+  const { name } = useTheme();
+  return <Text testID="theme-name">{name}</Text>;
+}
+
+describe('ThemeProvider', () => {
+  beforeEach(() => {
+    mockStore = {};
+    mockColorScheme = 'light';
+  });
+
+  it('follows the device appearance by default', async () => {
+    mockColorScheme = 'dark';
+
+    const { getByTestId } = render(
+      <ThemeProvider>
+        <ThemeName />
+      </ThemeProvider>
+    );
+
+    await waitFor(() => expect(getByTestId('theme-name').props.children).toBe('dark'));
+  });
+
+  it('uses the theme saved in the settings', async () => {
+    mockColorScheme = 'dark';
+    mockStore.settings = JSON.stringify({ theme: 'high-contrast' });
+
+    const { getByTestId } = render(
+      <ThemeProvider>
+        <ThemeName />
+      </ThemeProvider>
+    );
+
+    await waitFor(() => expect(getByTestId('theme-name').props.children).toBe('high-contrast'));
+  });
+
+  it('restyles the app as soon as a theme is chosen in the settings', async () => {
+    const { getByTestId, findByTestId, UNSAFE_getByType } = render(
+      <ThemeProvider>
+        <ThemeName />
+        <SettingsPage />
+      </ThemeProvider>
+    );
+
+    fireEvent.press(await findByTestId('theme-dark'));
+
+    expect(getByTestId('theme-name').props.children).toBe('dark');
+    // The settings page itself is drawn with the dark palette
+    expect(UNSAFE_getByType(ScrollView).props.style).toEqual(
+      expect.objectContaining({ backgroundColor: PALETTES.dark.screens.settings })
+    );
+  });
+});
\ No newline at end of file
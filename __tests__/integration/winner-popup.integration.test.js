@@ -1,17 +1,18 @@
 import React from 'react';
-import { render, fireEvent } from '@testing-library/react-native';
+import { render, fireEvent, waitFor, act } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import WinnerPopupPage from '../../app/winner-popup.js';
+import * as gamesRepository from '../../utils/games-repository';
 
 // Create a mock function for the navigation reset
 const mockReset = jest.fn();
+// Parameters passed to the popup; tests for matches add the completed game's ID
+let mockParams = {};
 
 // Mock the expo-router module
 jest.mock('expo-router', () => ({
   // Mock useLocalSearchParams to return test data
-  useLocalSearchParams: () => ({
-    playerName: 'Test Player',
-    date: '2023-05-20',
-  }),
+  useLocalSearchParams: () => mockParams,
   // Mock useNavigation to return mock functions
   useNavigation: () => ({
     setOptions: jest.fn(),
@@ -22,10 +23,56 @@ jest.mock('expo-router', () => ({
 // Mock the Image component from react-native
 jest.mock('react-native/Libraries/Image/Image', () => 'Image');
 
+// Mock AsyncStorage with an in-memory store
+let mockStore = {};
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStore[key] ?? null)),
+  setItem: jest.fn((key, value) => {
+    mockStore[key] = value;
+    return Promise.resolve();
+  }),
+}));
+
+// Mock the vibration and sound feedback, which needs a device
+jest.mock('../../utils/feedback', () => ({
+  playFeedback: jest.fn(),
+}));
+
+// A completed leg of a best of 3 legs match, storing the match score after the leg
+const createCompletedLeg = (match) => ({
+  id: 'game-leg-1',
+  schemaVersion: 4,
+  gameName: 'Friday Match',
+  players: ['Alice', 'Bob'],
+  playerIds: ['player-a', null],
+  grid: [],
+  history: [],
+  points: [0, 0],
+  gameMode: 'standard',
+  firstPlayer: 0,
+  currentPlayer: 0,
+  dartsThrown: 0,
+  winner: 'Alice',
+  winnerIndex: 0,
+  match: {
+    id: 'match-1',
+    bestOfLegs: 3,
+    bestOfSets: 1,
+    legWins: [1, 0],
+    setWins: [0, 0],
+    legsPlayed: 1,
+    winnerIndex: null,
+    ...match,
+  },
+});
+
 describe('WinnerPopupPage', () => {
   // Clear mock function before each test
   beforeEach(() => {
     mockReset.mockClear();
+    AsyncStorage.setItem.mockClear();
+    mockParams = { playerName: 'Test Player' };
+    mockStore = {};
   });
 
   it('renders correctly', () => {
@@ -34,7 +81,6 @@ describe('WinnerPopupPage', () => {
     // Check if all expected text elements are present
     expect(getByText('WINNER!')).toBeTruthy();
     expect(getByText('Player: Test Player')).toBeTruthy();
-    expect(getByText('Date: 2023-05-20')).toBeTruthy();
     expect(getByText('Main Menu')).toBeTruthy();
     expect(getByText('New Game')).toBeTruthy();
   });
@@ -66,4 +112,67 @@ describe('WinnerPopupPage', () => {
       routes: [{ name: 'game-setup' }],
     });
   });
-});
\ No newline at end of file
+
+  it('shows the match score and starts the next leg with the other player throwing first', async () => {
+    mockParams = { playerName: 'Alice', gameId: 'game-leg-1' };
+    mockStore.completedGames = JSON.stringify([createCompletedLeg()]);
+
+    const { findByText, getByTestId, getByText } = render(<WinnerPopupPage />);
+
+    expect(await findByText('LEG WINNER!')).toBeTruthy();
+    expect(getByText('Best of 3 legs')).toBeTruthy();
+    expect(getByTestId('match-score').props.children).toBe('Legs 1–0');
+
+    fireEvent.press(getByText('Next Leg'));
+
+    // The next leg is saved with the same players and match, and opened on the game screen
+    await waitFor(() => expect(mockReset).toHaveBeenCalled());
+    const [nextLeg] = JSON.parse(mockStore.inProgressGames);
+    expect(nextLeg).toEqual(expect.objectContaining({
+      gameName: 'Friday Match',
+      players: ['Alice', 'Bob'],
+      playerIds: ['player-a', null],
+      firstPlayer: 1,
+      currentPlayer: 1,
+      match: expect.objectContaining({ id: 'match-1', legWins: [1, 0] }),
+    }));
+    expect(nextLeg.id).not.toBe('game-leg-1');
+    expect(mockReset).toHaveBeenCalledWith({
+      index: 1,
+      routes: [{ name: 'index' }, { name: 'game-screen', params: { gameId: nextLeg.id } }],
+    });
+  });
+
+  it('starts only one next leg when the button is pressed twice', async () => {
+    mockParams = { playerName: 'Alice', gameId: 'game-leg-1' };
+    mockStore.completedGames = JSON.stringify([createCompletedLeg()]);
+
+    const saveSpy = jest.spyOn(gamesRepository, 'saveInProgressGame');
+    const { findByText } = render(<WinnerPopupPage />);
+    const nextLegButton = await findByText('Next Leg');
+
+    // Both taps land before the button re-renders
+    act(() => {
+      fireEvent.press(nextLegButton);
+      fireEvent.press(nextLegButton);
+    });
+
+    await waitFor(() => expect(mockReset).toHaveBeenCalled());
+    expect(saveSpy).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(mockStore.inProgressGames)).toHaveLength(1);
+    expect(mockReset).toHaveBeenCalledTimes(1);
+
+    saveSpy.mockRestore();
+  });
+
+  it('crowns the match winner once the match is decided', async () => {
+    mockParams = { playerName: 'Alice', gameId: 'game-leg-1' };
+    mockStore.completedGames = JSON.stringify([createCompletedLeg({ legWins: [2, 0], legsPlayed: 2, winnerIndex: 0 })]);
+
+    const { findByText, getByText, queryByText } = render(<WinnerPopupPage />);
+
+    expect(await findByText('MATCH WINNER!')).toBeTruthy();
+    expect(getByText('Match: Alice')).toBeTruthy();
+    expect(queryByText('Next Leg')).toBeNull();
+  });
+});
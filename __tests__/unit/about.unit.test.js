@@ -2,11 +2,10 @@ import React from 'react';
 import { render, fireEvent } from '@testing-library/react-native';
 import AboutPage from '../../app/about.js';
 
-// Mock the expo-router module
-jest.mock('expo-router', () => ({
-  useNavigation: () => ({
-    setOptions: jest.fn(),
-  }),
+// Mock AsyncStorage, which the theme is loaded from
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve(null)),
+  setItem: jest.fn(),
 }));
 
 // Mock the Linking module from react-native
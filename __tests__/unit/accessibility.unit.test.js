@@ -0,0 +1,76 @@
+import { TIEBREAKS, createGame, applyThrow, endTurn, applyTiebreak } from '../../utils/cricket-engine.js';
+import { describeMarks, getCellLabel, getPlayerLabel, getMoveAnnouncements } from '../../utils/accessibility.js';
+
+// Throws darts at a row for the current player
+const throwAt = (game, rowIndex, darts, marks = 1) => {
+  let updatedGame = game;
+  for (let dart = 0; dart < darts; dart++) {
+    updatedGame = applyThrow(updatedGame, { rowIndex, marks });
+  }
+  return updatedGame;
+};
+
+describe('accessibility', () => {
+  it('reads the marks in a cell as words', () => {
+    expect(describeMarks(0)).toBe('no marks');
+    expect(describeMarks(1)).toBe('one mark');
+    expect(describeMarks(2)).toBe('two marks');
+    expect(describeMarks(3)).toBe('three marks');
+  });
+
+  it('labels cells with the player, number, marks and whether they are closed', () => {
+    let game = createGame({ players: ['Alice', 'Bob'] });
+    game = endTurn(game);
+    game = throwAt(game, 2, 2);
+
+    expect(getCellLabel(game, 2, 1)).toBe('Bob, 18, two marks, open');
+    expect(getCellLabel(game, 6, 0)).toBe('Alice, Bull, no marks, open');
+
+    game = throwAt(game, 6, 1, 3);
+    expect(getCellLabel(game, 6, 1)).toBe('Bob, Bull, three marks, closed');
+  });
+
+  it('labels players with their points and whether they are throwing', () => {
+    const game = { ...createGame({ players: ['Alice', 'Bob'] }), points: [40, 1] };
+
+    expect(getPlayerLabel(game, 0, true)).toBe('Alice, 40 points, throwing');
+    expect(getPlayerLabel(game, 1, false)).toBe('Bob, 1 point');
+  });
+
+  it('announces closed numbers and the next thrower', () => {
+    const game = throwAt(createGame({ players: ['Alice', 'Bob'] }), 0, 2);
+
+    const afterClose = throwAt(game, 0, 1);
+    expect(getMoveAnnouncements(game, afterClose)).toEqual(['Alice closed 20', "Bob's turn"]);
+
+    // A dart that changes nothing worth announcing
+    const start = createGame({ players: ['Alice', 'Bob'] });
+    expect(getMoveAnnouncements(start, throwAt(start, 0, 1))).toEqual([]);
+  });
+
+  it('announces the winner instead of the next turn', () => {
+    let game = createGame({ players: ['Alice', 'Bob'] });
+    for (let rowIndex = 0; rowIndex < 6; rowIndex++) {
+      // Alice closes a number each turn while Bob misses
+      game = endTurn(endTurn(throwAt(game, rowIndex, 1, 3)));
+    }
+    const winningDart = throwAt(game, 6, 1, 3);
+
+    expect(getMoveAnnouncements(game, winningDart)).toEqual(['Alice closed Bull', 'Alice wins']);
+  });
+
+  it('only announces the change of turn when darts are undone', () => {
+    const game = throwAt(createGame({ players: ['Alice', 'Bob'] }), 0, 3);
+    const before = throwAt(createGame({ players: ['Alice', 'Bob'] }), 0, 2);
+
+    expect(getMoveAnnouncements(game, before)).toEqual(["Alice's turn"]);
+  });
+
+  it('announces the bull-off when the last round ends level, then its winner', () => {
+    const game = endTurn(createGame({ players: ['Alice', 'Bob'], roundLimit: { maxRounds: 1, tiebreak: TIEBREAKS.bullOff } }));
+    const lastRound = endTurn(game);
+
+    expect(getMoveAnnouncements(game, lastRound)).toEqual(['Bull-off between Alice and Bob']);
+    expect(getMoveAnnouncements(lastRound, applyTiebreak(lastRound, 1))).toEqual(['Bob wins']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { createBackup, parseBackup, createThrowsCsv, BACKUP_FORMAT, CSV_COLUMNS } from '../../utils/backup.js';
+import { createGame, applyThrow, endTurn } from '../../utils/cricket-engine.js';
+import { SCHEMA_VERSION } from '../../utils/games-repository.js';
+
+// The backup module validates games through the repository, which imports AsyncStorage
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(),
+  setItem: jest.fn(),
+}));
+
+// A game with four darts in its throw log: a triple 20 and two single 20s for Alice, then Bob's turn is ended
+const buildGame = () => {
+  let game = createGame({ players: ['Alice', 'Bob'], rows: ['20', 'Bull'] });
+  game = applyThrow(game, { rowIndex: 0, marks: 3, time: '2024-01-02T20:00:00.000Z' });
+  game = applyThrow(game, { rowIndex: 0, marks: 1, time: '2024-01-02T20:00:05.000Z' });
+  game = applyThrow(game, { rowIndex: 0, marks: 1, time: '2024-01-02T20:00:10.000Z' });
+  game = applyThrow(game, { rowIndex: null, skipped: true, time: '2024-01-02T20:00:15.000Z' });
+  return { ...game, id: 'game-1', gameName: 'Friday, "Final"', startedAt: '2024-01-02T19:59:00.000Z' };
+};
+
+describe('backup', () => {
+  describe('createBackup / parseBackup', () => {
+    it('round-trips the saved games', () => {
+      const games = { inProgressGames: [buildGame()], completedGames: [{ ...buildGame(), id: 'game-2', winner: 'Alice' }] };
+
+      const text = createBackup(games, '2024-01-03T10:00:00.000Z');
+
+      expect(JSON.parse(text)).toMatchObject({
+        format: BACKUP_FORMAT,
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: '2024-01-03T10:00:00.000Z',
+      });
+      expect(parseBackup(text)).toEqual(games);
+    });
+
+    it('rejects files that are not backups', () => {
+      expect(() => parseBackup('not json')).toThrow('not valid JSON');
+      expect(() => parseBackup(JSON.stringify([buildGame()]))).toThrow('not a Dart Cricket backup');
+      expect(() => parseBackup(JSON.stringify({ format: BACKUP_FORMAT, schemaVersion: SCHEMA_VERSION + 1 }))).toThrow(
+        'newer version'
+      );
+    });
+
+    it('rejects backups containing invalid games', () => {
+      const text = JSON.stringify({
+        format: BACKUP_FORMAT,
+        schemaVersion: SCHEMA_VERSION,
+        inProgressGames: [buildGame(), { gameName: 'Broken', players: ['Alice'] }],
+        completedGames: [],
+      });
+
+      expect(() => parseBackup(text)).toThrow('1 invalid game(s)');
+    });
+  });
+
+  describe('createThrowsCsv', () => {
+    it('writes one line per dart with the thrower, target, marks and points', () => {
+      const csv = createThrowsCsv({ inProgressGames: [buildGame()], completedGames: [] });
+      const lines = csv.trim().split('\r\n');
+
+      expect(lines[0]).toBe(CSV_COLUMNS.join(','));
+      expect(lines).toHaveLength(5);
+      expect(lines[1]).toBe(
+        'game-1,"Friday, ""Final""",in progress,standard,2024-01-02T19:59:00.000Z,,1,Alice,,20,3,no,0,2024-01-02T20:00:00.000Z'
+      );
+      expect(lines[3]).toBe(
+        'game-1,"Friday, ""Final""",in progress,standard,2024-01-02T19:59:00.000Z,,3,Alice,,20,1,no,40,2024-01-02T20:00:10.000Z'
+      );
+      expect(lines[4]).toBe(
+        'game-1,"Friday, ""Final""",in progress,standard,2024-01-02T19:59:00.000Z,,4,Bob,,,0,yes,0,2024-01-02T20:00:15.000Z'
+      );
+    });
+
+    it('names the team member who threw each dart in a team game', () => {
+      const teams = [
+        { members: ['Alice', 'Bob'], memberIds: [null, null] },
+        { members: ['Cara', 'Dan'], memberIds: [null, null] },
+      ];
+      let game = createGame({ players: ['Alice & Bob', 'Cara & Dan'], rows: ['20', 'Bull'], teams });
+      game = endTurn(endTurn(game));
+      game = applyThrow(game, { rowIndex: 0, time: '2024-01-02T20:01:00.000Z' });
+
+      const lines = createThrowsCsv({ inProgressGames: [{ ...game, id: 'game-3', gameName: 'Doubles' }], completedGames: [] })
+        .trim()
+        .split('\r\n');
+
+      expect(lines[1].split(',').slice(7, 9)).toEqual(['Alice', 'Alice & Bob']);
+      expect(lines[7].split(',').slice(7, 10)).toEqual(['Bob', 'Alice & Bob', '20']);
+    });
+
+    it('writes only the header when there are no darts', () => {
+      expect(createThrowsCsv({ inProgressGames: [], completedGames: [] })).toBe(`${CSV_COLUMNS.join(',')}\r\n`);
+    });
+  });
+});
\ No newline at end of file
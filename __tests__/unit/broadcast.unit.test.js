@@ -0,0 +1,157 @@
+import {
+  PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  encodeMessage,
+  decodeMessage,
+  getBroadcastUrl,
+  getBroadcastState,
+  createBroadcastHost,
+  connectViewer,
+  createLocalServer,
+} from '../../utils/broadcast.js';
+import { createGame, applyThrow } from '../../utils/cricket-engine.js';
+
+// Waits for the in-process server to deliver the messages in flight, and the replies to them
+const flush = async () => {
+  for (let tick = 0; tick < 5; tick++) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+};
+
+// Joins a server as a viewer, recording the states and statuses it receives
+const joinAsViewer = (server) => {
+  const viewer = { states: [], statuses: [] };
+  viewer.connection = connectViewer(
+    'localhost',
+    { onState: (state) => viewer.states.push(state), onStatusChange: (status) => viewer.statuses.push(status) },
+    () => server.connect()
+  );
+  return viewer;
+};
+
+describe('broadcast messages', () => {
+  it('stamps messages with the protocol version and reads them back', () => {
+    const text = encodeMessage({ type: MESSAGE_TYPES.join });
+    expect(JSON.parse(text)).toEqual({ type: 'join', version: PROTOCOL_VERSION });
+    expect(decodeMessage(text)).toEqual({ type: 'join', version: PROTOCOL_VERSION });
+  });
+
+  it('ignores text that is not a message of this version', () => {
+    expect(decodeMessage('not json')).toBeNull();
+    expect(decodeMessage(JSON.stringify({ type: 'join', version: PROTOCOL_VERSION + 1 }))).toBeNull();
+    expect(decodeMessage(encodeMessage({ type: 'throw' }))).toBeNull();
+    expect(decodeMessage('null')).toBeNull();
+  });
+
+  it('completes host addresses into URLs', () => {
+    expect(getBroadcastUrl('192.168.1.20')).toBe('ws://192.168.1.20:8765');
+    expect(getBroadcastUrl(' 192.168.1.20:9000 ')).toBe('ws://192.168.1.20:9000');
+    expect(getBroadcastUrl('ws://scoreboard.local:8765')).toBe('ws://scoreboard.local:8765');
+  });
+
+  it('sends the scoreboard and header details of a game', () => {
+    const game = applyThrow(createGame({ players: ['Alice', 'Bob'] }), { rowIndex: 0, time: 't1' });
+    const state = getBroadcastState(game, { gameName: 'Friday Night', match: null, playerIds: ['p1', 'p2'] });
+
+    expect(state.gameName).toBe('Friday Night');
+    expect(state.match).toBeNull();
+    expect(state.game.grid[0][0].taps).toBe(1);
+    expect(state.game.dartsThrown).toBe(1);
+    expect(state.game).not.toHaveProperty('redoStack');
+    expect(state).not.toHaveProperty('playerIds');
+  });
+});
+
+describe('broadcast host and viewers', () => {
+  let server;
+  let host;
+
+  beforeEach(() => {
+    server = createLocalServer();
+    host = createBroadcastHost(server);
+  });
+
+  afterEach(() => {
+    host.close();
+  });
+
+  it('sends the latest state to viewers as they join and every state after', async () => {
+    host.publish({ gameName: 'Game 1' });
+    const viewer = joinAsViewer(server);
+    await flush();
+
+    expect(viewer.statuses).toEqual(['connecting', 'connected']);
+    expect(viewer.states).toEqual([{ gameName: 'Game 1' }]);
+    expect(host.getViewerCount()).toBe(1);
+
+    host.publish({ gameName: 'Game 2' });
+    await flush();
+    expect(viewer.states).toEqual([{ gameName: 'Game 1' }, { gameName: 'Game 2' }]);
+  });
+
+  it('sends every state to every viewer', async () => {
+    const viewers = [joinAsViewer(server), joinAsViewer(server), joinAsViewer(server)];
+    await flush();
+
+    host.publish({ gameName: 'Game 1' });
+    await flush();
+
+    expect(host.getViewerCount()).toBe(3);
+    viewers.forEach((viewer) => expect(viewer.states).toEqual([{ gameName: 'Game 1' }]));
+  });
+
+  it('only sends states to sockets that joined, and ignores anything else they send', async () => {
+    const socket = server.connect();
+    const received = [];
+    socket.onmessage = (event) => received.push(event.data);
+    await flush();
+
+    socket.send(encodeMessage({ type: MESSAGE_TYPES.state, state: { gameName: 'Forged' } }));
+    socket.send('not json');
+    await flush();
+    host.publish({ gameName: 'Game 1' });
+    await flush();
+
+    expect(host.getViewerCount()).toBe(0);
+    expect(received).toEqual([]);
+  });
+
+  it('reports viewers joining and leaving', async () => {
+    const counts = [];
+    const countedServer = createLocalServer(9000);
+    const countedHost = createBroadcastHost(countedServer, (count) => counts.push(count));
+
+    const viewer = joinAsViewer(countedServer);
+    await flush();
+    viewer.connection.close();
+    await flush();
+
+    expect(counts).toEqual([1, 0]);
+    expect(viewer.statuses).toEqual(['connecting', 'connected', 'disconnected']);
+    countedHost.close();
+  });
+
+  it('disconnects its viewers when it is closed', async () => {
+    const viewer = joinAsViewer(server);
+    await flush();
+
+    host.close();
+    await flush();
+
+    expect(viewer.statuses).toEqual(['connecting', 'connected', 'disconnected']);
+    expect(host.getViewerCount()).toBe(0);
+
+    const lateViewer = joinAsViewer(server);
+    await flush();
+    expect(lateViewer.statuses).toEqual(['connecting', 'disconnected']);
+  });
+
+  it('lets viewers on this device join the running server by its address', async () => {
+    host.publish({ gameName: 'Game 1' });
+    const states = [];
+    connectViewer('localhost', { onState: (state) => states.push(state), onStatusChange: () => {} });
+    await flush();
+
+    expect(states).toEqual([{ gameName: 'Game 1' }]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,114 @@
+import { createGame, applyThrow, endTurn, applyDart, redo } from '../../utils/cricket-engine.js';
+import { CPU_LEVELS, getCpuLevel, chooseTarget, simulateDart, throwCpuDart, undoToHumanDart } from '../../utils/cpu-player.js';
+
+// Builds a game where each player has the given marks on each row, e.g. { 0: [3, 0] }
+const withMarks = (marksByRow, options = {}) => {
+  const game = createGame({ players: ['Alice', 'CPU'], ...options });
+  return {
+    ...game,
+    grid: game.grid.map((row, rowIndex) =>
+      row.map((cell, colIndex) => ({ taps: marksByRow[rowIndex] ? marksByRow[rowIndex][colIndex] : 0 }))
+    ),
+    ...options,
+  };
+};
+
+// Returns a source of randomness that plays back the given numbers
+const sequence = (...numbers) => {
+  let index = 0;
+  return () => numbers[index++];
+};
+
+describe('computer players', () => {
+  it('looks up skill levels, falling back to medium', () => {
+    expect(getCpuLevel('hard').label).toBe('Hard');
+    expect(getCpuLevel('unknown').value).toBe('medium');
+    // Better players hit the triple more often
+    expect(CPU_LEVELS.map((level) => level.triple)).toEqual(CPU_LEVELS.map((level) => level.triple).sort((a, b) => a - b));
+  });
+
+  describe('chooseTarget', () => {
+    it('starts on the highest open number', () => {
+      expect(chooseTarget(withMarks({}), 1)).toBe(0);
+      expect(chooseTarget(withMarks({ 0: [0, 3] }), 1)).toBe(1);
+    });
+
+    it('closes a number the opponent has closed before anything else', () => {
+      const game = withMarks({ 2: [3, 0] });
+
+      expect(chooseTarget(game, 1)).toBe(2);
+    });
+
+    it('points on a closed number when behind', () => {
+      const game = withMarks({ 0: [3, 3], 1: [0, 3], 2: [3, 0] }, { points: [40, 0] });
+
+      // The 19 is closed and Alice is still open on it
+      expect(chooseTarget(game, 1)).toBe(1);
+    });
+
+    it('keeps closing when ahead instead of pointing', () => {
+      const game = withMarks({ 1: [0, 3] }, { points: [0, 19] });
+
+      expect(chooseTarget(game, 1)).toBe(0);
+    });
+
+    it('counts the lower score as ahead in cut-throat', () => {
+      const behind = withMarks({ 1: [0, 3] }, { gameMode: 'cutthroat', points: [0, 20] });
+      const ahead = withMarks({ 1: [0, 3] }, { gameMode: 'cutthroat', points: [20, 0] });
+
+      expect(chooseTarget(behind, 1)).toBe(1);
+      expect(chooseTarget(ahead, 1)).toBe(0);
+    });
+  });
+
+  describe('simulateDart', () => {
+    it('hits the triple, the single or misses depending on the roll', () => {
+      expect(simulateDart('20', 'hard', sequence(0))).toEqual({ segment: 20, multiplier: 3 });
+      expect(simulateDart('20', 'hard', sequence(0.5))).toEqual({ segment: 20, multiplier: 1 });
+      expect(simulateDart('20', 'hard', sequence(0.99, 0.2))).toEqual({ segment: null, multiplier: 0 });
+      // A wide dart lands next to the 20: the 5 on one side and the 1 on the other
+      expect(simulateDart('20', 'hard', sequence(0.99, 0.7, 0.2))).toEqual({ segment: 5, multiplier: 1 });
+      expect(simulateDart('20', 'hard', sequence(0.99, 0.7, 0.7))).toEqual({ segment: 1, multiplier: 1 });
+    });
+
+    it('makes the same roll a hit for a better player', () => {
+      expect(simulateDart('19', 'easy', sequence(0.3)).multiplier).toBe(1);
+      expect(simulateDart('19', 'hard', sequence(0.3)).multiplier).toBe(3);
+    });
+
+    it('aims at the inner bull and hits it half as often as a triple', () => {
+      expect(simulateDart('Bull', 'hard', sequence(0.1))).toEqual({ segment: 25, multiplier: 2 });
+      expect(simulateDart('Bull', 'hard', sequence(0.3))).toEqual({ segment: 25, multiplier: 1 });
+      expect(simulateDart('Bull', 'hard', sequence(0.9, 0))).toEqual({ segment: 20, multiplier: 1 });
+    });
+  });
+
+  it('throws at the chosen target for the current thrower', () => {
+    let game = createGame({ players: ['Alice', 'CPU'] });
+    game = endTurn(applyThrow(game, { rowIndex: 0, marks: 3 }));
+
+    const dart = throwCpuDart(game, 'hard', sequence(0));
+    expect(dart).toEqual({ segment: 20, multiplier: 3 });
+    expect(applyDart(game, dart).grid[0][1]).toEqual({ taps: 3 });
+  });
+
+  it('undoes back through the computer\'s darts to the last human dart', () => {
+    let game = createGame({ players: ['Alice', 'CPU'] });
+    game = endTurn(applyThrow(game, { rowIndex: 0 })); // Alice hits a 20 and ends her turn
+    game = applyThrow(game, { rowIndex: 1, marks: 3 });
+    game = applyThrow(game, { rowIndex: 2, marks: 3 });
+
+    // Alice gets her turn back with her 20 still on the board, to undo next
+    const undone = undoToHumanDart(game, [null, 'hard']);
+    expect(undone.history).toHaveLength(1);
+    expect(undone.currentPlayer).toBe(0);
+    expect(undone.grid[0][0].taps).toBe(1);
+    expect(undone.grid[1][1].taps).toBe(0);
+    expect(undoToHumanDart(undone, [null, 'hard']).grid[0][0].taps).toBe(0);
+
+    // The end of Alice's turn is redone first, then the computer's darts as they were thrown
+    const redone = redo(redo(redo(undone)));
+    expect(redone.history).toEqual(game.history);
+    expect(undoToHumanDart(game, null).history).toHaveLength(4);
+  });
+});
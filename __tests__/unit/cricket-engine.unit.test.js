@@ -0,0 +1,635 @@
+import {
+  DEFAULT_ROWS,
+  DARTS_PER_TURN,
+  createGame,
+  restoreGame,
+  getRowValue,
+  isClosed,
+  applyThrow,
+  applyDart,
+  endTurn,
+  undo,
+  redo,
+  replayHistory,
+  winner,
+  isFinished,
+  getThrowingMember,
+  getThrowerName,
+  getMarksToClose,
+  TIEBREAKS,
+  getRoundsPlayed,
+  getMarks,
+  getOutcome,
+  applyTiebreak,
+} from '../../utils/cricket-engine.js';
+
+// Applies a list of [rowIndex, colIndex] darts to a game, ending other
+// players' turns until it is the given player's throw
+const throwAll = (game, throws) =>
+  throws.reduce((state, [rowIndex, colIndex]) => {
+    let current = state;
+    while (current.currentPlayer !== colIndex) {
+      current = endTurn(current);
+    }
+    return applyThrow(current, { rowIndex });
+  }, game);
+
+// Closes every number for a player (three marks on each row)
+const closeOut = (game, colIndex) =>
+  throwAll(game, DEFAULT_ROWS.flatMap((_, rowIndex) => [
+    [rowIndex, colIndex],
+    [rowIndex, colIndex],
+    [rowIndex, colIndex],
+  ]));
+
+describe('cricket engine', () => {
+  describe('createGame', () => {
+    it('creates an empty grid with every player on zero points', () => {
+      const game = createGame({ players: ['Alice', 'Bob', 'Cara'] });
+
+      expect(game.rows).toEqual(DEFAULT_ROWS);
+      expect(game.gameMode).toBe('standard');
+      expect(game.grid).toHaveLength(7);
+      game.grid.forEach((row) => expect(row).toEqual([{ taps: 0 }, { taps: 0 }, { taps: 0 }]));
+      expect(game.points).toEqual([0, 0, 0]);
+      expect(game.history).toEqual([]);
+      expect(game.currentPlayer).toBe(0);
+      expect(game.dartsThrown).toBe(0);
+    });
+
+    it('lets another player throw first, including after the game is restored', () => {
+      const game = createGame({ players: ['Alice', 'Bob'], firstPlayer: 1 });
+
+      expect(game.currentPlayer).toBe(1);
+      expect(restoreGame(game).currentPlayer).toBe(1);
+      // A board reset keeps the same first thrower
+      expect(createGame(throwAll(game, [[0, 1], [0, 0]])).currentPlayer).toBe(1);
+    });
+  });
+
+  describe('restoreGame', () => {
+    it('fills in points and history missing from older saves', () => {
+      const saved = createGame({ players: ['Alice', 'Bob'] });
+      const game = restoreGame({ players: saved.players, grid: saved.grid });
+
+      expect(game.points).toEqual([0, 0]);
+      expect(game.history).toEqual([]);
+      expect(game.gameMode).toBe('standard');
+      expect(game.currentPlayer).toBe(0);
+      expect(game.dartsThrown).toBe(0);
+    });
+
+    it('keeps whose turn it is from the saved game', () => {
+      const saved = throwAll(createGame({ players: ['Alice', 'Bob'] }), [[0, 1]]);
+      const game = restoreGame(JSON.parse(JSON.stringify(saved)));
+
+      expect(game.currentPlayer).toBe(1);
+      expect(game.dartsThrown).toBe(1);
+    });
+  });
+
+  describe('getRowValue', () => {
+    it('returns the number for numbered rows and 25 for the Bull', () => {
+      expect(getRowValue('20')).toBe(20);
+      expect(getRowValue('15')).toBe(15);
+      expect(getRowValue('Bull')).toBe(25);
+    });
+  });
+
+  describe('marks', () => {
+    it('adds a mark to the current player\'s cell', () => {
+      const game = applyThrow(createGame({ players: ['Alice', 'Bob'] }), { rowIndex: 0 });
+
+      expect(game.grid[0][0]).toEqual({ taps: 1 });
+      expect(game.grid[0][1]).toEqual({ taps: 0 });
+      expect(game.history).toEqual([
+        { rowIndex: 0, colIndex: 0, marks: 1, previousDarts: 0, previousTaps: 0, previousPoints: [0, 0] },
+      ]);
+    });
+
+    it('closes a number after three marks', () => {
+      const game = throwAll(createGame({ players: ['Alice', 'Bob'] }), [[2, 0], [2, 0], [2, 0]]);
+
+      expect(isClosed(game, 2, 0)).toBe(true);
+      expect(isClosed(game, 2, 1)).toBe(false);
+      expect(game.grid[2][0]).toEqual({ taps: 3 });
+    });
+
+    it('does not mutate the previous game state', () => {
+      const initial = createGame({ players: ['Alice', 'Bob'] });
+      applyThrow(initial, { rowIndex: 0 });
+
+      expect(initial.grid[0][0]).toEqual({ taps: 0 });
+      expect(initial.history).toEqual([]);
+    });
+  });
+
+  describe('points', () => {
+    it('scores extra marks on a closed number while an opponent has it open', () => {
+      const game = throwAll(createGame({ players: ['Alice', 'Bob'] }), [[0, 0], [0, 0], [0, 0], [0, 0], [6, 0], [6, 0], [6, 0], [6, 0]]);
+
+      expect(game.grid[0][0]).toEqual({ taps: 3 });
+      expect(game.points).toEqual([45, 0]);
+    });
+
+    it('does not score once every player has closed the number', () => {
+      const game = throwAll(createGame({ players: ['Alice', 'Bob'] }), [[0, 0], [0, 0], [0, 0], [0, 1], [0, 1], [0, 1], [0, 0]]);
+
+      expect(game.points).toEqual([0, 0]);
+    });
+
+    it('gives cut-throat points to every opponent with the number open', () => {
+      const game = throwAll(
+        createGame({ players: ['Alice', 'Bob', 'Cara'], gameMode: 'cutthroat' }),
+        [[1, 2], [1, 2], [1, 2], [1, 0], [1, 0], [1, 0], [1, 0]]
+      );
+
+      expect(game.points).toEqual([0, 19, 0]);
+    });
+  });
+
+  describe('multiple marks', () => {
+    it('closes a number with a single triple', () => {
+      const game = applyThrow(createGame({ players: ['Alice', 'Bob'] }), { rowIndex: 0, marks: 3 });
+
+      expect(game.grid[0][0]).toEqual({ taps: 3 });
+      expect(game.points).toEqual([0, 0]);
+      expect(game.dartsThrown).toBe(1);
+    });
+
+    it('scores the marks left over after closing a number', () => {
+      const game = throwAll(createGame({ players: ['Alice', 'Bob'] }), [[0, 0]]);
+      const scored = applyThrow(game, { rowIndex: 0, marks: 3 });
+
+      expect(scored.grid[0][0]).toEqual({ taps: 3 });
+      expect(scored.points).toEqual([20, 0]);
+    });
+
+    it('undoes a triple in one step', () => {
+      const game = applyThrow(createGame({ players: ['Alice', 'Bob'] }), { rowIndex: 1, marks: 3 });
+
+      expect(undo(game).grid[1][0]).toEqual({ taps: 0 });
+    });
+  });
+
+  describe('applyDart', () => {
+    it('translates singles, doubles and triples into marks', () => {
+      const start = createGame({ players: ['Alice', 'Bob'] });
+
+      expect(applyDart(start, { segment: 20, multiplier: 1 }).grid[0][0]).toEqual({ taps: 1 });
+      expect(applyDart(start, { segment: 19, multiplier: 2 }).grid[1][0]).toEqual({ taps: 2 });
+      expect(applyDart(start, { segment: 15, multiplier: 3 }).grid[5][0]).toEqual({ taps: 3 });
+    });
+
+    it('gives one mark for the outer bull and two for the inner bull', () => {
+      const start = createGame({ players: ['Alice', 'Bob'] });
+
+      expect(applyDart(start, { segment: 25, multiplier: 1 }).grid[6][0]).toEqual({ taps: 1 });
+      expect(applyDart(start, { segment: 25, multiplier: 2 }).grid[6][0]).toEqual({ taps: 2 });
+    });
+
+    it('records numbers that are not in play as misses', () => {
+      const start = createGame({ players: ['Alice', 'Bob'] });
+      const game = applyDart(applyDart(start, { segment: 7, multiplier: 3 }), { segment: null, multiplier: 0 });
+
+      expect(game.grid).toEqual(start.grid);
+      expect(game.dartsThrown).toBe(2);
+      expect(game.history.every((move) => move.rowIndex === null)).toBe(true);
+    });
+  });
+
+  describe('undo', () => {
+    it('reverts the last mark and the points it scored', () => {
+      const scored = throwAll(createGame({ players: ['Alice', 'Bob'] }), [[0, 0], [0, 0], [0, 0], [0, 0]]);
+      const reverted = undo(scored);
+
+      expect(reverted.points).toEqual([0, 0]);
+      expect(reverted.grid[0][0]).toEqual({ taps: 3 });
+      expect(reverted.currentPlayer).toBe(0);
+      expect(reverted.dartsThrown).toBe(0);
+    });
+
+    it('gives the previous player their turn back when undoing across turns', () => {
+      const game = throwAll(createGame({ players: ['Alice', 'Bob'] }), [[0, 0], [1, 0], [2, 0]]);
+
+      expect(game.currentPlayer).toBe(1);
+
+      const reverted = undo(game);
+      expect(reverted.currentPlayer).toBe(0);
+      expect(reverted.dartsThrown).toBe(2);
+      expect(reverted.grid[2][0]).toEqual({ taps: 0 });
+    });
+
+    it('reverts an early end of turn in a single step', () => {
+      const ended = endTurn(throwAll(createGame({ players: ['Alice', 'Bob'] }), [[0, 0]]));
+      const reverted = undo(ended);
+
+      expect(reverted.currentPlayer).toBe(0);
+      expect(reverted.dartsThrown).toBe(1);
+      expect(reverted.history).toHaveLength(1);
+      expect(reverted.grid[0][0]).toEqual({ taps: 1 });
+    });
+
+    it('returns the same state when there is nothing to undo', () => {
+      const game = createGame({ players: ['Alice', 'Bob'] });
+
+      expect(undo(game)).toBe(game);
+    });
+
+    it('keeps the current points for moves saved without a points snapshot', () => {
+      const game = restoreGame({
+        players: ['Alice', 'Bob'],
+        grid: createGame({ players: ['Alice', 'Bob'] }).grid.map((row, rowIndex) =>
+          rowIndex === 0 ? [{ taps: 1 }, { taps: 0 }] : row
+        ),
+        points: [5, 0],
+        history: [{ rowIndex: 0, colIndex: 0, previousTaps: 0 }],
+      });
+
+      const reverted = undo(game);
+      expect(reverted.grid[0][0]).toEqual({ taps: 0 });
+      expect(reverted.points).toEqual([5, 0]);
+    });
+  });
+
+  describe('redo', () => {
+    it('throws undone darts again in the order they were undone', () => {
+      const game = throwAll(createGame({ players: ['Alice', 'Bob'] }), [[0, 0], [1, 0]]);
+      const reverted = undo(undo(game));
+
+      expect(reverted.redoStack).toHaveLength(2);
+
+      const redoneOnce = redo(reverted);
+      expect(redoneOnce.grid[0][0]).toEqual({ taps: 1 });
+      expect(redoneOnce.grid[1][0]).toEqual({ taps: 0 });
+
+      const redoneTwice = redo(redoneOnce);
+      expect(redoneTwice.grid).toEqual(game.grid);
+      expect(redoneTwice.history).toEqual(game.history);
+      expect(redoneTwice.redoStack).toEqual([]);
+    });
+
+    it('redoes an early end of turn in a single step', () => {
+      const ended = endTurn(throwAll(createGame({ players: ['Alice', 'Bob'] }), [[0, 0]]), '2024-05-01T20:00:00.000Z');
+      const redone = redo(undo(ended));
+
+      expect(redone.currentPlayer).toBe(1);
+      expect(redone.history).toEqual(ended.history);
+    });
+
+    it('clears the redo stack when a new dart is thrown', () => {
+      const reverted = undo(throwAll(createGame({ players: ['Alice', 'Bob'] }), [[0, 0]]));
+      const newDart = applyThrow(reverted, { rowIndex: 1 });
+
+      expect(newDart.redoStack).toEqual([]);
+      expect(redo(newDart)).toBe(newDart);
+    });
+
+    it('undoes and redoes the winning dart', () => {
+      const won = closeOut(createGame({ players: ['Alice', 'Bob'] }), 0);
+      expect(isFinished(won)).toBe(true);
+
+      const reopened = undo(won);
+      expect(isFinished(reopened)).toBe(false);
+      expect(winner(redo(reopened))).toBe(0);
+    });
+  });
+
+  describe('turns', () => {
+    it('passes the throw to the next player after three darts', () => {
+      const game = createGame({ players: ['Alice', 'Bob', 'Cara'] });
+      const oneDart = applyThrow(game, { rowIndex: 0 });
+
+      expect(oneDart.currentPlayer).toBe(0);
+      expect(oneDart.dartsThrown).toBe(1);
+
+      const fullTurn = applyThrow(applyThrow(oneDart, { rowIndex: 1 }), { rowIndex: 2 });
+      expect(fullTurn.currentPlayer).toBe(1);
+      expect(fullTurn.dartsThrown).toBe(0);
+    });
+
+    it('counts misses as darts without changing the board', () => {
+      const game = applyThrow(createGame({ players: ['Alice', 'Bob'] }), { rowIndex: null });
+
+      expect(game.dartsThrown).toBe(1);
+      expect(game.grid.every((row) => row.every((cell) => cell.taps === 0))).toBe(true);
+      expect(game.history).toEqual([{ rowIndex: null, colIndex: 0, previousDarts: 0, previousPoints: [0, 0] }]);
+    });
+
+    it('wraps around to the first player after the last one', () => {
+      const game = endTurn(endTurn(createGame({ players: ['Alice', 'Bob'] })));
+
+      expect(game.currentPlayer).toBe(0);
+    });
+
+    it('fills the unthrown darts in as misses when a turn is ended early', () => {
+      const game = endTurn(applyThrow(createGame({ players: ['Alice', 'Bob'] }), { rowIndex: 0 }));
+
+      expect(game.currentPlayer).toBe(1);
+      expect(game.dartsThrown).toBe(0);
+      expect(game.history).toHaveLength(DARTS_PER_TURN);
+      expect(game.history.slice(1).every((move) => move.rowIndex === null && move.skipped)).toBe(true);
+    });
+  });
+
+  describe('teams', () => {
+    const createTeamGame = () =>
+      createGame({
+        players: ['Alice & Bob', 'Cara & Dan'],
+        teams: [
+          { members: ['Alice', 'Bob'], memberIds: [null, null] },
+          { members: ['Cara', 'Dan'], memberIds: [null, null] },
+        ],
+      });
+
+    it('has no throwing member in a singles game', () => {
+      const game = createGame({ players: ['Alice', 'Bob'] });
+
+      expect(getThrowingMember(game)).toBeNull();
+      expect(getThrowerName(game)).toBe('Alice');
+    });
+
+    it('alternates the members of each team from turn to turn', () => {
+      let game = createTeamGame();
+      const throwers = [];
+      for (let turn = 0; turn < 6; turn++) {
+        throwers.push(getThrowerName(game));
+        game = endTurn(game);
+      }
+
+      expect(throwers).toEqual(['Alice', 'Cara', 'Bob', 'Dan', 'Alice', 'Cara']);
+    });
+
+    it('keeps the same member for every dart of a turn and records them in the history', () => {
+      let game = endTurn(endTurn(createTeamGame())); // Alice and Cara have thrown
+      game = applyThrow(game, { rowIndex: 0 });
+      game = applyThrow(game, { rowIndex: 0 });
+
+      expect(getThrowerName(game)).toBe('Bob');
+      expect(game.history.slice(-2).map((move) => move.member)).toEqual([1, 1]);
+      expect(game.history[0].member).toBe(0);
+      // The marks go in the team's shared column
+      expect(game.grid[0][0].taps).toBe(2);
+    });
+
+    it('gives the turn back to the same member when it is undone', () => {
+      const game = endTurn(endTurn(endTurn(createTeamGame()))); // Alice, Cara and Bob have thrown
+
+      expect(getThrowerName(game)).toBe('Dan');
+      expect(getThrowerName(undo(game))).toBe('Bob');
+      expect(getThrowerName(redo(undo(game)))).toBe('Dan');
+    });
+
+    it('keeps the teams when a game is restored', () => {
+      const game = restoreGame({ ...createTeamGame(), history: [] });
+
+      expect(game.teams[1].members).toEqual(['Cara', 'Dan']);
+      expect(restoreGame({ players: ['Alice', 'Bob'] }).teams).toBeNull();
+    });
+  });
+
+  describe('handicaps', () => {
+    it('starts handicapped players with their marks and bonus points', () => {
+      const game = createGame({
+        players: ['Alice', 'Bob'],
+        handicaps: [null, { marks: ['20', 'Bull'], points: 40, marksToClose: 3 }],
+      });
+
+      expect(game.grid[0].map((cell) => cell.taps)).toEqual([0, 1]);
+      expect(game.grid[6].map((cell) => cell.taps)).toEqual([0, 1]);
+      expect(game.grid[1].map((cell) => cell.taps)).toEqual([0, 0]);
+      expect(game.points).toEqual([0, 40]);
+    });
+
+    it('gives a bonus to the opponents instead in cut-throat', () => {
+      const game = createGame({
+        players: ['Alice', 'Bob', 'Cara'],
+        gameMode: 'cutthroat',
+        handicaps: [{ marks: [], points: 20, marksToClose: 3 }, null, null],
+      });
+
+      expect(game.points).toEqual([0, 20, 20]);
+    });
+
+    it('closes numbers with fewer marks and scores the extra marks', () => {
+      let game = createGame({ players: ['Alice', 'Bob'], handicaps: [{ marks: [], points: 0, marksToClose: 2 }, null] });
+      game = applyThrow(game, { rowIndex: 0, marks: 3 });
+
+      expect(getMarksToClose(game, 0)).toBe(2);
+      expect(getMarksToClose(game, 1)).toBe(3);
+      expect(isClosed(game, 0, 0)).toBe(true);
+      expect(game.grid[0][0].taps).toBe(2);
+      expect(game.points).toEqual([20, 0]);
+    });
+
+    it('puts the handicap marks back when the history is replayed', () => {
+      const handicaps = [{ marks: ['19'], points: 0, marksToClose: 3 }, null];
+      const game = applyThrow(createGame({ players: ['Alice', 'Bob'], handicaps }), { rowIndex: 1 });
+
+      expect(game.grid[1][0].taps).toBe(2);
+      expect(undo(game).grid[1][0].taps).toBe(1);
+      expect(replayHistory(game, 0).grid[1][0].taps).toBe(1);
+      expect(replayHistory(game).grid[1][0].taps).toBe(2);
+    });
+  });
+
+  describe('winning', () => {
+    it('has no winner at the start of the game', () => {
+      const game = createGame({ players: ['Alice', 'Bob'] });
+
+      expect(winner(game)).toBeNull();
+      expect(isFinished(game)).toBe(false);
+    });
+
+    it('declares a player who closes everything while level on points the winner', () => {
+      const game = closeOut(createGame({ players: ['Alice', 'Bob'] }), 1);
+
+      expect(winner(game)).toBe(1);
+      expect(isFinished(game)).toBe(true);
+    });
+
+    it('does not declare a player who closes everything while behind on points', () => {
+      const behind = closeOut(throwAll(createGame({ players: ['Alice', 'Bob'] }), [[0, 1], [0, 1], [0, 1], [0, 1]]), 0);
+
+      expect(winner(behind)).toBeNull();
+
+      // Scoring on the 19 while Bob still has it open puts Alice ahead
+      const ahead = throwAll(behind, [[1, 0], [1, 0]]);
+      expect(ahead.points).toEqual([38, 20]);
+      expect(winner(ahead)).toBe(0);
+    });
+
+    it('requires the lowest score to win in cut-throat', () => {
+      const start = createGame({ players: ['Alice', 'Bob'], gameMode: 'cutthroat' });
+      const loaded = closeOut(throwAll(start, [[0, 1], [0, 1], [0, 1], [0, 1]]), 0);
+
+      expect(loaded.points).toEqual([20, 0]);
+      expect(winner(loaded)).toBeNull();
+
+      const balanced = throwAll(loaded, [[1, 0]]);
+      expect(balanced.points).toEqual([20, 19]);
+      expect(winner(balanced)).toBeNull();
+
+      const won = throwAll(balanced, [[1, 0]]);
+      expect(won.points).toEqual([20, 38]);
+      expect(winner(won)).toBe(0);
+    });
+
+    it('ignores throws once the game has been won', () => {
+      const won = closeOut(createGame({ players: ['Alice', 'Bob'] }), 0);
+
+      expect(applyThrow(won, { rowIndex: 0 })).toBe(won);
+      expect(endTurn(won)).toBe(won);
+    });
+  });
+
+  describe('round limits', () => {
+    // Creates a two-round game with the given tiebreak
+    const createLimitedGame = (tiebreak = TIEBREAKS.bullOff, options = {}) =>
+      createGame({ players: ['Alice', 'Bob'], roundLimit: { maxRounds: 2, tiebreak }, ...options });
+
+    // Ends every remaining turn of the current round
+    const finishRound = (game) => {
+      let current = endTurn(game);
+      while (current.currentPlayer !== current.firstPlayer) current = endTurn(current);
+      return current;
+    };
+
+    it('counts complete rounds and each player\'s marks', () => {
+      let game = throwAll(createLimitedGame(), [[0, 0], [0, 0], [1, 0], [0, 1]]);
+      expect(getRoundsPlayed(game)).toBe(0);
+      expect(getMarks(game, 0)).toBe(3);
+
+      game = finishRound(game);
+      expect(getRoundsPlayed(game)).toBe(1);
+      expect(getMarks(game, 1)).toBe(1);
+    });
+
+    it('plays on until the end of the last round', () => {
+      let game = throwAll(createLimitedGame(), [[0, 0], [0, 0], [1, 0]]);
+
+      expect(getOutcome(game)).toBeNull();
+      game = finishRound(game);
+      expect(getOutcome(game)).toBeNull();
+      expect(isFinished(game)).toBe(false);
+    });
+
+    it('gives the game to the player ahead on points at the round limit', () => {
+      let game = throwAll(createLimitedGame(), [[0, 0], [0, 0], [0, 0], [0, 1]]);
+      game = finishRound(throwAll(finishRound(game), [[0, 0]])); // Alice scores 20 in the second round
+
+      expect(getOutcome(game)).toEqual({ winnerIndex: 0, decidedBy: 'points', tied: [] });
+      expect(winner(game)).toBe(0);
+      expect(applyThrow(game, { rowIndex: 0 })).toBe(game);
+    });
+
+    it('gives the game to the fewest points in cut-throat', () => {
+      let game = throwAll(createLimitedGame(TIEBREAKS.bullOff, { gameMode: 'cutthroat' }), [[0, 0], [0, 0], [0, 0]]);
+      game = finishRound(throwAll(finishRound(game), [[0, 0]])); // Alice gives Bob 20
+
+      expect(game.points).toEqual([0, 20]);
+      expect(getOutcome(game)).toEqual({ winnerIndex: 0, decidedBy: 'points', tied: [] });
+    });
+
+    it('decides players level on points by their marks', () => {
+      const game = finishRound(finishRound(throwAll(createLimitedGame(), [[0, 0], [1, 1], [2, 1]])));
+
+      expect(getOutcome(game)).toEqual({ winnerIndex: 1, decidedBy: 'marks', tied: [] });
+    });
+
+    it('waits for a bull-off between players level on points and marks', () => {
+      let game = finishRound(finishRound(throwAll(createLimitedGame(), [[0, 0], [1, 1]])));
+
+      expect(getOutcome(game)).toEqual({ winnerIndex: null, decidedBy: 'bulloff', tied: [0, 1] });
+      expect(winner(game)).toBeNull();
+      expect(isFinished(game)).toBe(true);
+      expect(applyThrow(game, { rowIndex: 0 })).toBe(game);
+
+      game = applyTiebreak(game, 1);
+      expect(getOutcome(game)).toEqual({ winnerIndex: 1, decidedBy: 'bulloff', tied: [0, 1] });
+      expect(winner(game)).toBe(1);
+    });
+
+    it('only lets a tied player win a bull-off, and forgets it when the last dart is undone', () => {
+      const players = ['Alice', 'Bob', 'Carol'];
+      let game = createGame({ players, roundLimit: { maxRounds: 1, tiebreak: TIEBREAKS.bullOff } });
+      game = finishRound(throwAll(game, [[0, 0], [0, 1]])); // Carol has no marks
+
+      expect(getOutcome(game).tied).toEqual([0, 1]);
+      expect(applyTiebreak(game, 2)).toBe(game);
+
+      const decided = applyTiebreak(game, 0);
+      expect(winner(decided)).toBe(0);
+      expect(undo(decided).tiebreakWinner).toBeNull();
+      expect(isFinished(undo(decided))).toBe(false);
+    });
+
+    it('plays extra rounds until a round ends with a leader', () => {
+      let game = finishRound(finishRound(createLimitedGame(TIEBREAKS.extraRounds)));
+      expect(getOutcome(game)).toBeNull();
+
+      game = throwAll(game, [[0, 0]]); // Alice leads on marks, but Bob still throws this round
+      expect(getOutcome(game)).toBeNull();
+      game = finishRound(game);
+      expect(getOutcome(game)).toEqual({ winnerIndex: 0, decidedBy: 'marks', tied: [] });
+    });
+
+    it('still ends the game when a player closes out before the limit', () => {
+      const limit = { roundLimit: { maxRounds: 20, tiebreak: TIEBREAKS.bullOff } };
+      const game = throwAll(createLimitedGame(TIEBREAKS.bullOff, limit), DEFAULT_ROWS.flatMap((_, rowIndex) => [[rowIndex, 0], [rowIndex, 0], [rowIndex, 0]]));
+
+      expect(getOutcome(game)).toEqual({ winnerIndex: 0, decidedBy: 'closed', tied: [] });
+    });
+
+    it('never ends a game without a round limit on rounds', () => {
+      let game = createGame({ players: ['Alice', 'Bob'] });
+      for (let round = 0; round < 30; round++) game = finishRound(game);
+
+      expect(getRoundsPlayed(game)).toBe(30);
+      expect(getOutcome(game)).toBeNull();
+    });
+  });
+
+  describe('throw log and replay', () => {
+    it('records the time of each dart, including misses filled in by ending the turn', () => {
+      let game = createGame({ players: ['Alice', 'Bob'] });
+      game = applyThrow(game, { rowIndex: 0, time: '2024-05-01T20:00:00.000Z' });
+      game = applyDart(game, { segment: 19, multiplier: 3, time: '2024-05-01T20:00:05.000Z' });
+      game = endTurn(game, '2024-05-01T20:00:09.000Z');
+
+      expect(game.history.map((move) => move.time)).toEqual([
+        '2024-05-01T20:00:00.000Z',
+        '2024-05-01T20:00:05.000Z',
+        '2024-05-01T20:00:09.000Z',
+      ]);
+    });
+
+    it('rebuilds the board after any number of darts', () => {
+      const game = throwAll(createGame({ players: ['Alice', 'Bob'] }), [
+        [0, 0], [0, 0], [0, 0], // Alice closes the 20
+        [0, 1], [1, 1], // Bob starts on the 20 and 19
+        [0, 0], // Alice scores on the 20
+      ]);
+
+      expect(replayHistory(game, 0).grid).toEqual(createGame(game).grid);
+      expect(replayHistory(game, 3).grid[0][0].taps).toBe(3);
+      expect(replayHistory(game, 3).currentPlayer).toBe(1);
+
+      const final = replayHistory(game);
+      expect(final.grid).toEqual(game.grid);
+      expect(final.points).toEqual(game.points);
+    });
+
+    it('replays histories saved before turns were tracked', () => {
+      // Older saves only recorded the cell that was tapped
+      const saved = {
+        players: ['Alice', 'Bob'],
+        history: [{ rowIndex: 0, colIndex: 1 }, { rowIndex: 0, colIndex: 1 }, { rowIndex: 6, colIndex: 0 }],
+      };
+
+      const board = replayHistory(saved);
+      expect(board.grid[0][1].taps).toBe(2);
+      expect(board.grid[6][0].taps).toBe(1);
+    });
+  });
+});
\ No newline at end of file
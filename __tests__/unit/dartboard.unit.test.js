@@ -0,0 +1,54 @@
+import { SEGMENT_ORDER, BOARD_RINGS, getDartAt, formatDart } from '../../utils/dartboard.js';
+
+// Board size used for the tests, so the radius is 100
+const SIZE = 200;
+
+// Returns the point at a distance (fraction of the radius) and angle (degrees clockwise from the top)
+const pointAt = (distance, angle) => {
+  const radians = (angle * Math.PI) / 180;
+  return [100 + Math.sin(radians) * distance * 100, 100 - Math.cos(radians) * distance * 100];
+};
+
+describe('dartboard geometry', () => {
+  it('finds the segment under each part of the board', () => {
+    SEGMENT_ORDER.forEach((segment, index) => {
+      const [x, y] = pointAt(0.2, index * 18);
+      expect(getDartAt(x, y, SIZE)).toEqual({ segment, multiplier: 1 });
+    });
+  });
+
+  it('tells the triple and double rings apart from the singles', () => {
+    const tripleDistance = (BOARD_RINGS.tripleInner + BOARD_RINGS.tripleOuter) / 2;
+    const doubleDistance = (BOARD_RINGS.doubleInner + BOARD_RINGS.doubleOuter) / 2;
+
+    expect(getDartAt(...pointAt(tripleDistance, 0), SIZE)).toEqual({ segment: 20, multiplier: 3 });
+    expect(getDartAt(...pointAt(doubleDistance, 90), SIZE)).toEqual({ segment: 6, multiplier: 2 });
+    expect(getDartAt(...pointAt(0.48, 180), SIZE)).toEqual({ segment: 3, multiplier: 1 });
+  });
+
+  it('uses the segment boundaries halfway between numbers', () => {
+    expect(getDartAt(...pointAt(0.2, 8), SIZE).segment).toBe(20);
+    expect(getDartAt(...pointAt(0.2, 10), SIZE).segment).toBe(1);
+    expect(getDartAt(...pointAt(0.2, 352), SIZE).segment).toBe(20);
+    expect(getDartAt(...pointAt(0.2, 350), SIZE).segment).toBe(5);
+  });
+
+  it('recognises the outer and inner bull', () => {
+    expect(getDartAt(100, 100, SIZE)).toEqual({ segment: 25, multiplier: 2 });
+    expect(getDartAt(...pointAt(0.05, 45), SIZE)).toEqual({ segment: 25, multiplier: 1 });
+  });
+
+  it('treats taps outside the double ring as misses', () => {
+    expect(getDartAt(...pointAt(0.7, 0), SIZE)).toEqual({ segment: null, multiplier: 0 });
+    expect(getDartAt(0, 0, SIZE)).toEqual({ segment: null, multiplier: 0 });
+  });
+
+  it('describes darts for display', () => {
+    expect(formatDart({ segment: 20, multiplier: 3 })).toBe('Triple 20');
+    expect(formatDart({ segment: 16, multiplier: 2 })).toBe('Double 16');
+    expect(formatDart({ segment: 7, multiplier: 1 })).toBe('Single 7');
+    expect(formatDart({ segment: 25, multiplier: 1 })).toBe('Bull');
+    expect(formatDart({ segment: 25, multiplier: 2 })).toBe("Bull's-eye");
+    expect(formatDart({ segment: null, multiplier: 0 })).toBe('Miss');
+  });
+});
\ No newline at end of file
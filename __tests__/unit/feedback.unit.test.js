@@ -0,0 +1,67 @@
+import * as Haptics from 'expo-haptics';
+import { Audio } from 'expo-av';
+import { playFeedback } from '../../utils/feedback.js';
+import { DEFAULT_SETTINGS } from '../../utils/settings-repository.js';
+
+// The settings repository imports AsyncStorage
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(),
+  setItem: jest.fn(),
+}));
+
+// Mock the vibration and sound modules
+jest.mock('expo-haptics', () => ({
+  impactAsync: jest.fn(() => Promise.resolve()),
+  notificationAsync: jest.fn(() => Promise.resolve()),
+  ImpactFeedbackStyle: { Light: 'light' },
+  NotificationFeedbackType: { Success: 'success' },
+}));
+const mockSound = { setOnPlaybackStatusUpdate: jest.fn(), unloadAsync: jest.fn() };
+jest.mock('expo-av', () => ({
+  Audio: {
+    Sound: { createAsync: jest.fn(() => Promise.resolve({ sound: mockSound })) },
+  },
+}));
+
+describe('playFeedback', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('taps and plays a sound for darts, and celebrates wins', async () => {
+    await playFeedback(DEFAULT_SETTINGS, 'dart');
+    expect(Haptics.impactAsync).toHaveBeenCalledWith('light');
+    expect(Audio.Sound.createAsync).toHaveBeenCalledWith(expect.anything(), { shouldPlay: true });
+
+    await playFeedback(DEFAULT_SETTINGS, 'win');
+    expect(Haptics.notificationAsync).toHaveBeenCalledWith('success');
+    expect(Audio.Sound.createAsync).toHaveBeenCalledTimes(2);
+  });
+
+  it('unloads sounds once they have finished', async () => {
+    await playFeedback(DEFAULT_SETTINGS, 'dart');
+    const [onStatus] = mockSound.setOnPlaybackStatusUpdate.mock.calls[0];
+
+    onStatus({ didJustFinish: false });
+    expect(mockSound.unloadAsync).not.toHaveBeenCalled();
+    onStatus({ didJustFinish: true });
+    expect(mockSound.unloadAsync).toHaveBeenCalled();
+  });
+
+  it('stays silent and still when haptics and sound are turned off', async () => {
+    await playFeedback({ ...DEFAULT_SETTINGS, haptics: false, sound: false }, 'win');
+
+    expect(Haptics.notificationAsync).not.toHaveBeenCalled();
+    expect(Audio.Sound.createAsync).not.toHaveBeenCalled();
+  });
+
+  it('logs feedback that fails instead of throwing', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Haptics.impactAsync.mockRejectedValueOnce(new Error('No vibration motor'));
+
+    await expect(playFeedback(DEFAULT_SETTINGS, 'dart')).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith('Failed to play feedback:', expect.any(Error));
+
+    console.error.mockRestore();
+  });
+});
\ No newline at end of file
@@ -28,10 +28,10 @@ jest.spyOn(Alert, 'alert').mockImplementation((title, message, buttons) => {
 describe('GameHistoryPage', () => {
   // Mock data for in-progress and completed games
   const mockInProgressGames = [
-    { gameName: 'Game 1', players: ['Player 1', 'Player 2'], date: '2023-05-01', time: '14:00' },
+    { id: 'game-1', gameName: 'Game 1', players: ['Player 1', 'Player 2'], date: '2023-05-01', time: '14:00' },
   ];
   const mockCompletedGames = [
-    { gameName: 'Game 2', players: ['Player 3', 'Player 4'], date: '2023-05-02', time: '15:00', winner: 'Player 3' },
+    { id: 'game-2', gameName: 'Game 2', players: ['Player 3', 'Player 4'], date: '2023-05-02', time: '15:00', winner: 'Player 3' },
   ];
 
   // Set up mock implementation for AsyncStorage.getItem before each test
@@ -66,6 +66,11 @@ jest.mock('@react-native-async-storage/async-storage', () => ({
   setItem: jest.fn(),
 }));
 
+// Mock the vibration and sound feedback, which needs a device
+jest.mock('../../utils/feedback', () => ({
+  playFeedback: jest.fn(),
+}));
+
 describe('GameScreenPage', () => {
     // Reset all mocks before each test
     beforeEach(() => {
@@ -0,0 +1,70 @@
+import {
+  getGameTimes,
+  getGameDuration,
+  getTurnTimes,
+  formatDuration,
+  formatGameDate,
+} from '../../utils/game-time.js';
+
+// Alice's full turn and the first dart of Bob's, ten seconds apart
+const history = [
+  { rowIndex: 0, colIndex: 0, previousDarts: 0, time: '2024-03-01T20:00:10.000Z' },
+  { rowIndex: 0, colIndex: 0, previousDarts: 1, time: '2024-03-01T20:00:20.000Z' },
+  { rowIndex: null, colIndex: 0, previousDarts: 2, skipped: true, time: '2024-03-01T20:00:30.000Z' },
+  { rowIndex: 1, colIndex: 1, previousDarts: 0, time: '2024-03-01T20:00:40.000Z' },
+];
+
+describe('game times', () => {
+  describe('getGameTimes / getGameDuration', () => {
+    it('uses the stored start and end times', () => {
+      const game = { startedAt: '2024-03-01T20:00:00.000Z', endedAt: '2024-03-01T20:12:05.000Z', history };
+
+      expect(getGameTimes(game)).toEqual({
+        start: Date.parse('2024-03-01T20:00:00.000Z'),
+        end: Date.parse('2024-03-01T20:12:05.000Z'),
+      });
+      expect(getGameDuration(game)).toBe((12 * 60 + 5) * 1000);
+    });
+
+    it('ends in-progress games at their latest dart', () => {
+      expect(getGameDuration({ startedAt: '2024-03-01T20:00:00.000Z', endedAt: null, history })).toBe(40000);
+    });
+
+    it('falls back to the throw log, and to unknown without one', () => {
+      expect(getGameDuration({ history })).toBe(30000);
+      expect(getGameTimes({ history: [] })).toEqual({ start: null, end: null });
+      expect(getGameDuration({ startedAt: '2024-03-01T20:00:00.000Z', history: [] })).toBeNull();
+    });
+  });
+
+  describe('getTurnTimes', () => {
+    it('groups the throw log into timestamped turns', () => {
+      expect(getTurnTimes({ history })).toEqual([
+        { colIndex: 0, darts: 3, startedAt: '2024-03-01T20:00:10.000Z', endedAt: '2024-03-01T20:00:30.000Z' },
+        { colIndex: 1, darts: 1, startedAt: '2024-03-01T20:00:40.000Z', endedAt: '2024-03-01T20:00:40.000Z' },
+      ]);
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('formats seconds, minutes and hours', () => {
+      expect(formatDuration(45000)).toBe('45s');
+      expect(formatDuration((12 * 60 + 5) * 1000)).toBe('12m 05s');
+      expect(formatDuration((63 * 60 + 20) * 1000)).toBe('1h 03m');
+      expect(formatDuration(null)).toBe('');
+    });
+  });
+
+  describe('formatGameDate', () => {
+    it('formats the start time with the device locale', () => {
+      const start = new Date('2024-03-01T20:00:00.000Z');
+      const expected = `${start.toLocaleDateString()} ${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+      expect(formatGameDate({ startedAt: start.toISOString(), history: [] })).toBe(expected);
+    });
+
+    it('shows the saved date text of games without times', () => {
+      expect(formatGameDate({ date: '20/05/2023', time: '14:30', history: [] })).toBe('20/05/2023 14:30');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,254 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_ROWS } from '../../utils/cricket-engine.js';
+import {
+  IN_PROGRESS_KEY,
+  COMPLETED_KEY,
+  SCHEMA_VERSION,
+  isValidGame,
+  migrateGame,
+  loadInProgressGames,
+  getInProgressGame,
+  saveInProgressGame,
+  deleteInProgressGame,
+  completeGame,
+  reopenGame,
+  importGames,
+} from '../../utils/games-repository.js';
+
+// Mock AsyncStorage with an in-memory store
+let mockStore = {};
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStore[key] ?? null)),
+  setItem: jest.fn((key, value) => {
+    mockStore[key] = value;
+    return Promise.resolve();
+  }),
+}));
+
+// A game as saved before IDs, points and turns were stored
+const legacyGame = {
+  gameName: 'Old Game',
+  players: ['Alice', 'Bob'],
+  grid: [[{ taps: 1 }, { taps: 0 }]],
+  history: [{ rowIndex: 0, colIndex: 0 }],
+  date: '1/2/2024',
+};
+
+// A game saved with the current schema
+const currentGame = {
+  ...legacyGame,
+  id: 'game-1',
+  points: [0, 0],
+  gameMode: 'standard',
+  playerIds: ['player-1', null],
+  cpuLevels: [null, 'hard'],
+  rows: ['20'],
+  match: null,
+  firstPlayer: 0,
+  startedAt: '2024-01-02T19:00:00.000Z',
+  endedAt: null,
+  currentPlayer: 1,
+  dartsThrown: 0,
+  schemaVersion: SCHEMA_VERSION,
+};
+
+const readStored = (key) => JSON.parse(mockStore[key]);
+
+describe('games repository', () => {
+  beforeEach(() => {
+    mockStore = {};
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isValidGame', () => {
+    it('accepts games with a name, players and a grid', () => {
+      expect(isValidGame(legacyGame)).toBe(true);
+      expect(isValidGame(currentGame)).toBe(true);
+    });
+
+    it('rejects records missing a name, players or a usable grid', () => {
+      expect(isValidGame(null)).toBe(false);
+      expect(isValidGame('game')).toBe(false);
+      expect(isValidGame({ ...legacyGame, gameName: undefined })).toBe(false);
+      expect(isValidGame({ ...legacyGame, players: ['Alice'] })).toBe(false);
+      expect(isValidGame({ ...legacyGame, grid: [[{ taps: 0 }]] })).toBe(false);
+    });
+  });
+
+  describe('migrateGame', () => {
+    it('upgrades games saved without a version to the current schema', () => {
+      const migrated = migrateGame(legacyGame);
+
+      expect(migrated).toEqual({
+        ...legacyGame,
+        id: expect.any(String),
+        points: [0, 0],
+        gameMode: 'standard',
+        playerIds: [null, null],
+        cpuLevels: [null, null],
+        rows: DEFAULT_ROWS,
+        match: null,
+        firstPlayer: 0,
+        startedAt: new Date(2024, 0, 2).toISOString(),
+        endedAt: null,
+        teams: null,
+        handicaps: null,
+        roundLimit: null,
+        outcome: null,
+        currentPlayer: 0,
+        dartsThrown: 0,
+        schemaVersion: SCHEMA_VERSION,
+      });
+    });
+
+    it('keeps data older versions already stored', () => {
+      const migrated = migrateGame({ ...legacyGame, id: 'game-7', points: [15, 0], currentPlayer: '1' });
+
+      expect(migrated.id).toBe('game-7');
+      expect(migrated.points).toEqual([15, 0]);
+      expect(migrated.currentPlayer).toBe(1);
+    });
+
+    it('keeps the numbers games were saved with', () => {
+      const migrated = migrateGame({ ...legacyGame, rows: ['20', '19', 'Bull'] });
+
+      expect(migrated.rows).toEqual(['20', '19', 'Bull']);
+    });
+
+    it('takes start and end times from the throw log, then the saved date text', () => {
+      const history = [
+        { rowIndex: 0, colIndex: 0, time: '2024-01-02T19:00:00.000Z' },
+        { rowIndex: 0, colIndex: 1, time: '2024-01-02T19:20:00.000Z' },
+      ];
+
+      expect(migrateGame({ ...legacyGame, history, winner: 'Alice' })).toMatchObject({
+        startedAt: '2024-01-02T19:00:00.000Z',
+        endedAt: '2024-01-02T19:20:00.000Z',
+      });
+      expect(migrateGame({ ...legacyGame, time: '8:30:00 PM', winner: 'Alice' })).toMatchObject({
+        startedAt: new Date(2024, 0, 2, 20, 30).toISOString(),
+        endedAt: null,
+      });
+      expect(migrateGame({ ...legacyGame, date: '20/05/2023' }).startedAt).toBeNull();
+    });
+
+    it('leaves games at the current schema untouched', () => {
+      expect(migrateGame(currentGame)).toBe(currentGame);
+    });
+  });
+
+  describe('loading', () => {
+    it('migrates older games and writes them back', async () => {
+      mockStore[IN_PROGRESS_KEY] = JSON.stringify([legacyGame, currentGame]);
+
+      const games = await loadInProgressGames();
+
+      expect(games).toHaveLength(2);
+      expect(games[0].schemaVersion).toBe(SCHEMA_VERSION);
+      expect(readStored(IN_PROGRESS_KEY)).toEqual(games);
+    });
+
+    it('does not write back games that are already current', async () => {
+      mockStore[IN_PROGRESS_KEY] = JSON.stringify([currentGame]);
+
+      await loadInProgressGames();
+
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('skips invalid records and keeps a backup of the original data', async () => {
+      const saved = JSON.stringify([currentGame, { gameName: 'Broken' }]);
+      mockStore[IN_PROGRESS_KEY] = saved;
+
+      const games = await loadInProgressGames();
+
+      expect(games).toEqual([currentGame]);
+      expect(readStored(IN_PROGRESS_KEY)).toEqual([currentGame]);
+      expect(mockStore[`${IN_PROGRESS_KEY}Backup`]).toBe(saved);
+    });
+
+    it('returns no games for unreadable data and keeps a backup of it', async () => {
+      mockStore[IN_PROGRESS_KEY] = '{not json';
+
+      await expect(loadInProgressGames()).resolves.toEqual([]);
+      expect(mockStore[`${IN_PROGRESS_KEY}Backup`]).toBe('{not json');
+    });
+  });
+
+  describe('saving', () => {
+    it('adds new games and replaces saved games with the same ID', async () => {
+      await saveInProgressGame({ ...currentGame, schemaVersion: undefined });
+      await saveInProgressGame({ ...currentGame, id: 'game-2' });
+      await saveInProgressGame({ ...currentGame, dartsThrown: 2 });
+
+      const games = readStored(IN_PROGRESS_KEY);
+      expect(games.map((game) => game.id)).toEqual(['game-2', 'game-1']);
+      expect(games[1].dartsThrown).toBe(2);
+      expect(games[1].schemaVersion).toBe(SCHEMA_VERSION);
+      await expect(getInProgressGame('game-1')).resolves.toEqual(games[1]);
+    });
+
+    it('deletes games by ID', async () => {
+      mockStore[IN_PROGRESS_KEY] = JSON.stringify([currentGame, { ...currentGame, id: 'game-2' }]);
+
+      const remaining = await deleteInProgressGame('game-1');
+
+      expect(remaining.map((game) => game.id)).toEqual(['game-2']);
+      expect(readStored(IN_PROGRESS_KEY)).toEqual(remaining);
+    });
+
+    it('moves completed games out of the in-progress list', async () => {
+      mockStore[IN_PROGRESS_KEY] = JSON.stringify([currentGame]);
+
+      await completeGame({ ...currentGame, winner: 'Alice' });
+
+      expect(readStored(IN_PROGRESS_KEY)).toEqual([]);
+      expect(readStored(COMPLETED_KEY)).toEqual([{ ...currentGame, winner: 'Alice' }]);
+    });
+
+    it('moves reopened games back to the in-progress list', async () => {
+      mockStore[COMPLETED_KEY] = JSON.stringify([{ ...currentGame, winner: 'Alice' }, { ...currentGame, id: 'game-2' }]);
+
+      await reopenGame(currentGame);
+
+      expect(readStored(IN_PROGRESS_KEY)).toEqual([currentGame]);
+      expect(readStored(COMPLETED_KEY).map((game) => game.id)).toEqual(['game-2']);
+    });
+  });
+
+  describe('importGames', () => {
+    it('adds new games and skips games whose ID is already saved', async () => {
+      mockStore[IN_PROGRESS_KEY] = JSON.stringify([currentGame]);
+      mockStore[COMPLETED_KEY] = JSON.stringify([{ ...currentGame, id: 'game-2', winner: 'Alice' }]);
+
+      const result = await importGames({
+        inProgressGames: [{ ...currentGame, gameName: 'Changed' }, { ...currentGame, id: 'game-3' }],
+        completedGames: [{ ...currentGame, id: 'game-2', winner: 'Bob' }, { ...currentGame, id: 'game-4' }],
+      });
+
+      expect(result).toEqual({ added: 2, skipped: 2 });
+      expect(readStored(IN_PROGRESS_KEY).map((game) => game.gameName)).toEqual(['Old Game', 'Old Game']);
+      expect(readStored(IN_PROGRESS_KEY).map((game) => game.id)).toEqual(['game-1', 'game-3']);
+      expect(readStored(COMPLETED_KEY).map((game) => game.winner)).toEqual(['Alice', undefined]);
+    });
+
+    it('migrates imported games and prefers the completed copy of a game in both lists', async () => {
+      const result = await importGames({
+        inProgressGames: [{ ...legacyGame, id: 'game-5' }],
+        completedGames: [{ ...legacyGame, id: 'game-5', winner: 'Alice' }],
+      });
+
+      expect(result).toEqual({ added: 1, skipped: 1 });
+      expect(mockStore[IN_PROGRESS_KEY]).toBeUndefined();
+      expect(readStored(COMPLETED_KEY)).toEqual([
+        expect.objectContaining({ id: 'game-5', winner: 'Alice', schemaVersion: SCHEMA_VERSION, rows: DEFAULT_ROWS }),
+      ]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,42 @@
+import {
+  MIN_CELL_WIDTH,
+  isCompactLayout,
+  getNumberColumnPosition,
+  getGridLayout,
+} from '../../utils/grid-layout.js';
+
+describe('grid layout', () => {
+  it('places the numbers column between the players', () => {
+    expect(getNumberColumnPosition(2)).toBe(1);
+    expect(getNumberColumnPosition(3)).toBe(2);
+    expect(getNumberColumnPosition(4)).toBe(2);
+    expect(getNumberColumnPosition(6)).toBe(3);
+    expect(getNumberColumnPosition(7)).toBe(4);
+  });
+
+  it('shares the width between the columns when every player fits', () => {
+    expect(getGridLayout({ width: 390, playerCount: 4 })).toEqual({
+      scrollable: false,
+      cellWidth: null,
+      numberColumnPosition: 2,
+    });
+    // A tablet fits eight players across
+    expect(getGridLayout({ width: 1024, playerCount: 8 }).scrollable).toBe(false);
+  });
+
+  it('scrolls sideways with columns sized to fill the phone width', () => {
+    const layout = getGridLayout({ width: 390, playerCount: 8 });
+
+    expect(layout.scrollable).toBe(true);
+    expect(layout.numberColumnPosition).toBeNull();
+    expect(layout.cellWidth).toBeGreaterThanOrEqual(MIN_CELL_WIDTH);
+    // 370 pixels inside the margins, less the 56 pixel numbers column, fit four columns with their margins
+    expect(layout.cellWidth).toBe(74);
+  });
+
+  it('uses the compact layout on tablets and in landscape', () => {
+    expect(isCompactLayout({ width: 390, height: 844 })).toBe(false);
+    expect(isCompactLayout({ width: 844, height: 390 })).toBe(true);
+    expect(isCompactLayout({ width: 768, height: 1024 })).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,34 @@
+import { createHandicap, isHandicapped, describeHandicap } from '../../utils/handicaps.js';
+import { DEFAULT_ROWS } from '../../utils/cricket-engine.js';
+
+describe('handicaps', () => {
+  it('gives no handicap unless one is chosen', () => {
+    expect(createHandicap(null, DEFAULT_ROWS)).toBeNull();
+    expect(createHandicap({ type: 'none' }, DEFAULT_ROWS)).toBeNull();
+  });
+
+  it('places head start marks only on numbers in play', () => {
+    expect(createHandicap({ type: 'marks', marks: ['Bull', '20', '5'] }, DEFAULT_ROWS)).toEqual({
+      marks: ['20', 'Bull'],
+      points: 0,
+      marksToClose: 3,
+    });
+    expect(createHandicap({ type: 'marks', marks: ['5'] }, DEFAULT_ROWS)).toBeNull();
+  });
+
+  it('stores bonus points and fewer marks to close', () => {
+    expect(createHandicap({ type: 'points', points: 40 }, DEFAULT_ROWS)).toEqual({ marks: [], points: 40, marksToClose: 3 });
+    expect(createHandicap({ type: 'close' }, DEFAULT_ROWS)).toEqual({ marks: [], points: 0, marksToClose: 2 });
+  });
+
+  it('describes handicaps and detects handicapped games', () => {
+    expect(describeHandicap({ marks: ['20', '19'], points: 0, marksToClose: 3 })).toBe('1 mark on 20, 19');
+    expect(describeHandicap({ marks: [], points: 40, marksToClose: 3 })).toBe('+40 points');
+    expect(describeHandicap({ marks: [], points: 0, marksToClose: 2 })).toBe('closes in 2');
+    expect(describeHandicap(null)).toBeNull();
+
+    expect(isHandicapped({ handicaps: [null, { marks: [], points: 20, marksToClose: 3 }] })).toBe(true);
+    expect(isHandicapped({ handicaps: [null, null] })).toBe(false);
+    expect(isHandicapped({})).toBe(false);
+  });
+});
\ No newline at end of file
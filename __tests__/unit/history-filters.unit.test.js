@@ -0,0 +1,84 @@
+import {
+  EMPTY_FILTERS,
+  parseDay,
+  matchesFilters,
+  applyHistoryFilters,
+} from '../../utils/history-filters.js';
+
+// Builds a saved game whose throw log runs from `start` for `minutes`
+const buildGame = ({ id, start, minutes = 10, ...fields }) => ({
+  id,
+  gameName: `Game ${id}`,
+  players: ['Alice', 'Bob'],
+  gameMode: 'standard',
+  history: start
+    ? [
+      { rowIndex: 0, colIndex: 0, time: start },
+      { rowIndex: 0, colIndex: 1, time: new Date(Date.parse(start) + minutes * 60000).toISOString() },
+    ]
+    : [],
+  ...fields,
+});
+
+const ids = (games) => games.map((game) => game.id);
+
+describe('history filters', () => {
+  const games = [
+    buildGame({ id: 'a', start: '2024-03-01T20:00:00', minutes: 30, winner: 'Alice' }),
+    buildGame({ id: 'b', start: '2024-03-05T20:00:00', minutes: 5, players: ['Carol', 'Dave', 'Eve'], winner: 'Eve' }),
+    buildGame({ id: 'c', start: '2024-03-10T20:00:00', minutes: 15, gameMode: 'cutthroat', gameName: 'League Night' }),
+    buildGame({ id: 'd', date: 'not a date' }),
+  ];
+
+  describe('parseDay', () => {
+    it('reads YYYY-MM-DD days and rejects anything else', () => {
+      expect(parseDay('2024-03-05')).toEqual(new Date(2024, 2, 5));
+      expect(parseDay('2024-02-30')).toBeNull();
+      expect(parseDay('5/3/2024')).toBeNull();
+      expect(parseDay('')).toBeNull();
+    });
+  });
+
+  describe('matchesFilters', () => {
+    it('searches game and player names, ignoring case', () => {
+      expect(matchesFilters(games[2], { ...EMPTY_FILTERS, query: 'league' })).toBe(true);
+      expect(matchesFilters(games[1], { ...EMPTY_FILTERS, query: 'EVE' })).toBe(true);
+      expect(matchesFilters(games[0], { ...EMPTY_FILTERS, query: 'eve' })).toBe(false);
+    });
+
+    it('filters by winner, player count and game mode', () => {
+      expect(ids(games.filter((game) => matchesFilters(game, { ...EMPTY_FILTERS, winner: 'ali' })))).toEqual(['a']);
+      expect(ids(games.filter((game) => matchesFilters(game, { ...EMPTY_FILTERS, playerCount: 3 })))).toEqual(['b']);
+      expect(ids(games.filter((game) => matchesFilters(game, { ...EMPTY_FILTERS, gameMode: 'cutthroat' })))).toEqual(['c']);
+    });
+
+    it('includes both days of the date range and skips games without a date', () => {
+      const filters = { ...EMPTY_FILTERS, from: '2024-03-05', to: '2024-03-10' };
+      expect(ids(games.filter((game) => matchesFilters(game, filters)))).toEqual(['b', 'c']);
+    });
+
+    it('ends the date range at midnight on the days the clocks change', () => {
+      // In the UK and most of Europe the clocks go forward on 31 March 2024, making the day 23 hours long
+      const afterShortDay = buildGame({ id: 'e', start: '2024-04-01T00:30:00' });
+      expect(matchesFilters(afterShortDay, { ...EMPTY_FILTERS, to: '2024-03-31' })).toBe(false);
+      // and go back on 27 October 2024, making the day 25 hours long
+      const lateOnLongDay = buildGame({ id: 'f', start: '2024-10-27T23:30:00' });
+      expect(matchesFilters(lateOnLongDay, { ...EMPTY_FILTERS, to: '2024-10-27' })).toBe(true);
+    });
+  });
+
+  describe('applyHistoryFilters', () => {
+    it('sorts by date or duration with unknown values last', () => {
+      expect(ids(applyHistoryFilters(games, EMPTY_FILTERS, 'newest'))).toEqual(['c', 'b', 'a', 'd']);
+      expect(ids(applyHistoryFilters(games, EMPTY_FILTERS, 'oldest'))).toEqual(['a', 'b', 'c', 'd']);
+      expect(ids(applyHistoryFilters(games, EMPTY_FILTERS, 'longest'))).toEqual(['a', 'c', 'b', 'd']);
+      expect(ids(applyHistoryFilters(games, EMPTY_FILTERS, 'shortest'))).toEqual(['b', 'c', 'a', 'd']);
+    });
+
+    it('does not change the list it is given', () => {
+      const copy = [...games];
+      applyHistoryFilters(games, { ...EMPTY_FILTERS, query: 'alice' }, 'newest');
+      expect(games).toEqual(copy);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,127 @@
+import {
+  getWinsNeeded,
+  createMatch,
+  recordLegWin,
+  getFirstThrower,
+  describeMatch,
+  formatMatchScore,
+  createNextLeg,
+} from '../../utils/match.js';
+
+// Records a list of leg winners on a match
+const playLegs = (match, winners) => winners.reduce(recordLegWin, match);
+
+describe('match rules', () => {
+  it('works out the wins needed for a best-of contest', () => {
+    expect(getWinsNeeded(1)).toBe(1);
+    expect(getWinsNeeded(3)).toBe(2);
+    expect(getWinsNeeded(5)).toBe(3);
+    expect(getWinsNeeded(7)).toBe(4);
+  });
+
+  it('starts a match with no legs played', () => {
+    const match = createMatch({ players: ['Alice', 'Bob', 'Cara'], bestOfLegs: 5 });
+
+    expect(match).toEqual({
+      id: expect.stringMatching(/^match-/),
+      bestOfLegs: 5,
+      bestOfSets: 1,
+      legWins: [0, 0, 0],
+      setWins: [0, 0, 0],
+      legsPlayed: 0,
+      winnerIndex: null,
+    });
+  });
+
+  it('decides a legs-only match once a player wins the majority of legs', () => {
+    const match = createMatch({ players: ['Alice', 'Bob'], bestOfLegs: 3 });
+
+    const level = playLegs(match, [0, 1]);
+    expect(level.legWins).toEqual([1, 1]);
+    expect(level.winnerIndex).toBeNull();
+    expect(formatMatchScore(level)).toBe('Legs 1–1');
+
+    const decided = recordLegWin(level, 1);
+    expect(decided.winnerIndex).toBe(1);
+    expect(decided.legsPlayed).toBe(3);
+    // Further legs do not change a decided match
+    expect(recordLegWin(decided, 0)).toBe(decided);
+  });
+
+  it('rolls legs up into sets and starts every set from zero legs', () => {
+    const match = createMatch({ players: ['Alice', 'Bob'], bestOfLegs: 3, bestOfSets: 3 });
+
+    const firstSet = playLegs(match, [0, 1, 0]);
+    expect(firstSet.setWins).toEqual([1, 0]);
+    expect(firstSet.legWins).toEqual([0, 0]);
+    expect(formatMatchScore(recordLegWin(firstSet, 1))).toBe('Sets 1–0, Legs 0–1');
+
+    const deciderSet = playLegs(firstSet, [1, 1, 0]);
+    expect(deciderSet.setWins).toEqual([1, 1]);
+    expect(deciderSet.winnerIndex).toBeNull();
+    expect(recordLegWin(deciderSet, 0).winnerIndex).toBe(0);
+  });
+
+  it('rotates who throws first with every leg', () => {
+    const match = createMatch({ players: ['Alice', 'Bob', 'Cara'], bestOfLegs: 7 });
+
+    expect(getFirstThrower(match)).toBe(0);
+    expect(getFirstThrower(playLegs(match, [0]))).toBe(1);
+    expect(getFirstThrower(playLegs(match, [0, 0]))).toBe(2);
+    expect(getFirstThrower(playLegs(match, [0, 0, 0]))).toBe(0);
+  });
+
+  it('describes the match format', () => {
+    expect(describeMatch(createMatch({ players: ['Alice', 'Bob'], bestOfLegs: 5 }))).toBe('Best of 5 legs');
+    expect(describeMatch(createMatch({ players: ['Alice', 'Bob'], bestOfLegs: 3, bestOfSets: 5 })))
+      .toBe('Best of 5 sets of 3 legs');
+  });
+
+  it('builds the next leg with the same players and a fresh board', () => {
+    const match = recordLegWin(createMatch({ players: ['Alice', 'Bob'], bestOfLegs: 3 }), 0);
+    const completedGame = {
+      id: 'game-1',
+      gameName: 'Friday Match',
+      players: ['Alice', 'Bob'],
+      playerIds: ['player-a', null],
+      gameMode: 'cutthroat',
+      grid: [[{ taps: 3 }, { taps: 1 }]],
+      points: [0, 40],
+      match,
+    };
+
+    const nextLeg = createNextLeg(completedGame);
+
+    expect(nextLeg).toEqual(expect.objectContaining({
+      gameName: 'Friday Match',
+      players: ['Alice', 'Bob'],
+      playerIds: ['player-a', null],
+      gameMode: 'cutthroat',
+      history: [],
+      points: [0, 0],
+      firstPlayer: 1,
+      currentPlayer: 1,
+      match,
+      endedAt: null,
+    }));
+    expect(Date.parse(nextLeg.startedAt)).not.toBeNaN();
+    expect(nextLeg.id).not.toBe('game-1');
+    expect(nextLeg.grid.every((row) => row.every((cell) => cell.taps === 0))).toBe(true);
+  });
+
+  it('keeps the teams for the next leg', () => {
+    const teams = [
+      { members: ['Alice', 'Bob'], memberIds: [null, null] },
+      { members: ['Cara', 'Dan'], memberIds: [null, null] },
+    ];
+    const completedGame = {
+      id: 'game-1',
+      gameName: 'Doubles Match',
+      players: ['Alice & Bob', 'Cara & Dan'],
+      teams,
+      match: recordLegWin(createMatch({ players: ['Alice & Bob', 'Cara & Dan'], bestOfLegs: 3 }), 1),
+    };
+
+    expect(createNextLeg(completedGame).teams).toEqual(teams);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,49 @@
+import { DEFAULT_ROWS } from '../../utils/cricket-engine.js';
+import {
+  EXTENDED_NUMBERS,
+  RANDOM_NUMBER_COUNT,
+  drawRandomNumbers,
+  parseCustomRows,
+  getRowsForSet,
+} from '../../utils/number-sets.js';
+
+describe('number sets', () => {
+  it('builds the standard and 10–20 rows, with or without the Bull', () => {
+    expect(getRowsForSet('standard')).toEqual(DEFAULT_ROWS);
+    expect(getRowsForSet('standard', { includeBull: false })).toEqual(['20', '19', '18', '17', '16', '15']);
+    expect(getRowsForSet('extended')).toEqual([...EXTENDED_NUMBERS, 'Bull']);
+    expect(getRowsForSet('extended')).toHaveLength(12);
+  });
+
+  it('draws distinct random numbers, highest first', () => {
+    const numbers = drawRandomNumbers();
+
+    expect(numbers).toHaveLength(RANDOM_NUMBER_COUNT);
+    expect(new Set(numbers).size).toBe(RANDOM_NUMBER_COUNT);
+    numbers.forEach((number) => {
+      expect(Number(number)).toBeGreaterThanOrEqual(1);
+      expect(Number(number)).toBeLessThanOrEqual(20);
+    });
+    expect([...numbers].sort((a, b) => b - a)).toEqual(numbers);
+  });
+
+  it('uses the given source of randomness for Hidden/Random cricket', () => {
+    // Always drawing the first number left in the pool gives 1 to 6
+    expect(getRowsForSet('random', { random: () => 0 })).toEqual(['6', '5', '4', '3', '2', '1', 'Bull']);
+  });
+
+  it('reads a typed list of targets', () => {
+    expect(parseCustomRows('20, 19 18,Bull')).toEqual(['20', '19', '18', 'Bull']);
+    expect(parseCustomRows('b 5 12 05 25')).toEqual(['12', '5', 'Bull']);
+    expect(getRowsForSet('custom', { customText: '3, 7', includeBull: true })).toEqual(['7', '3']);
+  });
+
+  it('rejects custom lists with invalid or too few targets', () => {
+    expect(parseCustomRows('')).toBeNull();
+    expect(parseCustomRows('20')).toBeNull();
+    expect(parseCustomRows('20, 20')).toBeNull();
+    expect(parseCustomRows('21, 20')).toBeNull();
+    expect(parseCustomRows('0, 20')).toBeNull();
+    expect(parseCustomRows('twenty, 19')).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,71 @@
+import {
+  PLAYERS_KEY,
+  createPlayer,
+  getDisplayName,
+  getInitials,
+  findPlayerByName,
+  loadPlayers,
+  savePlayer,
+  deletePlayer,
+} from '../../utils/players-repository.js';
+
+// Mock AsyncStorage with an in-memory store
+let mockStore = {};
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStore[key] ?? null)),
+  setItem: jest.fn((key, value) => {
+    mockStore[key] = value;
+    return Promise.resolve();
+  }),
+}));
+
+const alice = { id: 'player-a', name: 'Alice Smith', nickname: 'Ace', color: '#FF6347' };
+const bob = { id: 'player-b', name: 'Bob', nickname: '', color: '#6495ED' };
+
+describe('players repository', () => {
+  beforeEach(() => {
+    mockStore = {};
+  });
+
+  it('creates players with an ID and trimmed names', () => {
+    const player = createPlayer({ name: '  Cara Jones ', nickname: ' CJ ' });
+
+    expect(player.id).toMatch(/^player-/);
+    expect(player.name).toBe('Cara Jones');
+    expect(player.nickname).toBe('CJ');
+  });
+
+  it('shows the nickname when there is one and initials from the name', () => {
+    expect(getDisplayName(alice)).toBe('Ace');
+    expect(getDisplayName(bob)).toBe('Bob');
+    expect(getInitials(alice)).toBe('AS');
+    expect(getInitials(bob)).toBe('B');
+  });
+
+  it('matches typed names to profiles by name or nickname, ignoring case', () => {
+    expect(findPlayerByName([alice, bob], ' bob ')).toBe(bob);
+    expect(findPlayerByName([alice, bob], 'ACE')).toBe(alice);
+    expect(findPlayerByName([alice, bob], 'Player 1')).toBeUndefined();
+  });
+
+  it('saves, updates and deletes players', async () => {
+    await savePlayer(alice);
+    await savePlayer(bob);
+    await savePlayer({ ...alice, nickname: 'Al' });
+
+    expect(await loadPlayers()).toEqual([{ ...alice, nickname: 'Al' }, bob]);
+
+    await deletePlayer(alice.id);
+    expect(await loadPlayers()).toEqual([bob]);
+  });
+
+  it('skips invalid records and unreadable data', async () => {
+    mockStore[PLAYERS_KEY] = JSON.stringify([alice, { name: 'No ID' }, { id: 'player-x', name: ' ' }]);
+    expect(await loadPlayers()).toEqual([alice]);
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockStore[PLAYERS_KEY] = '{not json';
+    expect(await loadPlayers()).toEqual([]);
+    console.error.mockRestore();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+import {
+  ROUND_LIMITS,
+  TIEBREAK_OPTIONS,
+  createRoundLimit,
+  getRoundsThrown,
+  describeRound,
+  getOutcomeRecord,
+  describeOutcome,
+} from '../../utils/round-limits.js';
+import { TIEBREAKS, createGame, applyThrow, endTurn, applyTiebreak } from '../../utils/cricket-engine.js';
+
+// Ends a number of turns in a row
+const endTurns = (game, count) => Array.from({ length: count }).reduce((state) => endTurn(state), game);
+
+describe('round limits', () => {
+  it('offers no limit and a choice of rounds and tiebreaks', () => {
+    expect(ROUND_LIMITS[0]).toBeNull();
+    expect(ROUND_LIMITS).toContain(20);
+    expect(TIEBREAK_OPTIONS.map((option) => option.value)).toEqual([TIEBREAKS.bullOff, TIEBREAKS.extraRounds]);
+  });
+
+  it('stores a round limit only when one is chosen', () => {
+    expect(createRoundLimit(20, TIEBREAKS.bullOff)).toEqual({ maxRounds: 20, tiebreak: 'bulloff' });
+    expect(createRoundLimit(null, TIEBREAKS.bullOff)).toBeNull();
+  });
+
+  it('describes the round being thrown against the limit', () => {
+    let game = createGame({ players: ['Alice', 'Bob'], roundLimit: { maxRounds: 2, tiebreak: TIEBREAKS.extraRounds } });
+    expect(describeRound(game)).toBe('Round 1 of 2');
+
+    game = applyThrow(endTurns(game, 2), { rowIndex: null });
+    expect(getRoundsThrown(game)).toBe(2);
+    expect(describeRound(game)).toBe('Round 2 of 2');
+
+    // Still level after the last round, so an extra round is played
+    game = endTurns(game, 2);
+    expect(describeRound(game)).toBe('Extra round 1');
+
+    expect(describeRound(createGame({ players: ['Alice', 'Bob'] }))).toBeNull();
+  });
+
+  it('records how a game was decided and in how many rounds', () => {
+    let game = createGame({ players: ['Alice', 'Bob'], roundLimit: { maxRounds: 1, tiebreak: TIEBREAKS.bullOff } });
+    game = endTurns(game, 2);
+    expect(getOutcomeRecord(game)).toBeNull(); // The bull-off has not been thrown
+
+    game = applyTiebreak(game, 1);
+    expect(getOutcomeRecord(game)).toEqual({ decidedBy: 'bulloff', rounds: 1 });
+    expect(getOutcomeRecord(createGame({ players: ['Alice', 'Bob'] }))).toBeNull();
+  });
+
+  it('describes saved outcomes in words', () => {
+    expect(describeOutcome({ decidedBy: 'closed', rounds: 12 })).toBe('Won by closing out in round 12');
+    expect(describeOutcome({ decidedBy: 'points', rounds: 20 })).toBe('Won on points after 20 rounds');
+    expect(describeOutcome({ decidedBy: 'marks', rounds: 1 })).toBe('Won on marks after 1 round, level on points');
+    expect(describeOutcome({ decidedBy: 'bulloff', rounds: 20 })).toBe(
+      'Won a bull-off after 20 rounds, level on points and marks'
+    );
+    expect(describeOutcome(null)).toBeNull();
+  });
+});
\ No newline at end of file
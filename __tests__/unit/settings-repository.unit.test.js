@@ -0,0 +1,49 @@
+import {
+  SETTINGS_KEY,
+  DEFAULT_SETTINGS,
+  normalizeSettings,
+  loadSettings,
+  saveSettings,
+} from '../../utils/settings-repository.js';
+
+// Mock AsyncStorage with an in-memory store
+let mockStore = {};
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStore[key] ?? null)),
+  setItem: jest.fn((key, value) => {
+    mockStore[key] = value;
+    return Promise.resolve();
+  }),
+}));
+
+describe('settings repository', () => {
+  beforeEach(() => {
+    mockStore = {};
+  });
+
+  it('fills in missing settings with their defaults and ignores invalid values', () => {
+    expect(normalizeSettings({ haptics: false, theme: 'dark' })).toEqual({ ...DEFAULT_SETTINGS, haptics: false, theme: 'dark' });
+    expect(normalizeSettings({ defaultPlayerCount: 9, defaultGameMode: 'golf', sound: 'yes', theme: 'neon' })).toEqual(
+      DEFAULT_SETTINGS
+    );
+    expect(normalizeSettings(null)).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('loads the defaults when nothing or unreadable data is saved', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await loadSettings()).toEqual(DEFAULT_SETTINGS);
+    mockStore[SETTINGS_KEY] = '{not json';
+    expect(await loadSettings()).toEqual(DEFAULT_SETTINGS);
+
+    console.error.mockRestore();
+  });
+
+  it('saves settings and loads them back', async () => {
+    const settings = { ...DEFAULT_SETTINGS, defaultGameMode: 'cutthroat', defaultPlayerCount: 3, keepAwake: true };
+
+    expect(await saveSettings(settings)).toEqual(settings);
+    expect(JSON.parse(mockStore[SETTINGS_KEY])).toEqual(settings);
+    expect(await loadSettings()).toEqual(settings);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,160 @@
+import { DEFAULT_ROWS, createGame, applyThrow, applyDart, endTurn, winner } from '../../utils/cricket-engine.js';
+import { getPlayerKey, getParticipants, getWinnerIndex, getGameStats, getPlayerStatistics } from '../../utils/statistics.js';
+
+// Mock AsyncStorage, which the player profile helpers are stored with
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(),
+  setItem: jest.fn(),
+}));
+
+// Plays triples for the first player until they close everything, with the
+// second player missing every dart, and saves the game like the game screen does
+const playQuickWin = (players, playerIds) => {
+  let game = createGame({ players });
+  while (winner(game) === null) {
+    const rowIndex = game.grid.findIndex((row) => row[0].taps < 3);
+    game = applyDart(game, { segment: game.rows[rowIndex] === 'Bull' ? 25 : Number(game.rows[rowIndex]), multiplier: 3 });
+    if (game.currentPlayer === 1) game = endTurn(game);
+  }
+  const winnerIndex = winner(game);
+  return { ...game, playerIds, winner: players[winnerIndex], winnerIndex };
+};
+
+describe('player statistics', () => {
+  it('groups players by profile ID, and guests by name', () => {
+    const game = { players: ['Alice', ' Bob '], playerIds: ['player-a', null] };
+
+    expect(getPlayerKey(game, 0)).toBe('player-a');
+    expect(getPlayerKey(game, 1)).toBe('guest:bob');
+    expect(getPlayerKey({ players: ['Cara', 'Dan'] }, 0)).toBe('guest:cara');
+  });
+
+  it('finds the winner by index, or by name for older games', () => {
+    expect(getWinnerIndex({ players: ['Alice', 'Bob'], winner: 'Bob', winnerIndex: 1 })).toBe(1);
+    expect(getWinnerIndex({ players: ['Alice', 'Bob'], winner: 'Bob' })).toBe(1);
+  });
+
+  it('counts darts, marks and closed numbers for a player in a game', () => {
+    let game = createGame({ players: ['Alice', 'Bob'] });
+    game = applyThrow(game, { rowIndex: 0, marks: 3 });
+    game = applyThrow(game, { rowIndex: 1, marks: 2 });
+    game = applyThrow(game, { rowIndex: null });
+
+    expect(getGameStats(game, 0)).toEqual({ darts: 3, rounds: 1, marks: 5, closedRows: ['20'] });
+    expect(getGameStats(game, 1)).toEqual({ darts: 0, rounds: 0, marks: 0, closedRows: [] });
+  });
+
+  it('leaves the misses filled in by ending a turn early out of the darts thrown', () => {
+    let game = createGame({ players: ['Alice', 'Bob'] });
+    game = endTurn(applyThrow(game, { rowIndex: 0, marks: 3 })); // One dart, then the turn is ended
+    game = endTurn(game);
+    game = applyThrow(game, { rowIndex: 1, marks: 1 });
+
+    expect(getGameStats(game, 0)).toEqual(expect.objectContaining({ darts: 2, rounds: 2, marks: 4 }));
+    expect(getGameStats(game, 1)).toEqual(expect.objectContaining({ darts: 0, rounds: 1, marks: 0 }));
+
+    const [alice, bob] = getPlayerStatistics([{ ...game, winner: 'Alice', winnerIndex: 0 }]);
+    expect(alice.marksPerRound).toBe(6); // 4 marks in 2 darts thrown
+    expect(bob.marksPerRound).toBeNull(); // Bob never threw
+  });
+
+  it('counts marks beyond closing a number only when they score', () => {
+    let game = createGame({ players: ['Alice', 'Bob'] });
+    game = applyThrow(game, { rowIndex: 0, marks: 3 });
+    game = applyThrow(game, { rowIndex: 0, marks: 2 }); // Scores 40 while Bob has 20 open
+    game = applyThrow(game, { rowIndex: null });
+    game = applyThrow(game, { rowIndex: 0, marks: 3 }); // Bob closes 20
+    game = endTurn(game);
+    game = applyThrow(game, { rowIndex: 0, marks: 3 }); // 20 is closed by everyone and scores nothing
+    game = applyThrow(game, { rowIndex: 1, marks: 2 });
+
+    expect(game.points).toEqual([40, 0]);
+    expect(getGameStats(game, 0)).toEqual(expect.objectContaining({ darts: 5, marks: 7 }));
+  });
+
+  it('adds up games played, win rate, MPR, fastest win and closing frequency', () => {
+    const quickWin = playQuickWin(['Alice', 'Bob'], ['player-a', null]);
+    // Alice closes six numbers with triples and the bull with two double bulls: 8 darts in 3 rounds
+    expect(getGameStats(quickWin, 0).darts).toBe(8);
+
+    // An older game without history, won by Bob
+    const oldGame = {
+      players: ['Alice', 'Bob'],
+      playerIds: ['player-a', null],
+      grid: DEFAULT_ROWS.map((_, rowIndex) => [{ taps: rowIndex === 0 ? 3 : 0 }, { taps: 3 }]),
+      winner: 'Bob',
+    };
+
+    const [alice, bob] = getPlayerStatistics(
+      [quickWin, oldGame],
+      [{ id: 'player-a', name: 'Alice Smith', nickname: 'Ace', color: '#FF6347' }]
+    );
+
+    expect(alice).toEqual(expect.objectContaining({
+      key: 'player-a',
+      name: 'Ace',
+      gamesPlayed: 2,
+      wins: 1,
+      winRate: 0.5,
+      fastestWin: 3,
+    }));
+    // 6 triples and 2 double bulls: 22 marks in 8 darts
+    expect(alice.marksPerRound).toBeCloseTo((22 / 8) * 3);
+    expect(alice.closingFrequency).toEqual({ 20: 1, 19: 0.5, 18: 0.5, 17: 0.5, 16: 0.5, 15: 0.5, Bull: 0.5 });
+
+    expect(bob).toEqual(expect.objectContaining({
+      key: 'guest:bob',
+      name: 'Bob',
+      gamesPlayed: 2,
+      wins: 1,
+      fastestWin: null, // Bob's only win has no dart history
+    }));
+    expect(bob.marksPerRound).toBeNull(); // Bob's turns were all ended without a dart
+  });
+
+  it('credits each team member with the team result and their own darts', () => {
+    const teams = [
+      { members: ['Alice', 'Bob'], memberIds: ['player-a', null] },
+      { members: ['Cara', 'Dan'], memberIds: [null, null] },
+    ];
+    let game = createGame({ players: ['Alice & Bob', 'Cara & Dan'], teams });
+    // Alice hits a triple 20 and Bob a triple 19 in the team's first two turns; the other team misses
+    game = endTurn(endTurn(applyDart(game, { segment: 20, multiplier: 3 })));
+    game = endTurn(applyDart(game, { segment: 19, multiplier: 3 }));
+    const completed = { ...game, playerIds: [null, null], winner: 'Alice & Bob', winnerIndex: 0 };
+
+    expect(getParticipants(completed).map(({ name }) => name)).toEqual(['Alice', 'Bob', 'Cara', 'Dan']);
+    expect(getPlayerKey(completed, 0, 0)).toBe('player-a');
+    expect(getPlayerKey(completed, 0, 1)).toBe('guest:bob');
+    expect(getGameStats(completed, 0, 1)).toEqual({ darts: 1, rounds: 1, marks: 3, closedRows: ['20', '19'] });
+
+    const stats = getPlayerStatistics([completed]);
+    const alice = stats.find((player) => player.key === 'player-a');
+    const cara = stats.find((player) => player.key === 'guest:cara');
+
+    expect(stats).toHaveLength(4);
+    expect(alice).toEqual(expect.objectContaining({ gamesPlayed: 1, wins: 1, fastestWin: 2 }));
+    expect(alice.marksPerRound).toBe(9); // A triple with the only dart she threw
+    expect(cara).toEqual(expect.objectContaining({ gamesPlayed: 1, wins: 0, marksPerRound: null }));
+  });
+
+  it('counts handicapped games and leaves handicapped wins out of the fastest win', () => {
+    const handicapped = {
+      ...playQuickWin(['Alice', 'Bob'], [null, null]),
+      handicaps: [{ marks: [], points: 0, marksToClose: 2 }, null],
+    };
+    const [alice, bob] = getPlayerStatistics([handicapped]);
+
+    expect(alice).toEqual(expect.objectContaining({ name: 'Alice', wins: 1, handicappedGames: 1, fastestWin: null }));
+    // Two marks close a number under Alice's handicap, but not for Bob
+    expect(getGameStats({ ...handicapped, grid: [[{ taps: 2 }, { taps: 2 }]] }, 0).closedRows).toEqual(['20']);
+    expect(getGameStats({ ...handicapped, grid: [[{ taps: 2 }, { taps: 2 }]] }, 1).closedRows).toEqual([]);
+    expect(bob).toEqual(expect.objectContaining({ name: 'Bob', handicappedGames: 0 }));
+  });
+
+  it('reports no MPR for players with no recorded darts', () => {
+    const [stats] = getPlayerStatistics([{ players: ['Alice', 'Bob'], grid: [], winner: 'Alice' }]);
+
+    expect(stats.marksPerRound).toBeNull();
+  });
+});
\ No newline at end of file
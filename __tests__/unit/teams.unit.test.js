@@ -0,0 +1,41 @@
+import { getTeamCount, getDefaultTeams, fitTeams, getTeamName, createTeams } from '../../utils/teams.js';
+
+describe('teams', () => {
+  it('offers two teams, or teams of two for larger games', () => {
+    expect(getTeamCount(2)).toBe(2);
+    expect(getTeamCount(4)).toBe(2);
+    expect(getTeamCount(6)).toBe(3);
+  });
+
+  it('alternates the players between the teams by default', () => {
+    expect(getDefaultTeams(4)).toEqual([0, 1, 0, 1]);
+    expect(getDefaultTeams(3)).toEqual([0, 1, 0]);
+  });
+
+  it('moves players out of teams no longer offered into the smallest team', () => {
+    // Six players in three teams, down to five players and two teams
+    expect(fitTeams([0, 1, 2, 0, 1])).toEqual([0, 1, 0, 0, 1]);
+    expect(fitTeams([0, 0, 2, 0, 2])).toEqual([0, 0, 1, 0, 1]);
+    expect(fitTeams([1, 0, 1, 0])).toEqual([1, 0, 1, 0]);
+  });
+
+  it('names a team after its members', () => {
+    expect(getTeamName(['Alice', 'Bob'])).toBe('Alice & Bob');
+    expect(getTeamName(['Cara'])).toBe('Cara');
+  });
+
+  it('groups the players into their teams with their profile IDs', () => {
+    const teams = createTeams(['Alice', 'Bob', 'Cara', 'Dan'], ['player-a', null, null, 'player-d'], [1, 0, 1, 0]);
+
+    expect(teams).toEqual([
+      { members: ['Bob', 'Dan'], memberIds: [null, 'player-d'] },
+      { members: ['Alice', 'Cara'], memberIds: ['player-a', null] },
+    ]);
+  });
+
+  it('leaves out teams nobody was put in', () => {
+    expect(createTeams(['Alice', 'Bob', 'Cara'], [null, null, null], [1, 1, 1])).toEqual([
+      { members: ['Alice', 'Bob', 'Cara'], memberIds: [null, null, null] },
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,27 @@
+import { PALETTES, resolveThemeName, getScreenBackground } from '../../utils/theme.js';
+
+describe('theme', () => {
+  it('follows the device appearance unless a theme is chosen', () => {
+    expect(resolveThemeName('system', 'dark')).toBe('dark');
+    expect(resolveThemeName('system', 'light')).toBe('light');
+    expect(resolveThemeName('system', null)).toBe('light');
+    expect(resolveThemeName('high-contrast', 'dark')).toBe('high-contrast');
+    expect(resolveThemeName('light', 'dark')).toBe('light');
+  });
+
+  it('names the same colors in every palette', () => {
+    const names = Object.keys(PALETTES.light).sort();
+    const screens = Object.keys(PALETTES.light.screens).sort();
+
+    Object.values(PALETTES).forEach((palette) => {
+      expect(Object.keys(palette).sort()).toEqual(names);
+      expect(Object.keys(palette.screens).sort()).toEqual(screens);
+    });
+  });
+
+  it('gives each route its page color, falling back to the home page', () => {
+    expect(getScreenBackground(PALETTES.light, 'game-history')).toBe('#6495ED');
+    expect(getScreenBackground(PALETTES.dark, 'settings')).toBe(PALETTES.dark.screens.settings);
+    expect(getScreenBackground(PALETTES.light, 'unknown-route')).toBe(PALETTES.light.screens.index);
+  });
+});
\ No newline at end of file
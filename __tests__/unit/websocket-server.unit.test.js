@@ -0,0 +1,211 @@
+import { Buffer } from 'buffer';
+import { getServer } from 'react-native-tcp-socket';
+import {
+  OPCODES,
+  MAX_HANDSHAKE_LENGTH,
+  readHandshake,
+  getAcceptKey,
+  encodeFrame,
+  decodeFrames,
+  createWebSocketServer,
+  getHostAddress,
+} from '../../utils/websocket-server.js';
+import { createBroadcastHost, decodeMessage, encodeMessage, MESSAGE_TYPES } from '../../utils/broadcast.js';
+
+// Hash the handshake key as the device would
+jest.mock('expo-crypto', () => ({
+  CryptoDigestAlgorithm: { SHA1: 'SHA-1' },
+  CryptoEncoding: { BASE64: 'base64' },
+  digestStringAsync: jest.fn((algorithm, data) =>
+    Promise.resolve(require('crypto').createHash('sha1').update(data).digest('base64'))
+  ),
+}));
+
+jest.mock('expo-network', () => ({
+  getIpAddressAsync: jest.fn(() => Promise.resolve('192.168.1.20')),
+}));
+
+// The handshake from RFC 6455, section 1.3
+const HANDSHAKE_KEY = 'dGhlIHNhbXBsZSBub25jZQ==';
+const HANDSHAKE =
+  'GET /chat HTTP/1.1\r\nHost: 192.168.1.20:8765\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+  `Sec-WebSocket-Key: ${HANDSHAKE_KEY}\r\nSec-WebSocket-Version: 13\r\n\r\n`;
+
+// Writes a frame as a client would, masked
+const clientFrame = (opcode, text, fin = true) => {
+  const payload = Buffer.from(text);
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+  return Buffer.concat([Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length]), mask, Buffer.from(masked)]);
+};
+
+// Writes a frame without the mask clients must use
+const unmaskedFrame = (opcode, text) => Buffer.concat([Buffer.from([0x80 | opcode, text.length]), Buffer.from(text)]);
+
+// Waits for the handshake to be hashed and answered
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('WebSocket frames and handshake', () => {
+  it('reads the key from a WebSocket handshake and nothing else', () => {
+    expect(readHandshake(HANDSHAKE.trim())).toBe(HANDSHAKE_KEY);
+    expect(readHandshake('GET / HTTP/1.1\r\nHost: 192.168.1.20')).toBeNull();
+    expect(readHandshake('not http')).toBeNull();
+  });
+
+  it('accepts the handshake with the key hashed as the protocol asks', async () => {
+    await expect(getAcceptKey(HANDSHAKE_KEY)).resolves.toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  });
+
+  it('writes unmasked frames of every length and reads masked ones back', () => {
+    expect([...encodeFrame(OPCODES.text, 'Hi')]).toEqual([0x81, 2, 72, 105]);
+    expect(encodeFrame(OPCODES.text, 'x'.repeat(300)).readUInt16BE(2)).toBe(300);
+    expect(encodeFrame(OPCODES.text, 'x'.repeat(70000)).readUInt32BE(6)).toBe(70000);
+
+    const { frames, rest } = decodeFrames(Buffer.concat([clientFrame(OPCODES.text, 'join'), Buffer.from([0x81])]));
+    expect(frames).toHaveLength(1);
+    expect(frames[0].opcode).toBe(OPCODES.text);
+    expect(frames[0].isMasked).toBe(true);
+    expect(frames[0].payload.toString()).toBe('join');
+    expect(rest).toHaveLength(1); // The start of the next frame, kept until the rest arrives
+
+    expect(decodeFrames(unmaskedFrame(OPCODES.text, 'join')).frames[0].isMasked).toBe(false);
+  });
+});
+
+describe('WebSocket server', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await createWebSocketServer(8765);
+  });
+
+  afterEach(() => {
+    server.close();
+  });
+
+  it('upgrades connections that send the handshake and passes on their messages', async () => {
+    const messages = [];
+    server.on('connection', (socket) => socket.on('message', (text) => messages.push(text)));
+
+    const connection = getServer(8765).connect();
+    connection.emit('data', Buffer.from(HANDSHAKE));
+    await flush();
+    expect(connection.written[0]).toContain('HTTP/1.1 101 Switching Protocols');
+    expect(connection.written[0]).toContain('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+
+    // A message split over two frames, the second arriving in two parts
+    const second = clientFrame(OPCODES.continuation, ' world');
+    connection.emit('data', clientFrame(OPCODES.text, 'hello', false));
+    connection.emit('data', second.slice(0, 3));
+    connection.emit('data', second.slice(3));
+    expect(messages).toEqual(['hello world']);
+  });
+
+  it('drops connections that do not send a WebSocket handshake', async () => {
+    const onConnection = jest.fn();
+    server.on('connection', onConnection);
+
+    const connection = getServer(8765).connect();
+    connection.emit('data', Buffer.from('GET / HTTP/1.1\r\nHost: 192.168.1.20\r\n\r\n'));
+    await flush();
+
+    expect(connection.written[0]).toContain('400 Bad Request');
+    expect(connection.ended).toBe(true);
+    expect(onConnection).not.toHaveBeenCalled();
+  });
+
+  it('drops connections whose handshake is too long', async () => {
+    const onConnection = jest.fn();
+    server.on('connection', onConnection);
+
+    const connection = getServer(8765).connect();
+    connection.emit('data', Buffer.from(`GET / HTTP/1.1\r\nX-Padding: ${'x'.repeat(MAX_HANDSHAKE_LENGTH)}`));
+    connection.emit('data', Buffer.from(HANDSHAKE));
+    await flush();
+
+    expect(connection.written).toHaveLength(1);
+    expect(connection.written[0]).toContain('400 Bad Request');
+    expect(connection.ended).toBe(true);
+    expect(onConnection).not.toHaveBeenCalled();
+  });
+
+  it('answers the handshake before reading frames sent straight after it', async () => {
+    const messages = [];
+    server.on('connection', (socket) => socket.on('message', (text) => messages.push(text)));
+
+    const connection = getServer(8765).connect();
+    connection.emit('data', Buffer.concat([Buffer.from(HANDSHAKE), clientFrame(OPCODES.text, 'first')]));
+    connection.emit('data', clientFrame(OPCODES.text, 'second'));
+    expect(connection.written).toHaveLength(0);
+    expect(messages).toEqual([]);
+
+    await flush();
+    expect(connection.written[0]).toContain('HTTP/1.1 101 Switching Protocols');
+    expect(messages).toEqual(['first', 'second']);
+  });
+
+  it('drops the connection when the handshake cannot be answered', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    require('expo-crypto').digestStringAsync.mockRejectedValueOnce(new Error('Hashing failed'));
+    const onConnection = jest.fn();
+    server.on('connection', onConnection);
+
+    const connection = getServer(8765).connect();
+    connection.emit('data', Buffer.from(HANDSHAKE));
+    await flush();
+
+    expect(connection.written[0]).toContain('500 Internal Server Error');
+    expect(connection.ended).toBe(true);
+    expect(onConnection).not.toHaveBeenCalled();
+    expect(errorSpy).toHaveBeenCalledWith('Failed to accept a scoreboard viewer:', expect.any(Error));
+    errorSpy.mockRestore();
+  });
+
+  it('closes the connection when a client sends an unmasked frame', async () => {
+    const messages = [];
+    const onClose = jest.fn();
+    server.on('connection', (socket) => {
+      socket.on('message', (text) => messages.push(text));
+      socket.on('close', onClose);
+    });
+
+    const connection = getServer(8765).connect();
+    connection.emit('data', Buffer.from(HANDSHAKE));
+    await flush();
+    connection.emit('data', unmaskedFrame(OPCODES.text, 'join'));
+
+    expect(messages).toEqual([]);
+    expect(decodeFrames(connection.written[1]).frames[0].opcode).toBe(OPCODES.close);
+    expect(connection.ended).toBe(true);
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+
+  it('hosts a scoreboard that viewers join over the network', async () => {
+    const counts = [];
+    const host = createBroadcastHost(server, (count) => counts.push(count));
+    host.publish({ gameName: 'Friday Night' });
+
+    const connection = getServer(8765).connect();
+    connection.emit('data', Buffer.from(HANDSHAKE));
+    await flush();
+    connection.emit('data', clientFrame(OPCODES.text, encodeMessage({ type: MESSAGE_TYPES.join })));
+
+    // The viewer is sent the latest state in a text frame
+    const { frames } = decodeFrames(connection.written[1]);
+    expect(decodeMessage(frames[0].payload.toString()).state).toEqual({ gameName: 'Friday Night' });
+
+    // Pings are answered, and a close frame leaves the scoreboard
+    connection.emit('data', clientFrame(OPCODES.ping, 'ping'));
+    expect(decodeFrames(connection.written[2]).frames[0].opcode).toBe(OPCODES.pong);
+    connection.emit('data', clientFrame(OPCODES.close, ''));
+    expect(counts).toEqual([1, 0]);
+    expect(connection.ended).toBe(true);
+  });
+
+  it('finds the address viewers join at', async () => {
+    await expect(getHostAddress()).resolves.toBe('192.168.1.20');
+
+    require('expo-network').getIpAddressAsync.mockResolvedValueOnce('0.0.0.0');
+    await expect(getHostAddress()).resolves.toBeNull();
+  });
+});
\ No newline at end of file
@@ -1,6 +1,8 @@
 import React from 'react';
-import { render } from '@testing-library/react-native';
+import { render, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import WinnerPopupPage from '../../app/winner-popup.js';
+import { playFeedback } from '../../utils/feedback';
 
 // Mock the expo-router module
 jest.mock('expo-router', () => ({
@@ -13,28 +15,73 @@ jest.mock('expo-router', () => ({
   }),
 }));
 
+// Mock AsyncStorage, which completed games are loaded from
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(),
+  setItem: jest.fn(),
+}));
+
+// Mock the vibration and sound feedback, which needs a device
+jest.mock('../../utils/feedback', () => ({
+  playFeedback: jest.fn(),
+}));
+
 describe('WinnerPopupPage', () => {
-  it('displays the correct player name and date', () => {
+  it('displays the correct player name, date and duration', async () => {
     // Get the mocked useLocalSearchParams function
     const mockUseLocalSearchParams = require('expo-router').useLocalSearchParams;
     // Set up mock return values for useLocalSearchParams
     mockUseLocalSearchParams.mockReturnValue({
       playerName: 'Test Player',
-      date: '2023-07-01',
+      gameId: 'game-1',
     });
+    // The completed game the date and duration are read from
+    const startedAt = new Date(2023, 6, 1, 19, 0);
+    AsyncStorage.getItem.mockImplementation((key) =>
+      Promise.resolve(
+        key === 'completedGames'
+          ? JSON.stringify([{
+            id: 'game-1',
+            gameName: 'Game',
+            players: ['Test Player', 'Other Player'],
+            winner: 'Test Player',
+            startedAt: startedAt.toISOString(),
+            endedAt: new Date(2023, 6, 1, 19, 25, 30).toISOString(),
+          }])
+          : null
+      )
+    );
 
     // Render the WinnerPopupPage component
-    const { getByText } = render(<WinnerPopupPage />);
+    const { getByText, findByText } = render(<WinnerPopupPage />);
     // Assert that the player name is correctly displayed
     expect(getByText('Player: Test Player')).toBeTruthy();
-    // Assert that the date is correctly displayed
-    expect(getByText('Date: 2023-07-01')).toBeTruthy();
+    // Assert that the date is displayed in the device's locale, with the duration of the game
+    const date = `${startedAt.toLocaleDateString()} ${startedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    expect(await findByText(`Date: ${date}`)).toBeTruthy();
+    expect(getByText('Duration: 25m 30s')).toBeTruthy();
   });
 
   it('displays the "WINNER!" text', () => {
+    // A popup opened without a saved game to load
+    require('expo-router').useLocalSearchParams.mockReturnValue({ playerName: 'Test Player' });
+
     // Render the WinnerPopupPage component
     const { getByText } = render(<WinnerPopupPage />);
     // Assert that the "WINNER!" text is present in the rendered component
     expect(getByText('WINNER!')).toBeTruthy();
   });
-});
\ No newline at end of file
+
+  it('plays the win feedback with the saved settings', async () => {
+    require('expo-router').useLocalSearchParams.mockReturnValue({ playerName: 'Test Player' });
+    AsyncStorage.getItem.mockImplementation((key) =>
+      Promise.resolve(key === 'settings' ? JSON.stringify({ sound: false }) : null)
+    );
+
+    render(<WinnerPopupPage />);
+
+    await waitFor(() => {
+      expect(playFeedback).toHaveBeenCalledWith(expect.objectContaining({ sound: false, haptics: true }), 'win');
+    });
+  });
+});
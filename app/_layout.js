@@ -1,5 +1,37 @@
 import { Stack } from "expo-router";
+import { StatusBar } from "expo-status-bar";
+import ThemeProvider, { useTheme } from "../components/theme-provider";
+import { getScreenBackground } from "../utils/theme";
+
+/**
+ * ThemedStack Component
+ *
+ * The navigation stack, with every screen's navigation bar colored to match
+ * its page in the active theme and its title text removed.
+ */
+function ThemedStack() {
+  const { name, colors } = useTheme();
+
+  return (
+    <>
+      <StatusBar style={name === "light" ? "dark" : "light"} />
+      <Stack
+        screenOptions={({ route }) => ({
+          headerStyle: {
+            backgroundColor: getScreenBackground(colors, route.name), // Match the page background color
+          },
+          headerTintColor: colors.headerTint,
+          headerTitle: "", // Remove text from the navigation bar
+        })}
+      />
+    </>
+  );
+}
 
 export default function RootLayout() {
-  return <Stack />;
+  return (
+    <ThemeProvider>
+      <ThemedStack />
+    </ThemeProvider>
+  );
 }
@@ -1,6 +1,6 @@
-import React, { useLayoutEffect } from 'react';
+import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Linking, Alert, Share, Platform } from 'react-native';
-import { useNavigation } from 'expo-router';
+import { useThemedStyles } from '../components/theme-provider';
 
 /**
  * About Page Component
@@ -9,21 +9,7 @@ import { useNavigation } from 'expo-router';
  * along with options to contact support, rate the app, and share it with others.
  */
 export default function AboutPage() {
-  const navigation = useNavigation(); // Used for styling navigation bar
-
-  /**
-   * useLayoutEffect Hook
-   * 
-   * Hook for styling the navigation bar to be the same color as the page and remove all text.
-   */
-  useLayoutEffect(() => {
-    navigation.setOptions({
-      headerStyle: {
-        backgroundColor: '#AAFFAA', // Match the page background color
-      },
-      headerTitle: '', // Remove text from the navigation bar
-    });
-  }, [navigation]);
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
 
   /**
    * handleContactSupport Function
@@ -111,31 +97,31 @@ export default function AboutPage() {
 /**
  * Styles
  * 
- * The styles object contains the styling for the About page. This includes layout settings,
+ * The createStyles function builds the styling for the About page from the active theme's colors. This includes layout settings,
  * typography, and color schemes for the various elements within the page.
  */
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#AAFFAA', // Light green background
+    backgroundColor: colors.screens.about, // Light green background
     alignItems: 'center',
     paddingTop: 220, // Padding to position the buttons in the center vertically
   },
   button: {
-    backgroundColor: '#00BFFF', // Bright blue color for buttons
+    backgroundColor: colors.info, // Bright blue color for buttons
     paddingVertical: 15,
     paddingHorizontal: 40,
     borderRadius: 30,
     marginVertical: 10,
     alignItems: 'center',
     width: '80%',
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 5 },
     shadowOpacity: 0.3,
     shadowRadius: 5,
   },
   buttonText: {
-    color: '#000',
+    color: colors.buttonText,
     fontSize: 18,
     fontWeight: 'bold',
   },
@@ -148,8 +134,6 @@ const styles = StyleSheet.create({
  * 2. `handleContactSupport Function`: Opens the user's default email client with a pre-filled email to contact support.
  * 3. `handleRateApp Function`: Uses Expo's `StoreReview` API to prompt the user to rate the app if the rating feature is available on the device.
  * 4. `handleShare Function`: Manages the share functionality using React Native's `Share` API, allowing users to share information about the app.
- * 5. `styles Object`: Defines the layout, typography, and color schemes for the About page, ensuring consistency with the app's overall design.
- * 6. `useLayoutEffect`: A React hook used to customize the navigation bar:
- *    - `headerStyle`: Sets the background color of the navigation bar to match the page.
- *    - `headerTitle`: Removes the title text from the navigation bar for a minimalist appearance.
+ * 5. `createStyles Function`: Defines the layout, typography, and color schemes for the About page, with the colors taken from the active theme.
+ * 6. `useThemedStyles`: Rebuilds the styles when the theme changes; the navigation bar is colored to match by `app/_layout.js`.
  */
\ No newline at end of file
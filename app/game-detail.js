@@ -0,0 +1,249 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import { useLocalSearchParams } from 'expo-router';
+import ScoreboardGrid from '../components/scoreboard-grid';
+import { DEFAULT_ROWS, restoreGame, replayHistory } from '../utils/cricket-engine';
+import { formatDart, BULL_SEGMENT } from '../utils/dartboard';
+import { getCompletedGame } from '../utils/games-repository';
+import { isHandicapped, describeHandicap } from '../utils/handicaps';
+import { describeOutcome } from '../utils/round-limits';
+import { formatGameDate, formatDuration, getGameDuration, getTurnTimes } from '../utils/game-time';
+import { useTheme, useThemedStyles } from '../components/theme-provider';
+
+/**
+ * Game Detail Page Component
+ *
+ * Replays a completed game dart by dart. Users can step forward and backward
+ * through the throw log and see the board as it was after each dart, along
+ * with the turn it belongs to and how long that turn took.
+ */
+export default function GameDetailPage() {
+  const { gameId } = useLocalSearchParams(); // ID of the completed game to replay
+  const [game, setGame] = useState(null); // The completed game, loaded by ID
+  const [isLoading, setIsLoading] = useState(true); // Track loading of the saved game
+  const [step, setStep] = useState(0); // Number of darts replayed
+  const { colors } = useTheme(); // Colors of the active theme
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
+
+  /**
+   * useEffect Hook
+   *
+   * Loads the completed game and starts the replay at the final board.
+   */
+  useEffect(() => {
+    const fetchGame = async () => {
+      try {
+        const completedGame = await getCompletedGame(gameId);
+        if (completedGame) {
+          setGame(completedGame);
+          setStep(completedGame.history.length);
+        }
+      } catch (error) {
+        console.error('Failed to load game:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchGame();
+  }, [gameId]);
+
+  /**
+   * describeMove Function
+   *
+   * Describes a dart from the throw log, e.g. "Alice: Triple 20 at 8:31:05 PM".
+   * In a team game the member who threw it is named with their team.
+   *
+   * @param {Object} move - The dart from the history.
+   * @returns {string} A readable description of the dart.
+   */
+  const describeMove = (move) => {
+    const row = move.rowIndex === null ? null : (game.rows || DEFAULT_ROWS)[move.rowIndex];
+    const dart = move.skipped
+      ? 'Turn ended'
+      : formatDart({
+        segment: row === null ? null : row === 'Bull' ? BULL_SEGMENT : Number(row),
+        multiplier: move.marks || 1,
+      });
+    const time = move.time ? ` at ${new Date(move.time).toLocaleTimeString()}` : '';
+    const thrower = game.teams && Number.isInteger(move.member)
+      ? `${game.teams[move.colIndex].members[move.member]} (${game.players[move.colIndex]})`
+      : game.players[move.colIndex];
+    return `${thrower}: ${dart}${time}`;
+  };
+
+  /**
+   * describeTurn Function
+   *
+   * Describes the turn a replayed dart belongs to, e.g. "Turn 4 · 35s".
+   *
+   * @param {number} dartCount - Number of darts replayed.
+   * @returns {string} The turn number and, when its darts were timed, how long it took.
+   */
+  const describeTurn = (dartCount) => {
+    const turns = getTurnTimes(game);
+    let dartsBefore = 0;
+    const turnIndex = turns.findIndex((turn) => {
+      dartsBefore += turn.darts;
+      return dartsBefore >= dartCount;
+    });
+    const { startedAt, endedAt } = turns[turnIndex];
+    const duration = startedAt && endedAt ? ` · ${formatDuration(Date.parse(endedAt) - Date.parse(startedAt))}` : '';
+    return `Turn ${turnIndex + 1}${duration}`;
+  };
+
+  if (!game) {
+    // Show a loading indicator (or a message if the game no longer exists) until the game is loaded
+    return (
+      <View style={[styles.container, styles.centered]}>
+        {isLoading ? (
+          <ActivityIndicator size="large" color={colors.textInverse} />
+        ) : (
+          <Text style={styles.headerText}>Game not found</Text>
+        )}
+      </View>
+    );
+  }
+
+  const totalDarts = game.history.length;
+  // Games finished before the throw log was kept can only show their final board
+  const board = totalDarts === 0 ? restoreGame(game) : replayHistory(game, step);
+  const lastMove = step > 0 ? game.history[step - 1] : null;
+  let moveDescription = lastMove ? describeMove(lastMove) : 'Start of the game';
+  if (totalDarts === 0) moveDescription = 'No throw log was saved for this game';
+  const duration = getGameDuration(game);
+
+  return (
+    <View style={styles.container}>
+      {/* Header with the game's name, winner, how it was decided, date and any handicaps */}
+      <View style={styles.header}>
+        <Text style={styles.headerText}>{game.gameName}</Text>
+        <Text style={styles.winnerText}>Winner: {game.winner}</Text>
+        {game.outcome && <Text style={styles.infoText} testID="outcome">{describeOutcome(game.outcome)}</Text>}
+        <Text style={styles.infoText}>{formatGameDate(game)}</Text>
+        {duration !== null && <Text style={styles.infoText}>Duration: {formatDuration(duration)}</Text>}
+        {isHandicapped(game) && (
+          <Text style={styles.infoText} testID="handicaps">
+            Handicaps: {game.players
+              .map((name, colIndex) => game.handicaps[colIndex] && `${name} (${describeHandicap(game.handicaps[colIndex])})`)
+              .filter(Boolean)
+              .join('; ')}
+          </Text>
+        )}
+      </View>
+
+      {/* The board after the replayed darts, with the last thrower highlighted */}
+      <ScoreboardGrid game={board} activePlayer={lastMove ? lastMove.colIndex : null} />
+
+      {/* The dart that was just replayed */}
+      <View style={styles.moveInfo}>
+        <Text style={styles.infoText} testID="replay-step">Dart {step} of {totalDarts}</Text>
+        {lastMove && <Text style={styles.infoText} testID="replay-turn">{describeTurn(step)}</Text>}
+        <Text style={styles.moveText} testID="replay-move">
+          {moveDescription}
+        </Text>
+      </View>
+
+      {/* Controls for stepping through the throw log */}
+      <View style={styles.controls}>
+        <TouchableOpacity style={styles.controlButton} onPress={() => setStep(0)} disabled={step === 0}>
+          <Text style={styles.controlButtonText}>Start</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.controlButton} onPress={() => setStep(step - 1)} disabled={step === 0}>
+          <Text style={styles.controlButtonText}>Back</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.controlButton}
+          onPress={() => setStep(step + 1)}
+          disabled={step === totalDarts}
+        >
+          <Text style={styles.controlButtonText}>Forward</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.controlButton}
+          onPress={() => setStep(totalDarts)}
+          disabled={step === totalDarts}
+        >
+          <Text style={styles.controlButtonText}>End</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+/**
+ * Styles
+ *
+ * The createStyles function builds the styling for the GameDetailPage component from the active theme's colors.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.screens['game-detail'],
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  header: {
+    paddingVertical: 20,
+    alignItems: 'center',
+  },
+  headerText: {
+    color: colors.textInverse,
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  winnerText: {
+    color: colors.highlight,
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 5,
+  },
+  infoText: {
+    color: colors.textInverse,
+    fontSize: 16,
+  },
+  moveInfo: {
+    alignItems: 'center',
+    paddingTop: 20,
+  },
+  moveText: {
+    color: colors.highlight,
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 5,
+  },
+  controls: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 40,
+  },
+  controlButton: {
+    flex: 1,
+    backgroundColor: colors.button,
+    padding: 15,
+    alignItems: 'center',
+    marginHorizontal: 5,
+    borderRadius: 5,
+  },
+  controlButtonText: {
+    color: colors.buttonText,
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
+
+/**
+ * game-detail.js Explanation:
+ *
+ * 1. `GameDetailPage Component`: Replays a completed game from its throw log, under its start time and duration.
+ * 2. `useTheme / useThemedStyles Hooks`: Color the page with the active theme.
+ * 3. `useEffect Hook`: Loads the completed game by its ID and starts at the final board.
+ * 4. `replayHistory`: The cricket engine rebuilds the board after the selected number of darts; games without a log show their final board.
+ * 5. `describeMove / describeTurn Functions`: Describe the last replayed dart, who threw it and when, and the turn it was part of with how long the turn took.
+ * 6. `Step Controls`: Jump to the start or end, or step one dart backward or forward.
+ * 7. `Handicaps`: Handicapped games list each player's handicap; the replay starts from the handicapped board.
+ * 8. `Outcome`: Games saved with how they were decided say so, e.g. on points after the round limit.
+ * 8. `createStyles Function`: Contains the styling for the header, replay information and controls.
+ */
\ No newline at end of file
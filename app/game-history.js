@@ -1,49 +1,52 @@
-import React, { useState, useLayoutEffect } from 'react';
-import { View, Text, FlatList, TouchableOpacity, StyleSheet, Alert } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { useRouter, useNavigation } from 'expo-router';
+import React, { useState } from 'react';
+import { View, Text, TextInput, FlatList, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { useRouter } from 'expo-router';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import {
+  loadInProgressGames,
+  loadCompletedGames,
+  deleteInProgressGame,
+  deleteCompletedGame,
+  importGames,
+} from '../utils/games-repository';
+import { createBackup, parseBackup, createThrowsCsv } from '../utils/backup';
+import { SORT_OPTIONS, EMPTY_FILTERS, applyHistoryFilters } from '../utils/history-filters';
+import { formatGameDate, formatDuration, getGameDuration } from '../utils/game-time';
+import { GAME_MODES } from '../utils/settings-repository';
+import { isHandicapped } from '../utils/handicaps';
+import { restoreGame, getThrowerName } from '../utils/cricket-engine';
+import { useThemedStyles } from '../components/theme-provider';
 
 /**
  * Game History Page Component
  * 
  * This component displays a list of in-progress and completed games.
  * Users can resume in-progress games, view details of completed games, or delete games from the history.
+ * The whole history can be exported as a JSON backup or a per-throw CSV, and backups can be imported.
+ * Both lists can be searched, filtered and sorted.
  */
 export default function GameHistoryPage() {
   const [inProgressGames, setInProgressGames] = useState([]); // State to store in-progress games
   const [completedGames, setCompletedGames] = useState([]); // State to store completed games
+  const [filters, setFilters] = useState(EMPTY_FILTERS); // Search and filters applied to both lists
+  const [sortBy, setSortBy] = useState('newest'); // Order of both lists
+  const [showFilters, setShowFilters] = useState(false); // Whether the filter panel is open
   const router = useRouter(); // expo-router navigation
-  const navigation = useNavigation(); // Used for styling navigation bar
-
-  /**
-   * useLayoutEffect Hook
-   * 
-   * Customizes the navigation bar, sets the background color to match the page, 
-   * and removes any text from the navigation header for a cleaner look.
-   */
-  useLayoutEffect(() => {
-    navigation.setOptions({
-      headerStyle: {
-        backgroundColor: '#6495ED', // Match the page background color
-      },
-      headerTitle: '', // Remove text from the navigation bar
-    });
-  }, [navigation]);
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
 
   /**
    * loadGames Function
    *
-   * Loads both in-progress and completed games from AsyncStorage.
+   * Loads both in-progress and completed games through the games repository,
+   * which migrates games saved by older versions of the app.
    * Updates the component state with the retrieved game data.
    */
   const loadGames = async () => {
     try {
-      // Fetch saved games from AsyncStorage
-      const savedInProgressGames = await AsyncStorage.getItem('inProgressGames');
-      const savedCompletedGames = await AsyncStorage.getItem('completedGames');
-      // Update the state with parsed game data
-      setInProgressGames(savedInProgressGames ? JSON.parse(savedInProgressGames) : []);
-      setCompletedGames(savedCompletedGames ? JSON.parse(savedCompletedGames) : []);
+      setInProgressGames(await loadInProgressGames());
+      setCompletedGames(await loadCompletedGames());
     } catch (error) {
       console.error('Failed to load games:', error);
     }
@@ -63,27 +66,18 @@ export default function GameHistoryPage() {
    * deleteGame Function
    *
    * Deletes a specified game from either the in-progress or completed list.
-   * Updates AsyncStorage and the component state to reflect the changes.
+   * Updates the saved games and the component state to reflect the changes.
    *
    * @param {Object} game - The game object to be deleted.
    * @param {string} type - The type of the game list ("inProgress" or "completed").
    */
   const deleteGame = async (game, type) => {
     try {
-      let gamesList;
       // Determine the list to delete from (in-progress or completed)
       if (type === 'inProgress') {
-        gamesList = await AsyncStorage.getItem('inProgressGames');
-        gamesList = gamesList ? JSON.parse(gamesList) : [];
-        gamesList = gamesList.filter((g) => JSON.stringify(g) !== JSON.stringify(game));
-        await AsyncStorage.setItem('inProgressGames', JSON.stringify(gamesList));
-        setInProgressGames(gamesList);
+        setInProgressGames(await deleteInProgressGame(game.id));
       } else {
-        gamesList = await AsyncStorage.getItem('completedGames');
-        gamesList = gamesList ? JSON.parse(gamesList) : [];
-        gamesList = gamesList.filter((g) => JSON.stringify(g) !== JSON.stringify(game));
-        await AsyncStorage.setItem('completedGames', JSON.stringify(gamesList));
-        setCompletedGames(gamesList);
+        setCompletedGames(await deleteCompletedGame(game.id));
       }
     } catch (error) {
       console.error('Failed to delete game:', error);
@@ -116,15 +110,108 @@ export default function GameHistoryPage() {
     );
   };
 
+  /**
+   * updateFilter Function
+   *
+   * Changes one of the filters applied to both lists.
+   *
+   * @param {string} name - The filter to change, e.g. "query" or "gameMode".
+   * @param {*} value - The filter's new value.
+   */
+  const updateFilter = (name, value) => {
+    setFilters((prevFilters) => ({ ...prevFilters, [name]: value }));
+  };
+
+  /**
+   * shareFile Function
+   *
+   * Writes an export to the cache directory and opens the share sheet for it,
+   * so it can be saved to files, sent to another device or opened in a spreadsheet.
+   *
+   * @param {string} fileName - Name of the exported file.
+   * @param {string} contents - The file's contents.
+   * @param {string} mimeType - The file's MIME type.
+   * @param {string} UTI - The file's uniform type identifier, used by iOS.
+   */
+  const shareFile = async (fileName, contents, mimeType, UTI) => {
+    try {
+      if (!(await Sharing.isAvailableAsync())) {
+        Alert.alert('Export Failed', 'Sharing is not available on this device.');
+        return;
+      }
+
+      const uri = `${FileSystem.cacheDirectory}${fileName}`;
+      await FileSystem.writeAsStringAsync(uri, contents);
+      await Sharing.shareAsync(uri, { mimeType, UTI, dialogTitle: 'Export Game History' });
+    } catch (error) {
+      console.error('Failed to export games:', error);
+    }
+  };
+
+  /**
+   * exportBackup Function
+   *
+   * Exports every in-progress and completed game as a JSON backup.
+   */
+  const exportBackup = async () => {
+    const backup = createBackup({ inProgressGames, completedGames });
+    const day = new Date().toISOString().slice(0, 10);
+    await shareFile(`dart-cricket-backup-${day}.json`, backup, 'application/json', 'public.json');
+  };
+
+  /**
+   * exportCsv Function
+   *
+   * Exports every dart of every game as a CSV file.
+   */
+  const exportCsv = async () => {
+    const csv = createThrowsCsv({ inProgressGames, completedGames });
+    const day = new Date().toISOString().slice(0, 10);
+    await shareFile(`dart-cricket-throws-${day}.csv`, csv, 'text/csv', 'public.comma-separated-values-text');
+  };
+
+  /**
+   * importBackup Function
+   *
+   * Lets the user pick a JSON backup, validates it and merges its games into
+   * the history. Games that are already saved (by ID) are skipped.
+   */
+  const importBackup = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: 'application/json',
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      let backup;
+      try {
+        backup = parseBackup(await FileSystem.readAsStringAsync(result.assets[0].uri));
+      } catch (error) {
+        Alert.alert('Import Failed', error.message);
+        return;
+      }
+
+      const { added, skipped } = await importGames(backup);
+      await loadGames();
+      Alert.alert(
+        'Import Complete',
+        `Imported ${added} game(s).${skipped > 0 ? ` Skipped ${skipped} game(s) that were already saved.` : ''}`
+      );
+    } catch (error) {
+      console.error('Failed to import games:', error);
+    }
+  };
+
   /**
    * renderGame Function
    *
    * Renders an individual game item in the list. Displays:
    * - Game name
-   * - Players involved
-   * - Date and time
+   * - Players involved, who throws next in an in-progress game, and whether the game was handicapped
+   * - When the game started, in the device's locale, and how long it took (so far)
    * - Winning player (if applicable)
-   * Provides buttons to resume or delete the game.
+   * Provides buttons to resume an in-progress game, replay a completed game, or delete the game.
    *
    * @param {Object} item - Game object to render.
    * @param {string} type - The type of the game list ("inProgress" or "completed").
@@ -134,7 +221,19 @@ export default function GameHistoryPage() {
       <View style={styles.gameDetails}>
         <Text style={styles.gameText}>{item.gameName}</Text>
         <Text style={styles.playerText}>Players: {item.players.join(', ')}</Text>
-        <Text style={styles.dateText}>{item.date} {item.time}</Text>
+        {type === 'inProgress' && (
+          <Text style={styles.playerText}>Up next: {getThrowerName(restoreGame(item))}</Text>
+        )}
+        {item.gameMode === 'cutthroat' && (
+          <Text style={styles.modeText}>Cut-throat</Text>
+        )}
+        {isHandicapped(item) && (
+          <Text style={styles.modeText}>Handicapped</Text>
+        )}
+        <Text style={styles.dateText}>{formatGameDate(item)}</Text>
+        {getGameDuration(item) !== null && (
+          <Text style={styles.dateText}>Duration: {formatDuration(getGameDuration(item))}</Text>
+        )}
         {type === 'completed' && (
           <Text style={styles.winnerText}>Winner: {item.winner}</Text>
         )}
@@ -146,18 +245,26 @@ export default function GameHistoryPage() {
             onPress={() =>
               router.push({
                 pathname: '/game-screen',
-                params: {
-                  gameName: item.gameName,
-                  players: JSON.stringify(item.players),
-                  grid: JSON.stringify(item.grid),
-                  history: JSON.stringify(item.history),
-                },
+                params: { gameId: item.id }, // The game screen loads the saved game by ID
               })
             }
           >
             <Text style={styles.buttonText}>Resume</Text>
           </TouchableOpacity>
         )}
+        {type === 'completed' && (
+          <TouchableOpacity
+            style={styles.resumeButton}
+            onPress={() =>
+              router.push({
+                pathname: '/game-detail',
+                params: { gameId: item.id }, // The detail screen replays the saved game by ID
+              })
+            }
+          >
+            <Text style={styles.buttonText}>View</Text>
+          </TouchableOpacity>
+        )}
         <TouchableOpacity
           style={styles.deleteButton}
           onPress={() => confirmDelete(item, type)}
@@ -168,16 +275,126 @@ export default function GameHistoryPage() {
     </View>
   );
 
+  // Player counts found in the saved games, offered as filters
+  const playerCounts = [...new Set([...inProgressGames, ...completedGames].map((game) => game.players.length))].sort((a, b) => a - b);
+
   return (
     <View style={styles.container}>
+      {/* Export and import of the whole history */}
+      <View style={styles.transferActions}>
+        <TouchableOpacity style={styles.transferButton} onPress={exportBackup}>
+          <Text style={styles.buttonText}>Export JSON</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.transferButton} onPress={exportCsv}>
+          <Text style={styles.buttonText}>Export CSV</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.transferButton} onPress={importBackup}>
+          <Text style={styles.buttonText}>Import</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Search by game or player name, and the sort order */}
+      <TextInput
+        style={styles.searchInput}
+        value={filters.query}
+        onChangeText={(text) => updateFilter('query', text)}
+        placeholder="Search by game or player"
+      />
+      <View style={styles.optionRow}>
+        {SORT_OPTIONS.map((option) => (
+          <TouchableOpacity
+            key={option.value}
+            testID={`sort-${option.value}`}
+            style={[styles.optionButton, sortBy === option.value && styles.optionButtonSelected]}
+            onPress={() => setSortBy(option.value)}
+          >
+            <Text style={styles.optionButtonText}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity
+          style={[styles.optionButton, showFilters && styles.optionButtonSelected]}
+          onPress={() => setShowFilters(!showFilters)}
+        >
+          <Text style={styles.optionButtonText}>Filters</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Date range, winner, player count and game mode filters */}
+      {showFilters && (
+        <View style={styles.filterPanel}>
+          <View style={styles.optionRow}>
+            <TextInput
+              style={[styles.searchInput, styles.filterInput]}
+              value={filters.from}
+              onChangeText={(text) => updateFilter('from', text)}
+              placeholder="From (YYYY-MM-DD)"
+            />
+            <TextInput
+              style={[styles.searchInput, styles.filterInput]}
+              value={filters.to}
+              onChangeText={(text) => updateFilter('to', text)}
+              placeholder="To (YYYY-MM-DD)"
+            />
+          </View>
+          <TextInput
+            style={styles.searchInput}
+            value={filters.winner}
+            onChangeText={(text) => updateFilter('winner', text)}
+            placeholder="Winner"
+          />
+          <View style={styles.optionRow}>
+            <TouchableOpacity
+              testID="players-any"
+              style={[styles.optionButton, filters.playerCount === null && styles.optionButtonSelected]}
+              onPress={() => updateFilter('playerCount', null)}
+            >
+              <Text style={styles.optionButtonText}>Any</Text>
+            </TouchableOpacity>
+            {playerCounts.map((count) => (
+              <TouchableOpacity
+                key={count}
+                testID={`players-${count}`}
+                style={[styles.optionButton, filters.playerCount === count && styles.optionButtonSelected]}
+                onPress={() => updateFilter('playerCount', count)}
+              >
+                <Text style={styles.optionButtonText}>{count} Players</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.optionRow}>
+            <TouchableOpacity
+              testID="mode-any"
+              style={[styles.optionButton, filters.gameMode === null && styles.optionButtonSelected]}
+              onPress={() => updateFilter('gameMode', null)}
+            >
+              <Text style={styles.optionButtonText}>Any</Text>
+            </TouchableOpacity>
+            {GAME_MODES.map((mode) => (
+              <TouchableOpacity
+                key={mode.value}
+                testID={`mode-${mode.value}`}
+                style={[styles.optionButton, filters.gameMode === mode.value && styles.optionButtonSelected]}
+                onPress={() => updateFilter('gameMode', mode.value)}
+              >
+                <Text style={styles.optionButtonText}>{mode.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TouchableOpacity style={styles.clearButton} onPress={() => setFilters(EMPTY_FILTERS)}>
+            <Text style={styles.buttonText}>Clear Filters</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
       {/* Section for In-Progress Games */}
       <View style={styles.sectionHeader}>
         <Text style={styles.sectionTitle}>In Progress</Text>
       </View>
       <FlatList
-        data={inProgressGames}
+        data={applyHistoryFilters(inProgressGames, filters, sortBy)}
         renderItem={(item) => renderGame(item, 'inProgress')}
-        keyExtractor={(item, index) => index.toString()}
+        keyExtractor={(item, index) => item.id || index.toString()}
+        ListEmptyComponent={<Text style={styles.emptyText}>No games</Text>}
       />
 
       {/* Section for Completed Games */}
@@ -185,9 +402,10 @@ export default function GameHistoryPage() {
         <Text style={styles.sectionTitle}>Completed</Text>
       </View>
       <FlatList
-        data={completedGames}
+        data={applyHistoryFilters(completedGames, filters, sortBy)}
         renderItem={(item) => renderGame(item, 'completed')}
-        keyExtractor={(item, index) => index.toString()}
+        keyExtractor={(item, index) => item.id || index.toString()}
+        ListEmptyComponent={<Text style={styles.emptyText}>No games</Text>}
       />
     </View>
   );
@@ -196,17 +414,74 @@ export default function GameHistoryPage() {
 /**
  * Styles
  * 
- * The styles object contains the styling for the GameHistoryPage component.
+ * The createStyles function builds the styling for the GameHistoryPage component from the active theme's colors.
  * It includes layout settings, typography, and colors for the various elements within the page.
  */
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     padding: 20,
-    backgroundColor: '#6495ED',
+    backgroundColor: colors.screens['game-history'],
+  },
+  transferActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  transferButton: {
+    flex: 1,
+    backgroundColor: colors.primaryDark,
+    padding: 8,
+    borderRadius: 5,
+    marginHorizontal: 3,
+  },
+  searchInput: {
+    backgroundColor: colors.surface,
+    color: colors.surfaceText,
+    padding: 8,
+    borderRadius: 5,
+    fontSize: 16,
+    marginTop: 10,
+  },
+  filterPanel: {
+    marginTop: 5,
+  },
+  filterInput: {
+    flex: 1,
+    marginHorizontal: 3,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 5,
+  },
+  optionButton: {
+    backgroundColor: colors.surface,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 5,
+    margin: 3,
+  },
+  optionButtonSelected: {
+    backgroundColor: colors.success,
+  },
+  optionButtonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.surfaceText,
+  },
+  clearButton: {
+    backgroundColor: colors.primaryDark,
+    padding: 8,
+    borderRadius: 5,
+    margin: 3,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textInverse,
+    textAlign: 'center',
   },
   sectionHeader: {
-    backgroundColor: '#32CD32',
+    backgroundColor: colors.success,
     padding: 10,
     borderRadius: 8,
     marginBottom: 10,
@@ -215,11 +490,11 @@ const styles = StyleSheet.create({
   sectionTitle: {
     fontSize: 22,
     fontWeight: 'bold',
-    color: '#FFFFFF',
+    color: colors.textInverse,
     textAlign: 'center',
   },
   gameItem: {
-    backgroundColor: '#87CEEB',
+    backgroundColor: colors.card,
     marginBottom: 10,
     borderRadius: 8,
     padding: 10,
@@ -233,20 +508,25 @@ const styles = StyleSheet.create({
   gameText: {
     fontSize: 18,
     fontWeight: 'bold',
-    color: '#000000',
+    color: colors.surfaceText,
   },
   playerText: {
     fontSize: 16,
-    color: '#000000',
+    color: colors.surfaceText,
+  },
+  modeText: {
+    fontSize: 14,
+    fontStyle: 'italic',
+    color: colors.surfaceText,
   },
   dateText: {
     fontSize: 14,
-    color: '#000000',
+    color: colors.surfaceText,
   },
   winnerText: {
     fontSize: 16,
     fontWeight: 'bold',
-    color: '#FF4500',
+    color: colors.warning,
   },
   gameActions: {
     flexDirection: 'row',
@@ -254,19 +534,19 @@ const styles = StyleSheet.create({
     justifyContent: 'flex-end',
   },
   resumeButton: {
-    backgroundColor: '#32CD32',
+    backgroundColor: colors.success,
     padding: 8,
     borderRadius: 5,
     marginRight: 5,
   },
   deleteButton: {
-    backgroundColor: '#FF6347',
+    backgroundColor: colors.danger,
     padding: 8,
     borderRadius: 5,
     marginLeft: 5,
   },
   buttonText: {
-    color: '#FFFFFF',
+    color: colors.textInverse,
     fontSize: 14,
     fontWeight: 'bold',
     textAlign: 'center',
@@ -277,10 +557,13 @@ const styles = StyleSheet.create({
  * game-history.js Explanation:
  *
  * 1. `Game History Page Component`: The main component that displays the game history. It shows lists of in-progress and completed games, allowing users to resume or delete games.
- * 2. `loadGames Function`: Loads the game data from AsyncStorage and updates the component's state with this data.
- * 3. `deleteGame Function`: Deletes a specified game from the appropriate list (in-progress or completed) and updates the state.
+ * 2. `loadGames Function`: Loads the game data through the games repository and updates the component's state with this data.
+ * 3. `deleteGame Function`: Deletes a specified game by its ID from the appropriate list (in-progress or completed) and updates the state.
  * 4. `confirmDelete Function`: Displays a confirmation alert before deleting a game, ensuring accidental deletions are avoided.
- * 5. `renderGame Function`: Renders individual game items with their details and action buttons to resume or delete games.
- * 6. `useLayoutEffect Hook`: Customizes the navigation bar to match the page design and removes unnecessary header text.
- * 7. `styles Object`: Defines all visual styles, including layout, typography, and colors for various UI components.
+ * 5. `renderGame Function`: Renders individual game items with their details (including a "Handicapped" tag) and action buttons to resume, view (replay) or delete games.
+ * 6. `useThemedStyles Hook`: Styles the page with the active theme; the navigation bar is colored to match by the root layout.
+ * 7. `shareFile / exportBackup / exportCsv Functions`: Write the history as a JSON backup or a per-throw CSV and open the share sheet.
+ * 8. `importBackup Function`: Picks a backup file, validates it and merges its games, skipping games that are already saved.
+ * 9. `updateFilter Function`: Changes one filter; the search, filters and sort order are applied to both lists through `utils/history-filters.js`.
+ * 10. `createStyles Function`: Defines all visual styles, including layout, typography, and the theme colors for various UI components.
  */
\ No newline at end of file
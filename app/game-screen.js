@@ -1,388 +1,629 @@
-import React, { useState, useEffect, useLayoutEffect, useCallback } from 'react';
-import { View, Text, TouchableOpacity, StyleSheet, Dimensions, Alert } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { useRouter, useLocalSearchParams, useNavigation, useFocusEffect } from 'expo-router';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Dimensions, Alert, Modal, ActivityIndicator, AccessibilityInfo, useWindowDimensions } from 'react-native';
+import { useRouter, useLocalSearchParams, useFocusEffect } from 'expo-router';
+import { activateKeepAwakeAsync, deactivateKeepAwake } from 'expo-keep-awake';
+import { DARTS_PER_TURN, createGame, restoreGame, applyThrow, applyDart, endTurn, undo, redo, winner, getOutcome, applyTiebreak, getThrowerName } from '../utils/cricket-engine';
+import DartboardInput from '../components/dartboard-input';
+import ScoreboardGrid from '../components/scoreboard-grid';
+import { getInProgressGame, saveInProgressGame, completeGame, reopenGame } from '../utils/games-repository';
+import { recordLegWin, describeMatch, formatMatchScore } from '../utils/match';
+import { throwCpuDart, undoToHumanDart } from '../utils/cpu-player';
+import { DEFAULT_SETTINGS, loadSettings } from '../utils/settings-repository';
+import { playFeedback } from '../utils/feedback';
+import { getMoveAnnouncements } from '../utils/accessibility';
+import { isCompactLayout } from '../utils/grid-layout';
+import { DEFAULT_BROADCAST_PORT, createBroadcastHost, getBroadcastState } from '../utils/broadcast';
+import { createWebSocketServer, getHostAddress } from '../utils/websocket-server';
+import { describeRound, getOutcomeRecord } from '../utils/round-limits';
+import { useTheme, useThemedStyles } from '../components/theme-provider';
+
+// Pause before each of a computer player's darts, in milliseconds, so the darts can be followed
+export const CPU_DART_DELAY = 800;
+
+// Tag for keeping the screen awake while a game is open
+const KEEP_AWAKE_TAG = 'game-screen';
 
 /**
  * Game Screen Page Component
  * 
  * Represents the main game screen where players interact with the game grid.
- * Allows marking scores, undoing actions, resetting the board, and managing game state.
+ * Allows marking scores, undoing and redoing actions, resetting the board, and managing game state.
+ * Computer players take their turns automatically, and the members of a team
+ * take turns throwing for its column. The scoreboard can be shared with other
+ * devices on the same Wi-Fi network, which join at the address shown in the
+ * header and follow the game as read-only viewers. A game with a round
+ * limit ends after its last round, with a bull-off entered here if the
+ * players are still level. The settings decide whether
+ * resets are confirmed, whether darts vibrate and make a sound, and whether the
+ * screen stays awake during the game.
  */
 export default function GameScreenPage() {
-  const navigation = useNavigation(); // Navigation instance for customizing the header
   const router = useRouter(); // Router instance for navigating between screens
-  // Extract parameters passed to the screen (game name, players, grid state, history)
-  const { gameName = 'Game', players: playersParam, grid: gridParam, history: historyParam } = useLocalSearchParams();
-
-  // Define rows of the game grid
-  const rows = ['20', '19', '18', '17', '16', '15', 'Bull'];
-  // Parse player names or set defaults
-  const players = playersParam ? JSON.parse(playersParam) : ['Player 1', 'Player 2'];
-  // Initial state setup: a grid with all cells having 0 taps
-  const initialGridState = rows.map(() => Array(players.length).fill({ taps: 0 }));
-  // State variables for managing grid, history, and changes
-  const [grid, setGrid] = useState(gridParam ? JSON.parse(gridParam) : initialGridState);
-  const [history, setHistory] = useState(historyParam ? JSON.parse(historyParam) : []);
-  const [originalGrid, setOriginalGrid] = useState(gridParam ? JSON.parse(gridParam) : initialGridState);
-  const [originalHistory, setOriginalHistory] = useState(historyParam ? JSON.parse(historyParam) : []);
-  const [changesMade, setChangesMade] = useState(false); // Tracks unsaved changes
+  const { colors } = useTheme(); // Colors of the active theme
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
+  const { gameId } = useLocalSearchParams(); // ID of the game to load from storage
+  const isCompact = isCompactLayout(useWindowDimensions()); // Tablets and landscape screens leave more room for the grid
+
+  // State variables for the game (grid, points, history and turn) and its details
+  const [game, setGame] = useState(null); // Loaded from storage by ID
+  const [gameInfo, setGameInfo] = useState({}); // Saved details outside the game state (name, player IDs, match, computer players, start time)
+  const [isLoading, setIsLoading] = useState(true); // Track loading of the saved game
   const [isWinnerDeclared, setIsWinnerDeclared] = useState(false); // Track if a winner is declared
-  const [hasSaved, setHasSaved] = useState(false); // Prevent duplicate saves
-
-  /**
-   * useLayoutEffect Hook
-   *
-   * Customizes the appearance of the navigation bar for the Game Screen.
-   */
-  useLayoutEffect(() => {
-    navigation.setOptions({
-      headerStyle: {
-        backgroundColor: '#A05C59', // Match the page background color
-      },
-      headerTitle: '', // Remove default title for a clean look
-    });
-  }, [navigation]);
-
-  /**
-   * useEffect Hook
-   *
-   * Saves the game state when navigating away from the Game Screen.
-   */
-  useEffect(() => {
-    return () => {
-      if (!isWinnerDeclared && changesMade) {
-        saveGame();
-      }
-    };
-  }, [isWinnerDeclared, changesMade]);
+  const [isDartboardVisible, setIsDartboardVisible] = useState(false); // Dartboard input panel
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS); // Preferences for resets, feedback and keeping the screen awake
+  const [isCpuPaused, setIsCpuPaused] = useState(false); // Stops computer players throwing after an undo or redo, until a human plays on
+  const [broadcast, setBroadcast] = useState(null); // Host sharing the scoreboard with viewers, while it is shared
+  const [viewerCount, setViewerCount] = useState(0); // Number of viewers following the shared scoreboard
+  const [broadcastAddress, setBroadcastAddress] = useState(null); // Address viewers join the shared scoreboard at
+  const [isStartingBroadcast, setIsStartingBroadcast] = useState(false); // Track the server starting, so it is only started once
+  const isMounted = useRef(true); // Whether the screen is still open, checked once the server has started
 
   /**
    * useFocusEffect Hook
    *
-   * Reloads the current game state when returning to the Game Screen.
-   * Ensures the latest progress is reflected.
+   * Loads the game by its ID, and the settings, whenever the Game Screen is
+   * focused. Ensures the latest progress and preferences are reflected.
    */
   useFocusEffect(
     useCallback(() => {
       const fetchGameState = async () => {
-        const existingGames = await AsyncStorage.getItem('inProgressGames');
-        const games = existingGames ? JSON.parse(existingGames) : [];
-        const currentGame = games.find(game => game.gameName === gameName);
-
-        if (currentGame) {
-          setGrid(currentGame.grid);
-          setHistory(currentGame.history);
-          setOriginalGrid(JSON.parse(JSON.stringify(currentGame.grid))); // Sync original grid
+        try {
+          setSettings(await loadSettings());
+          const currentGame = await getInProgressGame(gameId);
+
+          if (currentGame) {
+            setGame(restoreGame(currentGame));
+            setGameInfo({
+              gameName: currentGame.gameName,
+              playerIds: currentGame.playerIds,
+              match: currentGame.match,
+              cpuLevels: currentGame.cpuLevels,
+              startedAt: currentGame.startedAt,
+            });
+          }
+        } catch (error) {
+          console.error('Failed to load game:', error);
+        } finally {
+          setIsLoading(false);
         }
       };
 
       fetchGameState();
-    }, [gameName])
+    }, [gameId])
   );
 
   /**
-   * saveGame Function
+   * getInProgressData Function
    *
-   * Saves or updates the current game state in the "in-progress" games list.
+   * Builds the saved record of an in-progress game from its game state.
+   *
+   * @param {Object} gameState - The game state to save.
+   * @returns {Object} The record for the "in-progress" games list.
    */
-  const saveGame = async () => {
-    const gameData = {
-      gameName,
-      players,
-      grid,
-      history,
-      date: new Date().toLocaleDateString(),
-    };
+  const getInProgressData = (gameState) => ({
+    id: gameId,
+    ...gameInfo,
+    players: gameState.players,
+    teams: gameState.teams, // The members of each team, who take turns throwing for it
+    handicaps: gameState.handicaps, // Each player's handicap, also applied when the board is reset
+    roundLimit: gameState.roundLimit, // The number of rounds and the tiebreak, or null to play until a player closes out
+    rows: gameState.rows, // The numbers in play, so the game resumes with the same grid
+    grid: gameState.grid,
+    history: gameState.history,
+    points: gameState.points,
+    gameMode: gameState.gameMode,
+    firstPlayer: gameState.firstPlayer,
+    currentPlayer: gameState.currentPlayer, // Remember whose turn it is for resuming
+    dartsThrown: gameState.dartsThrown,
+    endedAt: null, // Also clears the end time of a game reopened by undoing its winning dart
+  });
 
+  /**
+   * saveGame Function
+   *
+   * Saves or updates the game state in the "in-progress" games list, keyed by the game's ID.
+   *
+   * @param {Object} gameState - The game state to save.
+   */
+  const saveGame = async (gameState) => {
     try {
-      const existingGames = await AsyncStorage.getItem('inProgressGames');
-      const games = existingGames ? JSON.parse(existingGames) : [];
-
-      // Update the game list by replacing the current game data
-      const updatedGames = games.filter(game => game.gameName !== gameName);
-      updatedGames.push(gameData);
-
-      await AsyncStorage.setItem('inProgressGames', JSON.stringify(updatedGames));
-      setOriginalGrid(JSON.parse(JSON.stringify(grid))); // Sync original grid with saved grid
-      setChangesMade(false); // Reset change tracker
-      setHasSaved(true); // Prevent duplicate saves
+      await saveInProgressGame(getInProgressData(gameState)); // Replaces the saved game with the same ID
     } catch (error) {
       console.error('Failed to save game:', error);
     }
   };
 
+  /**
+   * announceMove Function
+   *
+   * Tells screen reader users what a move changed on the board: numbers
+   * closed, the next thrower or the winner.
+   *
+   * @param {Object} updatedGame - The game state after the move.
+   */
+  const announceMove = (updatedGame) => {
+    const announcements = getMoveAnnouncements(game, updatedGame);
+    if (announcements.length > 0) {
+      AccessibilityInfo.announceForAccessibility(announcements.join('. '));
+    }
+  };
+
+  /**
+   * recordMove Function
+   *
+   * Stores the game state produced by a move, then either completes the game
+   * if the move won it or saves the progress. Each new dart gives feedback;
+   * the winning dart's feedback is given by the winner popup.
+   *
+   * @param {Object} updatedGame - The game state after the move.
+   */
+  const recordMove = (updatedGame) => {
+    setGame(updatedGame);
+    announceMove(updatedGame);
+
+    if (!checkForWinner(updatedGame)) {
+      saveGame(updatedGame);
+      if (updatedGame.history.length > game.history.length) {
+        playFeedback(settings, 'dart');
+      }
+    }
+  };
+
+  /**
+   * recordHumanMove Function
+   *
+   * Records a move entered by a human, which lets computer players throw again
+   * if an undo or redo paused them.
+   *
+   * @param {Object} updatedGame - The game state after the move.
+   */
+  const recordHumanMove = (updatedGame) => {
+    setIsCpuPaused(false);
+    recordMove(updatedGame);
+  };
+
   /**
    * handleCellPress Function
    *
-   * Increments the tap count for the selected cell in the game grid.
-   * Also checks if a player has won after the tap.
+   * Records a dart on the selected cell through the cricket engine, which adds
+   * a mark to the grid or scores points on a closed number. Every dart is
+   * logged with the time it was thrown.
+   * Only the column of the player whose turn it is accepts taps, and only
+   * when that player is not a computer.
    */
   const handleCellPress = (rowIndex, colIndex) => {
     if (isWinnerDeclared) return; // Do nothing if the game has already been won
+    if (colIndex !== game.currentPlayer || isCpuTurn) return; // Only the current (human) thrower can score
 
-    setGrid((prevGrid) => {
-      const newGrid = [...prevGrid];
-      const previousTaps = newGrid[rowIndex][colIndex].taps;
-      // Increment taps, limiting them to a maximum of 3
-      const newTaps = Math.min(previousTaps + 1, 3);
-      newGrid[rowIndex][colIndex] = { taps: newTaps };
-      // Update move history
-      setHistory((prevHistory) => [
-        ...prevHistory,
-        { rowIndex, colIndex, previousTaps },
-      ]);
-      // Mark that changes have been made
-      setChangesMade(true);
-      // Check if the move resulted in a win
-      checkForWinner(newGrid, colIndex);
-
-      return newGrid;
-    });
+    recordHumanMove(applyThrow(game, { rowIndex, time: new Date().toISOString() }));
   };
 
   /**
-   * handleUndo Function
+   * handleMiss Function
    *
-   * Reverts the last move made on the game grid.
+   * Records a dart that missed every number in play for the current thrower.
    */
-  const handleUndo = () => {
-    if (history.length === 0 || isWinnerDeclared) return; // Do nothing if no history or winner declared
+  const handleMiss = () => {
+    if (isWinnerDeclared || isCpuTurn) return;
 
-    const lastMove = history.pop(); // Remove the last move from history
+    recordHumanMove(applyThrow(game, { rowIndex: null, time: new Date().toISOString() }));
+  };
 
-    setGrid((prevGrid) => {
-      const updatedGrid = [...prevGrid];
-      updatedGrid[lastMove.rowIndex][lastMove.colIndex] = {
-        taps: lastMove.previousTaps, // Restore the previous taps
-      };
-      return updatedGrid;
-    });
+  /**
+   * handleDart Function
+   *
+   * Records a dart entered on the dartboard panel; the cricket engine turns the
+   * segment and ring into marks, or a miss for numbers not in play.
+   *
+   * @param {Object} dart - The dart that was tapped: { segment, multiplier }.
+   */
+  const handleDart = (dart) => {
+    if (isWinnerDeclared || isCpuTurn) return;
 
-    setHistory([...history]);
-    setChangesMade(true);
-    saveGame();
+    recordHumanMove(applyDart(game, { ...dart, time: new Date().toISOString() }));
   };
 
   /**
-   * handleResetBoard Function
+   * handleEndTurn Function
    *
-   * Resets the game grid to its initial state and clears the history.
+   * Ends the current thrower's turn and passes the darts to the next player.
    */
-  const handleResetBoard = () => {
-    Alert.alert('Reset Board', 'Are you sure you want to reset the board?', [
-      { text: 'Cancel', style: 'cancel' },
-      {
-        text: 'Yes',
-        onPress: async () => {
-          setGrid(initialGridState); // Reset the grid
-          setHistory([]); // Clear the history
-          setOriginalGrid(JSON.parse(JSON.stringify(initialGridState))); // Sync original grid
-          setChangesMade(true);
-          await saveResetGame(); // Save the reset state
-        },
-      },
-    ]);
+  const handleEndTurn = () => {
+    if (isWinnerDeclared || isCpuTurn) return;
+
+    recordHumanMove(endTurn(game, new Date().toISOString()));
   };
 
   /**
-   * saveResetGame Function
-   * 
-   * This function saves the game state after the board has been reset. It clears
-   * the grid and history, then updates AsyncStorage with the reset state. This ensures 
-   * that when the game is resumed from the Game History page, the reset board state is loaded.
+   * handleUndo Function
+   *
+   * Reverts the last move made on the game grid. Undoing the winning dart
+   * takes the game out of the completed games and lets play continue.
+   * Computer players' darts are undone back to the last human dart, and
+   * computer players wait until a human plays on, so their darts can be
+   * redone rather than thrown again.
    */
-  const saveResetGame = async () => {
-    const resetGameHistory = { // Create a new game history object that reflects the reset state
-      gameName,
-      players,
-      grid: initialGridState, // Save the reset grid state
-      history: [],            // Clear the history as part of the reset
-      date: new Date().toLocaleDateString(),
+  const handleUndo = () => {
+    if (game.history.length === 0) return; // Do nothing if there is no history
+
+    const updatedGame = undoToHumanDart(game, gameInfo.cpuLevels);
+    setIsCpuPaused(true);
+
+    if (isWinnerDeclared) {
+      setGame(updatedGame);
+      announceMove(updatedGame);
+      setIsWinnerDeclared(false);
+      reopenCompletedGame(updatedGame);
+      return;
     }
 
-    try {
-      const existingGames = await AsyncStorage.getItem('inProgressGames');
-      const games = existingGames ? JSON.parse(existingGames) : [];
+    recordMove(updatedGame);
+  };
 
-      const updatedGames = games.filter(game => game.gameName !== gameName);
-      updatedGames.push(resetGameHistory);
+  /**
+   * handleRedo Function
+   *
+   * Throws the last undone darts again. Redoing the winning dart completes the
+   * game again. Computer players stay paused, so the rest can be redone too.
+   */
+  const handleRedo = () => {
+    if (game.redoStack.length === 0 || isWinnerDeclared) return; // Do nothing if there is nothing to redo
 
-      await AsyncStorage.setItem('inProgressGames', JSON.stringify(updatedGames));
+    setIsCpuPaused(true);
+    recordMove(redo(game));
+  };
 
-      // Update the original grid and history
-      setOriginalGrid(JSON.parse(JSON.stringify(initialGridState)));
-      setOriginalHistory([]);
-      setChangesMade(false); // No further changes after reset
-    } catch (error) {
-      console.error('Failed to save reset game:', error);
-    }
+  /**
+   * resetBoard Function
+   *
+   * Resets the game grid to its initial state and clears the history. Any
+   * handicap marks and points are put back in place.
+   */
+  const resetBoard = async () => {
+    const resetGame = createGame(game); // Same players, rows, mode and handicaps with a fresh board
+    setGame(resetGame);
+    setIsCpuPaused(false);
+    await saveGame(resetGame); // Save the reset state
   };
 
   /**
-   * removeFromInProgress Function
-   * 
-   * This function removes the current game from the in-progress games stored in AsyncStorage.
-   * It ensures that the game is removed from the in-progress list if the game is completed.
+   * handleResetBoard Function
+   *
+   * Resets the board, after asking for confirmation unless it has been turned off in the settings.
    */
-  const removeFromInProgress = async () => {
-    try {
-      const existingGames = await AsyncStorage.getItem('inProgressGames');
-      const inProgressGames = existingGames ? JSON.parse(existingGames) : [];
-      // Filter out the current game from "In-Progress" by comparing the grid or unique identifier
-      const updatedGames = inProgressGames.filter(game => game.gameName !== gameName);
-      await AsyncStorage.setItem('inProgressGames', JSON.stringify(updatedGames));
-    } catch (error) {
-      console.error('Failed to remove game from in-progress:', error);
+  const handleResetBoard = () => {
+    if (!settings.confirmReset) {
+      resetBoard();
+      return;
     }
+
+    Alert.alert('Reset Board', 'Are you sure you want to reset the board?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Yes', onPress: resetBoard },
+    ]);
   };
 
   /**
    * saveCompletedGame Function
    *
-   * Saves the completed game to the "completed" games list in AsyncStorage.
+   * Moves the completed game from the "in-progress" to the "completed" games list.
+   * The timestamped dart history is kept so the game can be replayed and
+   * statistics can be worked out from it. The game stores the time it ended
+   * and how it was decided, and a leg of a match stores the match score
+   * including this leg's win.
+   *
+   * @param {number} winnerIndex - Index of the winning player.
+   * @param {Object} gameState - The final game state.
    */
-  const saveCompletedGame = async (winnerName) => {
+  const saveCompletedGame = async (winnerIndex, gameState) => {
     const completedGame = {
-      gameName,
-      players,
-      grid,
-      winner: winnerName,
-      date: new Date().toLocaleDateString(),
-      time: new Date().toLocaleTimeString(),
+      id: gameId,
+      ...gameInfo,
+      players: gameState.players,
+      teams: gameState.teams,
+      handicaps: gameState.handicaps, // Kept so history and statistics show the game was handicapped
+      roundLimit: gameState.roundLimit,
+      outcome: getOutcomeRecord(gameState), // How the game was decided: closing out, points, marks or a bull-off
+      rows: gameState.rows,
+      grid: gameState.grid,
+      history: gameState.history,
+      points: gameState.points,
+      gameMode: gameState.gameMode,
+      firstPlayer: gameState.firstPlayer,
+      match: gameInfo.match ? recordLegWin(gameInfo.match, winnerIndex) : null,
+      winner: gameState.players[winnerIndex],
+      winnerIndex,
+      endedAt: new Date().toISOString(),
     };
 
     try {
-      const existingGames = await AsyncStorage.getItem('completedGames');
-      const completedGames = existingGames ? JSON.parse(existingGames) : [];
-      completedGames.push(completedGame);
-      await AsyncStorage.setItem('completedGames', JSON.stringify(completedGames));
-      // After saving to "Completed", remove it from "In-Progress"
-      await removeFromInProgress();
+      await completeGame(completedGame);
     } catch (error) {
       console.error('Failed to save completed game:', error);
     }
   };
 
+  /**
+   * handleTiebreak Function
+   *
+   * Records the winner of the bull-off between the players level at the
+   * round limit, which completes the game.
+   *
+   * @param {number} colIndex - Index of the player who threw closest to the bull.
+   */
+  const handleTiebreak = (colIndex) => {
+    recordHumanMove(applyTiebreak(game, colIndex));
+  };
+
+  /**
+   * reopenCompletedGame Function
+   *
+   * Moves the game from the "completed" back to the "in-progress" games list
+   * after its winning dart was undone.
+   *
+   * @param {Object} gameState - The game state without the winning dart.
+   */
+  const reopenCompletedGame = async (gameState) => {
+    try {
+      await reopenGame(getInProgressData(gameState));
+    } catch (error) {
+      console.error('Failed to reopen game:', error);
+    }
+  };
+
   /**
    * checkForWinner Function
    *
-   * Checks if a player has won the game by completing a column.
+   * Asks the cricket engine whether the latest move won the game and, if so,
+   * saves the completed game and then shows the winner popup, which reads the
+   * match score from the saved game.
+   *
+   * @param {Object} gameState - The game state after the latest move.
+   * @returns {boolean} True if the move won the game.
    */
-  const checkForWinner = (grid, colIndex) => {
-    const column = grid.map(row => row[colIndex]);
-    const isWinner = column.every(cell => cell.taps === 3);
-
-    if (isWinner) {
-      const winnerName = players[colIndex];
-      setIsWinnerDeclared(true); // Mark the game as completed
-      saveCompletedGame(winnerName);  // Save the game as completed
-      // Delay navigation to avoid updating state during render
+  const checkForWinner = (gameState) => {
+    const winnerIndex = winner(gameState);
+
+    if (winnerIndex === null) return false;
+
+    const winnerName = gameState.players[winnerIndex];
+    setIsWinnerDeclared(true); // Mark the game as completed
+    setIsDartboardVisible(false); // Close the dartboard panel before showing the winner
+    // Save the game as completed, then delay navigation to avoid updating state during render
+    saveCompletedGame(winnerIndex, gameState).then(() => {
       setTimeout(() => {
         router.push({
           pathname: '/winner-popup',
           params: {
             playerName: winnerName,
-            date: new Date().toLocaleDateString(),
+            gameId, // The popup shows the date and duration of the saved game
           },
         });
       }, 100);
-    }
+    });
+    return true;
   };
 
+  // Skill level of the current thrower if they are a computer player
+  const cpuLevel = game && gameInfo.cpuLevels ? gameInfo.cpuLevels[game.currentPlayer] : null;
+  const isCpuTurn = !!cpuLevel;
+
+  // Players level at the round limit who still need a bull-off to decide the winner
+  const outcome = game ? getOutcome(game) : null;
+  const tiedPlayers = outcome && outcome.winnerIndex === null ? outcome.tied : null;
+
   /**
-   * renderCellContent Function
+   * useEffect Hook
    *
-   * Determines the content to display in a grid cell based on the number of taps.
+   * Throws the next dart for a computer player after a short pause. Each dart
+   * is recorded like a dart entered on the dartboard panel, so it is logged,
+   * saved and can be undone like a human's. Nothing is thrown while an undo
+   * or redo has paused the computer.
    */
-  const renderCellContent = (taps) => {
-    if (taps === 1) return '/';
-    if (taps === 2) return 'X';
-    if (taps === 3) return 'Ⓧ';
-    return '';
+  useEffect(() => {
+    if (!isCpuTurn || isCpuPaused || isWinnerDeclared || tiedPlayers) return undefined;
+
+    const timer = setTimeout(() => {
+      recordMove(applyDart(game, { ...throwCpuDart(game, cpuLevel), time: new Date().toISOString() }));
+    }, CPU_DART_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [game, cpuLevel, isCpuPaused, isWinnerDeclared, tiedPlayers]);
+
+  /**
+   * toggleBroadcast Function
+   *
+   * Starts sharing the scoreboard on a WebSocket server listening on this
+   * device's Wi-Fi address, or stops sharing it; the host is closed by the
+   * effect below when it is replaced.
+   */
+  const toggleBroadcast = async () => {
+    if (broadcast) {
+      setBroadcast(null);
+      setBroadcastAddress(null);
+      return;
+    }
+    if (isStartingBroadcast) return;
+
+    setIsStartingBroadcast(true);
+    try {
+      const address = await getHostAddress();
+      if (!address) {
+        Alert.alert('No Network', 'Connect this device to Wi-Fi to share the scoreboard with devices on the same network.');
+        return;
+      }
+
+      const server = await createWebSocketServer(DEFAULT_BROADCAST_PORT);
+      if (!isMounted.current) {
+        server.close();
+        return;
+      }
+      setViewerCount(0);
+      setBroadcastAddress(`${address}:${DEFAULT_BROADCAST_PORT}`);
+      setBroadcast(createBroadcastHost(server, setViewerCount));
+    } catch (error) {
+      console.error('Failed to share the scoreboard:', error);
+      Alert.alert('Sharing Failed', 'The scoreboard could not be shared. Please try again.');
+    } finally {
+      if (isMounted.current) setIsStartingBroadcast(false);
+    }
   };
 
   /**
-   * getCellFontSize Function
+   * useEffect Hook
    *
-   * Determines the font size of the content displayed in a grid cell.
-   * Larger font size is used when the cell has been tapped three times.
+   * Sends the game to the viewers after every move while the scoreboard is
+   * shared, and disconnects them when sharing stops or the screen is closed.
    */
-  const getCellFontSize = (taps) => (taps === 3 ? styles.largeText : styles.normalText);
+  useEffect(() => {
+    if (!broadcast || !game) return;
+
+    broadcast.publish(getBroadcastState(game, gameInfo));
+  }, [broadcast, game, gameInfo]);
+
+  useEffect(() => () => {
+    if (broadcast) broadcast.close();
+  }, [broadcast]);
+
+  useEffect(() => () => {
+    isMounted.current = false;
+  }, []);
 
   /**
-   * getNumberColumnPosition Function
+   * useEffect Hook
    *
-   * Determines the position of the "numbers" column in the grid based on the number of players.
-   * Adjusts the layout dynamically for grids with 2, 3, or 4 players.
+   * Keeps the screen from sleeping while the game is open, if the settings ask for it.
    */
-  const getNumberColumnPosition = () => {
-    if (players.length === 2) return 1; // Place numbers between 2 players
-    if (players.length === 3) return 2; // Place numbers after the 2nd player
-    if (players.length === 4) return 2; // Place numbers after the 2nd player for 4-player games
-    return players.length; // Default position for other cases
-  };
+  useEffect(() => {
+    if (!settings.keepAwake) return undefined;
+
+    activateKeepAwakeAsync(KEEP_AWAKE_TAG).catch((error) => console.error('Failed to keep the screen awake:', error));
+    return () => deactivateKeepAwake(KEEP_AWAKE_TAG);
+  }, [settings.keepAwake]);
+
+  if (!game) {
+    // Show a loading indicator (or a message if the game no longer exists) until the game is loaded
+    return (
+      <View style={[styles.container, styles.loadingContainer]}>
+        {isLoading ? (
+          <ActivityIndicator size="large" color={colors.textInverse} />
+        ) : (
+          <Text style={styles.headerText}>Game not found</Text>
+        )}
+      </View>
+    );
+  }
+
+  const { players, currentPlayer, dartsThrown } = game;
 
   return (
     <View style={styles.container}>
-      {/* Header displaying the game name */}
-      <View style={styles.header}>
-        <Text style={styles.headerText}>{gameName}</Text>
+      {/* Header displaying the game name, the match score and whose turn it is */}
+      <View style={[styles.header, isCompact && styles.compactHeader]}>
+        <Text style={styles.headerText}>{gameInfo.gameName}</Text>
+        {gameInfo.match && (
+          <Text style={styles.matchText} testID="match-score">
+            Leg {gameInfo.match.legsPlayed + 1} · {describeMatch(gameInfo.match)} · {formatMatchScore(gameInfo.match)}
+          </Text>
+        )}
+        {game.roundLimit && <Text style={styles.matchText} testID="round-counter">{describeRound(game)}</Text>}
+        <Text style={styles.turnText} testID="turn-indicator">{getThrowerName(game)}'s turn</Text>
+        {game.teams && <Text style={styles.dartCounterText} testID="team-indicator">Throwing for {players[currentPlayer]}</Text>}
+        {isCpuTurn && !isCpuPaused && <Text style={styles.dartCounterText}>Computer is throwing...</Text>}
+        {isCpuTurn && isCpuPaused && (
+          <TouchableOpacity testID="cpu-resume" onPress={() => setIsCpuPaused(false)}>
+            <Text style={styles.broadcastText}>Computer paused · Resume</Text>
+          </TouchableOpacity>
+        )}
+        <Text style={styles.dartCounterText} testID="dart-counter">
+          Darts: {dartsThrown}/{DARTS_PER_TURN}
+        </Text>
+        {broadcast && (
+          <Text style={styles.dartCounterText} testID="broadcast-address">
+            Join at {broadcastAddress}
+          </Text>
+        )}
+        <TouchableOpacity testID="broadcast-toggle" onPress={toggleBroadcast} disabled={isStartingBroadcast}>
+          <Text style={styles.broadcastText}>
+            {broadcast
+              ? `Sharing · ${viewerCount} ${viewerCount === 1 ? 'viewer' : 'viewers'} · Stop`
+              : 'Share Scoreboard'}
+          </Text>
+        </TouchableOpacity>
       </View>
 
-      {/* Main grid container */}
-      <View style={styles.gridContainer}>
-        {/* Top row displaying player names and a blank cell for alignment */}
-        <View style={styles.row}>
-          {players.map((player, index) => (
-            <React.Fragment key={`player-${index}`}>
-              {/* Insert a blank cell for alignment if necessary */}
-              {index === getNumberColumnPosition() && (
-                <View style={styles.cell} key="blank-above-numbers">
-                  <Text style={styles.playerText}></Text>
-                </View>
-              )}
-              {/* Display each player's name */}
-              <View style={styles.cell} key={`player-name-${index}`}>
-                <Text style={styles.playerText}>{player}</Text>
-              </View>
-            </React.Fragment>
-          ))}
-        </View>
+      {/* Scoreboard grid; only the current thrower's column accepts taps */}
+      <ScoreboardGrid game={game} activePlayer={currentPlayer} onCellPress={handleCellPress} />
 
-        {/* Display the game grid with rows and columns */}
-        {rows.map((row, rowIndex) => (
-          <View style={styles.row} key={rowIndex}>
-            {players.map((_, colIndex) => (
-              <React.Fragment key={`fragment-${rowIndex}-${colIndex}`}>
-                {/* Insert the numbers column in the correct position */}
-                {colIndex === getNumberColumnPosition() && (
-                  <View style={styles.cell} key={`number-${row}`}>
-                    <Text style={styles.scoreText}>{row}</Text>
-                  </View>
-                )}
-                {/* Render each cell in the grid, handling taps and displaying the appropriate symbol */}
-                <TouchableOpacity
-                  testID={`cell-${rowIndex}-${colIndex}`}
-                  style={styles.cell}
-                  key={`cell-${rowIndex}-${colIndex}`}
-                  onPress={() => handleCellPress(rowIndex, colIndex)}
-                >
-                  <Text style={[styles.scoreText, getCellFontSize(grid[rowIndex][colIndex].taps)]}>
-                    {renderCellContent(grid[rowIndex][colIndex].taps)}
-                  </Text>
-                </TouchableOpacity>
-              </React.Fragment>
-            ))}
-          </View>
-        ))}
+      {/* Turn controls for recording a miss or ending the turn early */}
+      <View style={[styles.turnControls, isCompact && styles.compactTurnControls]}>
+        <TouchableOpacity style={styles.footerButton} onPress={handleMiss}>
+          <Text style={styles.footerButtonText}>Miss</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.footerButton} onPress={() => setIsDartboardVisible(true)}>
+          <Text style={styles.footerButtonText}>Dartboard</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.footerButton} onPress={handleEndTurn}>
+          <Text style={styles.footerButtonText}>End Turn</Text>
+        </TouchableOpacity>
       </View>
 
-      {/* Footer with Undo and Reset Board buttons */}
-      <View style={styles.footer}>
+      {/* Dartboard panel for entering singles, doubles and triples by where the dart landed */}
+      <Modal
+        visible={isDartboardVisible && !tiedPlayers}
+        animationType="slide"
+        onRequestClose={() => setIsDartboardVisible(false)}
+      >
+        <View style={styles.dartboardPanel}>
+          <Text style={styles.turnText}>{getThrowerName(game)}'s turn</Text>
+          <Text style={styles.dartCounterText}>Darts: {dartsThrown}/{DARTS_PER_TURN}</Text>
+          <DartboardInput onDart={handleDart} size={Math.min(width - 40, 400)} />
+          <View style={styles.turnControls}>
+            <TouchableOpacity style={styles.footerButton} onPress={handleUndo}>
+              <Text style={styles.footerButtonText}>Undo</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.footerButton} onPress={handleRedo}>
+              <Text style={styles.footerButtonText}>Redo</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.footerButton} onPress={() => setIsDartboardVisible(false)}>
+              <Text style={styles.footerButtonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Bull-off between the players level on points and marks at the round limit */}
+      <Modal visible={!!tiedPlayers && !isWinnerDeclared} animationType="slide" onRequestClose={handleUndo}>
+        <View style={styles.dartboardPanel}>
+          <Text style={styles.tiebreakTitle}>Bull-off</Text>
+          <Text style={styles.tiebreakText} testID="bulloff-players">
+            {tiedPlayers && tiedPlayers.map((colIndex) => players[colIndex]).join(' and ')} are level on points and marks
+            after the last round. Each throws one dart at the bull; who was closest?
+          </Text>
+          {tiedPlayers && tiedPlayers.map((colIndex) => (
+            <TouchableOpacity
+              key={colIndex}
+              testID={`bulloff-${colIndex}`}
+              style={[styles.footerButton, styles.tiebreakButton]}
+              onPress={() => handleTiebreak(colIndex)}
+            >
+              <Text style={styles.footerButtonText}>{players[colIndex]}</Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity style={[styles.footerButton, styles.tiebreakButton]} onPress={handleUndo}>
+            <Text style={styles.footerButtonText}>Undo Last Dart</Text>
+          </TouchableOpacity>
+        </View>
+      </Modal>
+
+      {/* Footer with Undo, Redo and Reset Board buttons */}
+      <View style={[styles.footer, isCompact && styles.compactFooter]}>
         <TouchableOpacity style={styles.footerButton} onPress={handleUndo}>
           <Text style={styles.footerButtonText}>Undo</Text>
         </TouchableOpacity>
+        <TouchableOpacity style={styles.footerButton} onPress={handleRedo}>
+          <Text style={styles.footerButtonText}>Redo</Text>
+        </TouchableOpacity>
         <TouchableOpacity style={styles.footerButton} onPress={handleResetBoard}>
           <Text style={styles.footerButtonText}>Reset Board</Text>
         </TouchableOpacity>
@@ -394,74 +635,104 @@ export default function GameScreenPage() {
 /**
  * Styles
  * 
- * The styles object contains the styling for the GameHistoryPage component.
+ * The createStyles function builds the styling for the GameScreenPage component from the active theme's colors.
  * It includes layout settings, typography, and colors for the various elements within the page.
  */
 const { width } = Dimensions.get('window');
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#A05C59',
+    backgroundColor: colors.screens['game-screen'],
+  },
+  loadingContainer: {
+    justifyContent: 'center',
+    alignItems: 'center',
   },
   header: {
-    backgroundColor: '#A05C59',
+    backgroundColor: colors.screens['game-screen'],
     paddingVertical: 20,
     alignItems: 'center',
   },
+  compactHeader: {
+    paddingVertical: 8,
+  },
   headerText: {
-    color: '#FFF',
+    color: colors.textInverse,
     fontSize: 24,
     fontWeight: 'bold',
   },
-  gridContainer: {
-    flex: 1,
-    marginHorizontal: 10,
-    marginTop: 10,
+  matchText: {
+    color: colors.textInverse,
+    fontSize: 14,
+    marginTop: 5,
   },
-  row: {
+  turnText: {
+    color: colors.highlight,
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 5,
+  },
+  dartCounterText: {
+    color: colors.textInverse,
+    fontSize: 16,
+  },
+  broadcastText: {
+    color: colors.highlight,
+    fontSize: 14,
+    textDecorationLine: 'underline',
+    marginTop: 5,
+  },
+  turnControls: {
     flexDirection: 'row',
-    flex: 1,
+    justifyContent: 'space-between',
+    paddingTop: 20,
+    backgroundColor: colors.screens['game-screen'],
+  },
+  compactTurnControls: {
+    paddingTop: 8,
   },
-  cell: {
+  dartboardPanel: {
     flex: 1,
-    backgroundColor: '#6495ED',
-    margin: 2,
     justifyContent: 'center',
     alignItems: 'center',
-    borderWidth: 1,
-    borderColor: '#000',
-  },
-  playerText: {
-    color: '#FFF',
-    fontSize: 16,
-    fontWeight: 'bold',
+    backgroundColor: colors.screens['game-screen'],
   },
-  scoreText: {
-    color: '#FFF',
+  tiebreakTitle: {
+    color: colors.highlight,
+    fontSize: 24,
     fontWeight: 'bold',
   },
-  normalText: {
-    fontSize: 24,
+  tiebreakText: {
+    color: colors.textInverse,
+    fontSize: 16,
+    textAlign: 'center',
+    marginVertical: 15,
+    marginHorizontal: 20,
   },
-  largeText: {
-    fontSize: 40,
+  tiebreakButton: {
+    flex: 0,
+    alignSelf: 'stretch',
+    marginTop: 10,
   },
   footer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
     paddingVertical: 50,
-    backgroundColor: '#A05C59',
+    backgroundColor: colors.screens['game-screen'],
+  },
+  compactFooter: {
+    paddingVertical: 12,
   },
   footerButton: {
     flex: 1,
-    backgroundColor: '#D3D3D3',
+    backgroundColor: colors.button,
     padding: 15,
     alignItems: 'center',
     marginHorizontal: 10,
     borderRadius: 5,
   },
   footerButtonText: {
-    color: '#000',
+    color: colors.buttonText,
     fontWeight: 'bold',
     fontSize: 16,
   },
@@ -471,19 +742,30 @@ const styles = StyleSheet.create({
  * game-screen.js Explanation:
  *
  * 1. **Game Screen Page Component**: Core gameplay screen, manages the grid, user interactions, and game state.
- * 2. **useLayoutEffect Hook**: Styles the navigation bar to match the game screen's appearance.
- * 3. **useFocusEffect Hook**: Reloads the game state whenever the screen is focused.
- * 4. **useEffect Hook**: Saves the current game state when the component is unmounted or changes are detected.
- * 5. **saveGame Function**: Saves the current game state to AsyncStorage under "in-progress" games.
- * 6. **handleCellPress Function**: Handles user taps on grid cells and updates the game state.
- * 7. **handleUndo Function**: Reverts the last move made on the grid.
- * 8. **handleResetBoard Function**: Resets the game board and clears the history.
- * 9. **checkForWinner Function**: Checks if a player has won by filling an entire column.
- * 10. **saveCompletedGame Function**: Moves completed games to the "completed" section.
- * 11. **saveResetGame Function**: Saves the game state after the board is reset, ensuring reset state is reflected.
- * 12. **removeFromInProgress Function**: Removes the game from the "in-progress" list once completed.
- * 13. **getCellFontSize Function**: Determines font size for grid cell content based on tap count.
- * 14. **getNumberColumnPosition Function**: Dynamically positions the "numbers" column based on the number of players.
- * 15. **renderCellContent Function**: Dynamically determines the content displayed in each grid cell.
- * 16. **styles Object**: Contains all styles for the component, ensuring consistent layout, typography, and appearance.
+ * 2. **useTheme / useThemedStyles Hooks**: Color the game screen with the active theme; its navigation bar is colored to match by the root layout.
+ * 3. **useFocusEffect Hook**: Loads the game from storage by its ID whenever the screen is focused.
+ * 4. **recordMove Function**: Applies the result of a move and saves the progress, or completes the game if it was won.
+ * 5. **saveGame Function**: Saves the current game state to the "in-progress" games through the games repository.
+ * 6. **handleCellPress Function**: Handles taps on the current thrower's grid cells by applying the dart through the cricket engine.
+ * 7. **handleUndo / handleRedo Functions**: Revert the last move, or throw undone darts again, through the cricket engine's undo and redo stack; undoing the winning dart reopens the game.
+ * 8. **resetBoard / handleResetBoard Functions**: Reset the game board, clear the history and save the reset state, confirming first if the settings ask for it.
+ * 9. **checkForWinner Function**: Asks the cricket engine for a winner and, if there is one, completes the game.
+ * 10. **saveCompletedGame Function**: Moves completed games from the "in-progress" to the "completed" section.
+ * 11. **handleMiss Function**: Records a missed dart for the current thrower.
+ * 12. **ScoreboardGrid Component**: Renders the players, points and marks, passing taps on the current thrower's cells to handleCellPress.
+ * 13. **handleEndTurn Function**: Ends the turn early and passes the darts to the next player.
+ * 14. **loading state**: Shows a loading indicator until the game has been loaded by its ID.
+ * 15. **handleDart Function**: Records a dart entered on the dartboard panel as marks or a miss.
+ * 16. **Dartboard Modal**: Shows the tappable dartboard for entering singles, doubles and triples.
+ * 17. **getInProgressData / reopenCompletedGame Functions**: Build the in-progress record and move a game back from the completed games.
+ * 18. **Match Score**: Shows the leg number, match format and score for games that are a leg of a match; the completed leg stores the score with its win.
+ * 19. **Computer Turns**: A useEffect throws a computer player's darts one at a time, chosen and simulated by the CPU player module; human input is ignored during their turn. Undo goes back to the last human dart, and an undo or redo pauses the computer until a human plays on or Resume is pressed.
+ * 20. **Settings**: Loaded with the game; they control reset confirmation, dart feedback (vibration and sound) and keeping the screen awake.
+ * 21. **announceMove Function**: Announces closed numbers, turn changes and the winner to screen readers; the grid cells are labelled by the ScoreboardGrid component.
+ * 22. **Teams**: In a team game each column is a team; the header names the member whose turn it is, and the team is saved with the game.
+ * 23. **Handicaps**: Applied by the cricket engine (starting marks and points, fewer marks to close) and saved with the game, including after a reset.
+ * 24. **Compact Layout**: On tablets and landscape screens the header, turn controls and footer take less space, leaving more for the grid.
+ * 25. **Sharing**: Sharing starts a WebSocket server on the device and shows the Wi-Fi address viewers join at; a broadcast host sends the game to every viewer after each move, and viewers cannot change it.
+ * 26. **Round Limit**: Shows the round being thrown; at the limit the cricket engine decides the game by points, then marks, then the tiebreak, and a bull-off's winner is entered in its panel.
+ * 27. **createStyles Function**: Contains all styles for the component, with the colors of the active theme.
  */
\ No newline at end of file
@@ -1,37 +1,58 @@
-import React, { useState, useEffect, useLayoutEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Alert, ActivityIndicator } from 'react-native';
-import { useRouter, useNavigation } from 'expo-router';
+import { useRouter, useNavigation, useFocusEffect } from 'expo-router';
 import * as SplashScreen from 'expo-splash-screen';
+import { MAX_PLAYERS, createGame } from '../utils/cricket-engine';
+import { generateId } from '../utils/ids';
+import { saveInProgressGame } from '../utils/games-repository';
+import { BEST_OF_OPTIONS, createMatch } from '../utils/match';
+import { NUMBER_SETS, drawRandomNumbers, getRowsForSet } from '../utils/number-sets';
+import { HANDICAP_TYPES, BONUS_POINT_OPTIONS, createHandicap } from '../utils/handicaps';
+import { ROUND_LIMITS, TIEBREAK_OPTIONS, createRoundLimit } from '../utils/round-limits';
+import { CPU_LEVELS, DEFAULT_CPU_LEVEL } from '../utils/cpu-player';
+import { GAME_FORMATS, getTeamCount, getDefaultTeams, fitTeams, getTeamName, createTeams } from '../utils/teams';
+import { loadPlayers, getDisplayName, findPlayerByName } from '../utils/players-repository';
+import { GAME_MODES, loadSettings } from '../utils/settings-repository';
+import PlayerAvatar from '../components/player-avatar';
+import { useTheme, useThemedStyles } from '../components/theme-provider';
 
 /**
  * Game Setup Page Component
  * 
  * This component allows users to set up a new game by entering a game name,
- * specifying player names, and adjusting the number of players. Once the setup
+ * specifying player names, picking saved players or adding computer players, and adjusting the number of players.
+ * Players can play for themselves or be split into teams, which share a scoring column, and players in a
+ * singles game can be given a handicap. A game can be
+ * a single leg or the first leg of a best-of match, optionally played in sets, on the standard
+ * numbers, randomly drawn numbers, 10 to 20 or a custom list, and can be limited to a number of
+ * rounds with a tiebreak for players still level at the end. Once the setup
  * is complete, users can start the game, which navigates them to the GameScreenPage.
  */
 export default function GameSetupPage() {
   const router = useRouter(); // expo-router navigation hook
   const [gameName, setGameName] = useState(() => 'New Game'); // Optimized state initialization
   const [players, setPlayers] = useState(() => ['Player 1', 'Player 2']); // Optimized state initialization
+  const [playerIds, setPlayerIds] = useState(() => [null, null]); // Profile ID for each player, null for guests
+  const [cpuLevels, setCpuLevels] = useState(() => [null, null]); // Skill level of each computer player, null for people
+  const [format, setFormat] = useState('singles'); // 'singles', or 'teams' for players sharing a column with teammates
+  const [teamIndexes, setTeamIndexes] = useState(() => getDefaultTeams(2)); // Team of each player in a team game
+  const [handicapsEnabled, setHandicapsEnabled] = useState(false); // Whether handicaps can be given in a singles game
+  const [handicapChoices, setHandicapChoices] = useState([]); // Handicap chosen for each player: { type, marks, points }
+  const [roster, setRoster] = useState([]); // Saved player profiles to pick from
+  const [gameMode, setGameMode] = useState('standard'); // Scoring variant: 'standard' or 'cutthroat'
+  const [bestOfLegs, setBestOfLegs] = useState(1); // Legs in the match (or in each set); 1 for a single game
+  const [bestOfSets, setBestOfSets] = useState(1); // Sets in the match; 1 to play in legs only
+  const [maxRounds, setMaxRounds] = useState(null); // Rounds the game is limited to; null to play until a player closes out
+  const [tiebreak, setTiebreak] = useState(TIEBREAK_OPTIONS[0].value); // Decides players level on points and marks at the round limit
+  const [numberSet, setNumberSet] = useState('standard'); // Numbers the game is played on
+  const [includeBull, setIncludeBull] = useState(true); // Whether the Bull is played with a preset number set
+  const [customNumbers, setCustomNumbers] = useState(''); // Typed targets for a custom number set
+  const [drawnNumbers] = useState(() => drawRandomNumbers()); // Numbers drawn for Hidden/Random cricket, so head starts are placed on the numbers played
   const [isLoading, setIsLoading] = useState(true); // Track asset loading status
-  const navigation = useNavigation(); // Used for styling navigation bar
-
-  const rows = ['20', '19', '18', '17', '16', '15', 'Bull'];
-
-  /**
-   * useLayoutEffect Hook
-   * 
-   * Hook for styling the navigation bar to be the same color as the page and remove all text.
-   */
-  useLayoutEffect(() => {
-    navigation.setOptions({
-      headerStyle: {
-        backgroundColor: '#AAFFAA', // Match the page background color
-      },
-      headerTitle: '', // Remove text from the navigation bar
-    });
-  }, [navigation]);
+  const [isLoadingDefaults, setIsLoadingDefaults] = useState(true); // Track the default settings loading, so they never replace players already entered
+  const navigation = useNavigation(); // Used for returning to the main menu
+  const { colors } = useTheme(); // Colors of the active theme
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
 
   /**
    * useEffect Hook
@@ -56,25 +77,124 @@ export default function GameSetupPage() {
   }, []);
 
   /**
-   * Generate Initial Grid State
-   * 
-   * Dynamically generates the grid based on the number of players and rows.
+   * useEffect Hook
+   *
+   * Starts the setup with the default game mode and number of players from
+   * the settings. The form stays hidden until they have loaded, so nothing
+   * entered in it can be replaced by the defaults.
    */
-  const generateInitialGridState = () =>
-    rows.map(() => Array(players.length).fill({ taps: 0 }));
+  useEffect(() => {
+    const applyDefaults = async () => {
+      try {
+        const settings = await loadSettings();
+        const count = settings.defaultPlayerCount;
+        setGameMode(settings.defaultGameMode);
+        setPlayers(Array.from({ length: count }, (_, index) => `Player ${index + 1}`));
+        setPlayerIds(Array.from({ length: count }, () => null));
+        setCpuLevels(Array.from({ length: count }, () => null));
+        setTeamIndexes(getDefaultTeams(count));
+        setHandicapChoices([]);
+      } catch (error) {
+        console.error('Failed to load settings:', error);
+      } finally {
+        setIsLoadingDefaults(false);
+      }
+    };
+
+    applyDefaults();
+  }, []);
+
+  /**
+   * useFocusEffect Hook
+   *
+   * Loads the saved player profiles whenever the page is focused, so players
+   * added on the Players page can be picked straight away.
+   */
+  useFocusEffect(
+    useCallback(() => {
+      const fetchRoster = async () => {
+        try {
+          setRoster(await loadPlayers());
+        } catch (error) {
+          console.error('Failed to load players:', error);
+        }
+      };
+
+      fetchRoster();
+    }, [])
+  );
 
   /**
    * addPlayer Function
    * 
    * This function adds a new player to the game setup.
-   * It allows a maximum of four players.
+   * It allows a maximum of eight players (MAX_PLAYERS).
    */
   const addPlayer = () => {
-    if (players.length < 4) {
+    if (players.length < MAX_PLAYERS) {
       setPlayers((prevPlayers) => [...prevPlayers, `Player ${prevPlayers.length + 1}`]);
+      setPlayerIds((prevIds) => [...prevIds, null]);
+      setCpuLevels((prevLevels) => [...prevLevels, null]);
+      setTeamIndexes((prevTeams) => [...prevTeams, getDefaultTeams(prevTeams.length + 1)[prevTeams.length]]);
     } else {
-      Alert.alert('Player Limit Reached', 'You can only add up to 4 players.');
+      Alert.alert('Player Limit Reached', `You can only add up to ${MAX_PLAYERS} players.`);
+    }
+  };
+
+  /**
+   * addComputer Function
+   *
+   * Adds a computer player, which takes its turns automatically. The computer
+   * takes the place of the last player that still has a default name like
+   * "Player 2", so people keep the first places, or is added at the end.
+   * Computer players cannot play in teams.
+   */
+  const addComputer = () => {
+    if (format === 'teams') {
+      Alert.alert('Teams', 'Computer players can only play in singles games.');
+      return;
     }
+
+    const openIndex = players
+      .map((_, i) => i)
+      .reverse()
+      .find((i) => !playerIds[i] && !cpuLevels[i] && /^Player \d+$/.test(players[i]));
+    const index = openIndex !== undefined ? openIndex : players.length;
+
+    if (index >= MAX_PLAYERS) {
+      Alert.alert('Player Limit Reached', `You can only add up to ${MAX_PLAYERS} players.`);
+      return;
+    }
+
+    const computerCount = cpuLevels.filter(Boolean).length;
+    setPlayers((prevPlayers) => {
+      const updatedPlayers = [...prevPlayers];
+      updatedPlayers[index] = `Computer ${computerCount + 1}`;
+      return updatedPlayers;
+    });
+    setPlayerIds((prevIds) => {
+      const updatedIds = [...prevIds];
+      updatedIds[index] = null;
+      return updatedIds;
+    });
+    setCpuLevels((prevLevels) => {
+      const updatedLevels = [...prevLevels];
+      updatedLevels[index] = DEFAULT_CPU_LEVEL;
+      return updatedLevels;
+    });
+    setTeamIndexes((prevTeams) => (index < prevTeams.length ? prevTeams : [...prevTeams, getDefaultTeams(index + 1)[index]]));
+  };
+
+  /**
+   * setCpuLevel Function
+   *
+   * Changes the skill level of a computer player.
+   *
+   * @param {number} index - The index of the computer player.
+   * @param {string} level - The new skill level.
+   */
+  const setCpuLevel = (index, level) => {
+    setCpuLevels((prevLevels) => prevLevels.map((current, i) => (i === index ? level : current)));
   };
 
   /**
@@ -86,6 +206,10 @@ export default function GameSetupPage() {
   const removePlayer = (index) => {
     if (players.length > 2) {
       setPlayers((prevPlayers) => prevPlayers.filter((_, i) => i !== index));
+      setPlayerIds((prevIds) => prevIds.filter((_, i) => i !== index));
+      setCpuLevels((prevLevels) => prevLevels.filter((_, i) => i !== index));
+      setTeamIndexes((prevTeams) => fitTeams(prevTeams.filter((_, i) => i !== index)));
+      setHandicapChoices((prevChoices) => prevChoices.filter((_, i) => i !== index));
     } else {
       Alert.alert('Minimum Players Required', 'You must have at least 2 players.');
     }
@@ -95,7 +219,7 @@ export default function GameSetupPage() {
    * handlePlayerNameChange Function
    * 
    * This function updates the name of a specific player in the players array
-   * based on the index passed to it.
+   * based on the index passed to it. Typing a name unlinks any saved profile.
    * 
    * @param {string} name - The new name for the player
    * @param {number} index - The index of the player to be updated
@@ -106,6 +230,103 @@ export default function GameSetupPage() {
       updatedPlayers[index] = name;
       return updatedPlayers;
     });
+    setPlayerIds((prevIds) => prevIds.map((id, i) => (i === index ? null : id)));
+  };
+
+  /**
+   * pickPlayer Function
+   *
+   * Adds a saved player to the game. They take the place of the first player
+   * that still has a default name like "Player 2", or are added at the end.
+   *
+   * @param {Object} profile - The saved player profile.
+   */
+  const pickPlayer = (profile) => {
+    if (playerIds.includes(profile.id)) return; // Already playing
+
+    const openIndex = players.findIndex((name, i) => !playerIds[i] && !cpuLevels[i] && /^Player \d+$/.test(name));
+    const index = openIndex !== -1 ? openIndex : players.length;
+
+    if (index >= MAX_PLAYERS) {
+      Alert.alert('Player Limit Reached', `You can only add up to ${MAX_PLAYERS} players.`);
+      return;
+    }
+
+    setCpuLevels((prevLevels) => {
+      const updatedLevels = [...prevLevels];
+      updatedLevels[index] = null;
+      return updatedLevels;
+    });
+    setPlayers((prevPlayers) => {
+      const updatedPlayers = [...prevPlayers];
+      updatedPlayers[index] = getDisplayName(profile);
+      return updatedPlayers;
+    });
+    setPlayerIds((prevIds) => {
+      const updatedIds = [...prevIds];
+      updatedIds[index] = profile.id;
+      return updatedIds;
+    });
+    setTeamIndexes((prevTeams) => (index < prevTeams.length ? prevTeams : [...prevTeams, getDefaultTeams(index + 1)[index]]));
+  };
+
+  /**
+   * setTeam Function
+   *
+   * Puts a player in a team for a team game.
+   *
+   * @param {number} index - The index of the player.
+   * @param {number} team - The index of the team.
+   */
+  const setTeam = (index, team) => {
+    setTeamIndexes((prevTeams) => prevTeams.map((current, i) => (i === index ? team : current)));
+  };
+
+  /**
+   * updateHandicap Function
+   *
+   * Changes part of a player's handicap: its type, the numbers a head start
+   * puts a mark on, or the bonus points.
+   *
+   * @param {number} index - The index of the player.
+   * @param {Object} changes - The changed fields, e.g. { type: 'points' }.
+   */
+  const updateHandicap = (index, changes) => {
+    setHandicapChoices((prevChoices) => {
+      const updatedChoices = [...prevChoices];
+      updatedChoices[index] = { type: 'none', marks: [], points: BONUS_POINT_OPTIONS[0], ...prevChoices[index], ...changes };
+      return updatedChoices;
+    });
+  };
+
+  /**
+   * toggleHandicapMark Function
+   *
+   * Adds or removes a number from a player's head start.
+   *
+   * @param {number} index - The index of the player.
+   * @param {string} row - The number, e.g. "20".
+   */
+  const toggleHandicapMark = (index, row) => {
+    const marks = (handicapChoices[index] && handicapChoices[index].marks) || [];
+    updateHandicap(index, { marks: marks.includes(row) ? marks.filter((mark) => mark !== row) : [...marks, row] });
+  };
+
+  /**
+   * handleFormatChange Function
+   *
+   * Switches between singles and team games. Team games are for people only,
+   * so computer players have to be removed first.
+   *
+   * @param {string} value - The new format: 'singles' or 'teams'.
+   */
+  const handleFormatChange = (value) => {
+    if (value === 'teams' && cpuLevels.some(Boolean)) {
+      Alert.alert('Teams', 'Computer players can only play in singles games.');
+      return;
+    }
+
+    setFormat(value);
   };
 
   const handleBackToHome = () => {
@@ -119,38 +340,91 @@ export default function GameSetupPage() {
    * startGame Function
    * 
    * This function is triggered when the user presses the "Start Game" button.
-   * It navigates the user to the GameScreenPage and passes the game setup details
-   * (game name, player names, etc.) to the GameScreenPage component.
+   * It creates the new game with a unique ID, saves it to the in-progress games
+   * and navigates to the GameScreenPage, which loads the game by that ID.
+   * Typed names that match a saved player are linked to that player's profile.
+   * In a team game each team becomes one column, named after its members.
+   * Handicaps chosen for a singles game are saved with it.
    */
-  const startGame = () => {
+  const startGame = async () => {
     if (!gameName.trim() || players.length < 2) {
       Alert.alert('Invalid Game Setup', 'Please ensure the game name is set and at least two players are added.');
       return;
     }
 
-    const initialGridState = generateInitialGridState();
+    const rows = getRowsForSet(numberSet, { includeBull, customText: customNumbers, drawnNumbers });
+    if (!rows) {
+      Alert.alert('Invalid Numbers', 'Enter at least two different targets from 1 to 20 or Bull, e.g. "20, 19, 18, Bull".');
+      return;
+    }
+
+    // Link each player to their saved profile; typed names are matched against the roster
+    const linkedIds = players.map((name, index) =>
+      cpuLevels[index] ? null : playerIds[index] || findPlayerByName(roster, name)?.id || null
+    );
+    const teams = format === 'teams' ? createTeams(players, linkedIds, teamIndexes) : null;
+    if (teams && teams.length < 2) {
+      Alert.alert('Invalid Teams', 'Put the players in at least two different teams.');
+      return;
+    }
+
+    // Each team plays as one column; its members' profiles are kept with the team
+    const columns = teams ? teams.map((team) => getTeamName(team.members)) : players;
+    const playerHandicaps = players.map((_, index) => createHandicap(handicapChoices[index], rows));
+    const handicaps = handicapsEnabled && !teams && playerHandicaps.some(Boolean) ? playerHandicaps : null;
+    const roundLimit = createRoundLimit(maxRounds, tiebreak);
+    const { grid, history, points, firstPlayer, currentPlayer, dartsThrown } = createGame({
+      players: columns,
+      rows,
+      gameMode,
+      teams,
+      handicaps,
+      roundLimit,
+    });
+    const newGame = {
+      id: generateId(),
+      gameName: gameName || 'New Game',
+      players: columns,
+      playerIds: teams ? columns.map(() => null) : linkedIds,
+      cpuLevels: columns.map((_, index) => (teams ? null : cpuLevels[index] || null)), // Computer players take their turns automatically
+      teams,
+      handicaps, // Each player's handicap, or null when nobody has one
+      roundLimit, // The number of rounds and the tiebreak, or null for no limit
+      rows, // The numbers in play, so the game is always shown with the grid it was started with
+      grid,
+      history,
+      points,
+      gameMode,
+      firstPlayer,
+      currentPlayer,
+      dartsThrown,
+      // The first leg of a match; single games are not part of one
+      match: bestOfLegs > 1 ? createMatch({ players: columns, bestOfLegs, bestOfSets }) : null,
+      startedAt: new Date().toISOString(), // Formatted with the device's locale only when shown
+      endedAt: null,
+    };
 
     try {
+      await saveInProgressGame(newGame);
+
       router.push({
         pathname: '/game-screen',
-        params: {
-          gameName: gameName || 'New Game',
-          players: JSON.stringify(players),
-          grid: JSON.stringify(initialGridState),
-          history: JSON.stringify([]),
-        },
+        params: { gameId: newGame.id },
       });
     } catch (error) {
-      console.error('Navigation error:', error);
-      Alert.alert('Navigation Error', 'Failed to navigate to the game screen.');
+      console.error('Failed to start game:', error);
+      Alert.alert('Navigation Error', 'Failed to start the game.');
     }
   };
 
-  if (isLoading) {
+  // Numbers a head start can be placed on: those the game will be played on, including the Hidden/Random draw
+  const handicapRows = getRowsForSet(numberSet, { includeBull, customText: customNumbers, drawnNumbers }) || [];
+
+  if (isLoading || isLoadingDefaults) {
     // Show a loading indicator while assets are being preloaded
     return (
       <View style={styles.loadingContainer}>
-        <ActivityIndicator size="large" color="#00BFFF" />
+        <ActivityIndicator size="large" color={colors.info} />
         <Text style={styles.loadingText}>Loading...</Text>
       </View>
     );
@@ -170,6 +444,177 @@ export default function GameSetupPage() {
         />
       </View>
 
+      {/* Game mode selector */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Game Mode</Text>
+        <View style={styles.modeRow}>
+          {GAME_MODES.map((mode) => (
+            <TouchableOpacity
+              key={mode.value}
+              testID={`mode-${mode.value}`}
+              style={[styles.modeButton, gameMode === mode.value && styles.modeButtonSelected]}
+              onPress={() => setGameMode(mode.value)}
+            >
+              <Text style={styles.modeButtonText}>{mode.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      {/* Format selector: singles, or teams sharing a column */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Format</Text>
+        <View style={styles.modeRow}>
+          {GAME_FORMATS.map((option) => (
+            <TouchableOpacity
+              key={option.value}
+              testID={`format-${option.value}`}
+              style={[styles.modeButton, format === option.value && styles.modeButtonSelected]}
+              onPress={() => handleFormatChange(option.value)}
+            >
+              <Text style={styles.modeButtonText}>{option.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      {/* Handicaps toggle for singles games */}
+      {format === 'singles' && (
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Handicaps</Text>
+          <TouchableOpacity
+            testID="handicaps-toggle"
+            style={[styles.modeButton, styles.handicapToggle, handicapsEnabled && styles.modeButtonSelected]}
+            onPress={() => setHandicapsEnabled(!handicapsEnabled)}
+          >
+            <Text style={styles.modeButtonText}>{handicapsEnabled ? 'Handicaps On' : 'No Handicaps'}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Number set selector, with the Bull toggle for presets or a typed list for custom sets */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Numbers</Text>
+        <View style={styles.modeRow}>
+          {NUMBER_SETS.map((set) => (
+            <TouchableOpacity
+              key={set.value}
+              testID={`numbers-${set.value}`}
+              style={[styles.modeButton, numberSet === set.value && styles.modeButtonSelected]}
+              onPress={() => setNumberSet(set.value)}
+            >
+              <Text style={styles.modeButtonText}>{set.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {numberSet === 'custom' ? (
+          <TextInput
+            style={[styles.input, styles.customNumbersInput]}
+            value={customNumbers}
+            onChangeText={setCustomNumbers}
+            placeholder="e.g. 20, 19, 18, 17, Bull"
+            autoCapitalize="none"
+          />
+        ) : (
+          <TouchableOpacity
+            testID="include-bull"
+            style={[styles.modeButton, styles.bullToggle, includeBull && styles.modeButtonSelected]}
+            onPress={() => setIncludeBull(!includeBull)}
+          >
+            <Text style={styles.modeButtonText}>{includeBull ? 'Bull Included' : 'No Bull'}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Match length selectors; sets are offered once the game is a match */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Match</Text>
+        <View style={styles.modeRow}>
+          {BEST_OF_OPTIONS.map((legs) => (
+            <TouchableOpacity
+              key={legs}
+              testID={`legs-${legs}`}
+              style={[styles.modeButton, bestOfLegs === legs && styles.modeButtonSelected]}
+              onPress={() => setBestOfLegs(legs)}
+            >
+              <Text style={styles.modeButtonText}>{legs === 1 ? 'Single' : `Best of ${legs}`}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+      {bestOfLegs > 1 && (
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Sets</Text>
+          <View style={styles.modeRow}>
+            {BEST_OF_OPTIONS.map((sets) => (
+              <TouchableOpacity
+                key={sets}
+                testID={`sets-${sets}`}
+                style={[styles.modeButton, bestOfSets === sets && styles.modeButtonSelected]}
+                onPress={() => setBestOfSets(sets)}
+              >
+                <Text style={styles.modeButtonText}>{sets === 1 ? 'No Sets' : `Best of ${sets}`}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+
+      {/* Round limit selector; the tiebreak is offered once the game has a limit */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Round Limit</Text>
+        <View style={styles.modeRow}>
+          {ROUND_LIMITS.map((rounds) => (
+            <TouchableOpacity
+              key={rounds || 'none'}
+              testID={`rounds-${rounds || 'none'}`}
+              style={[styles.modeButton, maxRounds === rounds && styles.modeButtonSelected]}
+              onPress={() => setMaxRounds(rounds)}
+            >
+              <Text style={styles.modeButtonText}>{rounds ? `${rounds}` : 'None'}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+      {maxRounds && (
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Tiebreak</Text>
+          <View style={styles.modeRow}>
+            {TIEBREAK_OPTIONS.map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                testID={`tiebreak-${option.value}`}
+                style={[styles.modeButton, tiebreak === option.value && styles.modeButtonSelected]}
+                onPress={() => setTiebreak(option.value)}
+              >
+                <Text style={styles.modeButtonText}>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+
+      {/* Saved players that can be added to the game */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Saved Players</Text>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          {roster.map((profile) => (
+            <TouchableOpacity
+              key={profile.id}
+              testID={`roster-${profile.id}`}
+              style={[styles.rosterChip, playerIds.includes(profile.id) && styles.rosterChipSelected]}
+              onPress={() => pickPlayer(profile)}
+            >
+              <PlayerAvatar player={profile} size={28} />
+              <Text style={styles.rosterChipText}>{getDisplayName(profile)}</Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity style={styles.rosterChip} onPress={() => router.push('/players')}>
+            <Text style={styles.rosterChipText}>Manage Players</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </View>
+
       {/* Player name inputs and button to remove players */}
       {players.map((player, index) => (
         <View key={index} style={styles.inputGroup}>
@@ -189,13 +634,93 @@ export default function GameSetupPage() {
               </TouchableOpacity>
             )}
           </View>
+          {/* Skill level selector for computer players */}
+          {cpuLevels[index] && (
+            <View style={[styles.modeRow, styles.cpuLevelRow]}>
+              {CPU_LEVELS.map((level) => (
+                <TouchableOpacity
+                  key={level.value}
+                  testID={`cpu-level-${index}-${level.value}`}
+                  style={[styles.modeButton, cpuLevels[index] === level.value && styles.modeButtonSelected]}
+                  onPress={() => setCpuLevel(index, level.value)}
+                >
+                  <Text style={styles.modeButtonText}>{level.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+          {/* Handicap selector, with the head start numbers or bonus points */}
+          {handicapsEnabled && format === 'singles' && (
+            <View>
+              <View style={[styles.modeRow, styles.cpuLevelRow]}>
+                {HANDICAP_TYPES.map((type) => (
+                  <TouchableOpacity
+                    key={type.value}
+                    testID={`handicap-${index}-${type.value}`}
+                    style={[styles.modeButton, (handicapChoices[index]?.type || 'none') === type.value && styles.modeButtonSelected]}
+                    onPress={() => updateHandicap(index, { type: type.value })}
+                  >
+                    <Text style={styles.modeButtonText}>{type.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              {handicapChoices[index]?.type === 'marks' && (
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.cpuLevelRow}>
+                  {handicapRows.map((row) => (
+                    <TouchableOpacity
+                      key={row}
+                      testID={`handicap-${index}-row-${row}`}
+                      style={[styles.rosterChip, handicapChoices[index].marks.includes(row) && styles.rosterChipSelected]}
+                      onPress={() => toggleHandicapMark(index, row)}
+                    >
+                      <Text style={styles.rosterChipText}>{row}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+              )}
+              {handicapChoices[index]?.type === 'points' && (
+                <View style={[styles.modeRow, styles.cpuLevelRow]}>
+                  {BONUS_POINT_OPTIONS.map((bonus) => (
+                    <TouchableOpacity
+                      key={bonus}
+                      testID={`handicap-${index}-points-${bonus}`}
+                      style={[styles.modeButton, handicapChoices[index].points === bonus && styles.modeButtonSelected]}
+                      onPress={() => updateHandicap(index, { points: bonus })}
+                    >
+                      <Text style={styles.modeButtonText}>+{bonus}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+            </View>
+          )}
+          {/* Team selector for team games */}
+          {format === 'teams' && (
+            <View style={[styles.modeRow, styles.cpuLevelRow]}>
+              {Array.from({ length: getTeamCount(players.length) }, (_, team) => (
+                <TouchableOpacity
+                  key={team}
+                  testID={`team-${index}-${team}`}
+                  style={[styles.modeButton, teamIndexes[index] === team && styles.modeButtonSelected]}
+                  onPress={() => setTeam(index, team)}
+                >
+                  <Text style={styles.modeButtonText}>Team {team + 1}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
         </View>
       ))}
 
-      {/* Button to add players */}
-      <TouchableOpacity style={styles.addButton} onPress={addPlayer}>
-        <Text style={styles.addButtonText}>Add Player</Text>
-      </TouchableOpacity>
+      {/* Buttons to add players and computer players */}
+      <View style={styles.addButtonRow}>
+        <TouchableOpacity style={[styles.addButton, styles.addButtonHalf]} onPress={addPlayer}>
+          <Text style={styles.addButtonText}>Add Player</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.addButton, styles.addButtonHalf]} onPress={addComputer}>
+          <Text style={styles.addButtonText}>Add Computer</Text>
+        </TouchableOpacity>
+      </View>
 
       {/* Button to start the game */}
       <TouchableOpacity style={styles.startButton} onPress={startGame}>
@@ -213,17 +738,18 @@ export default function GameSetupPage() {
 /**
  * Styles
  * 
- * The styles object contains the styling for the GameSetupPage component.
+ * The createStyles function builds the styling for the GameSetupPage component from the active theme's colors.
  * This includes layout settings, typography, colors, and dimensions for
  * the various elements within the page.
  */
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#AAFFAA', // Light green background color
+    backgroundColor: colors.screens['game-setup'], // Light green background color
     padding: 20,
   },
   headerText: {
+    color: colors.text,
     fontSize: 24,
     fontWeight: 'bold',
     textAlign: 'center',
@@ -233,16 +759,65 @@ const styles = StyleSheet.create({
     marginBottom: 15,
   },
   label: {
+    color: colors.text,
     fontSize: 18,
     fontWeight: 'bold',
     marginBottom: 5,
   },
   input: {
-    backgroundColor: '#FFF', // White color background for the input
+    backgroundColor: colors.surface, // White color background for the input
+    color: colors.surfaceText,
     padding: 10,
     borderRadius: 5,
     fontSize: 16,
   },
+  modeRow: {
+    flexDirection: 'row',
+  },
+  modeButton: {
+    flex: 1,
+    backgroundColor: colors.surface, // White background for unselected modes
+    padding: 10,
+    borderRadius: 5,
+    alignItems: 'center',
+    marginRight: 5,
+  },
+  modeButtonSelected: {
+    backgroundColor: colors.primary, // Blue background for the selected mode
+  },
+  modeButtonText: {
+    color: colors.surfaceText,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  customNumbersInput: {
+    marginTop: 10,
+  },
+  bullToggle: {
+    marginTop: 10,
+    marginRight: 0,
+  },
+  handicapToggle: {
+    marginRight: 0,
+  },
+  rosterChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface, // White background for saved players
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 20,
+    marginRight: 8,
+  },
+  rosterChipSelected: {
+    backgroundColor: colors.primary, // Blue background for players already in the game
+  },
+  rosterChipText: {
+    color: colors.surfaceText,
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
   playerInputRow: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -252,46 +827,57 @@ const styles = StyleSheet.create({
   },
   removeButton: {
     marginLeft: 10,
-    backgroundColor: '#FF6347', // Tomato red color for remove button
+    backgroundColor: colors.danger, // Tomato red color for remove button
     padding: 10,
     borderRadius: 5,
   },
   removeButtonText: {
-    color: '#FFF',
+    color: colors.textInverse,
     fontWeight: 'bold',
   },
   addButton: {
-    backgroundColor: '#6495ED', // Blue color for add button
+    backgroundColor: colors.primary, // Blue color for add button
     padding: 15,
     borderRadius: 5,
     alignItems: 'center',
     marginVertical: 20,
   },
+  addButtonRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  addButtonHalf: {
+    flex: 1,
+    marginHorizontal: 5,
+  },
+  cpuLevelRow: {
+    marginTop: 10,
+  },
   addButtonText: {
-    color: '#FFF',
+    color: colors.textInverse,
     fontWeight: 'bold',
     fontSize: 18,
   },
   startButton: {
-    backgroundColor: '#32CD32', // Lime green color for start button
+    backgroundColor: colors.success, // Lime green color for start button
     padding: 15,
     borderRadius: 5,
     alignItems: 'center',
   },
   startButtonText: {
-    color: '#FFF',
+    color: colors.textInverse,
     fontWeight: 'bold',
     fontSize: 18,
   },
   button: {
-    backgroundColor: '#8A2BE2', // Purple color for main menu button
+    backgroundColor: colors.accent, // Purple color for main menu button
     padding: 15,
     borderRadius: 5,
     alignItems: 'center',
     marginVertical: 20
   },
   buttonText: {
-    color: '#FFFFFF',
+    color: colors.textInverse,
     fontSize: 18,
     fontWeight: 'bold',
   },
@@ -299,12 +885,12 @@ const styles = StyleSheet.create({
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: '#AAFFAA',
+    backgroundColor: colors.screens['game-setup'],
   },
   loadingText: {
     marginTop: 10,
     fontSize: 16,
-    color: '#000',
+    color: colors.text,
   },
 });
 
@@ -313,11 +899,19 @@ const styles = StyleSheet.create({
  * 
  * 1. `GameSetupPage Component`: The main component that allows users to set up a new game by entering the game name and player names, adjusting the number of players, starting the game, or navigate back to the main menu.
  * 2. `handlePlayerNameChange Function`: Updates the name of a player based on the index in the players array.
- * 3. `addPlayer Function`: Adds a new player to the setup, allowing a maximum of four players.
+ * 3. `addPlayer Function`: Adds a new player to the setup, allowing a maximum of eight players.
  * 4. `removePlayer Function`: Removes the last player from the setup, ensuring at least two players remain.
- * 5. `startGame Function`: Navigates to the GameScreenPage with the setup details if the game name is provided.
- * 6. `styles Object`: Contains all the styling for the component, ensuring the layout is visually appealing and user-friendly.
- * 7. `useLayoutEffect`: A React hook used to customize the navigation bar:
- *    - `headerStyle`: Sets the background color of the navigation bar to match the page.
- *    - `headerTitle`: Removes the title text from the navigation bar for a minimalist appearance.
+ * 5. `startGame Function`: Saves the new game (with a generated ID, the selected game mode, the players' profile IDs and the match it starts, if any) to the in-progress games and navigates to the GameScreenPage with that ID.
+ * 6. `createStyles Function`: Contains all the styling for the component, ensuring the layout is visually appealing and user-friendly.
+ * 7. `useTheme / useThemedStyles`: Take the page's colors from the active theme; `app/_layout.js` colors the navigation bar to match.
+ * 8. `GAME_MODES Array`: The selectable scoring variants (standard and cut-throat) shown in the game mode selector, shared with the Settings page.
+ *    The game mode and number of players start at the defaults chosen in the settings; the form is shown once they have loaded.
+ * 9. `useFocusEffect Hook`: Loads the saved player profiles shown in the roster picker.
+ * 10. `pickPlayer Function`: Adds a saved player to the game in place of a default "Player N" entry, linking their profile ID.
+ * 11. `Match Selectors`: Choose a single game or a best of 3, 5 or 7 legs match, optionally played in sets.
+ * 12. `Number Set Selector`: Chooses the standard numbers, Hidden/Random numbers, 10 to 20 or a custom list, and whether the Bull is played; the rows are saved with the game. The Hidden/Random numbers are drawn when setup opens, so head starts are offered on the numbers that will be played.
+ * 13. `addComputer / setCpuLevel Functions`: Add a computer player in place of the last default "Player N" entry and choose its skill level; the levels are saved with the game.
+ * 14. `Format Selector / setTeam Function`: Switch to a team game and put each player in a team; each team plays as one column named after its members, who take turns throwing.
+ * 15. `Handicaps / updateHandicap / toggleHandicapMark Functions`: Give players in a singles game a head start on chosen numbers, bonus points or fewer marks to close; the handicaps are saved with the game.
+ * 16. `Round Limit / Tiebreak Selectors`: Limit the game to 10, 15, 20 or 25 rounds, after which it is decided by points, then marks, then a bull-off or extra rounds.
  */
\ No newline at end of file
@@ -1,30 +1,17 @@
-import React, { useLayoutEffect } from 'react';
+import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Dimensions, Image } from 'react-native';
-import { Link, useNavigation } from 'expo-router';
+import { Link } from 'expo-router';
+import { useThemedStyles } from '../components/theme-provider';
 
 /**
  * Home Component
  * 
  * This component serves as the main landing page for the app. It allows users to navigate to other
- * sections of the app, including starting a new game, viewing game history, and accessing the "About" page.
+ * sections of the app, including starting a new game, viewing game history, managing players, viewing statistics, changing settings, following a game shared from another device, and accessing the "About" page.
  * The navigation bar is styled dynamically to match the page design.
  */
 export default function Home() {
-  const navigation = useNavigation(); // Used for styling navigation bar
-
-  /**
-   * useLayoutEffect Hook
-   * 
-   * Hook for styling the navigation bar to be the same color as the page and remove all text.
-   */
-  useLayoutEffect(() => {
-    navigation.setOptions({
-      headerStyle: {
-        backgroundColor: '#A05C59', // Match the page background color
-      },
-      headerTitle: '', // Remove text from the navigation bar
-    });
-  }, [navigation]);
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
 
   return (
     <View style={styles.container}>
@@ -59,6 +46,34 @@ export default function Home() {
           </Link>
         </TouchableOpacity>
       </View>
+      <View style={[styles.buttonRow, styles.secondButtonRow]}>
+        {/* Players Page Button */}
+        <TouchableOpacity style={styles.smallButton}>
+          <Link href="/players">
+            <Text style={styles.buttonText}>Players</Text>
+          </Link>
+        </TouchableOpacity>
+        {/* Statistics Page Button */}
+        <TouchableOpacity style={styles.smallButton}>
+          <Link href="/statistics">
+            <Text style={styles.buttonText}>Statistics</Text>
+          </Link>
+        </TouchableOpacity>
+      </View>
+      <View style={[styles.buttonRow, styles.secondButtonRow]}>
+        {/* Settings Page Button */}
+        <TouchableOpacity style={styles.smallButton}>
+          <Link href="/settings">
+            <Text style={styles.buttonText}>Settings</Text>
+          </Link>
+        </TouchableOpacity>
+        {/* Scoreboard Viewer Button */}
+        <TouchableOpacity style={styles.smallButton}>
+          <Link href="/scoreboard-viewer">
+            <Text style={styles.buttonText}>Join Game</Text>
+          </Link>
+        </TouchableOpacity>
+      </View>
     </View>
   );
 }
@@ -68,16 +83,16 @@ const { width } = Dimensions.get('window');
 /**
  * Styles
  * 
- * The styles object contains the styling for the HomePage component.
+ * The createStyles function builds the styling for the HomePage component from the active theme's colors.
  * This includes layout settings, typography, colors, and dimensions for
  * the various elements within the page.
  */
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: '#A05C59', // Crimson red background color
+    backgroundColor: colors.screens.index, // Crimson red background color
     paddingBottom: 100,
   },
   imageContainer: {
@@ -92,7 +107,7 @@ const styles = StyleSheet.create({
     height: '100%',
   },
   button: {
-    backgroundColor: '#D3D3D3', // Gray button background
+    backgroundColor: colors.button, // Gray button background
     paddingVertical: 10,
     paddingHorizontal: 118,
     borderRadius: 20,
@@ -103,14 +118,17 @@ const styles = StyleSheet.create({
     justifyContent: 'space-evenly',
     width: '80%',
   },
+  secondButtonRow: {
+    marginTop: 20,
+  },
   smallButton: {
-    backgroundColor: '#D3D3D3', // Gray button background
+    backgroundColor: colors.button, // Gray button background
     paddingVertical: 10,
     paddingHorizontal: 40,
     borderRadius: 20,
   },
   buttonText: {
-    color: '#000',
+    color: colors.buttonText,
     fontSize: 18,
     fontWeight: 'bold',
   },
@@ -121,12 +139,10 @@ const styles = StyleSheet.create({
  * 
  * 1. `Home Component`: Acts as the main entry point for the app, serving as the landing page.
  *    It provides navigation to other sections, including starting a game, viewing game history, and accessing the About page.
- * 2. `useLayoutEffect`: A React hook used to customize the navigation bar:
- *    - `headerStyle`: Sets the background color of the navigation bar to match the page.
- *    - `headerTitle`: Removes the title text from the navigation bar for a minimalist appearance.
+ * 2. `useThemedStyles`: Builds the page's styles from the active theme; `app/_layout.js` colors the navigation bar to match.
  * 3. `expo-router Integration`:
  *    - `Link`: Used to navigate between app pages using the `expo-router` structure. Each `href` corresponds to a file in the `app` directory.
  * 4. `Image Component`: Displays a dartboard image on the main landing page.
- * 5. `TouchableOpacity and Link`: Provide interactive buttons for navigation to the Game Setup, Game History, and About pages.
- * 6. `styles Object`: Contains all the styling for the component, ensuring consistency with the app's visual theme.
+ * 5. `TouchableOpacity and Link`: Provide interactive buttons for navigation to the Game Setup, Game History, About, Players, Statistics, Settings and Scoreboard Viewer pages.
+ * 6. `createStyles Function`: Contains all the styling for the component, with its colors taken from the active theme.
  */
\ No newline at end of file
@@ -0,0 +1,316 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, FlatList, StyleSheet, Alert } from 'react-native';
+import PlayerAvatar from '../components/player-avatar';
+import {
+  PLAYER_COLORS,
+  createPlayer,
+  findPlayerByName,
+  loadPlayers,
+  savePlayer,
+  deletePlayer,
+} from '../utils/players-repository';
+import { useThemedStyles } from '../components/theme-provider';
+
+/**
+ * Players Page Component
+ *
+ * Lets users save player profiles (name, nickname and avatar color) so the
+ * same people can be picked in game setup and followed across games.
+ */
+export default function PlayersPage() {
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
+  const [players, setPlayers] = useState([]); // Saved player profiles
+  const [editingId, setEditingId] = useState(null); // ID of the profile being edited, if any
+  const [name, setName] = useState('');
+  const [nickname, setNickname] = useState('');
+  const [color, setColor] = useState(PLAYER_COLORS[0]);
+
+  /**
+   * useEffect Hook
+   *
+   * Loads the saved player profiles when the page is mounted.
+   */
+  useEffect(() => {
+    const fetchPlayers = async () => {
+      try {
+        setPlayers(await loadPlayers());
+      } catch (error) {
+        console.error('Failed to load players:', error);
+      }
+    };
+
+    fetchPlayers();
+  }, []);
+
+  /**
+   * resetForm Function
+   *
+   * Clears the form so a new player can be added.
+   */
+  const resetForm = () => {
+    setEditingId(null);
+    setName('');
+    setNickname('');
+    setColor(PLAYER_COLORS[players.length % PLAYER_COLORS.length]);
+  };
+
+  /**
+   * handleSave Function
+   *
+   * Saves the player in the form, either as a new profile or as changes to
+   * the profile being edited. Names already used by another profile are rejected.
+   */
+  const handleSave = async () => {
+    if (!name.trim()) {
+      Alert.alert('Missing Name', 'Please enter a name for the player.');
+      return;
+    }
+
+    const duplicate = findPlayerByName(players, name);
+    if (duplicate && duplicate.id !== editingId) {
+      Alert.alert('Player Exists', `${name.trim()} is already saved.`);
+      return;
+    }
+
+    const player = editingId
+      ? { id: editingId, name: name.trim(), nickname: nickname.trim(), color }
+      : createPlayer({ name, nickname, color });
+
+    try {
+      setPlayers(await savePlayer(player));
+      resetForm();
+    } catch (error) {
+      console.error('Failed to save player:', error);
+    }
+  };
+
+  /**
+   * handleEdit Function
+   *
+   * Fills the form with a saved profile so it can be changed.
+   *
+   * @param {Object} player - The profile to edit.
+   */
+  const handleEdit = (player) => {
+    setEditingId(player.id);
+    setName(player.name);
+    setNickname(player.nickname);
+    setColor(player.color);
+  };
+
+  /**
+   * confirmDelete Function
+   *
+   * Asks for confirmation before deleting a profile. Games the player took
+   * part in keep their name.
+   *
+   * @param {Object} player - The profile to delete.
+   */
+  const confirmDelete = (player) => {
+    Alert.alert('Delete Player', `Are you sure you want to delete ${player.name}?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            setPlayers(await deletePlayer(player.id));
+            if (editingId === player.id) resetForm();
+          } catch (error) {
+            console.error('Failed to delete player:', error);
+          }
+        },
+      },
+    ]);
+  };
+
+  /**
+   * renderPlayer Function
+   *
+   * Renders a saved profile with its avatar and buttons to edit or delete it.
+   */
+  const renderPlayer = ({ item }) => (
+    <View style={styles.playerItem} testID={`player-${item.id}`}>
+      <PlayerAvatar player={item} />
+      <View style={styles.playerDetails}>
+        <Text style={styles.playerName}>{item.name}</Text>
+        {!!item.nickname && <Text style={styles.nicknameText}>"{item.nickname}"</Text>}
+      </View>
+      <TouchableOpacity style={styles.editButton} onPress={() => handleEdit(item)}>
+        <Text style={styles.buttonText}>Edit</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.deleteButton} onPress={() => confirmDelete(item)}>
+        <Text style={styles.buttonText}>Delete</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.headerText}>Players</Text>
+
+      {/* Form for adding or editing a player */}
+      <View style={styles.form}>
+        <TextInput
+          style={styles.input}
+          placeholder="Name"
+          value={name}
+          onChangeText={setName}
+        />
+        <TextInput
+          style={styles.input}
+          placeholder="Nickname (optional)"
+          value={nickname}
+          onChangeText={setNickname}
+        />
+        <View style={styles.colorRow}>
+          {PLAYER_COLORS.map((option) => (
+            <TouchableOpacity
+              key={option}
+              testID={`color-${option}`}
+              style={[styles.colorSwatch, { backgroundColor: option }, color === option && styles.colorSwatchSelected]}
+              onPress={() => setColor(option)}
+            />
+          ))}
+        </View>
+        <View style={styles.formButtons}>
+          <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
+            <Text style={styles.buttonText}>{editingId ? 'Save Changes' : 'Add Player'}</Text>
+          </TouchableOpacity>
+          {editingId && (
+            <TouchableOpacity style={styles.cancelButton} onPress={resetForm}>
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+
+      {/* Saved player profiles */}
+      <FlatList
+        data={players}
+        renderItem={renderPlayer}
+        keyExtractor={(item) => item.id}
+        ListEmptyComponent={<Text style={styles.emptyText}>No saved players yet.</Text>}
+      />
+    </View>
+  );
+}
+
+/**
+ * Styles
+ *
+ * The createStyles function builds the styling for the PlayersPage component from the active theme's colors.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.screens.players, // Light green background color
+    padding: 20,
+  },
+  headerText: {
+    color: colors.text,
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  form: {
+    marginBottom: 20,
+  },
+  input: {
+    backgroundColor: colors.surface, // White color background for the input
+    color: colors.surfaceText,
+    padding: 10,
+    borderRadius: 5,
+    fontSize: 16,
+    marginBottom: 10,
+  },
+  colorRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  colorSwatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  colorSwatchSelected: {
+    borderWidth: 3,
+    borderColor: colors.border, // Black ring around the selected color
+  },
+  formButtons: {
+    flexDirection: 'row',
+  },
+  saveButton: {
+    flex: 1,
+    backgroundColor: colors.success, // Lime green color for save button
+    padding: 15,
+    borderRadius: 5,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    marginLeft: 10,
+    backgroundColor: colors.neutral, // Gray color for cancel button
+    padding: 15,
+    borderRadius: 5,
+    alignItems: 'center',
+  },
+  playerItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface, // White background for each player
+    padding: 10,
+    borderRadius: 5,
+    marginBottom: 10,
+  },
+  playerDetails: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  playerName: {
+    color: colors.surfaceText,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  nicknameText: {
+    fontSize: 14,
+    color: colors.muted,
+  },
+  editButton: {
+    backgroundColor: colors.primary, // Blue color for edit button
+    padding: 10,
+    borderRadius: 5,
+    marginRight: 5,
+  },
+  deleteButton: {
+    backgroundColor: colors.danger, // Tomato red color for delete button
+    padding: 10,
+    borderRadius: 5,
+  },
+  buttonText: {
+    color: colors.textInverse,
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  emptyText: {
+    textAlign: 'center',
+    fontSize: 16,
+    color: colors.text,
+  },
+});
+
+/**
+ * players.js Explanation:
+ *
+ * 1. `PlayersPage Component`: Lists the saved player profiles and provides a form to add or edit them.
+ * 2. `useThemedStyles Hook`: Builds the page's styles from the active theme.
+ * 3. `useEffect Hook`: Loads the saved profiles from the players repository.
+ * 4. `handleSave Function`: Adds a new profile or saves changes, rejecting names that are already taken.
+ * 5. `handleEdit / resetForm Functions`: Load a profile into the form, or clear it for a new player.
+ * 6. `confirmDelete Function`: Deletes a profile after confirmation.
+ * 7. `renderPlayer Function`: Shows each profile's avatar, name and nickname with edit and delete buttons.
+ * 8. `createStyles Function`: Contains the styling for the form, color swatches and player list.
+ */
\ No newline at end of file
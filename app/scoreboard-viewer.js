@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import ScoreboardGrid from '../components/scoreboard-grid';
+import { DARTS_PER_TURN, restoreGame, winner, isFinished, getThrowerName } from '../utils/cricket-engine';
+import { connectViewer } from '../utils/broadcast';
+import { describeMatch, formatMatchScore } from '../utils/match';
+import { describeRound } from '../utils/round-limits';
+import { useThemedStyles } from '../components/theme-provider';
+
+// Text shown for each status of the connection to the host
+const STATUS_TEXT = {
+  connecting: 'Connecting...',
+  connected: 'Waiting for the game...',
+  disconnected: 'Disconnected from the scoreboard',
+};
+
+/**
+ * Scoreboard Viewer Page Component
+ *
+ * Joins a scoreboard shared from another device's Game Screen and mirrors it
+ * live. The viewer is read-only: the grid cannot be tapped and there are no
+ * game controls, so only the host enters scores.
+ */
+export default function ScoreboardViewerPage() {
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
+  const [address, setAddress] = useState(''); // Address of the host, as entered
+  const [connection, setConnection] = useState(null); // The connection to the host, once joined
+  const [status, setStatus] = useState(null); // Status of the connection: connecting, connected or disconnected
+  const [shared, setShared] = useState(null); // The latest state sent by the host: { gameName, match, game }
+
+  /**
+   * useEffect Hook
+   *
+   * Leaves the scoreboard when another one is joined or the page is closed.
+   */
+  useEffect(() => () => {
+    if (connection) connection.close();
+  }, [connection]);
+
+  /**
+   * handleJoin Function
+   *
+   * Connects to the host at the entered address.
+   */
+  const handleJoin = () => {
+    if (!address.trim()) {
+      Alert.alert('No Address', "Enter the address shown on the scoring device's Game Screen.");
+      return;
+    }
+
+    setShared(null);
+    setConnection(connectViewer(address, {
+      onState: (state) => setShared({ ...state, game: restoreGame(state.game) }),
+      onStatusChange: setStatus,
+    }));
+  };
+
+  /**
+   * handleLeave Function
+   *
+   * Disconnects from the host and shows the address form again.
+   */
+  const handleLeave = () => {
+    setConnection(null);
+    setStatus(null);
+    setShared(null);
+  };
+
+  if (!connection) {
+    return (
+      <View style={[styles.container, styles.joinContainer]}>
+        <Text style={styles.title}>Join a Scoreboard</Text>
+        <Text style={styles.infoText}>
+          Follow a game scored on another device on the same Wi-Fi network. Tap "Share Scoreboard" on its Game Screen and
+          enter the address it shows here.
+        </Text>
+        <TextInput
+          style={styles.input}
+          testID="host-address"
+          placeholder="Address, e.g. 192.168.1.20"
+          autoCapitalize="none"
+          autoCorrect={false}
+          value={address}
+          onChangeText={setAddress}
+        />
+        <TouchableOpacity style={styles.button} onPress={handleJoin}>
+          <Text style={styles.buttonText}>Join</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const game = shared && status === 'connected' ? shared.game : null;
+  const winnerIndex = game ? winner(game) : null;
+  let turnText = game && `${getThrowerName(game)}'s turn`;
+  if (game && isFinished(game)) {
+    turnText = winnerIndex === null ? 'Bull-off to decide the winner' : `${game.players[winnerIndex]} wins!`;
+  }
+
+  return (
+    <View style={styles.container}>
+      {/* Header mirroring the host's: game name, match score and whose turn it is */}
+      <View style={styles.header}>
+        {game ? (
+          <>
+            <Text style={styles.headerText}>{shared.gameName}</Text>
+            {shared.match && (
+              <Text style={styles.matchText} testID="viewer-match-score">
+                Leg {shared.match.legsPlayed + 1} · {describeMatch(shared.match)} · {formatMatchScore(shared.match)}
+              </Text>
+            )}
+            {game.roundLimit && <Text style={styles.matchText}>{describeRound(game)}</Text>}
+            <Text style={styles.turnText} testID="viewer-turn-indicator">{turnText}</Text>
+            <Text style={styles.infoText} testID="viewer-dart-counter">
+              Darts: {game.dartsThrown}/{DARTS_PER_TURN}
+            </Text>
+          </>
+        ) : (
+          <Text style={styles.infoText} testID="viewer-status">{STATUS_TEXT[status]}</Text>
+        )}
+      </View>
+
+      {/* Read-only scoreboard grid */}
+      {game && <ScoreboardGrid game={game} activePlayer={winnerIndex === null ? game.currentPlayer : null} />}
+
+      <View style={styles.footer}>
+        <TouchableOpacity style={styles.button} onPress={handleLeave}>
+          <Text style={styles.buttonText}>Leave</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+/**
+ * Styles
+ *
+ * The createStyles function builds the styling for the ScoreboardViewerPage component from the active theme's colors.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.screens['scoreboard-viewer'],
+  },
+  joinContainer: {
+    padding: 20,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: colors.textInverse,
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  header: {
+    paddingVertical: 20,
+    alignItems: 'center',
+  },
+  headerText: {
+    color: colors.textInverse,
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  matchText: {
+    color: colors.textInverse,
+    fontSize: 14,
+    marginTop: 5,
+  },
+  turnText: {
+    color: colors.highlight,
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 5,
+  },
+  infoText: {
+    color: colors.textInverse,
+    fontSize: 16,
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  input: {
+    backgroundColor: colors.surface,
+    color: colors.surfaceText,
+    padding: 10,
+    borderRadius: 5,
+    fontSize: 16,
+    marginBottom: 10,
+  },
+  footer: {
+    paddingVertical: 30,
+    paddingHorizontal: 10,
+  },
+  button: {
+    backgroundColor: colors.button,
+    padding: 15,
+    alignItems: 'center',
+    borderRadius: 5,
+  },
+  buttonText: {
+    color: colors.buttonText,
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
+
+/**
+ * scoreboard-viewer.js Explanation:
+ *
+ * 1. `ScoreboardViewerPage Component`: Joins a host by its address and shows its scoreboard without any way to change it.
+ * 2. `handleJoin / handleLeave Functions`: Connect to the host through the broadcast module, and disconnect again.
+ * 3. `useEffect Hook`: Closes the connection when the page is closed or another scoreboard is joined.
+ * 4. `Mirrored Scoreboard`: Each state the host sends is restored into a game state and drawn like the Game Screen's header and grid, naming the winner once the game is won (or the bull-off that will decide it).
+ * 5. `STATUS_TEXT`: Shown while connecting, before the first state arrives, and after the host stops sharing.
+ * 6. `createStyles Function`: Contains the styling for the address form, header and grid, with the colors of the active theme.
+ */
\ No newline at end of file
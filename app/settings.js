@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, Switch, ScrollView, StyleSheet, ActivityIndicator } from 'react-native';
+import {
+  DEFAULT_SETTINGS,
+  GAME_MODES,
+  PLAYER_COUNTS,
+  THEMES,
+  loadSettings,
+  saveSettings,
+} from '../utils/settings-repository';
+import { useTheme, useThemedStyles } from '../components/theme-provider';
+
+/**
+ * Settings Page Component
+ *
+ * Lets users choose the defaults for new games (game mode and number of
+ * players), how the game screen behaves (confirming resets, vibration, sound
+ * and keeping the screen awake) and the app's color theme. Every change is
+ * saved straight away.
+ */
+export default function SettingsPage() {
+  const { colors, setPreference } = useTheme(); // Colors of the active theme, and its setter for theme changes
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
+  const [settings, setSettings] = useState(null); // The preferences shown on the page, once loaded
+
+  /**
+   * useEffect Hook
+   *
+   * Loads the saved settings when the page is mounted. The defaults are shown
+   * if they cannot be loaded.
+   */
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        setSettings(await loadSettings());
+      } catch (error) {
+        console.error('Failed to load settings:', error);
+        setSettings(DEFAULT_SETTINGS);
+      }
+    };
+
+    fetchSettings();
+  }, []);
+
+  /**
+   * updateSetting Function
+   *
+   * Changes one preference and saves the settings. A new theme is applied to
+   * the whole app straight away.
+   *
+   * @param {string} name - The preference to change, e.g. "haptics".
+   * @param {*} value - The preference's new value.
+   */
+  const updateSetting = async (name, value) => {
+    const updatedSettings = { ...settings, [name]: value };
+    setSettings(updatedSettings);
+    if (name === 'theme') setPreference(value);
+
+    try {
+      await saveSettings(updatedSettings);
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+    }
+  };
+
+  /**
+   * renderOptions Function
+   *
+   * Renders a row of buttons for choosing one of several values.
+   *
+   * @param {string} name - The preference the buttons set.
+   * @param {Object[]} options - The choices: { value, label }.
+   */
+  const renderOptions = (name, options) => (
+    <View style={styles.optionRow}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option.value}
+          testID={`${name}-${option.value}`}
+          style={[styles.optionButton, settings[name] === option.value && styles.optionButtonSelected]}
+          onPress={() => updateSetting(name, option.value)}
+        >
+          <Text style={styles.optionButtonText}>{option.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  /**
+   * renderToggle Function
+   *
+   * Renders a labelled switch for an on/off preference.
+   *
+   * @param {string} name - The preference the switch sets.
+   * @param {string} label - The label shown next to the switch.
+   */
+  const renderToggle = (name, label) => (
+    <View style={styles.toggleRow}>
+      <Text style={styles.toggleLabel}>{label}</Text>
+      <Switch testID={`toggle-${name}`} value={settings[name]} onValueChange={(value) => updateSetting(name, value)} />
+    </View>
+  );
+
+  if (!settings) {
+    // Show a loading indicator until the saved settings are loaded, so changes are made to them
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator size="large" color={colors.text} />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.title}>Settings</Text>
+
+      {/* Defaults for new games */}
+      <Text style={styles.sectionTitle}>New Games</Text>
+      <Text style={styles.label}>Game Mode</Text>
+      {renderOptions('defaultGameMode', GAME_MODES)}
+      <Text style={styles.label}>Players</Text>
+      {renderOptions('defaultPlayerCount', PLAYER_COUNTS.map((count) => ({ value: count, label: `${count}` })))}
+
+      {/* Behavior of the game screen */}
+      <Text style={styles.sectionTitle}>During a Game</Text>
+      {renderToggle('confirmReset', 'Confirm before resetting the board')}
+      {renderToggle('haptics', 'Vibrate on darts and wins')}
+      {renderToggle('sound', 'Play sounds')}
+      {renderToggle('keepAwake', 'Keep the screen awake')}
+
+      {/* Color theme */}
+      <Text style={styles.sectionTitle}>Appearance</Text>
+      {renderOptions('theme', THEMES)}
+    </ScrollView>
+  );
+}
+
+/**
+ * Styles
+ *
+ * The createStyles function builds the styling for the SettingsPage component from the active theme's colors.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.screens.settings,
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: colors.text,
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 20,
+    marginBottom: 5,
+  },
+  label: {
+    fontSize: 16,
+    color: colors.text,
+    marginTop: 10,
+    marginBottom: 5,
+  },
+  optionRow: {
+    flexDirection: 'row',
+  },
+  optionButton: {
+    flex: 1,
+    backgroundColor: colors.surface,
+    padding: 10,
+    borderRadius: 5,
+    alignItems: 'center',
+    marginRight: 5,
+  },
+  optionButtonSelected: {
+    backgroundColor: colors.primary, // Blue background for the selected option
+  },
+  optionButtonText: {
+    color: colors.surfaceText,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  toggleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  toggleLabel: {
+    fontSize: 16,
+    color: colors.text,
+    flex: 1,
+  },
+});
+
+/**
+ * settings.js Explanation:
+ *
+ * 1. `SettingsPage Component`: Shows every preference and saves changes as soon as they are made.
+ * 2. `useTheme Hook`: Colors the page with the active theme and lets a new theme choice take effect immediately.
+ * 3. `useEffect Hook`: Loads the saved settings through the settings repository; a loading indicator is shown until then.
+ * 4. `updateSetting Function`: Updates one preference on the page and in storage, and the app's theme when it changes.
+ * 5. `renderOptions / renderToggle Functions`: Draw the option buttons (game mode, players, theme) and the on/off switches.
+ * 6. `createStyles Function`: Contains the styling for the sections, option buttons and switches.
+ */
\ No newline at end of file
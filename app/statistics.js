@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, FlatList, StyleSheet } from 'react-native';
+import PlayerAvatar from '../components/player-avatar';
+import { DEFAULT_ROWS } from '../utils/cricket-engine';
+import { loadCompletedGames } from '../utils/games-repository';
+import { loadPlayers } from '../utils/players-repository';
+import { getPlayerStatistics } from '../utils/statistics';
+import { useThemedStyles } from '../components/theme-provider';
+
+/**
+ * Statistics Page Component
+ *
+ * Shows per-player statistics worked out from the completed games: games
+ * played, win rate, marks per round (MPR), fastest win, and how often each
+ * number was closed.
+ */
+export default function StatisticsPage() {
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
+  const [statistics, setStatistics] = useState([]); // One entry per player
+
+  /**
+   * useEffect Hook
+   *
+   * Loads the completed games and player profiles and works out the statistics.
+   */
+  useEffect(() => {
+    const fetchStatistics = async () => {
+      try {
+        const [games, players] = await Promise.all([loadCompletedGames(), loadPlayers()]);
+        setStatistics(getPlayerStatistics(games, players));
+      } catch (error) {
+        console.error('Failed to load statistics:', error);
+      }
+    };
+
+    fetchStatistics();
+  }, []);
+
+  /**
+   * formatPercent Function
+   *
+   * Formats a share between 0 and 1 as a whole percentage, e.g. "67%".
+   */
+  const formatPercent = (share) => `${Math.round(share * 100)}%`;
+
+  /**
+   * renderPlayer Function
+   *
+   * Renders a player's statistics card, with the closing frequency of every
+   * number in standard cricket plus any other numbers they have played.
+   */
+  const renderPlayer = ({ item }) => {
+    const rows = [...new Set([...DEFAULT_ROWS, ...Object.keys(item.closingFrequency)])];
+
+    return (
+      <View style={styles.playerCard} testID={`stats-${item.key}`}>
+        <View style={styles.playerHeader}>
+          {item.profile && <PlayerAvatar player={item.profile} size={32} />}
+          <Text style={styles.playerName}>{item.name}</Text>
+        </View>
+        <View style={styles.statRow}>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{item.gamesPlayed}</Text>
+            <Text style={styles.statLabel}>Games</Text>
+          </View>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{formatPercent(item.winRate)}</Text>
+            <Text style={styles.statLabel}>Win Rate</Text>
+          </View>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>
+              {item.marksPerRound === null ? '–' : item.marksPerRound.toFixed(2)}
+            </Text>
+            <Text style={styles.statLabel}>MPR</Text>
+          </View>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>
+              {item.fastestWin === null ? '–' : `${item.fastestWin} rds`}
+            </Text>
+            <Text style={styles.statLabel}>Fastest Win</Text>
+          </View>
+        </View>
+        {item.handicappedGames > 0 && (
+          <Text style={styles.statLabel} testID={`handicapped-${item.key}`}>
+            {item.handicappedGames} of {item.gamesPlayed} {item.gamesPlayed === 1 ? 'game' : 'games'} played with a handicap
+          </Text>
+        )}
+        <Text style={styles.sectionLabel}>Numbers Closed</Text>
+        <View style={styles.closingRow}>
+          {rows.map((row) => (
+            <View key={row} style={styles.closingCell}>
+              <Text style={styles.closingNumber}>{row}</Text>
+              <Text style={styles.closingValue}>{formatPercent(item.closingFrequency[row] || 0)}</Text>
+            </View>
+          ))}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.headerText}>Statistics</Text>
+      <FlatList
+        data={statistics}
+        renderItem={renderPlayer}
+        keyExtractor={(item) => item.key}
+        ListEmptyComponent={<Text style={styles.emptyText}>Finish a game to see statistics.</Text>}
+      />
+    </View>
+  );
+}
+
+/**
+ * Styles
+ *
+ * The createStyles function builds the styling for the StatisticsPage component from the active theme's colors.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    backgroundColor: colors.screens.statistics, // Blue background color
+  },
+  headerText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    color: colors.textInverse,
+    marginBottom: 20,
+  },
+  playerCard: {
+    backgroundColor: colors.card, // Light blue card background
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 10,
+  },
+  playerHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  playerName: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.surfaceText,
+    marginLeft: 8,
+  },
+  statRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.surfaceText,
+  },
+  statLabel: {
+    fontSize: 12,
+    color: colors.surfaceText,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.surfaceText,
+    marginBottom: 5,
+  },
+  closingRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  closingCell: {
+    width: '14%',
+    alignItems: 'center',
+    marginBottom: 5,
+  },
+  closingNumber: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.surfaceText,
+  },
+  closingValue: {
+    fontSize: 12,
+    color: colors.surfaceText,
+  },
+  emptyText: {
+    textAlign: 'center',
+    fontSize: 16,
+    color: colors.textInverse,
+  },
+});
+
+/**
+ * statistics.js Explanation:
+ *
+ * 1. `StatisticsPage Component`: Lists a statistics card for every player who has finished a game.
+ * 2. `useThemedStyles Hook`: Colors the page and cards with the active theme.
+ * 3. `useEffect Hook`: Loads the completed games and player profiles and works out the statistics.
+ * 4. `formatPercent Function`: Formats win rates and closing frequencies as percentages.
+ * 5. `renderPlayer Function`: Shows games played, win rate, MPR, fastest win, how many games had a handicap and the share of games each number was closed.
+ * 6. `createStyles Function`: Contains the styling for the player cards and the closing frequency grid.
+ */
\ No newline at end of file
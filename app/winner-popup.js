@@ -1,31 +1,70 @@
-import React, { useLayoutEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Image } from 'react-native';
 import { useLocalSearchParams, useNavigation } from 'expo-router';
+import { getCompletedGame, saveInProgressGame } from '../utils/games-repository';
+import { describeMatch, formatMatchScore, createNextLeg } from '../utils/match';
+import { formatGameDate, formatDuration, getGameDuration } from '../utils/game-time';
+import { describeOutcome } from '../utils/round-limits';
+import { loadSettings } from '../utils/settings-repository';
+import { playFeedback } from '../utils/feedback';
+import { useThemedStyles } from '../components/theme-provider';
 
 /**
  * Winner Popup Page Component
  * 
  * This component represents the popup that appears when a player wins a game.
- * It displays the winner's name, date, and a dynamic "WINNER" text. Users can 
+ * It displays the winner's name, the date and duration of the game, and a dynamic "WINNER" text. Users can 
  * navigate back to the main menu or start a new game from this screen.
+ * When the game was a leg of a match, it shows the match score and offers the
+ * next leg, or crowns the match winner once the match is decided.
  */
 export default function WinnerPopupPage() {
-  const { playerName, date } = useLocalSearchParams(); // Extract parameters passed to the component
-  const navigation = useNavigation(); // Used for styling navigation bar
+  const { playerName, gameId } = useLocalSearchParams(); // Extract parameters passed to the component
+  const navigation = useNavigation(); // Used for resetting the navigation stack
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
+  const [game, setGame] = useState(null); // The completed game, for its date, duration and match score
+  const [isStarting, setIsStarting] = useState(false); // Disables "Next Leg" while the next leg is saved
+  const isStartingRef = useRef(false); // Set as soon as "Next Leg" is pressed, so a double-tap starts only one leg
 
   /**
-   * useLayoutEffect Hook
-   * 
-   * Hook for styling the navigation bar to be the same color as the page and remove all text.
+   * useEffect Hook
+   *
+   * Loads the completed game to show when it was played and how long it took,
+   * and to find out whether it was a leg of a match.
    */
-  useLayoutEffect(() => {
-    navigation.setOptions({
-      headerStyle: {
-        backgroundColor: '#F0E68C', // Match the page background color
-      },
-      headerTitle: '', // Remove text from the navigation bar
-    });
-  }, [navigation]);
+  useEffect(() => {
+    if (!gameId) return;
+
+    const fetchGame = async () => {
+      try {
+        setGame(await getCompletedGame(gameId));
+      } catch (error) {
+        console.error('Failed to load game:', error);
+      }
+    };
+
+    fetchGame();
+  }, [gameId]);
+
+  /**
+   * useEffect Hook
+   *
+   * Celebrates the win with a vibration and a chime, as far as the settings allow.
+   */
+  useEffect(() => {
+    const celebrate = async () => {
+      try {
+        await playFeedback(await loadSettings(), 'win');
+      } catch (error) {
+        console.error('Failed to load settings:', error);
+      }
+    };
+
+    celebrate();
+  }, []);
+
+  const match = game ? game.match : null; // Null for single games
+  const isMatchOver = !!match && match.winnerIndex !== null;
 
   const handleBackToHome = () => {
     navigation.reset({
@@ -34,6 +73,34 @@ export default function WinnerPopupPage() {
     });
   };
 
+  /**
+   * handleNextLeg Function
+   *
+   * Starts the next leg of the match with the same players, the first throw
+   * passed to the next player, and opens it on the Game Screen. Further presses
+   * are ignored while the leg is saved; the ref is checked rather than the
+   * state, as both taps of a double-tap run before the button re-renders.
+   */
+  const handleNextLeg = async () => {
+    if (isStartingRef.current) return;
+
+    isStartingRef.current = true;
+    setIsStarting(true);
+    try {
+      const nextLeg = createNextLeg(game);
+      await saveInProgressGame(nextLeg);
+
+      navigation.reset({
+        index: 1, // Open the next leg with the Home screen behind it
+        routes: [{ name: 'index' }, { name: 'game-screen', params: { gameId: nextLeg.id } }],
+      });
+    } catch (error) {
+      console.error('Failed to start next leg:', error);
+      isStartingRef.current = false;
+      setIsStarting(false);
+    }
+  };
+
   /**
    * handleNewGame Function
    * 
@@ -48,21 +115,49 @@ export default function WinnerPopupPage() {
 
   return (
     <View style={styles.container}>
-      <View style={styles.popup}>
+      <View style={[styles.popup, isMatchOver && styles.matchPopup]}>
         {/* Image representing the winner or a trophy */}
         <Image
           source={require('../assets/winner_popup_art.png')} // Inserting winner graphic asset
           style={styles.winnerImage}
         />
-        {/* Inserting "WINNER" text */}
-        <Text style={styles.winnerText}>WINNER!</Text>
+        {/* Inserting "WINNER" text, for the leg or the whole match when playing a match */}
+        <Text style={styles.winnerText}>
+          {match ? (isMatchOver ? 'MATCH WINNER!' : 'LEG WINNER!') : 'WINNER!'}
+        </Text>
 
-        {/* Display game details: player name and date */}
+        {/* Display game details: player name, date and duration */}
         <View style={styles.infoContainer}>
           <Text style={styles.infoText}>Player: {playerName}</Text>
-          <Text style={styles.infoText}>Date: {date}</Text>
+          {game && game.outcome && game.outcome.decidedBy !== 'closed' && (
+            <Text style={styles.infoText} testID="outcome">{describeOutcome(game.outcome)}</Text>
+          )}
+          {game && <Text style={styles.infoText}>Date: {formatGameDate(game)}</Text>}
+          {game && getGameDuration(game) !== null && (
+            <Text style={styles.infoText}>Duration: {formatDuration(getGameDuration(game))}</Text>
+          )}
+          {match && (
+            <>
+              <Text style={styles.infoText}>{describeMatch(match)}</Text>
+              <Text style={styles.infoText} testID="match-score">{formatMatchScore(match)}</Text>
+            </>
+          )}
+          {isMatchOver && (
+            <Text style={styles.infoText}>Match: {game.players[match.winnerIndex]}</Text>
+          )}
         </View>
 
+        {/* Button to play the next leg while the match is undecided */}
+        {match && !isMatchOver && (
+          <TouchableOpacity
+            style={styles.button}
+            onPress={handleNextLeg}
+            disabled={isStarting}
+          >
+            <Text style={styles.buttonText}>Next Leg</Text>
+          </TouchableOpacity>
+        )}
+
         {/* Button to navigate back to the main menu */}
         <TouchableOpacity
           style={styles.button}
@@ -86,24 +181,27 @@ export default function WinnerPopupPage() {
 /**
  * Styles
  * 
- * The styles object contains the styling for the WinnerPopupPage component.
+ * The createStyles function builds the styling for the WinnerPopupPage component from the active theme's colors.
  * This includes the layout settings, typography, colors, and dimensions for
  * the various elements within the page.
  */
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#F0E68C', // Background color for the popup
+    backgroundColor: colors.screens['winner-popup'], // Background color for the popup
     justifyContent: 'center',
     alignItems: 'center',
   },
   popup: {
     width: '80%',
-    backgroundColor: '#DDA0DD', // Background color for the popup box
+    backgroundColor: colors.popup, // Background color for the popup box
     borderRadius: 20,
     padding: 20,
     alignItems: 'center',
   },
+  matchPopup: {
+    backgroundColor: colors.popupWon, // Gold background once the match is won
+  },
   winnerImage: {
     width: 100,
     height: 100,
@@ -112,8 +210,8 @@ const styles = StyleSheet.create({
   winnerText: {
     fontSize: 36,
     fontWeight: 'bold',
-    color: '#FFD700', // Gold color
-    textShadowColor: '#000', // Shadow for depth
+    color: colors.highlight, // Gold color
+    textShadowColor: colors.shadow, // Shadow for depth
     textShadowOffset: { width: 2, height: 2 },
     textShadowRadius: 10,
     marginBottom: 20,
@@ -123,12 +221,12 @@ const styles = StyleSheet.create({
   },
   infoText: {
     fontSize: 18,
-    color: '#FFFFFF',
+    color: colors.textInverse,
     textAlign: 'center',
     marginBottom: 5,
   },
   button: {
-    backgroundColor: '#8A2BE2',
+    backgroundColor: colors.accent,
     paddingVertical: 10,
     paddingHorizontal: 20,
     borderRadius: 25,
@@ -137,7 +235,7 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   buttonText: {
-    color: '#FFFFFF',
+    color: colors.textInverse,
     fontSize: 18,
     fontWeight: 'bold',
   },
@@ -146,14 +244,17 @@ const styles = StyleSheet.create({
 /**
  * winner-popup.js Explanation:
  * 
- * 1. `Winner Popup Page Component`: The main component that renders the winner's popup screen. It displays the winner's details (name and date) and provides options to navigate back to the main menu or start a new game.
- * 2. `useSearchParams`: Extracts `playerName` and `date` parameters from the URL for dynamic rendering.
+ * 1. `Winner Popup Page Component`: The main component that renders the winner's popup screen. It displays the winner's details (name, date and duration) and provides options to navigate back to the main menu or start a new game.
+ * 2. `useSearchParams`: Extracts the `playerName` and `gameId` parameters from the URL for dynamic rendering.
  * 3. `Image Component`: Displays an image (e.g., trophy) symbolizing the win.
  * 4. `Text Components`: Render the "WINNER" text with a dynamic and visually stunning style, along with the game details.
  * 5. `TouchableOpacity Components`: Provide interactive buttons for the user to either go back to the main menu or start a new game.
  * 6. `router.push` and `router.replace`: Replace `navigation.navigate` for routing to appropriate screens in Expo Router.
- * 7. `styles Object`: Contains all the styling for the component, ensuring the layout is visually appealing and consistent with the rest of the app.
- * 8. `useLayoutEffect`: A React hook used to customize the navigation bar:
- *    - `headerStyle`: Sets the background color of the navigation bar to match the page.
- *    - `headerTitle`: Removes the title text from the navigation bar for a minimalist appearance.
+ * 7. `createStyles Function`: Contains all the styling for the component, with the colors of the active theme so it stays consistent with the rest of the app.
+ * 8. `useThemedStyles`: Rebuilds the styles when the theme changes; the navigation bar is colored to match in `app/_layout.js`.
+ * 9. `useEffect Hook`: Loads the completed game by ID for its start time, formatted with the device's locale, its duration and its match score.
+ * 10. `Match State`: A leg of an undecided match shows "LEG WINNER!", the score and a "Next Leg" button; a decided match shows "MATCH WINNER!" on a gold popup.
+ * 11. `handleNextLeg Function`: Saves the next leg with the same players and the first throw rotated, and opens it on the Game Screen; the button is disabled while it is saved.
+ * 12. `Win Feedback`: A useEffect vibrates and plays the win chime when the haptics and sound settings are on.
+ * 13. `Outcome`: A game won at its round limit says how it was decided (points, marks or a bull-off).
  */
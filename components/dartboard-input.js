@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, Image, StyleSheet } from 'react-native';
+import { BOARD_RINGS, getDartAt, formatDart } from '../utils/dartboard';
+import { useThemedStyles } from './theme-provider';
+
+/**
+ * Dartboard Input Component
+ *
+ * Displays the dartboard image and lets the player tap the segment and ring
+ * their dart actually landed in. The tap position is converted into a dart
+ * ({ segment, multiplier }) and passed to `onDart`.
+ *
+ * @param {Object} props - Component props.
+ * @param {Function} props.onDart - Called with the dart that was tapped.
+ * @param {number} [props.size] - Width and height of the board in pixels.
+ */
+export default function DartboardInput({ onDart, size = 300 }) {
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
+  const [lastDart, setLastDart] = useState(null); // Most recent dart, shown as feedback
+
+  /**
+   * handleBoardPress Function
+   *
+   * Converts the tap location on the board into a dart and reports it.
+   */
+  const handleBoardPress = (event) => {
+    const { locationX, locationY } = event.nativeEvent;
+    const dart = getDartAt(locationX, locationY, size);
+    setLastDart(dart);
+    onDart(dart);
+  };
+
+  // The artwork only shows a single bull, so the inner bull is drawn on top of it
+  const innerBullSize = size * BOARD_RINGS.innerBull;
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        testID="dartboard"
+        activeOpacity={0.8}
+        style={{ width: size, height: size }}
+        onPress={handleBoardPress}
+      >
+        <Image
+          source={require('../assets/dartboard.png')}
+          style={{ width: size, height: size }}
+          resizeMode="contain"
+          accessibilityRole="image"
+        />
+        <View
+          pointerEvents="none"
+          style={[
+            styles.innerBull,
+            {
+              width: innerBullSize,
+              height: innerBullSize,
+              borderRadius: innerBullSize / 2,
+              left: (size - innerBullSize) / 2,
+              top: (size - innerBullSize) / 2,
+            },
+          ]}
+        />
+      </TouchableOpacity>
+      <Text style={styles.lastDartText} testID="last-dart">
+        {lastDart ? formatDart(lastDart) : 'Tap where the dart landed'}
+      </Text>
+    </View>
+  );
+}
+
+/**
+ * Styles
+ *
+ * The createStyles function builds the styling for the DartboardInput component from the active theme's colors.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    alignItems: 'center',
+  },
+  innerBull: {
+    position: 'absolute',
+    backgroundColor: colors.bull, // Red bull's-eye
+  },
+  lastDartText: {
+    color: colors.textInverse,
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: 10,
+  },
+});
+
+/**
+ * dartboard-input.js Explanation:
+ *
+ * 1. `DartboardInput Component`: Renders the tappable dartboard and reports each dart through `onDart`.
+ * 2. `handleBoardPress Function`: Uses the tap location to work out the segment and ring that were hit.
+ * 3. `Inner Bull Overlay`: Draws the bull's-eye over the artwork so double bulls can be entered.
+ * 4. `createStyles Function`: Contains the styling for the board, bull's-eye overlay and feedback text in the active theme's colors.
+ */
\ No newline at end of file
@@ -0,0 +1,51 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useThemedStyles } from './theme-provider';
+import { getInitials } from '../utils/players-repository';
+
+/**
+ * Player Avatar Component
+ *
+ * Shows a player's initials in a circle of their chosen color.
+ *
+ * @param {Object} props - Component props.
+ * @param {Object} props.player - The player profile.
+ * @param {number} [props.size] - Diameter of the avatar in pixels.
+ */
+export default function PlayerAvatar({ player, size = 40 }) {
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
+
+  return (
+    <View
+      style={[
+        styles.avatar,
+        { width: size, height: size, borderRadius: size / 2, backgroundColor: player.color },
+      ]}
+    >
+      <Text style={[styles.initials, { fontSize: size * 0.4 }]}>{getInitials(player)}</Text>
+    </View>
+  );
+}
+
+/**
+ * Styles
+ *
+ * The createStyles function builds the styling for the PlayerAvatar component from the active theme's colors.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  avatar: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  initials: {
+    color: colors.textInverse,
+    fontWeight: 'bold',
+  },
+});
+
+/**
+ * player-avatar.js Explanation:
+ *
+ * 1. `PlayerAvatar Component`: Renders a round avatar with the player's initials in their color.
+ * 2. `createStyles Function`: Centers the initials inside the circle, in the theme's text color for colored backgrounds.
+ */
\ No newline at end of file
@@ -0,0 +1,268 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet, useWindowDimensions } from 'react-native';
+import { useThemedStyles } from './theme-provider';
+import { isClosed } from '../utils/cricket-engine';
+import { getCellLabel, getPlayerLabel } from '../utils/accessibility';
+import { NUMBER_COLUMN_WIDTH, getGridLayout } from '../utils/grid-layout';
+
+// Largest system font scale the grid text grows to; larger text is capped so the glyphs still fit their cells
+const MAX_FONT_SCALE = 2;
+
+// Smallest height of a grid row at the default font size, in pixels
+const MIN_ROW_HEIGHT = 28;
+
+/**
+ * Scoreboard Grid Component
+ *
+ * Renders the cricket scoreboard for a game state: a column per player with
+ * their name and points, the numbers in play, and the marks on each number.
+ * Used by the Game Screen for play and by the Game Detail screen for replays.
+ * Every cell has a spoken label for screen readers, and the rows grow with the
+ * system font size, scrolling when they no longer fit on screen. Games with
+ * more players than fit across the screen scroll sideways, with the numbers
+ * column pinned in place.
+ *
+ * @param {Object} props - Component props.
+ * @param {Object} props.game - The game state to show (players, rows, grid and points).
+ * @param {number} [props.activePlayer] - Index of the player to highlight, if any.
+ * @param {Function} [props.onCellPress] - Called with (rowIndex, colIndex) when a cell is tapped; cells are read-only without it.
+ */
+export default function ScoreboardGrid({ game, activePlayer = null, onCellPress }) {
+  const styles = useThemedStyles(createStyles); // Styles for the active theme
+  const { width, height, fontScale } = useWindowDimensions(); // Window size, and the system font size (1 by default)
+  const { players, rows, grid, points } = game;
+  const layout = getGridLayout({ width, playerCount: players.length }); // Whether the columns fit or scroll sideways
+  // Rows are at least tall enough for their text at the system font size
+  const rowHeight = { minHeight: MIN_ROW_HEIGHT * Math.min(Math.max(fontScale, 1), MAX_FONT_SCALE) };
+  // Scrolling columns keep the width worked out for the window instead of sharing it
+  const cellWidth = layout.scrollable ? { flex: 0, width: layout.cellWidth } : null;
+  // Landscape screens leave short rows, like long number sets do
+  const isCompact = rows.length > 8 || width > height;
+
+  /**
+   * renderCellContent Function
+   *
+   * Determines the content to display in a grid cell based on the number of
+   * taps. A closed number always shows the closed symbol, so numbers closed
+   * with fewer marks by a handicapped player look closed too.
+   */
+  const renderCellContent = (rowIndex, colIndex) => {
+    const { taps } = grid[rowIndex][colIndex];
+    if (isClosed(game, rowIndex, colIndex)) return 'Ⓧ';
+    if (taps === 1) return '/';
+    if (taps === 2) return 'X';
+    return '';
+  };
+
+  /**
+   * getCellFontSize Function
+   *
+   * Determines the font size of the content displayed in a grid cell.
+   * Larger font size is used when the number is closed, and smaller sizes
+   * when a long number set or a landscape screen leaves less room for each row.
+   */
+  const getCellFontSize = (rowIndex, colIndex) => {
+    const closed = isClosed(game, rowIndex, colIndex);
+    if (isCompact) return closed ? styles.compactLargeText : styles.compactText;
+    return closed ? styles.largeText : styles.normalText;
+  };
+
+  /**
+   * renderPlayer Function
+   *
+   * Renders a player's header cell with their name and points.
+   *
+   * @param {number} index - Index of the player.
+   */
+  const renderPlayer = (index) => (
+    <View
+      style={[styles.cell, cellWidth, index === activePlayer && styles.activePlayerCell]}
+      key={`player-name-${index}`}
+      testID={`player-${index}`}
+      accessible
+      accessibilityLabel={getPlayerLabel(game, index, index === activePlayer)}
+    >
+      <Text style={styles.playerText} numberOfLines={1} adjustsFontSizeToFit maxFontSizeMultiplier={MAX_FONT_SCALE}>
+        {players[index]}
+      </Text>
+      <Text style={styles.pointsText} testID={`points-${index}`} maxFontSizeMultiplier={MAX_FONT_SCALE}>
+        {points[index]}
+      </Text>
+    </View>
+  );
+
+  /**
+   * renderNumber Function
+   *
+   * Renders a cell of the numbers column, or the blank cell above it when no row is given.
+   *
+   * @param {string} [row] - The number shown in the cell.
+   */
+  const renderNumber = (row) => (
+    <View style={styles.cell} key={row === undefined ? 'blank-above-numbers' : `number-${row}`}>
+      <Text style={row === undefined ? styles.playerText : styles.scoreText} maxFontSizeMultiplier={MAX_FONT_SCALE}>
+        {row}
+      </Text>
+    </View>
+  );
+
+  /**
+   * renderCell Function
+   *
+   * Renders a grid cell, handling taps and displaying the appropriate symbol.
+   *
+   * @param {number} rowIndex - Index of the row.
+   * @param {number} colIndex - Index of the player.
+   */
+  const renderCell = (rowIndex, colIndex) => (
+    <TouchableOpacity
+      testID={`cell-${rowIndex}-${colIndex}`}
+      style={[styles.cell, cellWidth]}
+      key={`cell-${rowIndex}-${colIndex}`}
+      disabled={!onCellPress}
+      onPress={() => onCellPress(rowIndex, colIndex)}
+      accessibilityRole={onCellPress ? 'button' : 'text'}
+      accessibilityLabel={getCellLabel(game, rowIndex, colIndex)}
+    >
+      <Text
+        style={[styles.scoreText, getCellFontSize(rowIndex, colIndex)]}
+        numberOfLines={1}
+        adjustsFontSizeToFit
+        maxFontSizeMultiplier={MAX_FONT_SCALE}
+      >
+        {renderCellContent(rowIndex, colIndex)}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  if (layout.scrollable) {
+    // The numbers stay pinned on the left while the players' columns scroll sideways
+    return (
+      <ScrollView style={styles.gridContainer} contentContainerStyle={[styles.gridContent, styles.pinnedContent]}>
+        <View style={styles.numberColumn} testID="number-column">
+          <View style={[styles.row, rowHeight]}>{renderNumber()}</View>
+          {rows.map((row, rowIndex) => (
+            <View style={[styles.row, rowHeight]} key={rowIndex}>{renderNumber(row)}</View>
+          ))}
+        </View>
+        <ScrollView horizontal testID="player-columns" contentContainerStyle={styles.playerColumns}>
+          <View style={[styles.row, rowHeight]}>{players.map((_, index) => renderPlayer(index))}</View>
+          {rows.map((_, rowIndex) => (
+            <View style={[styles.row, rowHeight]} key={rowIndex}>
+              {players.map((_, colIndex) => renderCell(rowIndex, colIndex))}
+            </View>
+          ))}
+        </ScrollView>
+      </ScrollView>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.gridContainer} contentContainerStyle={styles.gridContent}>
+      {/* Top row displaying player names and a blank cell for alignment */}
+      <View style={[styles.row, rowHeight]}>
+        {players.map((_, index) => (
+          <React.Fragment key={`player-${index}`}>
+            {/* Insert a blank cell for alignment if necessary */}
+            {index === layout.numberColumnPosition && renderNumber()}
+            {/* Display each player's name */}
+            {renderPlayer(index)}
+          </React.Fragment>
+        ))}
+      </View>
+
+      {/* Display the game grid with rows and columns */}
+      {rows.map((row, rowIndex) => (
+        <View style={[styles.row, rowHeight]} key={rowIndex}>
+          {players.map((_, colIndex) => (
+            <React.Fragment key={`fragment-${rowIndex}-${colIndex}`}>
+              {/* Insert the numbers column in the correct position */}
+              {colIndex === layout.numberColumnPosition && renderNumber(row)}
+              {renderCell(rowIndex, colIndex)}
+            </React.Fragment>
+          ))}
+        </View>
+      ))}
+    </ScrollView>
+  );
+}
+
+/**
+ * Styles
+ *
+ * The createStyles function builds the styling for the ScoreboardGrid component from the active theme's colors.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  gridContainer: {
+    flex: 1,
+    marginHorizontal: 10,
+    marginTop: 10,
+  },
+  gridContent: {
+    flexGrow: 1, // Rows share the available height, and scroll once they outgrow it
+  },
+  pinnedContent: {
+    flexDirection: 'row', // The pinned numbers column beside the scrolling players' columns
+  },
+  numberColumn: {
+    width: NUMBER_COLUMN_WIDTH,
+  },
+  playerColumns: {
+    flexDirection: 'column', // Rows stacked in the sideways-scrolling area
+    flexGrow: 1,
+  },
+  row: {
+    flexDirection: 'row',
+    flex: 1,
+  },
+  cell: {
+    flex: 1,
+    backgroundColor: colors.primary,
+    margin: 2,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  activePlayerCell: {
+    backgroundColor: colors.success, // Highlight the player whose turn it is
+  },
+  playerText: {
+    color: colors.textInverse,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  pointsText: {
+    color: colors.highlight,
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  scoreText: {
+    color: colors.textInverse,
+    fontWeight: 'bold',
+  },
+  normalText: {
+    fontSize: 24,
+  },
+  largeText: {
+    fontSize: 40,
+  },
+  compactText: {
+    fontSize: 16,
+  },
+  compactLargeText: {
+    fontSize: 26,
+  },
+});
+
+/**
+ * scoreboard-grid.js Explanation:
+ *
+ * 1. `ScoreboardGrid Component`: Draws the player header row and the marks grid for any game state.
+ * 2. `renderCellContent Function`: Shows "/" or "X" for one or two marks, and "Ⓧ" once the number is closed (after three marks, or fewer with a handicap).
+ * 3. `getCellFontSize Function`: Uses a larger symbol for closed numbers, and smaller symbols for long number sets and landscape screens.
+ * 4. `Layout`: `utils/grid-layout.js` places the numbers column between the players when every column fits, or pins it on the left of a sideways-scrolling grid sized from the window width.
+ * 5. `Accessibility`: Cells and player headers are labelled through `utils/accessibility.js`; text grows with the system font size up to `MAX_FONT_SCALE` and rows keep a minimum height, so large text scrolls instead of overflowing.
+ * 6. `renderPlayer / renderNumber / renderCell Functions`: Draw the header, numbers and marks cells shared by both layouts.
+ * 7. `createStyles Function`: Contains the grid, cell and text styles shared by the play and replay screens, colored by the active theme.
+ */
\ No newline at end of file
@@ -0,0 +1,84 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { useColorScheme } from 'react-native';
+import { DEFAULT_SETTINGS, loadSettings } from '../utils/settings-repository';
+import { PALETTES, resolveThemeName } from '../utils/theme';
+
+// The active theme; screens rendered outside a provider use the light theme
+const ThemeContext = createContext({
+  name: 'light',
+  colors: PALETTES.light,
+  preference: DEFAULT_SETTINGS.theme,
+  setPreference: () => {},
+});
+
+/**
+ * Theme Provider Component
+ *
+ * Provides the active color palette to every screen. The theme comes from the
+ * settings and follows the device's light or dark appearance when set to
+ * "System", switching as soon as either changes.
+ *
+ * @param {Object} props - Component props.
+ * @param {React.ReactNode} props.children - The app.
+ */
+export default function ThemeProvider({ children }) {
+  const systemScheme = useColorScheme(); // The device's appearance: 'light' or 'dark'
+  const [preference, setPreference] = useState(DEFAULT_SETTINGS.theme); // The theme chosen in the settings
+
+  /**
+   * useEffect Hook
+   *
+   * Loads the saved theme when the app starts.
+   */
+  useEffect(() => {
+    const fetchTheme = async () => {
+      try {
+        const settings = await loadSettings();
+        setPreference(settings.theme);
+      } catch (error) {
+        console.error('Failed to load theme:', error);
+      }
+    };
+
+    fetchTheme();
+  }, []);
+
+  const value = useMemo(() => {
+    const name = resolveThemeName(preference, systemScheme);
+    return { name, colors: PALETTES[name], preference, setPreference };
+  }, [preference, systemScheme]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
+
+/**
+ * useTheme Hook
+ *
+ * @returns {Object} The active theme: { name, colors, preference, setPreference }.
+ */
+export function useTheme() {
+  return useContext(ThemeContext);
+}
+
+/**
+ * useThemedStyles Hook
+ *
+ * Builds a component's styles from the active palette, rebuilding them only
+ * when the theme changes.
+ *
+ * @param {Function} createStyles - Takes the palette and returns a StyleSheet.
+ * @returns {Object} The styles.
+ */
+export function useThemedStyles(createStyles) {
+  const { colors } = useTheme();
+  return useMemo(() => createStyles(colors), [colors, createStyles]);
+}
+
+/**
+ * theme-provider.js Explanation:
+ *
+ * 1. `ThemeContext`: Holds the active palette, defaulting to the light theme.
+ * 2. `ThemeProvider Component`: Combines the saved theme with the device's appearance, used by `app/_layout.js`.
+ * 3. `useTheme Hook`: Gives screens the palette and lets the Settings screen change the theme.
+ * 4. `useThemedStyles Hook`: Turns a `createStyles(colors)` function into styles for the active theme.
+ */
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { MARKS_TO_CLOSE, isClosed, getOutcome, getThrowerName } from './cricket-engine';
+
+/**
+ * Accessibility
+ *
+ * Describes the scoreboard in words for screen readers. The grid shows marks
+ * as glyphs ("/", "X" and "Ⓧ"), so every cell gets a spoken label, and the
+ * game screen announces the events a sighted player would notice on the
+ * board: a number being closed, the turn passing and the game being won.
+ */
+
+// Spoken number of marks in a cell, by number of marks
+const MARK_WORDS = ['no marks', 'one mark', 'two marks', 'three marks'];
+
+/**
+ * describeMarks Function
+ *
+ * @param {number} taps - Marks in the cell.
+ * @returns {string} The marks in words, e.g. "two marks".
+ */
+export function describeMarks(taps) {
+  return MARK_WORDS[Math.min(taps, MARKS_TO_CLOSE)];
+}
+
+/**
+ * getCellLabel Function
+ *
+ * Builds the label of a grid cell, e.g. "Player 2, 18, two marks, open".
+ *
+ * @param {Object} game - The game state.
+ * @param {number} rowIndex - Index of the row.
+ * @param {number} colIndex - Index of the player.
+ * @returns {string} The label read out for the cell.
+ */
+export function getCellLabel(game, rowIndex, colIndex) {
+  const status = isClosed(game, rowIndex, colIndex) ? 'closed' : 'open';
+  return `${game.players[colIndex]}, ${game.rows[rowIndex]}, ${describeMarks(game.grid[rowIndex][colIndex].taps)}, ${status}`;
+}
+
+/**
+ * getPlayerLabel Function
+ *
+ * Builds the label of a player's header cell, e.g. "Player 1, 40 points, throwing".
+ *
+ * @param {Object} game - The game state.
+ * @param {number} colIndex - Index of the player.
+ * @param {boolean} isActive - Whether the player is highlighted as the thrower.
+ * @returns {string} The label read out for the player.
+ */
+export function getPlayerLabel(game, colIndex, isActive) {
+  const points = game.points[colIndex];
+  const label = `${game.players[colIndex]}, ${points} ${points === 1 ? 'point' : 'points'}`;
+  return isActive ? `${label}, throwing` : label;
+}
+
+/**
+ * getMoveAnnouncements Function
+ *
+ * Works out what to announce after a move: the numbers a new dart closed, then
+ * the winner if the move won the game, the players in a bull-off if it ended
+ * the last round with them level, or otherwise the next thrower (the team
+ * member in a team game) if the turn passed. Undone darts announce only the
+ * change of turn.
+ *
+ * @param {Object} previousGame - The game state before the move.
+ * @param {Object} updatedGame - The game state after the move.
+ * @returns {string[]} The announcements, in the order they should be read.
+ */
+export function getMoveAnnouncements(previousGame, updatedGame) {
+  const announcements = [];
+
+  if (updatedGame.history.length > previousGame.history.length) {
+    updatedGame.rows.forEach((row, rowIndex) => {
+      updatedGame.players.forEach((player, colIndex) => {
+        if (isClosed(updatedGame, rowIndex, colIndex) && !isClosed(previousGame, rowIndex, colIndex)) {
+          announcements.push(`${player} closed ${row}`);
+        }
+      });
+    });
+  }
+
+  const outcome = getOutcome(updatedGame);
+  if (outcome && outcome.winnerIndex !== null) {
+    announcements.push(`${updatedGame.players[outcome.winnerIndex]} wins`);
+  } else if (outcome) {
+    announcements.push(`Bull-off between ${outcome.tied.map((colIndex) => updatedGame.players[colIndex]).join(' and ')}`);
+  } else if (updatedGame.currentPlayer !== previousGame.currentPlayer) {
+    announcements.push(`${getThrowerName(updatedGame)}'s turn`);
+  }
+
+  return announcements;
+}
+
+/**
+ * accessibility.js Explanation:
+ *
+ * 1. `MARK_WORDS / describeMarks Function`: Read the number of marks in a cell as words.
+ * 2. `getCellLabel Function`: Labels each grid cell with the player, number, marks and whether it is closed.
+ * 3. `getPlayerLabel Function`: Labels each player's header with their points and whether they are throwing.
+ * 4. `getMoveAnnouncements Function`: Lists the closures, winner, bull-off and turn changes a move causes, for the Game Screen to announce.
+ */
\ No newline at end of file
@@ -0,0 +1,350 @@
+/**
+ * Broadcast
+ *
+ * Shares a game's scoreboard with other devices. The scoring device hosts the
+ * game and sends its state to every viewer that joins; viewers show a
+ * read-only copy of the scoreboard that follows every dart. Messages are JSON
+ * text over WebSocket-style connections:
+ *
+ * - `join`: sent by a viewer once it has connected, to start receiving the game.
+ * - `state`: sent by the host to each viewer when it joins and after every move.
+ *
+ * The host only listens for `join`, so viewers cannot change the game. It
+ * accepts any server with the `ws` package's interface (`on('connection')`,
+ * and sockets with `send`, `close`, `on('message')` and `on('close')`). On the
+ * device that is the WebSocket server in websocket-server.js, which viewers
+ * join over Wi-Fi; the in-process server below implements the same interface
+ * so the host and viewers can be tested without a network.
+ */
+
+// Version of the messages; messages from other versions of the app are ignored
+export const PROTOCOL_VERSION = 1;
+
+// Port the host listens on unless the viewer is given another one
+export const DEFAULT_BROADCAST_PORT = 8765;
+
+// Types of message sent between the host and its viewers
+export const MESSAGE_TYPES = {
+  join: 'join',
+  state: 'state',
+};
+
+// In-process servers that are running in tests, by the URL viewers join them at
+const localServers = new Map();
+
+/**
+ * encodeMessage Function
+ *
+ * @param {Object} message - The message: { type, ...details }.
+ * @returns {string} The message as text, stamped with the protocol version.
+ */
+export function encodeMessage(message) {
+  return JSON.stringify({ ...message, version: PROTOCOL_VERSION });
+}
+
+/**
+ * decodeMessage Function
+ *
+ * Reads a message sent by the host or a viewer. Text that is not a message of
+ * a known type from this version of the protocol is ignored.
+ *
+ * @param {string|Buffer} data - The text received.
+ * @returns {Object|null} The message, or null if it cannot be used.
+ */
+export function decodeMessage(data) {
+  try {
+    const message = JSON.parse(String(data));
+    if (!message || message.version !== PROTOCOL_VERSION) return null;
+    return Object.values(MESSAGE_TYPES).includes(message.type) ? message : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * getBroadcastUrl Function
+ *
+ * Turns the address entered on a viewer into the URL of the host, adding the
+ * protocol and the default port if they are left out.
+ *
+ * @param {string} address - The host's address, e.g. "192.168.1.20" or "192.168.1.20:9000".
+ * @returns {string} The URL, e.g. "ws://192.168.1.20:8765".
+ */
+export function getBroadcastUrl(address) {
+  const trimmed = address.trim();
+  const url = /^wss?:\/\//.test(trimmed) ? trimmed : `ws://${trimmed}`;
+  return /:\d+$/.test(url) ? url : `${url}:${DEFAULT_BROADCAST_PORT}`;
+}
+
+/**
+ * getBroadcastState Function
+ *
+ * Builds the state sent to viewers: the game state the scoreboard is drawn
+ * from, and the details shown above it.
+ *
+ * @param {Object} game - The game state.
+ * @param {Object} details - The game's saved details: { gameName, match }.
+ * @returns {Object} The state: { gameName, match, game }.
+ */
+export function getBroadcastState(game, details) {
+  return {
+    gameName: details.gameName || null,
+    match: details.match || null,
+    game: {
+      players: game.players,
+      teams: game.teams,
+      handicaps: game.handicaps,
+      roundLimit: game.roundLimit,
+      rows: game.rows,
+      grid: game.grid,
+      points: game.points,
+      history: game.history, // Needed to work out which team member is throwing
+      gameMode: game.gameMode,
+      firstPlayer: game.firstPlayer,
+      currentPlayer: game.currentPlayer,
+      dartsThrown: game.dartsThrown,
+      tiebreakWinner: game.tiebreakWinner, // Decides a game tied at its round limit
+    },
+  };
+}
+
+/**
+ * createBroadcastHost Function
+ *
+ * Hosts a game on a server. Sockets become viewers when they send a `join`
+ * message, and are sent the latest state straight away; anything else they
+ * send is ignored.
+ *
+ * @param {Object} server - The server viewers connect to.
+ * @param {Function} [onViewersChange] - Called with the number of viewers when one joins or leaves.
+ * @returns {Object} The host: { publish(state), getViewerCount(), close() }.
+ */
+export function createBroadcastHost(server, onViewersChange = () => {}) {
+  const viewers = new Set();
+  let latestMessage = null; // The last state published, sent to viewers as they join
+
+  server.on('connection', (socket) => {
+    socket.on('message', (data) => {
+      const message = decodeMessage(data);
+      if (!message || message.type !== MESSAGE_TYPES.join || viewers.has(socket)) return;
+
+      viewers.add(socket);
+      onViewersChange(viewers.size);
+      if (latestMessage) socket.send(latestMessage);
+    });
+
+    socket.on('close', () => {
+      if (viewers.delete(socket)) onViewersChange(viewers.size);
+    });
+  });
+
+  return {
+    publish(state) {
+      latestMessage = encodeMessage({ type: MESSAGE_TYPES.state, state });
+      viewers.forEach((socket) => socket.send(latestMessage));
+    },
+    getViewerCount() {
+      return viewers.size;
+    },
+    close() {
+      viewers.forEach((socket) => socket.close());
+      viewers.clear();
+      server.close();
+    },
+  };
+}
+
+/**
+ * connectViewer Function
+ *
+ * Joins a host as a viewer. The status passes from "connecting" to
+ * "connected" once the connection opens, and to "disconnected" when it closes
+ * or cannot be made. Viewers join an in-process server running in this app
+ * directly, and any other host over a WebSocket.
+ *
+ * @param {string} address - The host's address (see getBroadcastUrl).
+ * @param {Object} handlers - Callbacks for what the host sends.
+ * @param {Function} handlers.onState - Called with each state the host publishes.
+ * @param {Function} handlers.onStatusChange - Called with the connection's status.
+ * @param {Function} [createSocket] - Opens a WebSocket-style connection to a URL.
+ * @returns {Object} The connection: { close() }.
+ */
+export function connectViewer(address, { onState, onStatusChange }, createSocket = openSocket) {
+  let isClosed = false; // Whether the connection has closed, so it is only reported once
+  const socket = createSocket(getBroadcastUrl(address));
+  onStatusChange('connecting');
+
+  socket.onopen = () => {
+    socket.send(encodeMessage({ type: MESSAGE_TYPES.join }));
+    onStatusChange('connected');
+  };
+
+  socket.onmessage = (event) => {
+    const message = decodeMessage(event.data);
+    if (message && message.type === MESSAGE_TYPES.state) onState(message.state);
+  };
+
+  socket.onerror = (error) => {
+    console.error('Failed to connect to the host:', error);
+  };
+
+  socket.onclose = () => {
+    if (isClosed) return;
+    isClosed = true;
+    onStatusChange('disconnected');
+  };
+
+  return {
+    close() {
+      socket.close();
+    },
+  };
+}
+
+/**
+ * openSocket Function
+ *
+ * Opens a connection to a URL over a WebSocket, or to the in-process server
+ * if a test is running one there.
+ *
+ * @param {string} url - The host's URL.
+ * @returns {Object} A WebSocket-style connection.
+ */
+function openSocket(url) {
+  const localServer = localServers.get(url);
+  return localServer ? localServer.connect() : new WebSocket(url);
+}
+
+/**
+ * createLocalServer Function
+ *
+ * Creates an in-process server with the interface the host expects, for
+ * tests. Viewers connect to it with connect(), which returns the viewer's end
+ * of the connection with the same events as a WebSocket. Messages are
+ * delivered on a later tick, as they would be over a network. While open, the
+ * server can be joined at "ws://localhost:<port>".
+ *
+ * @param {number} [port] - The port it is reached at.
+ * @returns {Object} The server: { url, on(event, listener), connect(), close() }.
+ */
+export function createLocalServer(port = DEFAULT_BROADCAST_PORT) {
+  const url = getBroadcastUrl(`localhost:${port}`);
+  const connectionListeners = [];
+  const connections = new Set();
+  let isOpen = true;
+
+  const server = {
+    url,
+    on(event, listener) {
+      if (event === 'connection') connectionListeners.push(listener);
+    },
+    connect() {
+      const connection = createConnection(() => connections.delete(connection));
+      if (!isOpen) {
+        connection.serverSocket.close();
+        return connection.clientSocket;
+      }
+      connections.add(connection);
+      deliver(() => {
+        connectionListeners.forEach((listener) => listener(connection.serverSocket));
+        connection.open();
+      });
+      return connection.clientSocket;
+    },
+    close() {
+      isOpen = false;
+      connections.forEach((connection) => connection.serverSocket.close());
+      if (localServers.get(url) === server) localServers.delete(url);
+    },
+  };
+
+  localServers.set(url, server);
+  return server;
+}
+
+/**
+ * deliver Function
+ *
+ * Runs a step of an in-process connection on a later tick.
+ *
+ * @param {Function} step - The step to run.
+ */
+function deliver(step) {
+  setTimeout(step, 0);
+}
+
+/**
+ * createConnection Function
+ *
+ * Creates both ends of an in-process connection: the server's end, with the
+ * `ws` package's events, and the viewer's end, with a WebSocket's events.
+ * Closing either end closes both.
+ *
+ * @param {Function} onClose - Called once when the connection closes.
+ * @returns {Object} The connection: { serverSocket, clientSocket, open() }.
+ */
+function createConnection(onClose) {
+  const serverListeners = { message: [], close: [] };
+  let isOpen = false;
+  let isClosed = false;
+
+  const close = () => {
+    if (isClosed) return;
+    isClosed = true;
+    isOpen = false;
+    onClose();
+    deliver(() => {
+      serverListeners.close.forEach((listener) => listener());
+      if (clientSocket.onclose) clientSocket.onclose({});
+    });
+  };
+
+  const serverSocket = {
+    on(event, listener) {
+      if (serverListeners[event]) serverListeners[event].push(listener);
+    },
+    send(data) {
+      if (!isOpen) return;
+      deliver(() => {
+        if (isOpen && clientSocket.onmessage) clientSocket.onmessage({ data });
+      });
+    },
+    close,
+  };
+
+  const clientSocket = {
+    onopen: null,
+    onmessage: null,
+    onerror: null,
+    onclose: null,
+    send(data) {
+      if (!isOpen) return;
+      deliver(() => {
+        if (isOpen) serverListeners.message.forEach((listener) => listener(data));
+      });
+    },
+    close,
+  };
+
+  return {
+    serverSocket,
+    clientSocket,
+    open() {
+      if (isClosed) return;
+      isOpen = true;
+      if (clientSocket.onopen) clientSocket.onopen({});
+    },
+  };
+}
+
+/**
+ * broadcast.js Explanation:
+ *
+ * 1. `PROTOCOL_VERSION / DEFAULT_BROADCAST_PORT / MESSAGE_TYPES`: The version, port and message types of the protocol.
+ * 2. `encodeMessage / decodeMessage Functions`: Write messages as JSON text and read them back, ignoring anything unknown.
+ * 3. `getBroadcastUrl Function`: Completes the host address entered on a viewer into a URL.
+ * 4. `getBroadcastState Function`: Picks the game state and details a viewer needs to draw the scoreboard.
+ * 5. `createBroadcastHost Function`: Keeps track of the viewers that joined and sends them every state published by the Game Screen.
+ * 6. `connectViewer Function`: Joins a host, reporting the connection's status and each state received.
+ * 7. `createLocalServer Function`: An in-process server and connections with the same interface as the device's WebSocket server, used in tests.
+ */
\ No newline at end of file
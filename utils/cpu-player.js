@@ -0,0 +1,152 @@
+import { isClosed, undo } from './cricket-engine';
+import { SEGMENT_ORDER, BULL_SEGMENT } from './dartboard';
+
+/**
+ * Computer Players
+ *
+ * Picks a target and simulates the dart for computer-controlled players. The
+ * darts are returned as a segment and multiplier, exactly like a tap on the
+ * dartboard panel, so they go through the cricket engine like a human's.
+ */
+
+// Skill levels: the chance of hitting the triple and the single of the number aimed at
+export const CPU_LEVELS = [
+  { value: 'easy', label: 'Easy', triple: 0.05, single: 0.45 },
+  { value: 'medium', label: 'Medium', triple: 0.15, single: 0.55 },
+  { value: 'hard', label: 'Hard', triple: 0.35, single: 0.5 },
+];
+
+// Level given to newly added computer players
+export const DEFAULT_CPU_LEVEL = 'medium';
+
+/**
+ * getCpuLevel Function
+ *
+ * Looks up a skill level, falling back to the default level for unknown values.
+ *
+ * @param {string} value - The level's value, e.g. 'hard'.
+ * @returns {Object} The skill level.
+ */
+export function getCpuLevel(value) {
+  return CPU_LEVELS.find((level) => level.value === value) || CPU_LEVELS.find((level) => level.value === DEFAULT_CPU_LEVEL);
+}
+
+/**
+ * chooseTarget Function
+ *
+ * Picks the row a computer player aims at, highest number first:
+ * - when behind on points, a number it has closed that an opponent has open, to catch up
+ * - otherwise a number an opponent has closed, before the opponent can score on it
+ * - otherwise its next open number
+ * - once everything is closed, any number an opponent still has open
+ *
+ * @param {Object} game - The game state.
+ * @param {number} [colIndex] - Index of the computer player; defaults to the current thrower.
+ * @returns {number} Index of the row to aim at.
+ */
+export function chooseTarget(game, colIndex = game.currentPlayer) {
+  const { rows, points, gameMode } = game;
+  const rowIndexes = rows.map((_, rowIndex) => rowIndex);
+  const opponents = game.players.map((_, index) => index).filter((index) => index !== colIndex);
+  const opponentPoints = opponents.map((index) => points[index]);
+
+  const openRows = rowIndexes.filter((rowIndex) => !isClosed(game, rowIndex, colIndex));
+  const scoringRows = rowIndexes.filter(
+    (rowIndex) => !openRows.includes(rowIndex) && opponents.some((index) => !isClosed(game, rowIndex, index))
+  );
+  const threatenedRows = openRows.filter((rowIndex) => opponents.some((index) => isClosed(game, rowIndex, index)));
+
+  // In cut-throat the lowest score leads, and points go to the opponents who are still open
+  const isBehind = gameMode === 'cutthroat'
+    ? points[colIndex] > Math.min(...opponentPoints)
+    : points[colIndex] < Math.max(...opponentPoints);
+
+  if (isBehind && scoringRows.length > 0) return scoringRows[0];
+  if (threatenedRows.length > 0) return threatenedRows[0];
+  if (openRows.length > 0) return openRows[0];
+  if (scoringRows.length > 0) return scoringRows[0];
+  return 0;
+}
+
+/**
+ * simulateDart Function
+ *
+ * Throws a simulated dart at a row. Numbers are aimed at the triple and the
+ * Bull at the inner bull, which is hit half as often. Darts that miss the
+ * number land in a neighbouring number or off the board.
+ *
+ * @param {string} row - The row aimed at, e.g. '20' or 'Bull'.
+ * @param {string} level - The computer player's skill level.
+ * @param {Function} [random] - Source of random numbers between 0 and 1.
+ * @returns {Object} The dart: { segment, multiplier }, with a null segment for darts off the board.
+ */
+export function simulateDart(row, level, random = Math.random) {
+  const { triple, single } = getCpuLevel(level);
+  const roll = random();
+
+  if (row === 'Bull') {
+    if (roll < triple / 2) return { segment: BULL_SEGMENT, multiplier: 2 };
+    if (roll < (triple + single) / 2) return { segment: BULL_SEGMENT, multiplier: 1 };
+    return { segment: SEGMENT_ORDER[Math.floor(random() * SEGMENT_ORDER.length)], multiplier: 1 };
+  }
+
+  const segment = Number(row);
+  if (roll < triple) return { segment, multiplier: 3 };
+  if (roll < triple + single) return { segment, multiplier: 1 };
+  if (random() < 0.5) return { segment: null, multiplier: 0 };
+
+  // Land in the number to the left or right of the one aimed at
+  const position = SEGMENT_ORDER.indexOf(segment);
+  const offset = random() < 0.5 ? -1 : 1;
+  return { segment: SEGMENT_ORDER[(position + offset + SEGMENT_ORDER.length) % SEGMENT_ORDER.length], multiplier: 1 };
+}
+
+/**
+ * throwCpuDart Function
+ *
+ * Chooses a target for the current thrower and throws a simulated dart at it.
+ *
+ * @param {Object} game - The game state.
+ * @param {string} level - The computer player's skill level.
+ * @param {Function} [random] - Source of random numbers between 0 and 1.
+ * @returns {Object} The dart: { segment, multiplier }.
+ */
+export function throwCpuDart(game, level, random = Math.random) {
+  return simulateDart(game.rows[chooseTarget(game)], level, random);
+}
+
+/**
+ * undoToHumanDart Function
+ *
+ * Undoes the computer players' darts back to the last dart thrown by a human,
+ * and that dart too, so Undo always takes back a human's dart rather than
+ * handing the turn straight back to a computer. Each dart is undone on its
+ * own, so they can be redone one at a time exactly as they were thrown.
+ *
+ * @param {Object} game - The game state.
+ * @param {Array<string|null>} [cpuLevels] - Each player's computer level, or null for humans.
+ * @returns {Object} The game state with the darts undone.
+ */
+export function undoToHumanDart(game, cpuLevels) {
+  const isCpuDart = (move) => !!(cpuLevels && cpuLevels[move.colIndex]);
+  let updatedGame = game;
+  let undoneMove;
+
+  do {
+    undoneMove = updatedGame.history[updatedGame.history.length - 1];
+    updatedGame = undo(updatedGame);
+  } while (undoneMove && isCpuDart(undoneMove) && updatedGame.history.length > 0);
+
+  return updatedGame;
+}
+
+/**
+ * cpu-player.js Explanation:
+ *
+ * 1. `CPU_LEVELS Array`: The skill levels and how often each hits the triple or single it aims at.
+ * 2. `getCpuLevel Function`: Looks up a level by its value.
+ * 3. `chooseTarget Function`: Points when behind, closes numbers an opponent can score on, and otherwise closes the highest open number.
+ * 4. `simulateDart Function`: Turns an aimed dart into the segment and ring it lands in for a skill level.
+ * 5. `throwCpuDart Function`: Combines the two for the Game Screen.
+ * 6. `undoToHumanDart Function`: Undoes back through the computer's darts to the last human dart, so Undo never re-rolls a computer turn.
+ */
\ No newline at end of file
@@ -0,0 +1,606 @@
+/**
+ * Cricket Engine
+ *
+ * Pure game rules for dart cricket, independent of React and AsyncStorage.
+ * A game is a plain object that is never mutated: every action returns a new
+ * game state, which makes the rules easy to reuse, persist and test.
+ */
+
+// Numbers played in standard cricket, from the top of the board down
+export const DEFAULT_ROWS = ['20', '19', '18', '17', '16', '15', 'Bull'];
+
+// Number of marks a player needs to close a number, unless a handicap lowers it
+export const MARKS_TO_CLOSE = 3;
+
+// Number of darts a player throws in each turn
+export const DARTS_PER_TURN = 3;
+
+// Most players (or teams) a game can have, one column each
+export const MAX_PLAYERS = 8;
+
+// Tiebreaks for players level on points and marks when the round limit is reached
+export const TIEBREAKS = {
+  bullOff: 'bulloff', // The level players throw at the bull and the closest wins
+  extraRounds: 'extra-rounds', // Play on a round at a time until one player is ahead
+};
+
+/**
+ * createGame Function
+ *
+ * Creates a new game state with an empty grid, every player on zero points,
+ * nothing to redo and the first player to throw. In a team game each column
+ * is a team, whose members take turns throwing for it. A handicapped player
+ * starts with a mark on each of their chosen numbers and their bonus points
+ * (given to every opponent instead in cut-throat, where points count against).
+ * A game with a round limit ends once that many rounds have been thrown.
+ *
+ * @param {Object} options - Game configuration.
+ * @param {string[]} options.players - Names of the players (or teams), one column each.
+ * @param {string[]} [options.rows] - Numbers played in the game.
+ * @param {string} [options.gameMode] - Scoring variant: 'standard' or 'cutthroat'.
+ * @param {number} [options.firstPlayer] - Index of the player who throws first.
+ * @param {Object[]|null} [options.teams] - The members of each column's team ({ members, memberIds }), or null for singles.
+ * @param {(Object|null)[]|null} [options.handicaps] - Each column's handicap ({ marks, points, marksToClose }, or null for none), or null when nobody has one.
+ * @param {Object|null} [options.roundLimit] - The limit on rounds ({ maxRounds, tiebreak }), or null to play until a player wins.
+ * @returns {Object} The new game state.
+ */
+export function createGame({
+  players,
+  rows = DEFAULT_ROWS,
+  gameMode = 'standard',
+  firstPlayer = 0,
+  teams = null,
+  handicaps = null,
+  roundLimit = null,
+}) {
+  const getHandicap = (colIndex) => (handicaps && handicaps[colIndex]) || {};
+  const bonusPoints = players.map((_, colIndex) => getHandicap(colIndex).points || 0);
+  const totalBonus = bonusPoints.reduce((total, bonus) => total + bonus, 0);
+
+  return {
+    players,
+    teams,
+    handicaps,
+    roundLimit,
+    rows,
+    gameMode,
+    firstPlayer,
+    grid: rows.map((row) =>
+      players.map((_, colIndex) => ({ taps: (getHandicap(colIndex).marks || []).includes(row) ? 1 : 0 }))
+    ),
+    points: gameMode === 'cutthroat'
+      ? bonusPoints.map((bonus) => totalBonus - bonus)
+      : bonusPoints,
+    history: [],
+    redoStack: [],
+    currentPlayer: firstPlayer,
+    dartsThrown: 0,
+    tiebreakWinner: null, // Winner of a bull-off, once it has been thrown
+  };
+}
+
+/**
+ * restoreGame Function
+ *
+ * Rebuilds a game state from saved data, filling in anything older saves
+ * did not store (points, game mode, history or whose turn it is).
+ *
+ * @param {Object} saved - Saved game data (players, grid, history, points, gameMode, turn).
+ * @returns {Object} The restored game state.
+ */
+export function restoreGame(saved) {
+  const game = createGame(saved);
+
+  return {
+    ...game,
+    grid: saved.grid || game.grid,
+    points: saved.points || game.points,
+    history: saved.history || game.history,
+    currentPlayer: saved.currentPlayer ?? game.currentPlayer,
+    dartsThrown: saved.dartsThrown ?? game.dartsThrown,
+    tiebreakWinner: saved.tiebreakWinner ?? null,
+  };
+}
+
+/**
+ * getRowValue Function
+ *
+ * Returns the point value of a row: the number itself, or 25 for the Bull.
+ *
+ * @param {string} row - The row label.
+ * @returns {number} The point value of the row.
+ */
+export function getRowValue(row) {
+  return row === 'Bull' ? 25 : parseInt(row, 10);
+}
+
+/**
+ * getMarksToClose Function
+ *
+ * @param {Object} game - The game state.
+ * @param {number} colIndex - Index of the player.
+ * @returns {number} The marks the player needs to close a number: 3, or fewer with a handicap.
+ */
+export function getMarksToClose(game, colIndex) {
+  const handicap = game.handicaps && game.handicaps[colIndex];
+  return (handicap && handicap.marksToClose) || MARKS_TO_CLOSE;
+}
+
+/**
+ * isClosed Function
+ *
+ * Checks whether a player has closed a row.
+ *
+ * @param {Object} game - The game state.
+ * @param {number} rowIndex - Index of the row.
+ * @param {number} colIndex - Index of the player.
+ * @returns {boolean} True if the player has closed the row.
+ */
+export function isClosed(game, rowIndex, colIndex) {
+  return game.grid[rowIndex][colIndex].taps >= getMarksToClose(game, colIndex);
+}
+
+/**
+ * getOpenOpponents Function
+ *
+ * Lists the opponents of a player that still have a row open.
+ *
+ * @param {Object} game - The game state.
+ * @param {number} rowIndex - Index of the row.
+ * @param {number} colIndex - Index of the player.
+ * @returns {number[]} Indexes of the opponents with the row open.
+ */
+function getOpenOpponents(game, rowIndex, colIndex) {
+  return game.players
+    .map((_, index) => index)
+    .filter((index) => index !== colIndex && !isClosed(game, rowIndex, index));
+}
+
+/**
+ * getThrowingMember Function
+ *
+ * Works out which member of a team throws its current (or next) turn. Members
+ * throw in order, one turn each, so the member is the number of turns the team
+ * has started before this one, counted from the history.
+ *
+ * @param {Object} game - The game state.
+ * @param {number} [colIndex] - Index of the team; defaults to the team whose turn it is.
+ * @returns {number|null} Index of the member in the team, or null in a singles game.
+ */
+export function getThrowingMember(game, colIndex = game.currentPlayer) {
+  if (!game.teams) return null;
+
+  const turnsStarted = game.history.filter((move) => move.colIndex === colIndex && move.previousDarts === 0).length;
+  const isMidTurn = colIndex === game.currentPlayer && game.dartsThrown > 0;
+  return (turnsStarted - (isMidTurn ? 1 : 0)) % game.teams[colIndex].members.length;
+}
+
+/**
+ * getThrowerName Function
+ *
+ * @param {Object} game - The game state.
+ * @returns {string} The name of whoever throws next: the player, or the team member whose turn it is.
+ */
+export function getThrowerName(game) {
+  const member = getThrowingMember(game);
+  return member === null ? game.players[game.currentPlayer] : game.teams[game.currentPlayer].members[member];
+}
+
+/**
+ * advanceTurn Function
+ *
+ * Counts a dart against the current turn and passes the throw to the next
+ * player once the turn's darts are used up.
+ *
+ * @param {Object} game - The game state after the dart.
+ * @returns {Object} The game state with the turn updated.
+ */
+function advanceTurn(game) {
+  const dartsThrown = game.dartsThrown + 1;
+
+  if (dartsThrown < DARTS_PER_TURN) {
+    return { ...game, dartsThrown };
+  }
+
+  return {
+    ...game,
+    currentPlayer: (game.currentPlayer + 1) % game.players.length,
+    dartsThrown: 0,
+  };
+}
+
+/**
+ * applyThrow Function
+ *
+ * Records a dart for the player whose turn it is. A dart on a row adds its
+ * marks until the row is closed; marks beyond that score the row's value while
+ * any opponent still has it open: for the thrower in standard cricket, or for
+ * every opponent with it open in cut-throat. A dart without a row is a miss.
+ * The turn passes to the next player after the third dart, and darts thrown
+ * after the game is won are ignored. A new dart clears anything left to redo.
+ * In a team game the dart also records which member of the team threw it.
+ *
+ * @param {Object} game - The game state.
+ * @param {Object} dart - The dart to record.
+ * @param {number|null} dart.rowIndex - Index of the row that was hit, or null for a miss.
+ * @param {number} [dart.marks] - Marks the dart is worth (2 for a double, 3 for a triple).
+ * @param {boolean} [dart.skipped] - Marks a miss added by ending the turn early.
+ * @param {string} [dart.time] - When the dart was thrown (ISO 8601), kept in the history.
+ * @returns {Object} The updated game state.
+ */
+export function applyThrow(game, { rowIndex, marks = 1, skipped = false, time }) {
+  if (isFinished(game)) return game;
+
+  const colIndex = game.currentPlayer;
+  const move = { rowIndex, colIndex, previousDarts: game.dartsThrown, previousPoints: game.points };
+  if (time) move.time = time;
+  if (game.teams) move.member = getThrowingMember(game, colIndex);
+
+  if (rowIndex === null) {
+    return advanceTurn({
+      ...game,
+      history: [...game.history, skipped ? { ...move, skipped } : move],
+      redoStack: [],
+    });
+  }
+
+  const previousTaps = game.grid[rowIndex][colIndex].taps;
+  const grid = game.grid.map((row) => [...row]);
+  const points = [...game.points];
+
+  const taps = Math.min(previousTaps + marks, getMarksToClose(game, colIndex));
+  const extraMarks = previousTaps + marks - taps;
+  grid[rowIndex][colIndex] = { taps };
+
+  if (extraMarks > 0) {
+    const value = getRowValue(game.rows[rowIndex]) * extraMarks;
+    const openOpponents = getOpenOpponents(game, rowIndex, colIndex);
+
+    if (game.gameMode === 'cutthroat') {
+      openOpponents.forEach((index) => {
+        points[index] += value;
+      });
+    } else if (openOpponents.length > 0) {
+      points[colIndex] += value;
+    }
+  }
+
+  return advanceTurn({
+    ...game,
+    grid,
+    points,
+    history: [...game.history, { ...move, marks, previousTaps }],
+    redoStack: [],
+  });
+}
+
+/**
+ * applyDart Function
+ *
+ * Records a dart by the segment and ring it landed in. Singles, doubles and
+ * triples are worth 1, 2 and 3 marks (outer and inner bull 1 and 2), and
+ * segments that are not in play count as misses.
+ *
+ * @param {Object} game - The game state.
+ * @param {Object} dart - The dart to record.
+ * @param {number|null} dart.segment - Number hit (25 for the Bull), or null for a miss.
+ * @param {number} dart.multiplier - 1 for a single, 2 for a double, 3 for a triple.
+ * @param {string} [dart.time] - When the dart was thrown (ISO 8601).
+ * @returns {Object} The updated game state.
+ */
+export function applyDart(game, { segment, multiplier, time }) {
+  const row = segment === 25 ? 'Bull' : String(segment);
+  const rowIndex = segment ? game.rows.indexOf(row) : -1;
+
+  if (rowIndex === -1) {
+    return applyThrow(game, { rowIndex: null, time });
+  }
+
+  const marks = row === 'Bull' ? Math.min(multiplier, 2) : multiplier;
+  return applyThrow(game, { rowIndex, marks, time });
+}
+
+/**
+ * endTurn Function
+ *
+ * Ends the current player's turn early, recording the darts they did not
+ * throw as misses so every turn in the history has the same number of darts.
+ *
+ * @param {Object} game - The game state.
+ * @param {string} [time] - When the turn was ended (ISO 8601).
+ * @returns {Object} The game state with the next player to throw.
+ */
+export function endTurn(game, time) {
+  if (isFinished(game)) return game;
+
+  let updatedGame = game;
+  const remainingDarts = DARTS_PER_TURN - game.dartsThrown;
+
+  for (let dart = 0; dart < remainingDarts; dart++) {
+    updatedGame = applyThrow(updatedGame, { rowIndex: null, skipped: true, time });
+  }
+
+  return updatedGame;
+}
+
+/**
+ * undoLastDart Function
+ *
+ * Reverts the last dart, restoring the marks, points and turn from before it.
+ *
+ * @param {Object} game - The game state.
+ * @returns {Object} The game state without the last dart.
+ */
+function undoLastDart(game) {
+  const lastMove = game.history[game.history.length - 1];
+  const grid = game.grid.map((row) => [...row]);
+
+  if (lastMove.rowIndex !== null) {
+    grid[lastMove.rowIndex][lastMove.colIndex] = { taps: lastMove.previousTaps };
+  }
+
+  return {
+    ...game,
+    grid,
+    // Older saves did not record points or turns with each move, so keep the current ones
+    points: lastMove.previousPoints || game.points,
+    currentPlayer: lastMove.previousDarts === undefined ? game.currentPlayer : lastMove.colIndex,
+    dartsThrown: lastMove.previousDarts === undefined ? game.dartsThrown : lastMove.previousDarts,
+    history: game.history.slice(0, -1),
+  };
+}
+
+/**
+ * undo Function
+ *
+ * Reverts the last dart. If the last turn was ended early, the misses that
+ * were filled in are reverted together so the player gets their turn back.
+ * The reverted darts are pushed onto the redo stack. Undoing works after the
+ * game is won too, which takes the game back out of its finished state and
+ * forgets any bull-off thrown to decide it.
+ *
+ * @param {Object} game - The game state.
+ * @returns {Object} The game state without the last dart.
+ */
+export function undo(game) {
+  if (game.history.length === 0) return game;
+
+  const lastMove = game.history[game.history.length - 1];
+  let updatedGame = undoLastDart(game);
+
+  // Keep reverting the misses filled in for the same turn
+  const isFilledInMiss = (move) => move && move.skipped && move.colIndex === lastMove.colIndex;
+  while (lastMove.skipped && isFilledInMiss(updatedGame.history[updatedGame.history.length - 1])) {
+    updatedGame = undoLastDart(updatedGame);
+  }
+
+  const undoneMoves = game.history.slice(updatedGame.history.length);
+  return { ...updatedGame, tiebreakWinner: null, redoStack: [...(game.redoStack || []), undoneMoves] };
+}
+
+/**
+ * redo Function
+ *
+ * Throws the last undone darts again, with the time they were first thrown,
+ * and takes them off the redo stack.
+ *
+ * @param {Object} game - The game state.
+ * @returns {Object} The game state with the undone darts replayed.
+ */
+export function redo(game) {
+  const redoStack = game.redoStack || [];
+  if (redoStack.length === 0) return game;
+
+  const redoneGame = redoStack[redoStack.length - 1].reduce(
+    (state, move) => applyThrow({ ...state, currentPlayer: move.colIndex }, move),
+    game
+  );
+
+  return { ...redoneGame, redoStack: redoStack.slice(0, -1) };
+}
+
+/**
+ * replayHistory Function
+ *
+ * Rebuilds the board as it was after a number of darts by replaying the
+ * game's history from an empty board. Each dart is credited to the player who
+ * threw it, so histories saved before turns were tracked replay correctly too.
+ *
+ * @param {Object} game - The game, including its history.
+ * @param {number} [dartCount] - Number of darts to replay; defaults to the whole history.
+ * @returns {Object} The game state after those darts.
+ */
+export function replayHistory(game, dartCount = game.history.length) {
+  return game.history
+    .slice(0, dartCount)
+    .reduce(
+      (state, move) => applyThrow({ ...state, currentPlayer: move.colIndex }, move),
+      createGame(game)
+    );
+}
+
+/**
+ * getClosedOutWinner Function
+ *
+ * Finds a player who has closed every number and whose points are equal to or
+ * ahead of every opponent (equal to or below in cut-throat).
+ *
+ * @param {Object} game - The game state.
+ * @returns {number|null} Index of the player, or null if there is none.
+ */
+function getClosedOutWinner(game) {
+  const { players, rows, points, gameMode } = game;
+  const winnerIndex = players.findIndex((_, colIndex) => {
+    const isClosedOut = rows.every((_, rowIndex) => isClosed(game, rowIndex, colIndex));
+    const hasWinningScore = gameMode === 'cutthroat'
+      ? points.every((score) => points[colIndex] <= score)
+      : points.every((score) => points[colIndex] >= score);
+    return isClosedOut && hasWinningScore;
+  });
+
+  return winnerIndex === -1 ? null : winnerIndex;
+}
+
+/**
+ * getTurnsPlayed Function
+ *
+ * @param {Object} game - The game state.
+ * @returns {number} The turns finished so far, counted by their last dart in the history.
+ */
+function getTurnsPlayed(game) {
+  return game.history.filter((move) => move.previousDarts === DARTS_PER_TURN - 1).length;
+}
+
+/**
+ * getRoundsPlayed Function
+ *
+ * @param {Object} game - The game state.
+ * @returns {number} The rounds in which every player has finished their turn.
+ */
+export function getRoundsPlayed(game) {
+  return Math.floor(getTurnsPlayed(game) / game.players.length);
+}
+
+/**
+ * getMarks Function
+ *
+ * @param {Object} game - The game state.
+ * @param {number} colIndex - Index of the player.
+ * @returns {number} The marks the player has on the board, across every number.
+ */
+export function getMarks(game, colIndex) {
+  return game.grid.reduce((total, row) => total + row[colIndex].taps, 0);
+}
+
+/**
+ * isRoundLimitReached Function
+ *
+ * Checks whether a game with a round limit is at the end of its last round,
+ * or of an extra round played after it.
+ *
+ * @param {Object} game - The game state.
+ * @returns {boolean} True at the end of the last round or any round after it.
+ */
+function isRoundLimitReached(game) {
+  if (!game.roundLimit) return false;
+
+  const turnsPlayed = getTurnsPlayed(game);
+  return game.dartsThrown === 0 &&
+    turnsPlayed % game.players.length === 0 &&
+    getRoundsPlayed(game) >= game.roundLimit.maxRounds;
+}
+
+/**
+ * keepLeaders Function
+ *
+ * @param {number[]} colIndexes - Indexes of the players still in contention.
+ * @param {Function} getScore - Scores a player; higher is better.
+ * @returns {number[]} The players with the best score.
+ */
+function keepLeaders(colIndexes, getScore) {
+  const best = Math.max(...colIndexes.map(getScore));
+  return colIndexes.filter((colIndex) => getScore(colIndex) === best);
+}
+
+/**
+ * getOutcome Function
+ *
+ * Works out whether the game is over and how it was decided. A player who
+ * closes every number with a winning score wins outright. Once the round
+ * limit is reached, the player ahead on points wins (the fewest points in
+ * cut-throat), then the one with the most marks. Players still level go to
+ * the game's tiebreak: a bull-off, whose winner is entered with
+ * applyTiebreak, or extra rounds, which keep the game going until a round
+ * ends with one player ahead.
+ *
+ * @param {Object} game - The game state.
+ * @returns {Object|null} The outcome: { winnerIndex, decidedBy, tied }, or null while the game is in play.
+ *   decidedBy is 'closed', 'points', 'marks' or 'bulloff'; while a bull-off is awaited winnerIndex is null
+ *   and tied lists the players in it.
+ */
+export function getOutcome(game) {
+  const closedOutWinner = getClosedOutWinner(game);
+  if (closedOutWinner !== null) return { winnerIndex: closedOutWinner, decidedBy: 'closed', tied: [] };
+  if (!isRoundLimitReached(game)) return null;
+
+  const everyone = game.players.map((_, colIndex) => colIndex);
+  const pointsLeaders = keepLeaders(everyone, (colIndex) =>
+    game.gameMode === 'cutthroat' ? -game.points[colIndex] : game.points[colIndex]
+  );
+  if (pointsLeaders.length === 1) return { winnerIndex: pointsLeaders[0], decidedBy: 'points', tied: [] };
+
+  const marksLeaders = keepLeaders(pointsLeaders, (colIndex) => getMarks(game, colIndex));
+  if (marksLeaders.length === 1) return { winnerIndex: marksLeaders[0], decidedBy: 'marks', tied: [] };
+
+  if (game.roundLimit.tiebreak === TIEBREAKS.extraRounds) return null;
+
+  const winnerIndex = marksLeaders.includes(game.tiebreakWinner) ? game.tiebreakWinner : null;
+  return { winnerIndex, decidedBy: TIEBREAKS.bullOff, tied: marksLeaders };
+}
+
+/**
+ * applyTiebreak Function
+ *
+ * Records the winner of the bull-off between the players level at the round limit.
+ *
+ * @param {Object} game - The game state.
+ * @param {number} colIndex - Index of the player who won the bull-off.
+ * @returns {Object} The game state with the winner recorded; unchanged if no bull-off is awaited or the player is not in it.
+ */
+export function applyTiebreak(game, colIndex) {
+  const outcome = getOutcome(game);
+  if (!outcome || outcome.winnerIndex !== null || !outcome.tied.includes(colIndex)) return game;
+
+  return { ...game, tiebreakWinner: colIndex };
+}
+
+/**
+ * winner Function
+ *
+ * Finds the winner: a player who has closed every number with a winning
+ * score, or the leader once the round limit is reached (see getOutcome).
+ *
+ * @param {Object} game - The game state.
+ * @returns {number|null} Index of the winning player, or null if there is none yet.
+ */
+export function winner(game) {
+  const outcome = getOutcome(game);
+  return outcome ? outcome.winnerIndex : null;
+}
+
+/**
+ * isFinished Function
+ *
+ * Checks whether the game is over: won, or waiting for a bull-off at the
+ * round limit. Darts thrown after that are ignored.
+ *
+ * @param {Object} game - The game state.
+ * @returns {boolean} True if the game is over.
+ */
+export function isFinished(game) {
+  return getOutcome(game) !== null;
+}
+
+/**
+ * cricket-engine.js Explanation:
+ *
+ * 1. `createGame Function`: Builds a fresh game state (grid, points and history) for the given players or teams, rows, mode and first thrower, with any handicap marks and points in place.
+ * 2. `restoreGame Function`: Rebuilds a game state from saved data, defaulting fields that older saves lack.
+ * 3. `getRowValue Function`: Returns the point value of a row (25 for the Bull).
+ * 4. `getMarksToClose / isClosed Functions`: Check whether a player has closed a row, with fewer marks needed for a handicapped player.
+ * 5. `getOpenOpponents Function`: Lists the opponents who still have a row open.
+ * 6. `getThrowingMember / getThrowerName Functions`: Rotate a team's turns between its members, working out who throws from the history.
+ * 7. `advanceTurn Function`: Counts a dart against the turn and rotates to the next player after the third dart.
+ * 8. `applyThrow Function`: Records the current player's dart (marks, points on a closed number, or a miss) in history, with the time it was thrown and, in team games, the member who threw it.
+ * 9. `applyDart Function`: Translates a segment and ring into marks on the matching row, or a miss for numbers not in play.
+ * 10. `endTurn Function`: Ends the turn early, filling the unthrown darts in as misses.
+ * 11. `undoLastDart Function`: Reverts a single dart using the snapshot stored in history.
+ * 12. `undo Function`: Reverts the last dart, together with any misses filled in by ending the turn early, and keeps it for redo.
+ * 13. `redo Function`: Throws the last undone darts again; any new dart clears the redo stack.
+ * 14. `replayHistory Function`: Rebuilds the board after any number of darts from the history, for replays.
+ * 15. `getClosedOutWinner Function`: Finds the player who has closed everything with a winning score.
+ * 16. `getRoundsPlayed / getMarks Functions`: Count the complete rounds and each player's marks, for the round limit.
+ * 17. `getOutcome / applyTiebreak Functions`: Decide the game by closing out or, at the round limit, by points, then marks, then the tiebreak (a bull-off entered by the players, or extra rounds).
+ * 18. `winner Function`: Returns the winner of the outcome, if there is one yet.
+ * 19. `isFinished Function`: Checks whether the game is over, including while a bull-off is awaited.
+ */
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * Dartboard Geometry
+ *
+ * Translates a tap on the dartboard image ('assets/dartboard.png') into the
+ * segment and ring that were hit. Radii are fractions of half the image size,
+ * measured from the artwork.
+ */
+
+// Segment numbers clockwise from the top of the board
+export const SEGMENT_ORDER = [20, 1, 18, 4, 13, 6, 10, 15, 2, 17, 3, 19, 7, 16, 8, 11, 14, 9, 12, 5];
+
+// Segment number used for the Bull
+export const BULL_SEGMENT = 25;
+
+// Ring boundaries as fractions of the board image's radius
+export const BOARD_RINGS = {
+  innerBull: 0.034,
+  outerBull: 0.067,
+  tripleInner: 0.357,
+  tripleOuter: 0.388,
+  doubleInner: 0.565,
+  doubleOuter: 0.597,
+};
+
+/**
+ * getDartAt Function
+ *
+ * Finds the segment and multiplier at a point on the board image.
+ * Points outside the double ring are misses (segment null, multiplier 0).
+ *
+ * @param {number} x - Horizontal position of the tap within the image.
+ * @param {number} y - Vertical position of the tap within the image.
+ * @param {number} size - Width and height of the (square) image.
+ * @returns {Object} The dart: { segment, multiplier }.
+ */
+export function getDartAt(x, y, size) {
+  const radius = size / 2;
+  const dx = x - radius;
+  const dy = radius - y;
+  const distance = Math.sqrt(dx * dx + dy * dy) / radius;
+
+  if (distance <= BOARD_RINGS.innerBull) return { segment: BULL_SEGMENT, multiplier: 2 };
+  if (distance <= BOARD_RINGS.outerBull) return { segment: BULL_SEGMENT, multiplier: 1 };
+  if (distance > BOARD_RINGS.doubleOuter) return { segment: null, multiplier: 0 };
+
+  // Angle clockwise from the top, shifted by half a segment so 20 spans -9 to 9 degrees
+  const angle = (Math.atan2(dx, dy) * 180) / Math.PI;
+  const index = Math.floor((((angle + 9) % 360) + 360) % 360 / 18);
+  const segment = SEGMENT_ORDER[index];
+
+  if (distance >= BOARD_RINGS.doubleInner) return { segment, multiplier: 2 };
+  if (distance >= BOARD_RINGS.tripleInner && distance <= BOARD_RINGS.tripleOuter) return { segment, multiplier: 3 };
+  return { segment, multiplier: 1 };
+}
+
+/**
+ * formatDart Function
+ *
+ * Describes a dart for display, e.g. "Triple 20", "Bull" or "Miss".
+ *
+ * @param {Object} dart - The dart: { segment, multiplier }.
+ * @returns {string} A readable description of the dart.
+ */
+export function formatDart({ segment, multiplier }) {
+  if (!segment) return 'Miss';
+  if (segment === BULL_SEGMENT) return multiplier === 2 ? "Bull's-eye" : 'Bull';
+
+  const prefixes = { 1: 'Single', 2: 'Double', 3: 'Triple' };
+  return `${prefixes[multiplier]} ${segment}`;
+}
+
+/**
+ * dartboard.js Explanation:
+ *
+ * 1. `SEGMENT_ORDER Array`: The numbers around the board, clockwise from 20 at the top.
+ * 2. `BOARD_RINGS Object`: Ring boundaries for the bulls, triple and double rings relative to the board image.
+ * 3. `getDartAt Function`: Converts a tap position on the board image into a segment and multiplier.
+ * 4. `formatDart Function`: Produces a readable label for a dart.
+ */
\ No newline at end of file
@@ -0,0 +1,64 @@
+import * as Haptics from 'expo-haptics';
+import { Audio } from 'expo-av';
+
+/**
+ * Feedback
+ *
+ * Plays the vibration and sound for game events, as far as the settings
+ * allow. Feedback is a nicety: if a device cannot vibrate or play the sound,
+ * the error is logged and the game carries on.
+ */
+
+// Sounds played for each event
+const SOUNDS = {
+  dart: require('../assets/sounds/dart-hit.wav'),
+  win: require('../assets/sounds/win.wav'),
+};
+
+/**
+ * playSound Function
+ *
+ * Plays a sound once and unloads it when it has finished.
+ *
+ * @param {number} source - The sound asset.
+ */
+async function playSound(source) {
+  const { sound } = await Audio.Sound.createAsync(source, { shouldPlay: true });
+  sound.setOnPlaybackStatusUpdate((status) => {
+    if (status.didJustFinish) sound.unloadAsync();
+  });
+}
+
+/**
+ * playFeedback Function
+ *
+ * Gives feedback for a game event: a light tap and a thud for every dart, and
+ * a success vibration and a chime for a win.
+ *
+ * @param {Object} settings - The settings, for the haptics and sound preferences.
+ * @param {string} event - The event: 'dart' or 'win'.
+ */
+export async function playFeedback(settings, event) {
+  try {
+    if (settings.haptics) {
+      if (event === 'win') {
+        await Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      } else {
+        await Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+      }
+    }
+    if (settings.sound) {
+      await playSound(SOUNDS[event]);
+    }
+  } catch (error) {
+    console.error('Failed to play feedback:', error);
+  }
+}
+
+/**
+ * feedback.js Explanation:
+ *
+ * 1. `SOUNDS Object`: The sound assets for darts and wins.
+ * 2. `playSound Function`: Plays a sound and frees it once it has finished.
+ * 3. `playFeedback Function`: Vibrates and plays the sound for an event when the haptics and sound settings are on.
+ */
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * Game Times
+ *
+ * Games store when they started and ended as ISO 8601 timestamps, and every
+ * dart in the throw log stores when it was thrown. This module works out
+ * durations from them and formats them for display with the device's locale,
+ * which only ever happens on screen, never in saved data.
+ */
+
+/**
+ * getDartTimes Function
+ *
+ * @param {Object} game - The game.
+ * @returns {number[]} The times of the logged darts as timestamps, in throw order.
+ */
+function getDartTimes(game) {
+  return (game.history || [])
+    .map((move) => Date.parse(move.time))
+    .filter((time) => !Number.isNaN(time));
+}
+
+/**
+ * parseTime Function
+ *
+ * @param {string} [iso] - An ISO 8601 timestamp.
+ * @returns {number|null} The timestamp in milliseconds, or null if it is missing or invalid.
+ */
+function parseTime(iso) {
+  const time = Date.parse(iso);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * getGameTimes Function
+ *
+ * Works out when a game started and when it ended. Games saved before start
+ * times were stored use their first dart; in-progress games end at their
+ * latest dart, so their duration is the time played so far.
+ *
+ * @param {Object} game - The game.
+ * @returns {Object} The start and end as timestamps: { start, end }, null when unknown.
+ */
+export function getGameTimes(game) {
+  const dartTimes = getDartTimes(game);
+  const start = parseTime(game.startedAt) ?? (dartTimes.length > 0 ? dartTimes[0] : null);
+  const end = parseTime(game.endedAt) ?? (dartTimes.length > 0 ? dartTimes[dartTimes.length - 1] : null);
+  return { start, end };
+}
+
+/**
+ * getGameDuration Function
+ *
+ * @param {Object} game - The game.
+ * @returns {number|null} Milliseconds from the start to the end of the game, or null when unknown.
+ */
+export function getGameDuration(game) {
+  const { start, end } = getGameTimes(game);
+  return start === null || end === null ? null : Math.max(end - start, 0);
+}
+
+/**
+ * getTurnTimes Function
+ *
+ * Groups the throw log into turns. A turn starts with the first dart thrown
+ * after the previous turn ended.
+ *
+ * @param {Object} game - The game.
+ * @returns {Object[]} One entry per turn: { colIndex, darts, startedAt, endedAt }, with ISO times (null if not logged).
+ */
+export function getTurnTimes(game) {
+  const turns = [];
+
+  (game.history || []).forEach((move) => {
+    const turn = turns[turns.length - 1];
+
+    if (!turn || move.previousDarts === 0 || move.colIndex !== turn.colIndex) {
+      turns.push({ colIndex: move.colIndex, darts: 1, startedAt: move.time || null, endedAt: move.time || null });
+    } else {
+      turn.darts += 1;
+      turn.endedAt = move.time || turn.endedAt;
+    }
+  });
+
+  return turns;
+}
+
+/**
+ * formatDuration Function
+ *
+ * Formats a duration, e.g. "45s", "12m 05s" or "1h 03m".
+ *
+ * @param {number|null} milliseconds - The duration.
+ * @returns {string} The formatted duration, or an empty string when unknown.
+ */
+export function formatDuration(milliseconds) {
+  if (milliseconds === null || milliseconds === undefined) return '';
+
+  const totalSeconds = Math.round(milliseconds / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+  if (minutes > 0) return `${minutes}m ${pad(seconds)}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * formatGameDate Function
+ *
+ * Formats when a game started with the device's locale. Games saved before
+ * start times were stored show the date text they were saved with.
+ *
+ * @param {Object} game - The game.
+ * @returns {string} The formatted date and time.
+ */
+export function formatGameDate(game) {
+  const { start } = getGameTimes(game);
+  if (start === null) return [game.date, game.time].filter(Boolean).join(' ');
+
+  const date = new Date(start);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+/**
+ * game-time.js Explanation:
+ *
+ * 1. `getDartTimes / parseTime Functions`: Read the ISO times stored with the darts and the game.
+ * 2. `getGameTimes Function`: Finds when a game started and ended, falling back to its throw log.
+ * 3. `getGameDuration Function`: The time from the start to the end (or the latest dart) of a game.
+ * 4. `getTurnTimes Function`: Groups the timestamped darts into turns with their start and end times.
+ * 5. `formatDuration Function`: Formats durations for the Game History, Winner Popup and Game Detail screens.
+ * 6. `formatGameDate Function`: Formats the start of a game with the device's locale at display time.
+ */
\ No newline at end of file
@@ -0,0 +1,354 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { generateId } from './ids';
+import { DEFAULT_ROWS } from './cricket-engine';
+
+/**
+ * Games Repository
+ *
+ * The only module that reads and writes saved games. It owns the AsyncStorage
+ * keys, validates every record it loads, and migrates records written by older
+ * versions of the app to the current schema so existing history keeps working
+ * after an update.
+ */
+
+// AsyncStorage keys for the two game lists
+export const IN_PROGRESS_KEY = 'inProgressGames';
+export const COMPLETED_KEY = 'completedGames';
+
+// Version stamped on every saved game; bump it and add a migration when the shape changes
+export const SCHEMA_VERSION = 10;
+
+/**
+ * Migrations
+ *
+ * Each entry upgrades a game from the previous version to the version it is
+ * keyed by. Games saved before versions were stamped are treated as version 0.
+ */
+const MIGRATIONS = {
+  // Version 1: games are identified by a unique ID instead of their name
+  1: (game) => ({
+    ...game,
+    id: game.id || generateId(),
+  }),
+  // Version 2: games store points, the game mode, the dart history and whose turn it is
+  2: (game) => ({
+    ...game,
+    history: Array.isArray(game.history) ? game.history : [],
+    points: Array.isArray(game.points) ? game.points : game.players.map(() => 0),
+    gameMode: game.gameMode || 'standard',
+    currentPlayer: Number(game.currentPlayer) || 0,
+    dartsThrown: Number(game.dartsThrown) || 0,
+  }),
+  // Version 3: games link each player to a saved profile (null for guests)
+  3: (game) => ({
+    ...game,
+    playerIds: Array.isArray(game.playerIds) ? game.playerIds : game.players.map(() => null),
+  }),
+  // Version 4: games can be a leg of a match (null for single games) and store who threw first
+  4: (game) => ({
+    ...game,
+    match: game.match || null,
+    firstPlayer: Number(game.firstPlayer) || 0,
+  }),
+  // Version 5: games store the numbers they are played on; older games used the standard numbers
+  5: (game) => ({
+    ...game,
+    rows: Array.isArray(game.rows) ? game.rows : DEFAULT_ROWS,
+  }),
+  // Version 6: games record which players are computer players and their skill level (null for people)
+  6: (game) => ({
+    ...game,
+    cpuLevels: Array.isArray(game.cpuLevels) ? game.cpuLevels : game.players.map(() => null),
+  }),
+  // Version 7: games store when they started and ended (ISO 8601) instead of a locale date string
+  7: (game) => {
+    const dartTimes = (game.history || []).map((move) => move.time).filter(Boolean);
+    const savedAt = Date.parse([game.date, game.time].filter(Boolean).join(' '));
+
+    return {
+      ...game,
+      startedAt: game.startedAt || dartTimes[0] || (Number.isNaN(savedAt) ? null : new Date(savedAt).toISOString()),
+      endedAt: game.endedAt || (game.winner ? dartTimes[dartTimes.length - 1] || null : null),
+    };
+  },
+  // Version 8: games can be played in teams, listing each team's members (null for singles)
+  8: (game) => ({
+    ...game,
+    teams: Array.isArray(game.teams) ? game.teams : null,
+  }),
+  // Version 9: games store each player's handicap (null when nobody had one)
+  9: (game) => ({
+    ...game,
+    handicaps: Array.isArray(game.handicaps) ? game.handicaps : null,
+  }),
+  // Version 10: games can have a round limit, and completed games store how they were decided (null for older games)
+  10: (game) => ({
+    ...game,
+    roundLimit: game.roundLimit || null,
+    outcome: game.outcome || null,
+  }),
+};
+
+/**
+ * isValidGame Function
+ *
+ * Checks that a saved record has the fields every version of the app relied
+ * on: a name, at least two players, and a grid with a cell per player.
+ *
+ * @param {Object} game - The saved record.
+ * @returns {boolean} True if the record can be loaded.
+ */
+export function isValidGame(game) {
+  return (
+    !!game &&
+    typeof game === 'object' &&
+    typeof game.gameName === 'string' &&
+    Array.isArray(game.players) &&
+    game.players.length >= 2 &&
+    game.players.every((player) => typeof player === 'string') &&
+    (game.grid === undefined ||
+      (Array.isArray(game.grid) && game.grid.every((row) => Array.isArray(row) && row.length >= game.players.length)))
+  );
+}
+
+/**
+ * migrateGame Function
+ *
+ * Brings a saved game up to the current schema version by running every
+ * migration newer than the version it was saved with.
+ *
+ * @param {Object} game - The saved game.
+ * @returns {Object} The game at the current schema version.
+ */
+export function migrateGame(game) {
+  let migrated = game;
+
+  for (let version = (game.schemaVersion || 0) + 1; version <= SCHEMA_VERSION; version++) {
+    migrated = { ...MIGRATIONS[version](migrated), schemaVersion: version };
+  }
+
+  return migrated;
+}
+
+/**
+ * readList Function
+ *
+ * Reads a list of games from storage and migrates games from older versions,
+ * writing the upgraded list back. If the data cannot be read or contains
+ * invalid records, the original data is copied to a backup key first so
+ * nothing is lost, and only the valid games are kept.
+ *
+ * @param {string} key - The storage key.
+ * @returns {Promise<Object[]>} The valid games at the current schema version.
+ */
+async function readList(key) {
+  const saved = await AsyncStorage.getItem(key);
+  if (!saved) return [];
+
+  let records = null;
+  try {
+    records = JSON.parse(saved);
+  } catch (error) {
+    // Handled below together with data that is not a list
+  }
+
+  if (!Array.isArray(records)) {
+    console.error(`Failed to read ${key}, keeping a backup`);
+    await AsyncStorage.setItem(`${key}Backup`, saved);
+    return [];
+  }
+
+  const games = records.filter(isValidGame);
+  const migrated = games.map(migrateGame);
+
+  if (games.length < records.length) {
+    console.warn(`Skipped ${records.length - games.length} invalid game(s) in ${key}, keeping a backup`);
+    await AsyncStorage.setItem(`${key}Backup`, saved);
+  }
+  if (games.length < records.length || migrated.some((game, index) => game !== games[index])) {
+    await writeList(key, migrated);
+  }
+
+  return migrated;
+}
+
+/**
+ * writeList Function
+ *
+ * Writes a list of games to storage.
+ *
+ * @param {string} key - The storage key.
+ * @param {Object[]} games - The games to save.
+ */
+async function writeList(key, games) {
+  await AsyncStorage.setItem(key, JSON.stringify(games));
+}
+
+/**
+ * stamp Function
+ *
+ * Marks a game as saved with the current schema version.
+ *
+ * @param {Object} game - The game to save.
+ * @returns {Object} The game with its schema version.
+ */
+const stamp = (game) => ({ ...game, schemaVersion: SCHEMA_VERSION });
+
+/**
+ * loadInProgressGames Function
+ *
+ * @returns {Promise<Object[]>} The in-progress games.
+ */
+export function loadInProgressGames() {
+  return readList(IN_PROGRESS_KEY);
+}
+
+/**
+ * loadCompletedGames Function
+ *
+ * @returns {Promise<Object[]>} The completed games.
+ */
+export function loadCompletedGames() {
+  return readList(COMPLETED_KEY);
+}
+
+/**
+ * getInProgressGame Function
+ *
+ * Finds an in-progress game by its ID.
+ *
+ * @param {string} id - The game's ID.
+ * @returns {Promise<Object|undefined>} The game, or undefined if there is none.
+ */
+export async function getInProgressGame(id) {
+  const games = await loadInProgressGames();
+  return games.find((game) => game.id === id);
+}
+
+/**
+ * getCompletedGame Function
+ *
+ * Finds a completed game by its ID.
+ *
+ * @param {string} id - The game's ID.
+ * @returns {Promise<Object|undefined>} The game, or undefined if there is none.
+ */
+export async function getCompletedGame(id) {
+  const games = await loadCompletedGames();
+  return games.find((game) => game.id === id);
+}
+
+/**
+ * saveInProgressGame Function
+ *
+ * Adds an in-progress game, or replaces the saved game with the same ID.
+ *
+ * @param {Object} game - The game to save.
+ */
+export async function saveInProgressGame(game) {
+  const games = await loadInProgressGames();
+  await writeList(IN_PROGRESS_KEY, [...games.filter((saved) => saved.id !== game.id), stamp(game)]);
+}
+
+/**
+ * deleteInProgressGame Function
+ *
+ * Removes an in-progress game by its ID.
+ *
+ * @param {string} id - The game's ID.
+ * @returns {Promise<Object[]>} The remaining in-progress games.
+ */
+export async function deleteInProgressGame(id) {
+  const games = (await loadInProgressGames()).filter((game) => game.id !== id);
+  await writeList(IN_PROGRESS_KEY, games);
+  return games;
+}
+
+/**
+ * deleteCompletedGame Function
+ *
+ * Removes a completed game by its ID.
+ *
+ * @param {string} id - The game's ID.
+ * @returns {Promise<Object[]>} The remaining completed games.
+ */
+export async function deleteCompletedGame(id) {
+  const games = (await loadCompletedGames()).filter((game) => game.id !== id);
+  await writeList(COMPLETED_KEY, games);
+  return games;
+}
+
+/**
+ * completeGame Function
+ *
+ * Saves a finished game to the completed games and removes it from the
+ * in-progress games.
+ *
+ * @param {Object} game - The finished game.
+ */
+export async function completeGame(game) {
+  const games = await loadCompletedGames();
+  await writeList(COMPLETED_KEY, [...games.filter((saved) => saved.id !== game.id), stamp(game)]);
+  await deleteInProgressGame(game.id);
+}
+
+/**
+ * reopenGame Function
+ *
+ * Moves a finished game back to the in-progress games, e.g. when the winning
+ * dart is undone, and removes it from the completed games.
+ *
+ * @param {Object} game - The game to continue.
+ */
+export async function reopenGame(game) {
+  await saveInProgressGame(game);
+  await deleteCompletedGame(game.id);
+}
+
+/**
+ * importGames Function
+ *
+ * Merges games from a backup into the saved games. Games are matched by ID:
+ * a game that is already saved, in either list, is kept as it is and the
+ * backed up copy is skipped. Imported games are migrated to the current schema.
+ *
+ * @param {Object} backup - The backed up games.
+ * @param {Object[]} backup.inProgressGames - The in-progress games to import.
+ * @param {Object[]} backup.completedGames - The completed games to import.
+ * @returns {Promise<Object>} How many games were added and skipped: { added, skipped }.
+ */
+export async function importGames({ inProgressGames, completedGames }) {
+  const savedInProgress = await loadInProgressGames();
+  const savedCompleted = await loadCompletedGames();
+  const knownIds = new Set([...savedInProgress, ...savedCompleted].map((game) => game.id));
+
+  // Completed games are taken first, so a game backed up in both lists is imported as completed
+  const takeNew = (games) =>
+    games.filter(isValidGame).map(migrateGame).filter((game) => {
+      if (knownIds.has(game.id)) return false;
+      knownIds.add(game.id);
+      return true;
+    });
+  const newCompleted = takeNew(completedGames);
+  const newInProgress = takeNew(inProgressGames);
+
+  if (newCompleted.length > 0) await writeList(COMPLETED_KEY, [...savedCompleted, ...newCompleted]);
+  if (newInProgress.length > 0) await writeList(IN_PROGRESS_KEY, [...savedInProgress, ...newInProgress]);
+
+  const added = newCompleted.length + newInProgress.length;
+  return { added, skipped: completedGames.length + inProgressGames.length - added };
+}
+
+/**
+ * games-repository.js Explanation:
+ *
+ * 1. `IN_PROGRESS_KEY / COMPLETED_KEY`: The AsyncStorage keys owned by this module.
+ * 2. `SCHEMA_VERSION and MIGRATIONS`: The current record version and the steps that upgrade older records to it.
+ * 3. `isValidGame Function`: Rejects records that are missing the name, players or a usable grid.
+ * 4. `migrateGame Function`: Runs the migrations a record has not had yet and stamps its new version.
+ * 5. `readList Function`: Parses, validates and migrates a stored list, backing up data that is unreadable or invalid.
+ * 6. `load/get/save/delete Functions`: Read and update the in-progress and completed games by ID.
+ * 7. `completeGame Function`: Moves a finished game from the in-progress to the completed list.
+ * 8. `reopenGame Function`: Moves a game back from the completed to the in-progress list when its winning dart is undone.
+ * 9. `importGames Function`: Merges games from a backup, skipping games whose ID is already saved.
+ */
\ No newline at end of file
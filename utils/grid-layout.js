@@ -0,0 +1,91 @@
+/**
+ * Grid Layout
+ *
+ * Sizes the scoreboard grid for the screen it is shown on. Up to four or so
+ * players fit across a phone with the numbers column between them; larger
+ * games scroll sideways with the numbers column pinned to the left, and
+ * tablets and landscape screens get a compact layout with less space around
+ * the grid.
+ */
+
+// Narrowest a player's column can be before the grid scrolls sideways, in pixels
+export const MIN_CELL_WIDTH = 64;
+
+// Width of the numbers column when it is pinned beside a scrolling grid, in pixels
+export const NUMBER_COLUMN_WIDTH = 56;
+
+// Shortest side of a screen that is laid out as a tablet, in pixels
+export const TABLET_MIN_SIZE = 600;
+
+// Space around the grid on each side, and around each cell, in pixels
+const GRID_MARGIN = 10;
+const CELL_MARGIN = 2;
+
+/**
+ * isCompactLayout Function
+ *
+ * Checks whether the screen is a tablet or is held in landscape, where the
+ * game screen trims the space above and below the grid.
+ *
+ * @param {Object} window - The window size.
+ * @param {number} window.width - Width of the window.
+ * @param {number} window.height - Height of the window.
+ * @returns {boolean} True for tablets and landscape screens.
+ */
+export function isCompactLayout({ width, height }) {
+  return width > height || Math.min(width, height) >= TABLET_MIN_SIZE;
+}
+
+/**
+ * getNumberColumnPosition Function
+ *
+ * Determines the position of the "numbers" column among the players when the
+ * whole grid fits on screen: between 2 players, after the 2nd player for 3 or
+ * 4 players, and in the middle for larger games.
+ *
+ * @param {number} playerCount - Number of players (columns) in the game.
+ * @returns {number} Index of the player the numbers column is shown before.
+ */
+export function getNumberColumnPosition(playerCount) {
+  if (playerCount === 2) return 1;
+  if (playerCount <= 4) return 2;
+  return Math.ceil(playerCount / 2);
+}
+
+/**
+ * getGridLayout Function
+ *
+ * Works out whether every player's column fits across the screen. When they
+ * do not, the grid scrolls sideways and the columns are sized so that a whole
+ * number of them fill the space beside the pinned numbers column.
+ *
+ * @param {Object} options - Layout inputs.
+ * @param {number} options.width - Width of the window.
+ * @param {number} options.playerCount - Number of players (columns) in the game.
+ * @returns {Object} The layout: { scrollable, cellWidth, numberColumnPosition }, with cellWidth null when the columns share the width.
+ */
+export function getGridLayout({ width, playerCount }) {
+  const available = width - GRID_MARGIN * 2;
+  const sharedWidth = available / (playerCount + 1) - CELL_MARGIN * 2;
+
+  if (sharedWidth >= MIN_CELL_WIDTH) {
+    return { scrollable: false, cellWidth: null, numberColumnPosition: getNumberColumnPosition(playerCount) };
+  }
+
+  const columnsWidth = available - NUMBER_COLUMN_WIDTH;
+  const visibleColumns = Math.max(1, Math.floor(columnsWidth / (MIN_CELL_WIDTH + CELL_MARGIN * 2)));
+  return {
+    scrollable: true,
+    cellWidth: Math.floor(columnsWidth / visibleColumns) - CELL_MARGIN * 2,
+    numberColumnPosition: null,
+  };
+}
+
+/**
+ * grid-layout.js Explanation:
+ *
+ * 1. `MIN_CELL_WIDTH / NUMBER_COLUMN_WIDTH / TABLET_MIN_SIZE`: The sizes the layout is worked out from.
+ * 2. `isCompactLayout Function`: Detects tablets and landscape screens.
+ * 3. `getNumberColumnPosition Function`: Places the numbers column between the players when the grid fits.
+ * 4. `getGridLayout Function`: Chooses between a grid that fits the screen and one that scrolls sideways, sizing its columns from the window width.
+ */
\ No newline at end of file
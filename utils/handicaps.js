@@ -0,0 +1,85 @@
+import { MARKS_TO_CLOSE } from './cricket-engine';
+
+/**
+ * Handicaps
+ *
+ * Evens out games between beginners and regulars. A player can be given a
+ * head start of one mark on numbers they choose, bonus points to start with,
+ * or fewer marks to close each number. The cricket engine applies the
+ * handicaps, and they are saved with the game so its history and statistics
+ * show it was handicapped.
+ */
+
+// Handicaps offered for each player in game setup
+export const HANDICAP_TYPES = [
+  { value: 'none', label: 'None' },
+  { value: 'marks', label: 'Head Start' },
+  { value: 'points', label: 'Bonus Points' },
+  { value: 'close', label: `Close in ${MARKS_TO_CLOSE - 1}` },
+];
+
+// Bonus points a player can start with
+export const BONUS_POINT_OPTIONS = [20, 40, 60];
+
+/**
+ * createHandicap Function
+ *
+ * Turns the handicap chosen in game setup into the handicap stored with the
+ * game. Head start marks are only placed on numbers that are in play.
+ *
+ * @param {Object|null} choice - The choice: { type, marks, points }, or null for none.
+ * @param {string[]} rows - The numbers in play.
+ * @returns {Object|null} The handicap: { marks, points, marksToClose }, or null for none.
+ */
+export function createHandicap(choice, rows) {
+  if (!choice || choice.type === 'none') return null;
+
+  if (choice.type === 'marks') {
+    const marks = rows.filter((row) => (choice.marks || []).includes(row));
+    return marks.length > 0 ? { marks, points: 0, marksToClose: MARKS_TO_CLOSE } : null;
+  }
+
+  if (choice.type === 'points') {
+    return { marks: [], points: choice.points || BONUS_POINT_OPTIONS[0], marksToClose: MARKS_TO_CLOSE };
+  }
+
+  return { marks: [], points: 0, marksToClose: MARKS_TO_CLOSE - 1 };
+}
+
+/**
+ * isHandicapped Function
+ *
+ * @param {Object} game - The game.
+ * @returns {boolean} True if any player in the game had a handicap.
+ */
+export function isHandicapped(game) {
+  return Array.isArray(game.handicaps) && game.handicaps.some(Boolean);
+}
+
+/**
+ * describeHandicap Function
+ *
+ * Describes a handicap for history and replays, e.g. "1 mark on 20, 19",
+ * "+40 points" or "closes in 2".
+ *
+ * @param {Object|null} handicap - The handicap stored with the game.
+ * @returns {string|null} The description, or null for no handicap.
+ */
+export function describeHandicap(handicap) {
+  if (!handicap) return null;
+
+  const parts = [];
+  if (handicap.marks && handicap.marks.length > 0) parts.push(`1 mark on ${handicap.marks.join(', ')}`);
+  if (handicap.points) parts.push(`+${handicap.points} points`);
+  if (handicap.marksToClose && handicap.marksToClose < MARKS_TO_CLOSE) parts.push(`closes in ${handicap.marksToClose}`);
+  return parts.join(', ');
+}
+
+/**
+ * handicaps.js Explanation:
+ *
+ * 1. `HANDICAP_TYPES / BONUS_POINT_OPTIONS`: The handicaps and bonus point amounts offered in game setup.
+ * 2. `createHandicap Function`: Builds the stored handicap (starting marks, bonus points and marks to close) from a setup choice.
+ * 3. `isHandicapped Function`: Checks whether a game was played with handicaps.
+ * 4. `describeHandicap Function`: Describes a player's handicap in words.
+ */
\ No newline at end of file
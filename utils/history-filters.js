@@ -0,0 +1,127 @@
+import { getGameTimes, getGameDuration } from './game-time';
+
+/**
+ * History Filters
+ *
+ * Searches, filters and sorts the saved games shown on the Game History
+ * screen. Every function is pure and returns a new list, so the same filters
+ * can be applied to the in-progress and the completed games.
+ */
+
+// Sort orders offered on the Game History screen
+export const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'longest', label: 'Longest' },
+  { value: 'shortest', label: 'Shortest' },
+];
+
+// Filters that show every game
+export const EMPTY_FILTERS = {
+  query: '',
+  from: '',
+  to: '',
+  winner: '',
+  playerCount: null,
+  gameMode: null,
+};
+
+/**
+ * parseDay Function
+ *
+ * Reads a day typed as YYYY-MM-DD.
+ *
+ * @param {string} text - The typed day.
+ * @returns {Date|null} Midnight at the start of the day (local time), or null if it is not a valid day.
+ */
+export function parseDay(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec((text || '').trim());
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * matchesFilters Function
+ *
+ * Checks a game against the filters. The search matches the game name or any
+ * player's name; the winner filter matches part of the winner's name, so only
+ * completed games pass it; the date range includes both of its days.
+ *
+ * @param {Object} game - The saved game.
+ * @param {Object} filters - The filters, shaped like EMPTY_FILTERS.
+ * @returns {boolean} True if the game should be shown.
+ */
+export function matchesFilters(game, filters) {
+  const query = filters.query.trim().toLowerCase();
+  const winner = filters.winner.trim().toLowerCase();
+
+  if (query && ![game.gameName, ...game.players].some((name) => name.toLowerCase().includes(query))) return false;
+  if (winner && !(game.winner || '').toLowerCase().includes(winner)) return false;
+  if (filters.playerCount && game.players.length !== filters.playerCount) return false;
+  if (filters.gameMode && (game.gameMode || 'standard') !== filters.gameMode) return false;
+
+  const from = parseDay(filters.from);
+  const to = parseDay(filters.to);
+  if (from || to) {
+    const { start } = getGameTimes(game);
+    if (start === null) return false;
+    if (from && start < from.getTime()) return false;
+    // The range includes every game started on the last day, up to the start of the next calendar day (which is not 24 hours away when the clocks change)
+    if (to && start >= new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1).getTime()) return false;
+  }
+
+  return true;
+}
+
+/**
+ * compareKnownFirst Function
+ *
+ * Compares two values for sorting, putting unknown (null) values last.
+ *
+ * @param {number|null} a - The first value.
+ * @param {number|null} b - The second value.
+ * @param {number} direction - 1 for ascending, -1 for descending.
+ * @returns {number} The sort order.
+ */
+function compareKnownFirst(a, b, direction) {
+  if (a === null || b === null) return (a === null) - (b === null);
+  return (a - b) * direction;
+}
+
+/**
+ * applyHistoryFilters Function
+ *
+ * Filters and sorts a list of saved games. Games with no known date or
+ * duration are listed after the others, in the order they were saved.
+ *
+ * @param {Object[]} games - The saved games.
+ * @param {Object} filters - The filters, shaped like EMPTY_FILTERS.
+ * @param {string} sortBy - One of the SORT_OPTIONS values.
+ * @returns {Object[]} The matching games in the chosen order.
+ */
+export function applyHistoryFilters(games, filters, sortBy) {
+  const matching = games.filter((game) => matchesFilters(game, filters));
+
+  const keyOf = sortBy === 'longest' || sortBy === 'shortest'
+    ? getGameDuration
+    : (game) => getGameTimes(game).start;
+  const direction = sortBy === 'oldest' || sortBy === 'shortest' ? 1 : -1;
+
+  return matching
+    .map((game) => ({ game, key: keyOf(game) }))
+    .sort((a, b) => compareKnownFirst(a.key, b.key, direction))
+    .map(({ game }) => game);
+}
+
+/**
+ * history-filters.js Explanation:
+ *
+ * 1. `SORT_OPTIONS / EMPTY_FILTERS`: The sort orders offered and the filters that show every game.
+ * 2. `parseDay Function`: Reads the YYYY-MM-DD days typed into the date range.
+ * 3. `matchesFilters Function`: Applies the search, date range, winner, player count and game mode filters to one game; dates and durations come from `utils/game-time.js`.
+ * 4. `compareKnownFirst Function`: Sorts games with an unknown date or duration last.
+ * 5. `applyHistoryFilters Function`: Filters and sorts a list for one section of the Game History screen.
+ */
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * ID Utilities
+ *
+ * Generates identifiers for records stored on the device.
+ */
+
+/**
+ * generateId Function
+ *
+ * Creates a unique identifier from the current time and a random suffix,
+ * e.g. "game-lx2k9q1c-4f7h2a9d".
+ *
+ * @param {string} [prefix] - Prefix describing what the ID is for.
+ * @returns {string} The generated ID.
+ */
+export function generateId(prefix = 'game') {
+  const time = Date.now().toString(36);
+  const random = Math.random().toString(36).slice(2, 10);
+  return `${prefix}-${time}-${random}`;
+}
+
+/**
+ * ids.js Explanation:
+ *
+ * 1. `generateId Function`: Builds a unique, prefixed ID from the current time and a random suffix.
+ */
\ No newline at end of file
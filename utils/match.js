@@ -0,0 +1,179 @@
+import { createGame } from './cricket-engine';
+import { generateId } from './ids';
+
+/**
+ * Match Rules
+ *
+ * A match is played over several games (legs) by the same players. Legs are
+ * grouped into sets when the match is played in sets. Like the cricket engine,
+ * a match is a plain object that is never mutated: recording a leg returns a
+ * new match state, which every leg stores alongside its own game.
+ */
+
+// Number of legs (or sets) a match can be the best of
+export const BEST_OF_OPTIONS = [1, 3, 5, 7];
+
+/**
+ * getWinsNeeded Function
+ *
+ * Returns how many legs or sets a player needs to win a best-of contest.
+ *
+ * @param {number} bestOf - Number of legs or sets the contest is the best of.
+ * @returns {number} The wins needed, e.g. 2 for best of 3.
+ */
+export function getWinsNeeded(bestOf) {
+  return Math.floor(bestOf / 2) + 1;
+}
+
+/**
+ * createMatch Function
+ *
+ * Creates a new match with no legs played. A match played as best of one set
+ * is scored in legs only.
+ *
+ * @param {Object} options - Match configuration.
+ * @param {string[]} options.players - Names of the players.
+ * @param {number} options.bestOfLegs - Legs each set (or the whole match) is the best of.
+ * @param {number} [options.bestOfSets] - Sets the match is the best of.
+ * @returns {Object} The new match state.
+ */
+export function createMatch({ players, bestOfLegs, bestOfSets = 1 }) {
+  return {
+    id: generateId('match'),
+    bestOfLegs,
+    bestOfSets,
+    legWins: players.map(() => 0), // Legs won in the current set
+    setWins: players.map(() => 0),
+    legsPlayed: 0,
+    winnerIndex: null,
+  };
+}
+
+/**
+ * recordLegWin Function
+ *
+ * Adds a leg win to the match. Winning enough legs wins the set, which starts
+ * the next set from zero legs, and winning enough sets wins the match.
+ *
+ * @param {Object} match - The match state before the leg.
+ * @param {number} winnerIndex - Index of the player who won the leg.
+ * @returns {Object} The match state after the leg.
+ */
+export function recordLegWin(match, winnerIndex) {
+  if (match.winnerIndex !== null) return match;
+
+  let legWins = match.legWins.map((wins, index) => (index === winnerIndex ? wins + 1 : wins));
+  let setWins = match.setWins;
+
+  if (legWins[winnerIndex] >= getWinsNeeded(match.bestOfLegs)) {
+    setWins = setWins.map((wins, index) => (index === winnerIndex ? wins + 1 : wins));
+    legWins = legWins.map(() => 0);
+  }
+
+  return {
+    ...match,
+    legWins,
+    setWins,
+    legsPlayed: match.legsPlayed + 1,
+    winnerIndex: setWins[winnerIndex] >= getWinsNeeded(match.bestOfSets) ? winnerIndex : null,
+  };
+}
+
+/**
+ * getFirstThrower Function
+ *
+ * Returns who throws first in the next leg: the first throw moves one player
+ * along with every leg played.
+ *
+ * @param {Object} match - The match state.
+ * @returns {number} Index of the player who throws first.
+ */
+export function getFirstThrower(match) {
+  return match.legsPlayed % match.legWins.length;
+}
+
+/**
+ * describeMatch Function
+ *
+ * Describes the match format, e.g. "Best of 5 legs" or "Best of 3 sets of 3 legs".
+ *
+ * @param {Object} match - The match state.
+ * @returns {string} The match format.
+ */
+export function describeMatch(match) {
+  if (match.bestOfSets > 1) return `Best of ${match.bestOfSets} sets of ${match.bestOfLegs} legs`;
+  return `Best of ${match.bestOfLegs} legs`;
+}
+
+/**
+ * formatMatchScore Function
+ *
+ * Formats the score of the match, e.g. "Legs 2–1" or "Sets 1–0, Legs 0–1".
+ *
+ * @param {Object} match - The match state.
+ * @returns {string} The match score.
+ */
+export function formatMatchScore(match) {
+  const legs = `Legs ${match.legWins.join('–')}`;
+  if (match.bestOfSets > 1) return `Sets ${match.setWins.join('–')}, ${legs}`;
+  return legs;
+}
+
+/**
+ * createNextLeg Function
+ *
+ * Builds the next leg of a match from the leg that was just completed: the
+ * same name, players (including computer players, teams and handicaps), numbers, game mode and round limit with
+ * a fresh board, the match score so far, and the first throw passed to the
+ * next player.
+ *
+ * @param {Object} completedGame - The completed leg, storing the match after it.
+ * @returns {Object} The new in-progress game.
+ */
+export function createNextLeg(completedGame) {
+  const { match } = completedGame;
+  const firstPlayer = getFirstThrower(match);
+  const { grid, history, points, currentPlayer, dartsThrown } = createGame({
+    players: completedGame.players,
+    rows: completedGame.rows,
+    gameMode: completedGame.gameMode,
+    firstPlayer,
+    teams: completedGame.teams,
+    handicaps: completedGame.handicaps,
+    roundLimit: completedGame.roundLimit,
+  });
+
+  return {
+    id: generateId(),
+    gameName: completedGame.gameName,
+    players: completedGame.players,
+    playerIds: completedGame.playerIds,
+    cpuLevels: completedGame.cpuLevels,
+    teams: completedGame.teams || null,
+    handicaps: completedGame.handicaps || null,
+    roundLimit: completedGame.roundLimit || null,
+    rows: completedGame.rows,
+    grid,
+    history,
+    points,
+    gameMode: completedGame.gameMode,
+    firstPlayer,
+    currentPlayer,
+    dartsThrown,
+    match,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+  };
+}
+
+/**
+ * match.js Explanation:
+ *
+ * 1. `BEST_OF_OPTIONS`: The leg and set counts offered in game setup.
+ * 2. `getWinsNeeded Function`: Works out the wins needed to take a best-of contest.
+ * 3. `createMatch Function`: Starts a match with every player on zero legs and sets.
+ * 4. `recordLegWin Function`: Adds a leg to the score, rolling legs up into sets and deciding the match winner.
+ * 5. `getFirstThrower Function`: Rotates who throws first with every leg.
+ * 6. `describeMatch / formatMatchScore Functions`: Describe the match format and score for the game screen and winner popup.
+ * 7. `createNextLeg Function`: Builds the next leg's game, carrying the match over with the same players.
+ */
\ No newline at end of file
@@ -0,0 +1,118 @@
+import { DEFAULT_ROWS } from './cricket-engine';
+
+/**
+ * Number Sets
+ *
+ * The numbers a game of cricket can be played on. Game setup picks a set and
+ * the resulting rows are stored with the game, so resuming, replaying and
+ * history always show the numbers the game was started with.
+ */
+
+// Number sets that can be selected in game setup
+export const NUMBER_SETS = [
+  { value: 'standard', label: 'Standard' },
+  { value: 'random', label: 'Hidden/Random' },
+  { value: 'extended', label: '10–20' },
+  { value: 'custom', label: 'Custom' },
+];
+
+// Numbers played in the extended variant, from the top of the board down
+export const EXTENDED_NUMBERS = ['20', '19', '18', '17', '16', '15', '14', '13', '12', '11', '10'];
+
+// Number of targets drawn for Hidden/Random cricket, not counting the Bull
+export const RANDOM_NUMBER_COUNT = 6;
+
+/**
+ * sortRows Function
+ *
+ * Orders rows from the highest number down, with the Bull last.
+ *
+ * @param {string[]} rows - The row labels.
+ * @returns {string[]} The sorted row labels.
+ */
+function sortRows(rows) {
+  const numbers = rows.filter((row) => row !== 'Bull').sort((a, b) => Number(b) - Number(a));
+  return rows.includes('Bull') ? [...numbers, 'Bull'] : numbers;
+}
+
+/**
+ * drawRandomNumbers Function
+ *
+ * Draws distinct numbers from 1 to 20 for Hidden/Random cricket.
+ *
+ * @param {Function} [random] - Source of random numbers between 0 and 1.
+ * @returns {string[]} The drawn numbers, highest first.
+ */
+export function drawRandomNumbers(random = Math.random) {
+  const pool = Array.from({ length: 20 }, (_, index) => String(index + 1));
+  const drawn = [];
+
+  while (drawn.length < RANDOM_NUMBER_COUNT) {
+    const [number] = pool.splice(Math.floor(random() * pool.length), 1);
+    drawn.push(number);
+  }
+
+  return sortRows(drawn);
+}
+
+/**
+ * parseCustomRows Function
+ *
+ * Reads a typed list of targets such as "20, 19, 18, Bull". Numbers from 1 to
+ * 20 and the Bull (also written as "B" or "25") are accepted; duplicates are
+ * dropped.
+ *
+ * @param {string} text - The typed targets, separated by commas or spaces.
+ * @returns {string[]|null} The rows, or null if the list is invalid or has fewer than two targets.
+ */
+export function parseCustomRows(text) {
+  const rows = [];
+  const tokens = text.split(/[\s,]+/).filter(Boolean);
+
+  for (const token of tokens) {
+    const row = /^(bull|b|25)$/i.test(token) ? 'Bull' : token;
+
+    if (row !== 'Bull' && !(/^\d+$/.test(row) && Number(row) >= 1 && Number(row) <= 20)) {
+      return null;
+    }
+
+    const label = row === 'Bull' ? row : String(Number(row));
+    if (!rows.includes(label)) rows.push(label);
+  }
+
+  return rows.length >= 2 ? sortRows(rows) : null;
+}
+
+/**
+ * getRowsForSet Function
+ *
+ * Builds the rows for a game from the selected number set.
+ *
+ * @param {string} numberSet - One of the NUMBER_SETS values.
+ * @param {Object} [options] - Set options.
+ * @param {boolean} [options.includeBull] - Whether the Bull is played; custom sets list it themselves.
+ * @param {string} [options.customText] - The typed targets for a custom set.
+ * @param {Function} [options.random] - Source of random numbers for Hidden/Random cricket.
+ * @param {string[]} [options.drawnNumbers] - Numbers already drawn for Hidden/Random cricket, used instead of a new draw.
+ * @returns {string[]|null} The rows, or null if a custom list is invalid.
+ */
+export function getRowsForSet(numberSet, { includeBull = true, customText = '', random, drawnNumbers } = {}) {
+  if (numberSet === 'custom') return parseCustomRows(customText);
+
+  let numbers = DEFAULT_ROWS.filter((row) => row !== 'Bull');
+  if (numberSet === 'random') numbers = drawnNumbers || drawRandomNumbers(random);
+  if (numberSet === 'extended') numbers = EXTENDED_NUMBERS;
+
+  return includeBull ? [...numbers, 'Bull'] : numbers;
+}
+
+/**
+ * number-sets.js Explanation:
+ *
+ * 1. `NUMBER_SETS Array`: The number sets offered in game setup.
+ * 2. `EXTENDED_NUMBERS / RANDOM_NUMBER_COUNT`: The numbers of the 10–20 variant and how many targets Hidden/Random cricket draws.
+ * 3. `sortRows Function`: Orders rows like the board is read, highest first and the Bull last.
+ * 4. `drawRandomNumbers Function`: Draws distinct random targets for Hidden/Random cricket.
+ * 5. `parseCustomRows Function`: Validates a typed list of targets.
+ * 6. `getRowsForSet Function`: Turns the setup choices into the rows stored with the game.
+ */
\ No newline at end of file
@@ -0,0 +1,159 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { generateId } from './ids';
+
+/**
+ * Players Repository
+ *
+ * Reads and writes the saved player profiles. A profile gives a person a
+ * stable ID, so games can refer to the same player however their name is
+ * typed, and statistics can be added up per person.
+ */
+
+// AsyncStorage key for the saved player profiles
+export const PLAYERS_KEY = 'players';
+
+// Colors a player can pick for their avatar
+export const PLAYER_COLORS = ['#FF6347', '#6495ED', '#32CD32', '#FFD700', '#8A2BE2', '#FF8C00', '#20B2AA', '#FF69B4'];
+
+/**
+ * isValidPlayer Function
+ *
+ * Checks that a saved record is a usable player profile.
+ *
+ * @param {Object} player - The saved record.
+ * @returns {boolean} True if the record has an ID and a name.
+ */
+export function isValidPlayer(player) {
+  return !!player && typeof player.id === 'string' && typeof player.name === 'string' && player.name.trim() !== '';
+}
+
+/**
+ * createPlayer Function
+ *
+ * Builds a new player profile with a generated ID.
+ *
+ * @param {Object} details - The player's details.
+ * @param {string} details.name - Full name of the player.
+ * @param {string} [details.nickname] - Nickname shown on the scoreboard.
+ * @param {string} [details.color] - Avatar color.
+ * @returns {Object} The new player profile.
+ */
+export function createPlayer({ name, nickname = '', color = PLAYER_COLORS[0] }) {
+  return {
+    id: generateId('player'),
+    name: name.trim(),
+    nickname: nickname.trim(),
+    color,
+  };
+}
+
+/**
+ * getDisplayName Function
+ *
+ * Returns the name shown for a player in a game: their nickname if they have one.
+ *
+ * @param {Object} player - The player profile.
+ * @returns {string} The name to display.
+ */
+export function getDisplayName(player) {
+  return player.nickname || player.name;
+}
+
+/**
+ * getInitials Function
+ *
+ * Returns up to two initials for a player's avatar, e.g. "AB" for "Alice Brown".
+ *
+ * @param {Object} player - The player profile.
+ * @returns {string} The player's initials.
+ */
+export function getInitials(player) {
+  return player.name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((word) => word[0].toUpperCase())
+    .join('');
+}
+
+/**
+ * findPlayerByName Function
+ *
+ * Finds the profile a typed name belongs to, ignoring case and surrounding
+ * spaces and matching either the name or the nickname.
+ *
+ * @param {Object[]} players - The saved player profiles.
+ * @param {string} name - The typed name.
+ * @returns {Object|undefined} The matching profile, if any.
+ */
+export function findPlayerByName(players, name) {
+  const typed = name.trim().toLowerCase();
+  return players.find(
+    (player) => player.name.toLowerCase() === typed || (player.nickname && player.nickname.toLowerCase() === typed)
+  );
+}
+
+/**
+ * loadPlayers Function
+ *
+ * Loads the saved player profiles, skipping any records that are not valid.
+ *
+ * @returns {Promise<Object[]>} The player profiles.
+ */
+export async function loadPlayers() {
+  const saved = await AsyncStorage.getItem(PLAYERS_KEY);
+  if (!saved) return [];
+
+  try {
+    const players = JSON.parse(saved);
+    return Array.isArray(players) ? players.filter(isValidPlayer) : [];
+  } catch (error) {
+    console.error('Failed to read players:', error);
+    return [];
+  }
+}
+
+/**
+ * savePlayer Function
+ *
+ * Adds a player profile, or replaces the saved profile with the same ID.
+ *
+ * @param {Object} player - The player profile.
+ * @returns {Promise<Object[]>} The updated player profiles.
+ */
+export async function savePlayer(player) {
+  const players = await loadPlayers();
+  const exists = players.some((saved) => saved.id === player.id);
+  const updatedPlayers = exists
+    ? players.map((saved) => (saved.id === player.id ? player : saved))
+    : [...players, player];
+
+  await AsyncStorage.setItem(PLAYERS_KEY, JSON.stringify(updatedPlayers));
+  return updatedPlayers;
+}
+
+/**
+ * deletePlayer Function
+ *
+ * Removes a player profile. Games keep the name the player had when they
+ * were played.
+ *
+ * @param {string} id - The player's ID.
+ * @returns {Promise<Object[]>} The remaining player profiles.
+ */
+export async function deletePlayer(id) {
+  const players = (await loadPlayers()).filter((player) => player.id !== id);
+  await AsyncStorage.setItem(PLAYERS_KEY, JSON.stringify(players));
+  return players;
+}
+
+/**
+ * players-repository.js Explanation:
+ *
+ * 1. `PLAYERS_KEY / PLAYER_COLORS`: The AsyncStorage key for profiles and the avatar colors to choose from.
+ * 2. `isValidPlayer Function`: Rejects saved records without an ID or name.
+ * 3. `createPlayer Function`: Builds a new profile (name, nickname and color) with a generated ID.
+ * 4. `getDisplayName / getInitials Functions`: Produce the name shown in games and the letters on the avatar.
+ * 5. `findPlayerByName Function`: Matches a typed name to an existing profile so the same person is not saved twice.
+ * 6. `loadPlayers / savePlayer / deletePlayer Functions`: Read and update the saved profiles.
+ */
\ No newline at end of file
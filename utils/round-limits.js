@@ -0,0 +1,109 @@
+import { TIEBREAKS, getRoundsPlayed, getOutcome, isFinished } from './cricket-engine';
+
+/**
+ * Round Limits
+ *
+ * Stops games from running forever. A game can be limited to a number of
+ * rounds, after which the cricket engine decides it by points, then by marks,
+ * then by the tiebreak chosen in game setup. The completed game stores how it
+ * was decided, which history and the winner popup describe in words.
+ */
+
+// Round limits offered in game setup; null plays until a player closes out
+export const ROUND_LIMITS = [null, 10, 15, 20, 25];
+
+// Tiebreaks offered in game setup for players still level on points and marks
+export const TIEBREAK_OPTIONS = [
+  { value: TIEBREAKS.bullOff, label: 'Bull-off' },
+  { value: TIEBREAKS.extraRounds, label: 'Extra Rounds' },
+];
+
+/**
+ * createRoundLimit Function
+ *
+ * @param {number|null} maxRounds - The number of rounds chosen, or null for no limit.
+ * @param {string} tiebreak - The tiebreak chosen (see TIEBREAK_OPTIONS).
+ * @returns {Object|null} The round limit stored with the game: { maxRounds, tiebreak }, or null for none.
+ */
+export function createRoundLimit(maxRounds, tiebreak) {
+  return maxRounds ? { maxRounds, tiebreak } : null;
+}
+
+/**
+ * getRoundsThrown Function
+ *
+ * @param {Object} game - The game state.
+ * @returns {number} The rounds that have been started, including one still being thrown.
+ */
+export function getRoundsThrown(game) {
+  const turnsStarted = game.history.filter((move) => move.previousDarts === 0).length;
+  return Math.ceil(turnsStarted / game.players.length);
+}
+
+/**
+ * describeRound Function
+ *
+ * Describes the round being thrown for the game screen, e.g. "Round 3 of 20",
+ * or "Extra round 1" once the game plays on to break a tie.
+ *
+ * @param {Object} game - The game state.
+ * @returns {string|null} The description, or null for a game without a round limit.
+ */
+export function describeRound(game) {
+  if (!game.roundLimit) return null;
+
+  const { maxRounds } = game.roundLimit;
+  const round = isFinished(game) ? getRoundsPlayed(game) : getRoundsPlayed(game) + 1;
+  return round > maxRounds ? `Extra round ${round - maxRounds}` : `Round ${round} of ${maxRounds}`;
+}
+
+/**
+ * getOutcomeRecord Function
+ *
+ * Builds the record of how a won game was decided, saved with the completed game.
+ *
+ * @param {Object} game - The final game state.
+ * @returns {Object|null} The record: { decidedBy, rounds }, or null if the game has not been won.
+ */
+export function getOutcomeRecord(game) {
+  const outcome = getOutcome(game);
+  if (!outcome || outcome.winnerIndex === null) return null;
+
+  return { decidedBy: outcome.decidedBy, rounds: getRoundsThrown(game) };
+}
+
+/**
+ * describeOutcome Function
+ *
+ * Describes how a completed game was decided, e.g. "Won on points after 20 rounds".
+ *
+ * @param {Object|null} outcome - The outcome saved with the game (see getOutcomeRecord).
+ * @returns {string|null} The description, or null for games saved without one.
+ */
+export function describeOutcome(outcome) {
+  if (!outcome) return null;
+
+  const rounds = `${outcome.rounds} ${outcome.rounds === 1 ? 'round' : 'rounds'}`;
+  switch (outcome.decidedBy) {
+    case 'closed':
+      return `Won by closing out in round ${outcome.rounds}`;
+    case 'points':
+      return `Won on points after ${rounds}`;
+    case 'marks':
+      return `Won on marks after ${rounds}, level on points`;
+    case TIEBREAKS.bullOff:
+      return `Won a bull-off after ${rounds}, level on points and marks`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * round-limits.js Explanation:
+ *
+ * 1. `ROUND_LIMITS / TIEBREAK_OPTIONS`: The round limits and tiebreaks offered in game setup.
+ * 2. `createRoundLimit Function`: Builds the round limit stored with the game from the setup choices.
+ * 3. `getRoundsThrown / describeRound Functions`: Count the rounds started and show the round being thrown against the limit.
+ * 4. `getOutcomeRecord Function`: Records how the game was won (closing out, points, marks or a bull-off) and in how many rounds.
+ * 5. `describeOutcome Function`: Describes the saved outcome in words for history and the winner popup.
+ */
\ No newline at end of file
@@ -0,0 +1,106 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Settings Repository
+ *
+ * Reads and writes the app's preferences. Saved settings are merged over the
+ * defaults, so preferences added in later versions of the app start with
+ * their default value, and values that are not valid are ignored.
+ */
+
+// AsyncStorage key for the saved settings
+export const SETTINGS_KEY = 'settings';
+
+// Scoring variants a new game can default to
+export const GAME_MODES = [
+  { value: 'standard', label: 'Standard' },
+  { value: 'cutthroat', label: 'Cut-throat' },
+];
+
+// Number of players a new game can start with
+export const PLAYER_COUNTS = [2, 3, 4, 5, 6, 7, 8];
+
+// Color themes the app can be shown in; "system" follows the device's appearance
+export const THEMES = [
+  { value: 'system', label: 'System' },
+  { value: 'light', label: 'Light' },
+  { value: 'dark', label: 'Dark' },
+  { value: 'high-contrast', label: 'High Contrast' },
+];
+
+// Preferences used until the user changes them
+export const DEFAULT_SETTINGS = {
+  defaultGameMode: 'standard',
+  defaultPlayerCount: 2,
+  confirmReset: true,
+  haptics: true,
+  sound: true,
+  keepAwake: false,
+  theme: 'system',
+};
+
+/**
+ * normalizeSettings Function
+ *
+ * Merges saved settings over the defaults, keeping only valid values.
+ *
+ * @param {Object} saved - The saved settings.
+ * @returns {Object} A complete settings object.
+ */
+export function normalizeSettings(saved) {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (!saved || typeof saved !== 'object') return settings;
+
+  if (GAME_MODES.some((mode) => mode.value === saved.defaultGameMode)) settings.defaultGameMode = saved.defaultGameMode;
+  if (PLAYER_COUNTS.includes(saved.defaultPlayerCount)) settings.defaultPlayerCount = saved.defaultPlayerCount;
+  if (THEMES.some((theme) => theme.value === saved.theme)) settings.theme = saved.theme;
+  ['confirmReset', 'haptics', 'sound', 'keepAwake'].forEach((name) => {
+    if (typeof saved[name] === 'boolean') settings[name] = saved[name];
+  });
+
+  return settings;
+}
+
+/**
+ * loadSettings Function
+ *
+ * Loads the saved settings, falling back to the defaults if none are saved
+ * or they cannot be read.
+ *
+ * @returns {Promise<Object>} The settings.
+ */
+export async function loadSettings() {
+  const saved = await AsyncStorage.getItem(SETTINGS_KEY);
+  if (!saved) return { ...DEFAULT_SETTINGS };
+
+  try {
+    return normalizeSettings(JSON.parse(saved));
+  } catch (error) {
+    console.error('Failed to read settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * saveSettings Function
+ *
+ * Saves the settings.
+ *
+ * @param {Object} settings - The settings to save.
+ * @returns {Promise<Object>} The saved settings.
+ */
+export async function saveSettings(settings) {
+  const normalized = normalizeSettings(settings);
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * settings-repository.js Explanation:
+ *
+ * 1. `SETTINGS_KEY`: The AsyncStorage key for the preferences.
+ * 2. `GAME_MODES / PLAYER_COUNTS / THEMES`: The choices offered on the Settings screen.
+ * 3. `DEFAULT_SETTINGS`: The preferences a new install starts with.
+ * 4. `normalizeSettings Function`: Fills in missing preferences with their defaults and drops invalid values.
+ * 5. `loadSettings / saveSettings Functions`: Read and write the preferences.
+ */
\ No newline at end of file
@@ -0,0 +1,210 @@
+import { DEFAULT_ROWS, DARTS_PER_TURN, getMarksToClose } from './cricket-engine';
+import { getDisplayName } from './players-repository';
+
+/**
+ * Player Statistics
+ *
+ * Works out per-player statistics from completed games. Players with a saved
+ * profile are counted by their profile ID; guests are counted by name. In team
+ * games every member is credited with the team's result and their own darts.
+ */
+
+/**
+ * getPlayerKey Function
+ *
+ * Identifies the person in a game's column, or a member of the team in a team
+ * game's column: their profile ID, or their name for guests.
+ *
+ * @param {Object} game - The completed game.
+ * @param {number} colIndex - Index of the player (or team) in the game.
+ * @param {number|null} [member] - Index of the member in a team game.
+ * @returns {string} The key the player's statistics are grouped under.
+ */
+export function getPlayerKey(game, colIndex, member = null) {
+  if (member !== null) {
+    const team = game.teams[colIndex];
+    return team.memberIds[member] || `guest:${team.members[member].trim().toLowerCase()}`;
+  }
+
+  const playerId = game.playerIds && game.playerIds[colIndex];
+  return playerId || `guest:${game.players[colIndex].trim().toLowerCase()}`;
+}
+
+/**
+ * getParticipants Function
+ *
+ * Lists the people who played in a game: one per column, or every member of
+ * every team in a team game.
+ *
+ * @param {Object} game - The completed game.
+ * @returns {Object[]} The people: { name, colIndex, member }, with member null in singles games.
+ */
+export function getParticipants(game) {
+  if (!game.teams) {
+    return game.players.map((name, colIndex) => ({ name, colIndex, member: null }));
+  }
+
+  return game.teams.flatMap((team, colIndex) =>
+    team.members.map((name, member) => ({ name, colIndex, member }))
+  );
+}
+
+/**
+ * getWinnerIndex Function
+ *
+ * Finds the winning column of a completed game. Games saved before the index
+ * was stored are matched on the winner's name.
+ *
+ * @param {Object} game - The completed game.
+ * @returns {number} Index of the winner, or -1 if it cannot be found.
+ */
+export function getWinnerIndex(game) {
+  if (Number.isInteger(game.winnerIndex)) return game.winnerIndex;
+  return game.players.indexOf(game.winner);
+}
+
+/**
+ * getCountedMarks Function
+ *
+ * Counts the marks of a dart that did something: marks towards closing its
+ * number, and marks beyond that only when they scored points. Marks on a
+ * number that is already closed and scores nothing are left out, as they
+ * would not be counted in a cricket MPR.
+ *
+ * @param {Object} game - The completed game.
+ * @param {number} moveIndex - Index of the dart in the game's history.
+ * @returns {number} The marks counted for the dart.
+ */
+function getCountedMarks(game, moveIndex) {
+  const move = game.history[moveIndex];
+  if (move.rowIndex === null) return 0;
+
+  const marks = move.marks || 1;
+  // Games saved before the taps and points were kept with each dart count every mark
+  if (move.previousTaps === undefined || !move.previousPoints) return marks;
+
+  const nextMove = game.history[moveIndex + 1];
+  const pointsAfter = nextMove ? nextMove.previousPoints : game.points;
+  const hasScored = !!pointsAfter && pointsAfter.some((points, index) => points !== move.previousPoints[index]);
+  if (hasScored) return marks;
+
+  return Math.max(0, Math.min(marks, getMarksToClose(game, move.colIndex) - move.previousTaps));
+}
+
+/**
+ * getGameStats Function
+ *
+ * Counts a player's darts and marks in one game and lists the numbers they
+ * closed. A team member is counted for the darts they threw themselves and the
+ * numbers their team closed. Games saved without a dart history report no darts.
+ *
+ * The misses filled in when a turn is ended early are not darts that were
+ * thrown, so they are left out of the darts (and so out of MPR); the rounds
+ * the player took still count every turn. Marks are counted by getCountedMarks.
+ *
+ * @param {Object} game - The completed game.
+ * @param {number} colIndex - Index of the player (or team) in the game.
+ * @param {number|null} [member] - Index of the member in a team game.
+ * @returns {Object} The player's darts thrown, rounds, marks and closed rows.
+ */
+export function getGameStats(game, colIndex, member = null) {
+  const moveIndexes = (game.history || []).reduce((indexes, move, index) => {
+    const isPlayers = move.colIndex === colIndex && (member === null || move.member === member);
+    return isPlayers ? [...indexes, index] : indexes;
+  }, []);
+  const thrownIndexes = moveIndexes.filter((index) => !game.history[index].skipped);
+  const rows = game.rows || DEFAULT_ROWS;
+
+  return {
+    darts: thrownIndexes.length,
+    rounds: Math.ceil(moveIndexes.length / DARTS_PER_TURN),
+    marks: thrownIndexes.reduce((total, index) => total + getCountedMarks(game, index), 0),
+    closedRows: rows.filter((_, rowIndex) => {
+      const cell = game.grid && game.grid[rowIndex] && game.grid[rowIndex][colIndex];
+      return !!cell && cell.taps >= getMarksToClose(game, colIndex);
+    }),
+  };
+}
+
+/**
+ * getPlayerStatistics Function
+ *
+ * Adds up every player's completed games into their statistics:
+ * - games played, wins and win rate
+ * - marks per round (MPR), from the darts thrown in games with a dart history
+ * - fastest win, in rounds, from the games they won without a handicap
+ * - how many games they played with a handicap
+ * - how often each number was closed, as a share of the games played
+ *
+ * @param {Object[]} games - The completed games.
+ * @param {Object[]} [profiles] - Saved player profiles, used for names and colors.
+ * @returns {Object[]} One entry per player, most games played first.
+ */
+export function getPlayerStatistics(games, profiles = []) {
+  const statsByPlayer = {};
+
+  games.forEach((game) => {
+    const winnerIndex = getWinnerIndex(game);
+
+    getParticipants(game).forEach(({ name, colIndex, member }) => {
+      const key = getPlayerKey(game, colIndex, member);
+      const profile = profiles.find((saved) => saved.id === key);
+      const stats = statsByPlayer[key] || {
+        key,
+        name: profile ? getDisplayName(profile) : name,
+        profile: profile || null,
+        gamesPlayed: 0,
+        wins: 0,
+        darts: 0,
+        marks: 0,
+        fastestWin: null,
+        handicappedGames: 0,
+        closedCounts: {},
+      };
+      const gameStats = getGameStats(game, colIndex, member);
+      // Rounds the whole column took, so the members of a team share its win
+      const { rounds } = getGameStats(game, colIndex);
+
+      const hasHandicap = !!(game.handicaps && game.handicaps[colIndex]);
+
+      stats.gamesPlayed += 1;
+      if (hasHandicap) stats.handicappedGames += 1;
+      stats.darts += gameStats.darts;
+      stats.marks += gameStats.marks;
+      gameStats.closedRows.forEach((row) => {
+        stats.closedCounts[row] = (stats.closedCounts[row] || 0) + 1;
+      });
+
+      if (colIndex === winnerIndex) {
+        stats.wins += 1;
+        if (!hasHandicap && rounds > 0 && (stats.fastestWin === null || rounds < stats.fastestWin)) {
+          stats.fastestWin = rounds;
+        }
+      }
+
+      statsByPlayer[key] = stats;
+    });
+  });
+
+  return Object.values(statsByPlayer)
+    .map(({ darts, marks, closedCounts, ...stats }) => ({
+      ...stats,
+      winRate: stats.wins / stats.gamesPlayed,
+      marksPerRound: darts > 0 ? (marks / darts) * DARTS_PER_TURN : null,
+      closingFrequency: Object.fromEntries(
+        Object.entries(closedCounts).map(([row, count]) => [row, count / stats.gamesPlayed])
+      ),
+    }))
+    .sort((a, b) => b.gamesPlayed - a.gamesPlayed || a.name.localeCompare(b.name));
+}
+
+/**
+ * statistics.js Explanation:
+ *
+ * 1. `getPlayerKey Function`: Groups games by profile ID, falling back to the name for guests; team members are keyed individually.
+ * 2. `getParticipants Function`: Lists each player in a game, or each member of each team.
+ * 3. `getWinnerIndex Function`: Finds the winner's column, including for games saved before the index was stored.
+ * 4. `getCountedMarks Function`: Counts a dart's marks towards closing a number, and beyond that only the marks that scored.
+ * 5. `getGameStats Function`: Counts one player's (or team member's) darts thrown, rounds, marks and closed numbers in a game, closed with fewer marks under a handicap; misses filled in by ending a turn early are not darts thrown.
+ * 6. `getPlayerStatistics Function`: Combines all completed games into games played, win rate, MPR, fastest win, handicapped games and closing frequency per player; wins with a handicap do not count as a fastest win.
+ */
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * Teams
+ *
+ * Groups the players entered in game setup into teams for a team (doubles)
+ * game. Each team plays as one column on the scoreboard, named after its
+ * members, and its members take turns throwing for it.
+ */
+
+// Formats offered in game setup: every player for themselves, or in teams
+export const GAME_FORMATS = [
+  { value: 'singles', label: 'Singles' },
+  { value: 'teams', label: 'Teams' },
+];
+
+/**
+ * getTeamCount Function
+ *
+ * Returns how many teams the players can be split into: at least two, and
+ * enough for teams of two when there are more players.
+ *
+ * @param {number} playerCount - Number of players in the game.
+ * @returns {number} The number of teams offered.
+ */
+export function getTeamCount(playerCount) {
+  return Math.max(2, Math.floor(playerCount / 2));
+}
+
+/**
+ * getDefaultTeams Function
+ *
+ * Spreads the players over the teams in turn, so 4 players make 1 & 3 against 2 & 4.
+ *
+ * @param {number} playerCount - Number of players in the game.
+ * @returns {number[]} The team index of each player.
+ */
+export function getDefaultTeams(playerCount) {
+  const teamCount = getTeamCount(playerCount);
+  return Array.from({ length: playerCount }, (_, index) => index % teamCount);
+}
+
+/**
+ * fitTeams Function
+ *
+ * Keeps the players' teams within the teams offered after players are
+ * removed. Anyone left in a team that is no longer offered joins the smallest
+ * remaining team, so the teams stay as even as they can.
+ *
+ * @param {number[]} assignments - The team index of each player.
+ * @returns {number[]} The team index of each player, each one offered for this many players.
+ */
+export function fitTeams(assignments) {
+  const teamCount = getTeamCount(assignments.length);
+  const sizes = Array(teamCount).fill(0);
+  assignments.forEach((team) => {
+    if (team < teamCount) sizes[team] += 1;
+  });
+
+  return assignments.map((team) => {
+    if (team < teamCount) return team;
+    const smallest = sizes.indexOf(Math.min(...sizes));
+    sizes[smallest] += 1;
+    return smallest;
+  });
+}
+
+/**
+ * getTeamName Function
+ *
+ * @param {string[]} members - Names of the team's members.
+ * @returns {string} The team's name, e.g. "Alice & Bob".
+ */
+export function getTeamName(members) {
+  return members.join(' & ');
+}
+
+/**
+ * createTeams Function
+ *
+ * Groups the players into their chosen teams, in team order. Teams nobody was
+ * put in are left out.
+ *
+ * @param {string[]} players - Names of the players.
+ * @param {(string|null)[]} playerIds - Profile ID of each player, null for guests.
+ * @param {number[]} assignments - The team index of each player.
+ * @returns {Object[]} The teams: { members, memberIds }.
+ */
+export function createTeams(players, playerIds, assignments) {
+  const teams = [];
+
+  players.forEach((name, index) => {
+    const team = assignments[index];
+    teams[team] = teams[team] || { members: [], memberIds: [] };
+    teams[team].members.push(name);
+    teams[team].memberIds.push(playerIds[index] || null);
+  });
+
+  return teams.filter(Boolean);
+}
+
+/**
+ * teams.js Explanation:
+ *
+ * 1. `GAME_FORMATS`: The singles and teams formats offered in game setup.
+ * 2. `getTeamCount Function`: How many teams the players can be split into.
+ * 3. `getDefaultTeams Function`: Alternates the players between the teams.
+ * 4. `fitTeams Function`: Moves players out of teams that are no longer offered once players are removed.
+ * 5. `getTeamName Function`: Names a team after its members.
+ * 6. `createTeams Function`: Groups the players into teams, with each member's profile ID.
+ */
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * Theme
+ *
+ * The color palettes the app can be shown in. Every screen takes its colors
+ * from the active palette rather than hard-coding them, so the light, dark and
+ * high-contrast themes share one set of names:
+ *
+ * - `screens`: the page and navigation bar background of each route.
+ * - `text` / `textInverse`: text on light and on dark or colored backgrounds.
+ * - `surface` / `surfaceText`: inputs, list items and unselected options, and their text.
+ * - `card`, `button` / `buttonText`, `popup`, `popupWon`: other backgrounds and their text.
+ * - `primary`, `primaryDark`, `success`, `danger`, `accent`, `info`, `neutral`: button colors.
+ * - `highlight`, `warning`, `muted`: gold, alert and secondary text.
+ * - `border`, `shadow`, `bull`, `headerTint`: outlines, shadows, the bull's-eye and the back button.
+ */
+
+// Light theme: the app's original colors
+const LIGHT = {
+  screens: {
+    index: '#A05C59',
+    'game-screen': '#A05C59',
+    'scoreboard-viewer': '#A05C59',
+    'game-detail': '#A05C59',
+    'game-setup': '#AAFFAA',
+    players: '#AAFFAA',
+    about: '#AAFFAA',
+    'game-history': '#6495ED',
+    statistics: '#6495ED',
+    settings: '#B0C4DE',
+    'winner-popup': '#F0E68C',
+  },
+  text: '#000000',
+  textInverse: '#FFFFFF',
+  surface: '#FFFFFF',
+  surfaceText: '#000000',
+  card: '#87CEEB',
+  button: '#D3D3D3',
+  buttonText: '#000000',
+  popup: '#DDA0DD',
+  popupWon: '#DAA520',
+  primary: '#6495ED',
+  primaryDark: '#4169E1',
+  success: '#32CD32',
+  danger: '#FF6347',
+  accent: '#8A2BE2',
+  info: '#00BFFF',
+  neutral: '#808080',
+  highlight: '#FFD700',
+  warning: '#FF4500',
+  muted: '#555555',
+  border: '#000000',
+  shadow: '#000000',
+  bull: '#FF0000',
+  headerTint: '#000000',
+};
+
+// Dark theme: the same hues, darkened, with light text
+const DARK = {
+  screens: {
+    index: '#4A2524',
+    'game-screen': '#4A2524',
+    'scoreboard-viewer': '#4A2524',
+    'game-detail': '#4A2524',
+    'game-setup': '#1F3D1F',
+    players: '#1F3D1F',
+    about: '#1F3D1F',
+    'game-history': '#1E2D50',
+    statistics: '#1E2D50',
+    settings: '#2A3444',
+    'winner-popup': '#3D3A1E',
+  },
+  text: '#FFFFFF',
+  textInverse: '#FFFFFF',
+  surface: '#2E2E2E',
+  surfaceText: '#FFFFFF',
+  card: '#24465A',
+  button: '#3A3A3A',
+  buttonText: '#FFFFFF',
+  popup: '#5A3A5A',
+  popupWon: '#8B6914',
+  primary: '#3D5FA8',
+  primaryDark: '#2B4A8F',
+  success: '#2E8B2E',
+  danger: '#C0392B',
+  accent: '#6A1FB0',
+  info: '#1E7FA8',
+  neutral: '#5A5A5A',
+  highlight: '#FFD700',
+  warning: '#FF7F50',
+  muted: '#B0B0B0',
+  border: '#FFFFFF',
+  shadow: '#000000',
+  bull: '#CC0000',
+  headerTint: '#FFFFFF',
+};
+
+// High-contrast theme: black pages, white surfaces and yellow highlights
+const HIGH_CONTRAST = {
+  screens: {
+    index: '#000000',
+    'game-screen': '#000000',
+    'scoreboard-viewer': '#000000',
+    'game-detail': '#000000',
+    'game-setup': '#000000',
+    players: '#000000',
+    about: '#000000',
+    'game-history': '#000000',
+    statistics: '#000000',
+    settings: '#000000',
+    'winner-popup': '#000000',
+  },
+  text: '#FFFFFF',
+  textInverse: '#FFFFFF',
+  surface: '#FFFFFF',
+  surfaceText: '#000000',
+  card: '#FFFFFF',
+  button: '#FFFF00',
+  buttonText: '#000000',
+  popup: '#000080',
+  popupWon: '#806000',
+  primary: '#0000CC',
+  primaryDark: '#000080',
+  success: '#006400',
+  danger: '#B00000',
+  accent: '#4B0082',
+  info: '#FFFF00',
+  neutral: '#333333',
+  highlight: '#FFFF00',
+  warning: '#B00000',
+  muted: '#000000',
+  border: '#FFFFFF',
+  shadow: '#000000',
+  bull: '#FF0000',
+  headerTint: '#FFFF00',
+};
+
+export const PALETTES = {
+  light: LIGHT,
+  dark: DARK,
+  'high-contrast': HIGH_CONTRAST,
+};
+
+/**
+ * resolveThemeName Function
+ *
+ * Works out which palette to show for the theme chosen in the settings.
+ *
+ * @param {string} preference - The theme setting: 'system', 'light', 'dark' or 'high-contrast'.
+ * @param {string|null} systemScheme - The device's appearance: 'light', 'dark' or null when unknown.
+ * @returns {string} The name of a palette in PALETTES.
+ */
+export function resolveThemeName(preference, systemScheme) {
+  if (PALETTES[preference]) return preference;
+  return systemScheme === 'dark' ? 'dark' : 'light';
+}
+
+/**
+ * getScreenBackground Function
+ *
+ * @param {Object} colors - The palette.
+ * @param {string} routeName - The route, e.g. "game-screen".
+ * @returns {string} The background color of the route's page and navigation bar.
+ */
+export function getScreenBackground(colors, routeName) {
+  return colors.screens[routeName] || colors.screens.index;
+}
+
+/**
+ * theme.js Explanation:
+ *
+ * 1. `LIGHT / DARK / HIGH_CONTRAST Palettes`: The colors of each theme, with the same names in each.
+ * 2. `PALETTES Object`: The palettes by theme name, as stored in the settings.
+ * 3. `resolveThemeName Function`: Follows the device's appearance unless a theme has been chosen.
+ * 4. `getScreenBackground Function`: The page and navigation bar color of a route.
+ */
\ No newline at end of file
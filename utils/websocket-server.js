@@ -0,0 +1,342 @@
+import TcpSocket from 'react-native-tcp-socket';
+import * as Crypto from 'expo-crypto';
+import * as Network from 'expo-network';
+import { Buffer } from 'buffer';
+import { DEFAULT_BROADCAST_PORT } from './broadcast';
+
+/**
+ * WebSocket Server
+ *
+ * Lets the scoring device host its shared scoreboard on the local network.
+ * React Native can open WebSockets but not accept them, so the server listens
+ * for TCP connections and speaks the WebSocket protocol (RFC 6455) over them:
+ * it answers the opening handshake, then reads and writes text frames. Other
+ * phones join it with an ordinary WebSocket at the device's Wi-Fi address.
+ *
+ * The server has the interface of the `ws` package's server that the
+ * broadcast host expects (`on('connection')`, and sockets with `send`,
+ * `close`, `on('message')` and `on('close')`).
+ */
+
+// Appended to the key a client sends in its handshake before it is hashed (RFC 6455)
+export const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Frame types the server reads and writes
+export const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+// End of the HTTP headers of the opening handshake
+const HEADERS_END = '\r\n\r\n';
+
+// Longest opening handshake accepted, in bytes; connections sending more are dropped
+export const MAX_HANDSHAKE_LENGTH = 8 * 1024;
+
+/**
+ * readHandshake Function
+ *
+ * Reads a client's opening handshake, an HTTP request asking to upgrade to a WebSocket.
+ *
+ * @param {string} request - The request's headers.
+ * @returns {string|null} The client's Sec-WebSocket-Key, or null if the request is not a WebSocket handshake.
+ */
+export function readHandshake(request) {
+  const [requestLine, ...headerLines] = request.split('\r\n');
+  if (!/^GET \S+ HTTP\/1\.1$/.test(requestLine)) return null;
+
+  const headers = {};
+  headerLines.forEach((line) => {
+    const separator = line.indexOf(':');
+    if (separator > 0) headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+  });
+
+  const isUpgrade = (headers.upgrade || '').toLowerCase() === 'websocket';
+  return isUpgrade && headers['sec-websocket-key'] ? headers['sec-websocket-key'] : null;
+}
+
+/**
+ * getAcceptKey Function
+ *
+ * @param {string} key - The Sec-WebSocket-Key sent by the client.
+ * @returns {Promise<string>} The Sec-WebSocket-Accept value that completes the handshake.
+ */
+export function getAcceptKey(key) {
+  return Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA1, key + WEBSOCKET_GUID, {
+    encoding: Crypto.CryptoEncoding.BASE64,
+  });
+}
+
+/**
+ * encodeFrame Function
+ *
+ * Writes a frame sent by the server. Server frames are never masked.
+ *
+ * @param {number} opcode - The frame type (see OPCODES).
+ * @param {Buffer|string} [payload] - The frame's data.
+ * @returns {Buffer} The frame.
+ */
+export function encodeFrame(opcode, payload = '') {
+  const data = Buffer.from(payload);
+  let header;
+
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(data.length / 2 ** 32), 2);
+    header.writeUInt32BE(data.length % 2 ** 32, 6);
+  }
+
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * decodeFrames Function
+ *
+ * Reads the complete frames received from a client, unmasking their data.
+ * Any partial frame at the end is returned to be read once the rest arrives.
+ *
+ * @param {Buffer} buffer - The data received and not yet read.
+ * @returns {Object} The frames and the data left over: { frames: [{ fin, opcode, isMasked, payload }], rest }.
+ */
+export function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const fin = (buffer[offset] & 0x80) !== 0;
+    const opcode = buffer[offset] & 0x0f;
+    const isMasked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let position = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < position + 2) break;
+      length = buffer.readUInt16BE(position);
+      position += 2;
+    } else if (length === 127) {
+      if (buffer.length < position + 8) break;
+      length = buffer.readUInt32BE(position) * 2 ** 32 + buffer.readUInt32BE(position + 4);
+      position += 8;
+    }
+
+    const mask = isMasked ? buffer.slice(position, position + 4) : null;
+    if (isMasked) position += 4;
+    if (buffer.length < position + length) break;
+
+    const payload = Buffer.from(buffer.slice(position, position + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ fin, opcode, isMasked, payload });
+    offset = position + length;
+  }
+
+  return { frames, rest: buffer.slice(offset) };
+}
+
+/**
+ * createWebSocketServer Function
+ *
+ * Starts a WebSocket server listening on a port of this device. Each TCP
+ * connection that completes the opening handshake is passed to the
+ * 'connection' listeners as a socket; connections that send anything else, or
+ * a handshake longer than MAX_HANDSHAKE_LENGTH, are dropped. Frames that
+ * arrive while the handshake is being answered wait until it has been, and a
+ * client that sends an unmasked frame is disconnected, as RFC 6455 requires.
+ *
+ * @param {number} [port] - The port to listen on.
+ * @returns {Promise<Object>} The server once it is listening: { port, on(event, listener), close() }.
+ */
+export function createWebSocketServer(port = DEFAULT_BROADCAST_PORT) {
+  const connectionListeners = [];
+  const sockets = new Set();
+
+  const tcpServer = TcpSocket.createServer((connection) => {
+    let received = Buffer.alloc(0); // Data received and not yet read
+    let socket = null; // The WebSocket, once the handshake is complete
+    let isUpgrading = false; // Whether the handshake is being answered
+    let isDropped = false; // Whether the connection has been refused or has closed
+
+    const drop = (status) => {
+      isDropped = true;
+      connection.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+    };
+
+    const readFrames = () => {
+      const { frames, rest } = decodeFrames(received);
+      received = rest;
+
+      for (const frame of frames) {
+        if (!frame.isMasked) {
+          socket.close();
+          return;
+        }
+        socket.receive(frame);
+      }
+    };
+
+    const upgrade = async (key) => {
+      let acceptKey;
+      try {
+        acceptKey = await getAcceptKey(key);
+      } catch (error) {
+        console.error('Failed to accept a scoreboard viewer:', error);
+        drop('500 Internal Server Error');
+        return;
+      }
+      if (isDropped) return;
+
+      connection.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+          'Upgrade: websocket\r\n' +
+          'Connection: Upgrade\r\n' +
+          `Sec-WebSocket-Accept: ${acceptKey}\r\n\r\n`
+      );
+      socket = createSocket(connection, () => sockets.delete(socket));
+      sockets.add(socket);
+      connectionListeners.forEach((listener) => listener(socket));
+      readFrames();
+    };
+
+    connection.on('data', (data) => {
+      if (isDropped) return;
+      received = Buffer.concat([received, Buffer.from(data)]);
+
+      if (socket) {
+        readFrames();
+        return;
+      }
+      if (isUpgrading) return; // Frames are read once the handshake has been answered
+
+      const headersEnd = received.indexOf(HEADERS_END);
+      if (headersEnd === -1 ? received.length > MAX_HANDSHAKE_LENGTH : headersEnd > MAX_HANDSHAKE_LENGTH) {
+        drop('400 Bad Request');
+        return;
+      }
+      if (headersEnd === -1) return;
+
+      const key = readHandshake(received.slice(0, headersEnd).toString('utf8'));
+      received = received.slice(headersEnd + HEADERS_END.length);
+      if (!key) {
+        drop('400 Bad Request');
+        return;
+      }
+
+      isUpgrading = true;
+      upgrade(key);
+    });
+
+    connection.on('error', (error) => console.error('Scoreboard viewer connection failed:', error));
+    connection.on('close', () => {
+      isDropped = true;
+      if (socket) socket.receive({ fin: true, opcode: OPCODES.close, payload: Buffer.alloc(0) });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    tcpServer.once('error', reject);
+    tcpServer.listen({ port, host: '0.0.0.0', reuseAddress: true }, () => {
+      tcpServer.off('error', reject);
+      resolve({
+        port,
+        on(event, listener) {
+          if (event === 'connection') connectionListeners.push(listener);
+        },
+        close() {
+          sockets.forEach((socket) => socket.close());
+          tcpServer.close();
+        },
+      });
+    });
+  });
+}
+
+/**
+ * createSocket Function
+ *
+ * Wraps a TCP connection that completed the handshake as a WebSocket with the
+ * `ws` package's events. Text messages are passed to the 'message' listeners,
+ * pings are answered and a close frame (or the connection ending) closes it.
+ *
+ * @param {Object} connection - The TCP connection.
+ * @param {Function} onClose - Called once when the socket closes.
+ * @returns {Object} The socket: { on(event, listener), send(text), close(), receive(frame) }.
+ */
+function createSocket(connection, onClose) {
+  const listeners = { message: [], close: [] };
+  let fragments = []; // Parts of a text message split over several frames
+  let isClosed = false;
+
+  const close = () => {
+    if (isClosed) return;
+    isClosed = true;
+    connection.end(encodeFrame(OPCODES.close));
+    onClose();
+    listeners.close.forEach((listener) => listener());
+  };
+
+  return {
+    on(event, listener) {
+      if (listeners[event]) listeners[event].push(listener);
+    },
+    send(text) {
+      if (!isClosed) connection.write(encodeFrame(OPCODES.text, text));
+    },
+    close,
+    receive({ fin, opcode, payload }) {
+      if (isClosed) return;
+
+      if (opcode === OPCODES.close) {
+        close();
+      } else if (opcode === OPCODES.ping) {
+        connection.write(encodeFrame(OPCODES.pong, payload));
+      } else if (opcode === OPCODES.text || (opcode === OPCODES.continuation && fragments.length)) {
+        fragments.push(payload);
+        if (!fin) return;
+
+        const text = Buffer.concat(fragments).toString('utf8');
+        fragments = [];
+        listeners.message.forEach((listener) => listener(text));
+      }
+    },
+  };
+}
+
+/**
+ * getHostAddress Function
+ *
+ * @returns {Promise<string|null>} This device's address on the local network, or null if it is not connected to one.
+ */
+export async function getHostAddress() {
+  try {
+    const address = await Network.getIpAddressAsync();
+    return address && address !== '0.0.0.0' ? address : null;
+  } catch (error) {
+    console.error('Failed to get the device address:', error);
+    return null;
+  }
+}
+
+/**
+ * websocket-server.js Explanation:
+ *
+ * 1. `WEBSOCKET_GUID / OPCODES`: The constants of the WebSocket protocol the server uses.
+ * 2. `readHandshake / getAcceptKey Functions`: Read a client's opening handshake and work out the key that accepts it.
+ * 3. `encodeFrame / decodeFrames Functions`: Write the server's frames, and read the clients' frames as they arrive, noting whether each was masked.
+ * 4. `createWebSocketServer Function`: Listens for TCP connections on the device and upgrades them to WebSockets for the broadcast host, dropping oversized handshakes and clients that send unmasked frames.
+ * 5. `createSocket Function`: Gives each upgraded connection the `ws` package's socket interface, answering pings and closing on a close frame.
+ * 6. `getHostAddress Function`: Finds the device's Wi-Fi address, shown on the Game Screen for viewers to join.
+ */
\ No newline at end of file